@@ -1,4 +1,14 @@
-import { createHeaders, handleApiResponse, mapActivity, filterActivitiesByDate } from './shared/github-api.js';
+import {
+  createHeaders,
+  fetchWithRetry,
+  handleApiResponse,
+  mapActivity,
+  filterActivitiesByDate,
+  getNextPageUrl,
+  isFeatureUnavailableError,
+  groupCommits
+} from './shared/github-api.js';
+import { API_CONFIG, STORAGE_CONFIG } from './shared/config.js';
 import {
   getSyncItems,
   getLocalItems,
@@ -7,12 +17,86 @@ import {
   setSyncItem,
   getExcludedRepos,
   getAccessToken,
+  getAccountTokens,
+  getAuthSession,
   getFilteringSettings,
-  getWatchedRepos
+  getWatchedOwners,
+  getWatchedRepos,
+  setWatchedOwners,
+  setWatchedRepos
 } from './shared/storage-helpers.js';
 import { extractRepoName } from './shared/repository-utils.js';
+import { isWatchedRepoDuplicate } from './shared/repo-service.js';
+import {
+  loadRequestValidators,
+  getConditionalHeaders,
+  recordResponseValidators,
+  touchRequestValidators,
+  isNotModified,
+  saveRequestValidators
+} from './shared/request-cache.js';
+import { fetchRepoActivityBatch, getRestOnlyFilters } from './shared/graphql-api.js';
+import { loadRepoCursors, saveRepoCursors, getRepoCursorSince, advanceRepoCursor } from './shared/repo-cursors.js';
+import { isRepoDue, scheduleNextCheck } from './shared/poll-scheduler.js';
+import {
+  DEFERRED_REPOS_KEY,
+  estimateRepoCost,
+  getRateLimitKey,
+  getRateLimitReserve,
+  getRequestBudget,
+  loadRateLimits,
+  planRepoChecks,
+  saveRateLimit
+} from './shared/rate-limit-planner.js';
+import { runTaskQueue } from './shared/task-queue.js';
+import { getApiBase, getGitHubHost, getWebBase, hasHostPermission, loadGitHubHost } from './shared/github-host.js';
+import { getSessionCapabilities, restrictFiltersToCapabilities } from './shared/auth.js';
+import { AUTO_LOCK_ALARM, lockPersistentAuth } from './shared/persistent-auth.js';
+import {
+  loadRepoHealth,
+  saveRepoHealth,
+  recordRepoSuccess,
+  recordRepoFailure,
+  recordFeatureAvailability,
+  getUnavailableFeatures
+} from './shared/repo-health.js';
+import { loadAccessRequirements, saveAccessRequirements, updateAccessRequirements } from './shared/access-requirements.js';
+import {
+  OWNER_SYNC_ALARM,
+  OWNER_SYNC_INTERVAL_MINUTES,
+  fetchOwnerRepos,
+  planOwnerSync,
+  getAvailableRepoSlots,
+  releaseCappedRepos
+} from './shared/watched-owners.js';
+import { getKnownItems, detectStateChanges, applyStateChanges } from './shared/state-changes.js';
+import {
+  INBOX_TYPE,
+  loadInboxState,
+  saveInboxState,
+  isInboxPollDue,
+  fetchInboxThreads,
+  mapInboxThread,
+  markInboxThreadRead
+} from './shared/notifications-inbox.js';
+import { fetchReviewQueue, pruneReviewQueue } from './shared/review-queue.js';
+import {
+  fetchMyPullRequests,
+  detectStatusChanges,
+  loadMyPullRequests,
+  saveMyPullRequests
+} from './shared/my-pull-requests.js';
+import { createCategorySettings, getCategoryForActivityType, normalizeSavedSearches } from './shared/settings-schema.js';
+import {
+  collectNewSearchHits,
+  fetchSavedSearchHits,
+  loadSavedSearchState,
+  pruneSavedSearchResults,
+  saveSavedSearchState
+} from './shared/saved-searches.js';
 import { safelyOpenUrl } from './shared/security.js';
 import { prepareActivitiesForStorage, countUnreadActivities } from './shared/feed-policy.js';
+import { buildLabelFilters, matchesLabelFilters } from './shared/label-filters.js';
 import {
   clearArchivedFeedData,
   getAllActivityIds,
@@ -24,8 +108,20 @@ import {
 } from './shared/feed-mutations.js';
 
 const ALARM_NAME = 'checkGitHub';
+const NOTIFICATION_NOUNS = {
+  state: 'status change',
+  workflow: 'workflow failure',
+  push: 'new push',
+  inbox: 'inbox notification',
+  review: 'review request',
+  search: 'saved search match',
+  mypr: 'PR status update',
+  security: 'security alert'
+};
+const WORKFLOW_ALERT_CONCLUSIONS = ['failure', 'timed_out', 'cancelled'];
 const DEFAULT_INTERVAL = 15;
 let alarmSetupInProgress = false; // Lock to prevent concurrent setup
+let activeCheck = null; // { controller, promise } for the check in progress
 
 if (typeof chrome !== 'undefined' && chrome.runtime) {
   // Setup alarm when extension is installed
@@ -33,6 +129,7 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
     chrome.storage.sync.get(['checkInterval'], (result) => {
       const interval = result.checkInterval || DEFAULT_INTERVAL;
       setupAlarm(interval);
+      setupOwnerSyncAlarm();
       // Run an immediate check on install
       checkGitHubActivity();
     });
@@ -43,6 +140,7 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
     chrome.storage.sync.get(['checkInterval'], (result) => {
       const interval = result.checkInterval || DEFAULT_INTERVAL;
       setupAlarm(interval);
+      setupOwnerSyncAlarm();
       // Run an immediate check on startup
       checkGitHubActivity();
     });
@@ -66,6 +164,14 @@ function setupAlarm(intervalMinutes) {
   });
 }
 
+// Listing an organization's repos is cheap but rarely changes, so it runs on its own slower alarm
+function setupOwnerSyncAlarm() {
+  chrome.alarms.create(OWNER_SYNC_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: OWNER_SYNC_INTERVAL_MINUTES
+  });
+}
+
 function isValidInterval(interval) {
   return Number.isFinite(interval) && interval > 0;
 }
@@ -75,6 +181,11 @@ if (typeof chrome !== 'undefined' && chrome.alarms) {
   chrome.alarms.onAlarm.addListener((alarm) => {
     if (alarm.name === ALARM_NAME) {
       checkGitHubActivity();
+    } else if (alarm.name === OWNER_SYNC_ALARM) {
+      syncWatchedOwners();
+    } else if (alarm.name === AUTO_LOCK_ALARM) {
+      // Nothing was opened for the auto-lock period; checks pause until the popup is unlocked
+      lockPersistentAuth();
     }
   });
 }
@@ -85,6 +196,7 @@ if (typeof chrome !== 'undefined' && chrome.notifications) {
     const url = notificationId.startsWith('http') ? notificationId : null;
     if (url) {
       // Validate URL before opening to prevent malicious URLs
+      await loadGitHubHost();
       const opened = await safelyOpenUrl(url);
       if (opened) {
         chrome.notifications.clear(notificationId);
@@ -95,21 +207,81 @@ if (typeof chrome !== 'undefined' && chrome.notifications) {
   });
 }
 
-async function checkGitHubActivity() {
+async function checkGitHubActivity({ force = false, repos = null } = {}) {
+  while (activeCheck) {
+    // A single-repo retry waits its turn; it shouldn't throw away a full check's work
+    if (repos) {
+      await activeCheck.promise;
+      continue;
+    }
+
+    // Alarm ticks leave a running check alone; a manual refresh cancels it and starts over
+    if (!force) {
+      return activeCheck.promise;
+    }
+
+    activeCheck.controller.abort();
+    await activeCheck.promise;
+  }
+
+  const controller = new AbortController();
+  const check = { controller, promise: runActivityCheck({ force, repos, signal: controller.signal }) };
+  activeCheck = check;
+
+  try {
+    await check.promise;
+  } finally {
+    if (activeCheck === check) {
+      activeCheck = null;
+    }
+  }
+}
+
+async function runActivityCheck({ force, repos, signal }) {
+  // A retry from the options page re-checks only the named repos
+  const targetRepos = repos ? new Set(repos) : null;
+
   try {
-    const githubToken = await getAccessToken();
+    await loadGitHubHost();
+    const authSession = await getAuthSession();
+    // Public-only mode has capabilities but no token
+    const capabilities = getSessionCapabilities(authSession);
+    const githubToken = authSession?.accessToken || null;
+    const accountTokens = await getAccountTokens();
+    // Repos bound to an account that is no longer connected fall back to the default account
+    const tokenFor = repo => (typeof repo === 'object' && accountTokens.get(repo.account)) || githubToken;
+    // Each account has its own rate limit, so one exhausted account doesn't hold back the others
+    const rateLimitKeyFor = repo => getRateLimitKey(
+      getGitHubHost(),
+      typeof repo === 'object' && accountTokens.has(repo.account) ? repo.account : authSession?.username
+    );
 
     const watchedRepos = await getWatchedRepos();
-    const { lastCheck, filters, notifications, mutedRepos, snoozedRepos, unmutedRepos } = await getSyncItems([
+    const {
+      lastCheck,
+      filters,
+      notifications,
+      mutedRepos,
+      snoozedRepos,
+      unmutedRepos,
+      graphqlPolling,
+      checkInterval,
+      pinnedRepos,
+      savedSearches
+    } = await getSyncItems([
       'lastCheck',
       'filters',
       'notifications',
       'mutedRepos',
       'snoozedRepos',
-      'unmutedRepos'
+      'unmutedRepos',
+      'graphqlPolling',
+      'checkInterval',
+      'pinnedRepos',
+      'savedSearches'
     ]);
 
-    if (!githubToken) {
+    if (!capabilities) {
       console.warn('[DevWatch] No GitHub connection found. Please connect GitHub in settings.');
       return;
     }
@@ -119,6 +291,10 @@ async function checkGitHubActivity() {
       return;
     }
 
+    if (!await ensureHostPermission()) {
+      return;
+    }
+
     // Clean up expired snoozes
     const activeSnoozedRepos = await cleanExpiredSnoozes(snoozedRepos || []);
 
@@ -128,78 +304,462 @@ async function checkGitHubActivity() {
     // Get list of repos to exclude (muted + snoozed)
     const excludedRepos = getExcludedRepos(mutedRepos || [], activeSnoozedRepos);
 
-    const enabledFilters = filters || { prs: true, issues: true, releases: true };
-    const globalLastCheck = lastCheck ? new Date(lastCheck) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    // Features the current credential can't use are skipped rather than reported as failures
+    const enabledFilters = restrictFiltersToCapabilities(createCategorySettings(filters || {}).filters, capabilities);
+    const useGraphql = graphqlPolling && capabilities.graphql;
+    const checkedAt = new Date();
+    const schedule = {
+      baseMinutes: isValidInterval(checkInterval) ? checkInterval : DEFAULT_INTERVAL,
+      pinnedRepos: new Set(pinnedRepos || [])
+    };
+    const defaultBranches = enabledFilters.workflows || enabledFilters.pushes
+      ? await resolveDefaultBranches(watchedRepos, tokenFor, repo => excludedRepos.has(repo) || (targetRepos && !targetRepos.has(repo)))
+      : new Map();
+    const validators = await loadRequestValidators();
+    const cursors = await loadRepoCursors();
+    const rateLimits = await loadRateLimits();
+    const repoHealth = await loadRepoHealth();
+    const { activities: storedActivities = [] } = await getLocalItems(['activities']);
+    const knownItems = getKnownItems(storedActivities);
+    // Repos without a cursor yet (e.g. right after upgrading) start from the legacy global lastCheck
+    const fallbackSince = lastCheck ? new Date(lastCheck) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const dueRequests = watchedRepos
+      .map(repo => {
+        const repoName = extractRepoName(repo);
+        const unmutedRepo = activeUnmutedRepos.find(u => u.repo === repoName);
+
+        return {
+          repo: repoName,
+          since: getRepoCursorSince(cursors[repoName], {
+            fallback: fallbackSince,
+            addedAt: typeof repo === 'object' ? repo.addedAt : null,
+            unmutedAt: unmutedRepo?.unmutedAt
+          }),
+          knownItems: knownItems.get(repoName),
+          defaultBranch: defaultBranches.get(repoName) || null,
+          addedAt: typeof repo === 'object' ? repo.addedAt : null,
+          token: tokenFor(repo),
+          rateLimitKey: rateLimitKeyFor(repo),
+          // A retry from the options page asks for unavailable features again
+          skippedFeatures: targetRepos ? new Set() : getUnavailableFeatures(repoHealth[repoName], checkedAt.getTime())
+        };
+      })
+      .filter(({ repo }) => !targetRepos || targetRepos.has(repo))
+      // Skip muted and snoozed repos
+      .filter(({ repo }) => !excludedRepos.has(repo))
+      // Quiet repos back off to a longer interval; a manual refresh checks everything
+      .filter(({ repo }) => force || targetRepos || isRepoDue(cursors[repo], schedule.baseMinutes, checkedAt.getTime()));
+
+    // Spend the remaining rate limit on the most important repos; the rest wait for the next tick
+    const plannedFilters = useGraphql ? getRestOnlyFilters(enabledFilters) : enabledFilters;
+    const { scheduled: repoRequests, deferred: deferredRepos } = planRepoChecks(dueRequests, {
+      budget: rateLimitKey => getRequestBudget(rateLimits[rateLimitKey], { now: checkedAt.getTime() }),
+      costOf: request => estimateRepoCost(plannedFilters, request),
+      pinnedRepos: schedule.pinnedRepos,
+      cursors
+    });
+    if (!targetRepos) {
+      await setLocalItem(DEFERRED_REPOS_KEY, deferredRepos);
+    }
 
-    // Fetch all repos in parallel for better performance
-    const fetchPromises = watchedRepos.map(async (repo) => {
-      const repoName = extractRepoName(repo);
+    const newActivities = [];
+    const failedRepos = new Set();
+    const repoErrors = new Map();
+    const featureAvailability = new Map();
+    // Repos refused until the user authorizes SSO or grants a scope; these aren't failures
+    const blockedRepos = new Map();
+    let graphqlRepos = new Set();
 
-      // Skip muted and snoozed repos
-      if (excludedRepos.has(repoName)) {
-        return [];
+    if (useGraphql && repoRequests.length > 0) {
+      try {
+        const batchResult = await fetchRepoActivityBatches(repoRequests, enabledFilters);
+        const unresolvedRepos = new Set(batchResult.failedRepos);
+        newActivities.push(...batchResult.activities);
+        graphqlRepos = new Set(repoRequests.map(({ repo }) => repo).filter(repo => !unresolvedRepos.has(repo)));
+      } catch (error) {
+        // Fall back to REST for every repo if the batch poller breaks unexpectedly
+        console.error('[DevWatch] GraphQL polling failed, falling back to REST:', error);
       }
+    }
 
-      // Use repo's addedAt timestamp if it exists and is newer than global lastCheck
-      // This prevents showing old notifications for newly added repos
-      let checkDate = globalLastCheck;
-      if (typeof repo === 'object' && repo.addedAt) {
-        const addedDate = new Date(repo.addedAt);
-        if (addedDate > globalLastCheck) {
-          checkDate = addedDate;
-        }
-      }
+    // Discussions have no REST listing, so repos the main batch didn't cover get a discussions-only batch
+    if (enabledFilters.discussions) {
+      const discussionRequests = repoRequests.filter(({ repo }) => !graphqlRepos.has(repo));
 
-      // Use repo's unmutedAt timestamp if it exists and is newer than current checkDate
-      // This prevents showing old notifications for newly unmuted repos
-      const unmutedRepo = activeUnmutedRepos.find(u => u.repo === repoName);
-      if (unmutedRepo && unmutedRepo.unmutedAt) {
-        const unmutedDate = new Date(unmutedRepo.unmutedAt);
-        if (unmutedDate > checkDate) {
-          checkDate = unmutedDate;
-        }
+      try {
+        const discussionResult = await fetchRepoActivityBatches(discussionRequests, { discussions: true });
+        newActivities.push(...discussionResult.activities);
+        // There is no REST fallback for discussions, so these repos failed like a REST request would
+        discussionResult.failedRepos.forEach(repo => {
+          failedRepos.add(repo);
+          repoErrors.set(repo, discussionResult.repoErrors.get(repo) || new Error('Discussions could not be fetched'));
+        });
+      } catch (error) {
+        console.error('[DevWatch] Discussion polling failed:', error);
+        discussionRequests.forEach(({ repo }) => {
+          failedRepos.add(repo);
+          repoErrors.set(repo, error);
+        });
       }
+    }
+
+    // Repos already covered by GraphQL still need REST for categories GraphQL can't fetch
+    const restOnlyFilters = getRestOnlyFilters(enabledFilters);
 
+    // Fetch repos a few at a time, highest priority first
+    // Validators of fetched responses are only kept once their activities are stored
+    const stagedValidators = {};
+    const results = await runTaskQueue(repoRequests, async ({ repo: repoName, since: checkDate, knownItems: repoKnownItems, defaultBranch, token, rateLimitKey, skippedFeatures }) => {
       try {
-        const activities = await fetchRepoActivity(repoName, githubToken, checkDate, enabledFilters);
+        const repoFilters = graphqlRepos.has(repoName) ? restOnlyFilters : enabledFilters;
+        const activities = await fetchRepoActivity(repoName, token, checkDate, repoFilters, {
+          validators,
+          stagedValidators,
+          failedRepos,
+          repoErrors,
+          blockedRepos,
+          knownItems: repoKnownItems,
+          defaultBranch,
+          rateLimitKey,
+          skippedFeatures,
+          featureAvailability,
+          signal
+        });
         return activities;
       } catch (error) {
         // fetchRepoActivity should handle its own errors, but catch unexpected ones
         console.error(`[DevWatch] Unexpected error fetching ${repoName}:`, error);
+        failedRepos.add(repoName);
+        repoErrors.set(repoName, error);
         return [];
       }
-    });
+    }, { signal });
+
+    // A cancelled check leaves storage to the check that replaced it
+    if (signal.aborted) {
+      return;
+    }
 
-    // Use allSettled to ensure one failing repo doesn't break the entire check
-    const results = await Promise.allSettled(fetchPromises);
+    // A batch may have failed a repo that REST then found blocked
+    blockedRepos.forEach((_requirement, repo) => failedRepos.delete(repo));
 
     // Extract successful results and flatten activities
-    const newActivities = results
+    newActivities.push(...results
       .filter(result => result.status === 'fulfilled')
-      .flatMap(result => result.value);
+      .flatMap(result => result.value));
+
+    // Inbox threads and review requests are not tied to a watched repo, so they stay out of the repo cursors
+    const pollOtherSources = !targetRepos;
+    const storedIds = new Set(storedActivities.map(activity => activity.id));
+    const inboxActivities = pollOtherSources && enabledFilters.inbox ? await pollInbox(githubToken, validators, storedIds) : [];
+    const reviewQueue = pollOtherSources && enabledFilters.reviews ? await pollReviewQueue(githubToken) : null;
+    const searchHits = pollOtherSources && enabledFilters.searches
+      ? await pollSavedSearches(normalizeSavedSearches(savedSearches), githubToken, checkedAt)
+      : { activities: [], quietIds: new Set(), state: null };
+    // Items hidden by a repo's label rules are neither stored nor notified
+    const labelFilters = buildLabelFilters(watchedRepos);
+    const repoActivities = newActivities.filter(activity => matchesLabelFilters(activity, labelFilters));
+    // Only items not stored yet are new: the review search returns the whole queue every time, and a repo
+    // whose cursor stayed put after a partial failure, or an item created while the last check ran, is fetched again
+    const feedActivities = [...repoActivities, ...inboxActivities, ...(reviewQueue || []), ...searchHits.activities]
+      .filter(activity => !storedIds.has(activity.id));
+    // Status changes on the user's own PRs only notify; the My PRs tab shows the current status
+    const myPullRequests = pollOtherSources && enabledFilters.myPrs ? await pollMyPullRequests(githubToken, checkedAt) : null;
+    const statusChanges = myPullRequests?.statusChanges || [];
+
+    if (signal.aborted) {
+      return;
+    }
 
-    if (newActivities.length > 0) {
-      await storeActivities(newActivities);
+    let stored = true;
+    if (feedActivities.length > 0 || reviewQueue) {
+      stored = await storeActivities(feedActivities, { reviewQueueIds: reviewQueue?.map(activity => activity.id), labelFilters });
       await updateBadge();
-      showNotifications(newActivities, notifications);
     }
 
-    await chrome.storage.sync.set({ lastCheck: new Date().toISOString() });
+    // Hits only count as known once they are stored, so a cancelled or failed check finds them again
+    if (stored && searchHits.state) {
+      await saveSavedSearchState(searchHits.state, normalizeSavedSearches(savedSearches).map(search => search.id));
+    }
+
+    // Hits a saved search already had when it was added go into the feed without notifying
+    showNotifications([...feedActivities.filter(activity => !searchHits.quietIds.has(activity.id)), ...statusChanges], notifications);
+
+    // The snapshot is the baseline for the next check's status changes, so it waits until these were delivered
+    if (myPullRequests) {
+      await saveMyPullRequests(myPullRequests.current);
+    }
+
+    const watchedRepoNames = watchedRepos.map(repo => extractRepoName(repo));
+    // Blocked repos keep their cursor so nothing is skipped once access is granted
+    updateRepoCursors(cursors, repoRequests, newActivities, new Set([...failedRepos, ...blockedRepos.keys()]), checkedAt, schedule);
+    await saveRepoCursors(cursors, watchedRepoNames);
+    await updateRepoHealth(repoRequests.filter(({ repo }) => !blockedRepos.has(repo)), {
+      failedRepos,
+      repoErrors,
+      featureAvailability
+    }, checkedAt, watchedRepoNames);
+    await updateAccessRequirementState(repoRequests, blockedRepos, checkedAt, watchedRepoNames);
+    // Unsaved validators make the next poll fetch those URLs in full, so nothing fetched is lost
+    if (stored) {
+      await saveRequestValidators({ ...validators, ...stagedValidators });
+    }
+
+    if (!targetRepos) {
+      await chrome.storage.sync.set({ lastCheck: new Date().toISOString() });
+    }
   } catch (error) {
     console.error('[DevWatch] Error checking GitHub:', error);
   }
 }
 
-async function fetchRepoActivity(repo, token, since, filters) {
+// A GraphQL query runs with a single token, so repos are batched per account
+async function fetchRepoActivityBatches(repoRequests, filters) {
+  const requestsByToken = new Map();
+  repoRequests.forEach(request => {
+    requestsByToken.set(request.token, [...(requestsByToken.get(request.token) || []), request]);
+  });
+
+  const result = { activities: [], failedRepos: [], repoErrors: new Map() };
+  for (const [token, requests] of requestsByToken) {
+    const batchResult = await fetchRepoActivityBatch(requests, token, filters);
+    result.activities.push(...batchResult.activities);
+    result.failedRepos.push(...batchResult.failedRepos);
+    batchResult.repoErrors?.forEach((error, repo) => result.repoErrors.set(repo, error));
+  }
+
+  return result;
+}
+
+// The manifest CSP can't name an Enterprise host chosen at runtime, so the host permission granted when
+// the host was saved is what limits requests to it; once it is revoked nothing is sent until it is granted again
+async function ensureHostPermission() {
+  if (await hasHostPermission()) {
+    return true;
+  }
+
+  const host = getGitHubHost();
+  console.warn(`[DevWatch] Permission to reach ${host} is missing. Save the GitHub host in settings again.`);
+  await setLocalItem('lastError', {
+    message: `DevWatch doesn't have permission to reach ${host}. Save the GitHub host in settings again to grant it.`,
+    timestamp: Date.now()
+  });
+  return false;
+}
+
+async function resolveDefaultBranches(watchedRepos, tokenFor, isSkipped) {
+  const defaultBranches = new Map();
+  const resolvedBranches = new Map();
+
+  await runTaskQueue(watchedRepos, async (repo) => {
+    const repoName = extractRepoName(repo);
+
+    if (typeof repo !== 'object' || repo.defaultBranch) {
+      if (repo?.defaultBranch) {
+        defaultBranches.set(repoName, repo.defaultBranch);
+      }
+      return;
+    }
+
+    if (isSkipped(repoName)) {
+      return;
+    }
+
+    // Repos added before default branches were recorded need a one-time lookup
+    try {
+      const response = await fetchWithRetry(`${getApiBase()}/repos/${repoName}`, { headers: createHeaders(tokenFor(repo)) });
+      if (!response.ok) {
+        return;
+      }
+
+      const data = await response.json();
+      if (data?.default_branch) {
+        defaultBranches.set(repoName, data.default_branch);
+        resolvedBranches.set(repoName, data.default_branch);
+      }
+    } catch (_error) {
+      // The lookup is retried on the next check
+    }
+  });
+
+  if (resolvedBranches.size > 0) {
+    try {
+      // Re-read the list so repos added, removed, or edited in settings during the lookups are kept
+      const currentRepos = await getWatchedRepos();
+      await setWatchedRepos(currentRepos.map(repo => (
+        resolvedBranches.has(repo.fullName) ? { ...repo, defaultBranch: resolvedBranches.get(repo.fullName) } : repo
+      )));
+    } catch (error) {
+      console.error('[DevWatch] Failed to store default branches:', error);
+    }
+  }
+
+  return defaultBranches;
+}
+
+async function pollInbox(token, validators, storedIds) {
+  const inboxState = await loadInboxState();
+
+  // GitHub asks clients not to poll the inbox more often than X-Poll-Interval
+  if (!isInboxPollDue(inboxState)) {
+    return [];
+  }
+
+  try {
+    const { threads, state } = await fetchInboxThreads(token, { validators });
+    await saveInboxState(state);
+    // Any change to the inbox returns every unread thread; only threads updated since they were stored are new
+    return threads.map(thread => mapInboxThread(thread)).filter(activity => !storedIds.has(activity.id));
+  } catch (error) {
+    console.error('[DevWatch] Failed to sync notifications inbox:', error.message);
+    return [];
+  }
+}
+
+async function pollReviewQueue(token) {
+  try {
+    return await fetchReviewQueue(token);
+  } catch (error) {
+    // Leave the stored queue untouched until the search succeeds again
+    console.error('[DevWatch] Failed to fetch review requests:', error.message);
+    return null;
+  }
+}
+
+async function pollSavedSearches(savedSearches, token, checkedAt) {
+  const result = { activities: [], quietIds: new Set(), state: null };
+  if (savedSearches.length === 0) {
+    return result;
+  }
+
+  const state = await loadSavedSearchState();
+  // Searches run one after another to stay clear of the search API's secondary rate limits
+  for (const search of savedSearches) {
+    try {
+      const items = await fetchSavedSearchHits(search, token);
+      const { activities, state: searchState, firstPoll } = collectNewSearchHits(search, items, state[search.id], checkedAt);
+
+      state[search.id] = searchState;
+      result.activities.push(...activities);
+      if (firstPoll) {
+        activities.forEach(activity => result.quietIds.add(activity.id));
+      }
+    } catch (error) {
+      // The search keeps its state and is retried on the next check
+      console.error(`[DevWatch] Failed to run saved search "${search.name}":`, error.message);
+    }
+  }
+
+  // Saved by the caller once the hits are stored
+  result.state = state;
+  return result;
+}
+
+async function pollMyPullRequests(token, checkedAt) {
+  try {
+    const previous = await loadMyPullRequests();
+    const current = await fetchMyPullRequests(token);
+    return { current, statusChanges: detectStatusChanges(previous, current, checkedAt) };
+  } catch (error) {
+    console.error('[DevWatch] Failed to update open pull requests:', error.message);
+    return null;
+  }
+}
+
+async function updateRepoHealth(repoRequests, { failedRepos, repoErrors, featureAvailability }, checkedAt, watchedRepoNames) {
+  const health = await loadRepoHealth();
+
+  repoRequests.forEach(({ repo }) => {
+    health[repo] = failedRepos.has(repo)
+      ? recordRepoFailure(health[repo], repoErrors.get(repo) || null, checkedAt)
+      : recordRepoSuccess(health[repo], checkedAt);
+
+    if (featureAvailability.has(repo)) {
+      health[repo] = recordFeatureAvailability(health[repo], featureAvailability.get(repo), checkedAt);
+    }
+  });
+
+  await saveRepoHealth(health, watchedRepoNames);
+}
+
+async function updateAccessRequirementState(repoRequests, blockedRepos, checkedAt, watchedRepoNames) {
+  const records = await loadAccessRequirements();
+  const checkedRepos = repoRequests.map(({ repo }) => repo);
+
+  await saveAccessRequirements(updateAccessRequirements(records, checkedRepos, blockedRepos, checkedAt), watchedRepoNames);
+}
+
+function updateRepoCursors(cursors, repoRequests, activities, failedRepos, checkedAt, schedule) {
+  repoRequests.forEach(({ repo, since, addedAt }) => {
+    if (failedRepos.has(repo)) {
+      // Leave the cursor where it was so the next check retries from the same point.
+      // A repo that has never succeeded is pinned to the date it was first polled from.
+      if (!cursors[repo]) {
+        cursors[repo] = { lastSuccessAt: since.toISOString(), highWaterMark: null };
+      }
+      return;
+    }
+
+    const repoActivities = activities.filter(activity => activity.repo === repo);
+    const cursor = advanceRepoCursor(cursors[repo], checkedAt, repoActivities);
+    cursors[repo] = {
+      ...cursor,
+      nextCheckAt: scheduleNextCheck(cursor, schedule.baseMinutes, {
+        pinned: schedule.pinnedRepos.has(repo),
+        addedAt,
+        now: checkedAt.getTime()
+      })
+    };
+  });
+}
+
+async function fetchRepoActivity(
+  repo,
+  token,
+  since,
+  filters,
+  {
+    validators = null,
+    stagedValidators = null,
+    failedRepos = null,
+    repoErrors = null,
+    blockedRepos = null,
+    knownItems = null,
+    defaultBranch = null,
+    rateLimitKey = getRateLimitKey(getGitHubHost()),
+    skippedFeatures = new Set(),
+    featureAvailability = null,
+    signal
+  } = {}
+) {
   const activities = [];
   const headers = createHeaders(token);
+  // Validators of categories that were fetched completely; published once the repo's activities are returned
+  const repoValidators = {};
+
+  function recordFailure(message, error) {
+    // A cancelled check discards its results, so there is nothing to report
+    if (signal?.aborted) {
+      return;
+    }
+
+    if (error.accessRequirement) {
+      blockedRepos?.set(repo, error.accessRequirement);
+      return;
+    }
+
+    console.error(message, error.message);
+    failedRepos?.add(repo);
+    repoErrors?.set(repo, error);
+  }
 
-  async function fetchWithRateLimit(url) {
+  async function fetchWithRateLimit(url, pageValidators) {
     try {
-      // Check stored rate limit BEFORE making request
-      const storedRateLimit = await getLocalItems(['rateLimit']);
-      if (storedRateLimit.rateLimit) {
-        const { remaining, reset } = storedRateLimit.rateLimit;
+      // Check this account's stored rate limit BEFORE making request
+      const storedRateLimit = (await loadRateLimits())[rateLimitKey];
+      if (storedRateLimit) {
+        const { remaining, reset } = storedRateLimit;
 
         // If rate limit is exhausted, check if it has reset
         if (remaining !== undefined && remaining <= 0) {
@@ -215,7 +775,10 @@ async function fetchRepoActivity(repo, token, since, filters) {
         }
       }
 
-      const response = await fetch(url, { headers });
+      const response = await fetchWithRetry(url, {
+        headers: { ...headers, ...getConditionalHeaders(validators, url) },
+        signal
+      });
 
       // Track rate limits after successful request
       const remaining = response.headers.get('X-RateLimit-Remaining');
@@ -223,22 +786,26 @@ async function fetchRepoActivity(repo, token, since, filters) {
       const reset = response.headers.get('X-RateLimit-Reset');
 
       if (remaining !== null && limit !== null) {
-        try {
-          await setLocalItem('rateLimit', {
-            remaining: parseInt(remaining),
-            limit: parseInt(limit),
-            reset: parseInt(reset) * 1000
-          });
-        } catch (_storageError) {
-          // Continue even if storage fails
-        }
+        // Continues even if storage fails
+        await saveRateLimit(rateLimitKey, {
+          remaining: parseInt(remaining),
+          limit: parseInt(limit),
+          reset: parseInt(reset) * 1000
+        });
+      }
+
+      // 304 means nothing changed since the last poll and does not cost rate limit
+      if (isNotModified(response)) {
+        touchRequestValidators(validators, url);
+        return response;
       }
 
       handleApiResponse(response, repo);
+      recordResponseValidators(pageValidators, url, response);
       return response;
     } catch (fetchError) {
-      // Re-throw rate limit errors as-is
-      if (fetchError.rateLimitExceeded) {
+      // Re-throw rate limit errors, HTTP errors, and cancellations as-is so callers can inspect them
+      if (fetchError.rateLimitExceeded || fetchError.response || fetchError.name === 'AbortError') {
         throw fetchError;
       }
       console.error(`Network error fetching ${url}:`, fetchError.message);
@@ -246,74 +813,195 @@ async function fetchRepoActivity(repo, token, since, filters) {
     }
   }
 
-  async function fetchAndProcessActivities(url, activityType, dateField) {
-    try {
-      const response = await fetchWithRateLimit(url);
+  function hasRateLimitBudget(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    return !remaining || parseInt(remaining) > getRateLimitReserve(parseInt(response.headers.get('X-RateLimit-Limit')));
+  }
+
+  // Follow Link rel="next" until a page reaches the since cutoff, the page cap, or the rate-limit buffer
+  async function fetchAllPages(url, dateField, { itemsKey = null, getDate = item => item?.[dateField] } = {}) {
+    const items = [];
+    const pageValidators = {};
+    let nextUrl = url;
+    let pageCount = 0;
+
+    while (nextUrl && pageCount < API_CONFIG.MAX_ACTIVITY_PAGES) {
+      const response = await fetchWithRateLimit(nextUrl, pageValidators);
+      pageCount++;
+
+      if (isNotModified(response)) {
+        break;
+      }
 
       if (!response.ok) {
         throw new Error(`API request failed: ${response.status} ${response.statusText}`);
       }
 
-      const data = await response.json();
+      const body = await response.json();
+      const data = itemsKey ? body?.[itemsKey] : body;
 
       // Validate that we received an array
-      if (!Array.isArray(data)) {
-        return [];
+      if (!Array.isArray(data) || data.length === 0) {
+        break;
       }
 
+      items.push(...data);
+
+      const oldestDate = getDate(data[data.length - 1]);
+      if (!oldestDate || new Date(oldestDate) <= since || !hasRateLimitBudget(response)) {
+        break;
+      }
+
+      nextUrl = getNextPageUrl(response.headers.get('Link'));
+    }
+
+    // A page that failed leaves every page of the category uncached, so it is fetched in full again
+    Object.assign(repoValidators, pageValidators);
+    return items;
+  }
+
+  async function fetchAndProcessActivities(url, activityType, dateField) {
+    try {
+      const data = await fetchAllPages(url, dateField);
+
       // Process activities with proper error handling
       const newActivities = filterActivitiesByDate(data, since, dateField);
       return newActivities.map(item => mapActivity(item, activityType, repo));
 
     } catch (error) {
-      console.error(`Error fetching ${activityType} for ${repo}:`, error.message);
+      recordFailure(`Error fetching ${activityType} for ${repo}:`, error);
       // Don't throw - continue with other activity types
       return [];
     }
   }
 
+  function recordFeature(feature, available) {
+    if (featureAvailability) {
+      featureAvailability.set(repo, { ...featureAvailability.get(repo), [feature]: available });
+    }
+  }
+
+  async function fetchSecurityActivities(url, dateField, feature) {
+    // Skipped until the recheck interval passes, so a repo without the feature costs nothing each tick
+    if (skippedFeatures.has(feature)) {
+      return [];
+    }
+
+    try {
+      const items = await fetchAllPages(url, dateField);
+      recordFeature(feature, true);
+      return filterActivitiesByDate(items, since, dateField).map(item => mapActivity(item, 'security', repo));
+    } catch (error) {
+      // A 403/404 means the feature is off or the token can't see it, not that the repo failed
+      if (isFeatureUnavailableError(error)) {
+        recordFeature(feature, false);
+        return [];
+      }
+
+      recordFailure(`Error fetching security alerts for ${repo}:`, error);
+      return [];
+    }
+  }
+
+  const repoApiUrl = `${getApiBase()}/repos/${repo}`;
+
   try {
     // Fetch PRs with individual error handling
     if (filters.prs) {
-      const prsUrl = `https://api.github.com/repos/${repo}/pulls?state=open&sort=created&direction=desc`;
+      const prsUrl = `${repoApiUrl}/pulls?state=open&sort=created&direction=desc`;
       const prActivities = await fetchAndProcessActivities(prsUrl, 'pr', 'created_at');
       activities.push(...prActivities);
     }
 
     // Fetch Issues with individual error handling
     if (filters.issues) {
-      const issuesUrl = `https://api.github.com/repos/${repo}/issues?state=open&sort=created&direction=desc`;
-      const response = await fetchWithRateLimit(issuesUrl);
-
-      if (response.ok) {
-        const issuesData = await response.json();
+      try {
+        const issuesUrl = `${repoApiUrl}/issues?state=open&sort=created&direction=desc`;
+        const issuesData = await fetchAllPages(issuesUrl, 'created_at');
 
-        if (Array.isArray(issuesData)) {
-          // Filter out pull requests and filter by date
-          const issuesOnly = issuesData.filter(issue => !issue.pull_request);
-          const newIssues = filterActivitiesByDate(issuesOnly, since, 'created_at');
-          activities.push(...newIssues.map(issue => mapActivity(issue, 'issue', repo)));
-        }
+        // Filter out pull requests and filter by date
+        const issuesOnly = issuesData.filter(issue => !issue.pull_request);
+        const newIssues = filterActivitiesByDate(issuesOnly, since, 'created_at');
+        activities.push(...newIssues.map(issue => mapActivity(issue, 'issue', repo)));
+      } catch (error) {
+        recordFailure(`Error fetching issues for ${repo}:`, error);
       }
     }
 
     // Fetch Releases with individual error handling
     if (filters.releases) {
-      const releasesUrl = `https://api.github.com/repos/${repo}/releases`;
+      const releasesUrl = `${repoApiUrl}/releases`;
       const releaseActivities = await fetchAndProcessActivities(releasesUrl, 'release', 'published_at');
       activities.push(...releaseActivities);
     }
 
+    // Surface failed or cancelled workflow runs on the default branch
+    if (filters.workflows && defaultBranch) {
+      try {
+        const runsUrl = `${repoApiUrl}/actions/runs?branch=${encodeURIComponent(defaultBranch)}&status=completed&exclude_pull_requests=true`;
+        const runs = await fetchAllPages(runsUrl, 'created_at', { itemsKey: 'workflow_runs' });
+        const alertRuns = runs.filter(run => WORKFLOW_ALERT_CONCLUSIONS.includes(run.conclusion));
+        const newRuns = filterActivitiesByDate(alertRuns, since, 'updated_at');
+        activities.push(...newRuns.map(run => mapActivity(run, 'workflow', repo)));
+      } catch (error) {
+        recordFailure(`Error fetching workflow runs for ${repo}:`, error);
+      }
+    }
+
+    // Group new commits on the default branch by who made them
+    if (filters.pushes && defaultBranch) {
+      try {
+        const commitsUrl = `${repoApiUrl}/commits?sha=${encodeURIComponent(defaultBranch)}&since=${encodeURIComponent(since.toISOString())}`;
+        const commits = await fetchAllPages(commitsUrl, null, { getDate: commit => commit?.commit?.committer?.date });
+        activities.push(...groupCommits(commits, defaultBranch).map(group => mapActivity(group, 'push', repo)));
+      } catch (error) {
+        recordFailure(`Error fetching pushes for ${repo}:`, error);
+      }
+    }
+
+    // Dependabot alerts and published advisories are only visible with the right repo features and access
+    if (filters.security) {
+      const alertsUrl = `${repoApiUrl}/dependabot/alerts?state=open&sort=created&direction=desc`;
+      const advisoriesUrl = `${repoApiUrl}/security-advisories?state=published&sort=published&direction=desc`;
+      activities.push(...await fetchSecurityActivities(alertsUrl, 'created_at', 'dependabotAlerts'));
+      activities.push(...await fetchSecurityActivities(advisoriesUrl, 'published_at', 'securityAdvisories'));
+    }
+
+    // Detect merged/closed/reopened transitions on PRs and issues already in the feed
+    if (filters.stateChanges && knownItems?.size > 0) {
+      try {
+        const updatedUrl = `${repoApiUrl}/issues?state=all&sort=updated&direction=desc`;
+        const updatedItems = await fetchAllPages(updatedUrl, 'updated_at');
+        const recentlyUpdated = filterActivitiesByDate(updatedItems, since, 'updated_at');
+        activities.push(...detectStateChanges(knownItems, recentlyUpdated, repo));
+      } catch (error) {
+        recordFailure(`Error fetching state changes for ${repo}:`, error);
+      }
+    }
+
   } catch (error) {
+    if (signal?.aborted) {
+      return [];
+    }
+
+    // SSO and missing scopes are shown per organization instead of as a failure
+    if (error.accessRequirement) {
+      blockedRepos?.set(repo, error.accessRequirement);
+      return [];
+    }
+
     console.error(`Critical error in fetchRepoActivity for ${repo}:`, error.message);
+    failedRepos?.add(repo);
+    repoErrors?.set(repo, error);
 
     // Store error for user display but don't crash
     let userMessage = 'Unable to fetch repository activity';
-    if (error.message.includes('401')) {
+    const status = error.response?.status;
+    if (status === 401 || error.message.includes('401')) {
       userMessage = 'GitHub sign-in expired or was revoked. Reconnect GitHub in settings.';
-    } else if (error.message.includes('403')) {
+    } else if (status === 403 || error.message.includes('403')) {
       userMessage = 'Access denied or rate limit exceeded.';
-    } else if (error.message.includes('404')) {
+    } else if (status === 404 || error.message.includes('404')) {
       userMessage = 'Repository not found or access denied.';
     } else if (error.message.includes('Network error')) {
       userMessage = 'Network connection error. Please check your internet connection.';
@@ -329,9 +1017,122 @@ async function fetchRepoActivity(repo, token, since, filters) {
     return [];
   }
 
+  if (stagedValidators) {
+    Object.assign(stagedValidators, repoValidators);
+  }
   return activities;
 }
 
+async function syncWatchedOwners({ logins = null } = {}) {
+  const owners = await getWatchedOwners();
+  const results = [];
+
+  if (owners.length === 0) {
+    return results;
+  }
+
+  try {
+    await loadGitHubHost();
+    const authSession = await getAuthSession();
+    if (!getSessionCapabilities(authSession) || !await ensureHostPermission()) {
+      return results;
+    }
+
+    const githubToken = authSession?.accessToken || null;
+    const accountTokens = await getAccountTokens();
+    const { allowUnlimitedRepos } = await getSyncItems(['allowUnlimitedRepos']);
+    const now = new Date().toISOString();
+    let watchedRepos = await getWatchedRepos();
+    let plans = new Map();
+    const errors = new Map();
+
+    for (const owner of owners) {
+      if (logins && !logins.includes(owner.login)) {
+        continue;
+      }
+
+      try {
+        const repos = await fetchOwnerRepos(owner, accountTokens.get(owner.account) || githubToken);
+        const plan = planOwnerSync(owner, repos, watchedRepos, { allowUnlimitedRepos: allowUnlimitedRepos === true, now });
+
+        watchedRepos = [...watchedRepos, ...plan.added];
+        plans.set(owner.login, plan);
+      } catch (error) {
+        console.error(`[DevWatch] Failed to list repositories for ${owner.login}:`, error.message);
+        errors.set(owner.login, error);
+      }
+    }
+
+    // Repos added, removed, or edited in settings while the owners were listed are kept, and the limit is
+    // checked again against them; repos that no longer fit are left for a later sync
+    const addedRepos = [...plans.values()].flatMap(plan => plan.added);
+    if (addedRepos.length > 0) {
+      const currentRepos = await getWatchedRepos();
+      const { allowUnlimitedRepos: allowUnlimitedNow } = await getSyncItems(['allowUnlimitedRepos']);
+      const newRepos = addedRepos.filter(repo => !isWatchedRepoDuplicate(currentRepos, repo.fullName));
+      const keptRepos = newRepos.slice(0, getAvailableRepoSlots(currentRepos, newRepos.length, {
+        allowUnlimitedRepos: allowUnlimitedNow === true
+      }));
+      const cappedNames = new Set(newRepos.slice(keptRepos.length).map(repo => repo.fullName));
+
+      await setWatchedRepos([...currentRepos, ...keptRepos]);
+      plans = new Map([...plans].map(([login, plan]) => [login, releaseCappedRepos(plan, cappedNames)]));
+    }
+
+    owners.forEach(({ login }) => {
+      if (errors.has(login)) {
+        results.push({ login, added: [], cappedCount: 0, error: errors.get(login).message });
+        return;
+      }
+
+      const plan = plans.get(login);
+      if (!plan) {
+        return;
+      }
+
+      results.push({ login, added: plan.added.map(repo => repo.fullName), cappedCount: plan.cappedCount });
+      // The first sync is started from settings, which reports the result itself
+      if (!plan.firstSync) {
+        showOwnerSyncNotification(login, plan);
+      }
+    });
+    // Owners removed while the sync ran stay removed
+    const remainingLogins = new Set((await getWatchedOwners()).map(owner => owner.login));
+    await setWatchedOwners(owners
+      .map(owner => plans.get(owner.login)?.owner || owner)
+      .filter(owner => remainingLogins.has(owner.login)));
+  } catch (error) {
+    console.error('[DevWatch] Error syncing watched organizations:', error);
+  }
+
+  return results;
+}
+
+function showOwnerSyncNotification(login, { added, cappedCount }) {
+  if (added.length === 0 && cappedCount === 0) {
+    return;
+  }
+
+  const names = added.slice(0, 3).map(repo => repo.name).join(', ');
+  const more = added.length > 3 ? ` and ${added.length - 3} more` : '';
+  const messages = [];
+  if (added.length > 0) {
+    messages.push(`Now watching ${added.length} new ${added.length === 1 ? 'repository' : 'repositories'}: ${names}${more}`);
+  }
+  if (cappedCount > 0) {
+    messages.push(`${cappedCount} more could not be added because the ${STORAGE_CONFIG.MAX_WATCHED_REPOS}-repository limit is reached`);
+  }
+
+  // Clicking opens the first new repo, or the organization when nothing fit under the limit
+  chrome.notifications.create(added[0] ? `${getWebBase()}/${added[0].fullName}` : `${getWebBase()}/${login}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: login,
+    message: messages.join('. '),
+    priority: 1
+  });
+}
+
 async function cleanExpiredSnoozes(snoozedRepos) {
   const now = Date.now();
   const activeSnoozes = snoozedRepos.filter(s => s.expiresAt > now);
@@ -371,9 +1172,11 @@ async function cleanupOldUnmutedEntries(unmutedRepos) {
   return recentEntries;
 }
 
-async function storeActivities(newActivities) {
+async function storeActivities(newActivities, { reviewQueueIds = null, labelFilters = new Map() } = {}) {
   try {
-    const { activities = [] } = await getLocalItems(['activities']);
+    const { activities: storedActivities = [] } = await getLocalItems(['activities']);
+    // Review requests that were answered or withdrawn leave the queue
+    const activities = reviewQueueIds ? pruneReviewQueue(storedActivities, reviewQueueIds) : storedActivities;
     const { mutedRepos, snoozedRepos } = await getFilteringSettings();
 
     // Clean up expired snoozes
@@ -382,7 +1185,7 @@ async function storeActivities(newActivities) {
     // Get list of repos to exclude
     const excludedRepos = getExcludedRepos(mutedRepos, activeSnoozedRepos);
 
-    const updated = prepareActivitiesForStorage(activities, newActivities, { excludedRepos });
+    const updated = prepareActivitiesForStorage(applyStateChanges(activities, newActivities), newActivities, { excludedRepos, labelFilters });
 
     // Try to store, with error handling for quota exceeded
     try {
@@ -405,9 +1208,11 @@ async function storeActivities(newActivities) {
         throw storageError;
       }
     }
+    return true;
   } catch (error) {
     console.error('[DevWatch] Failed to store activities:', error);
     // Don't throw - let the check continue even if storage fails
+    return false;
   }
 }
 
@@ -419,6 +1224,7 @@ async function updateBadge() {
   const excludedRepos = getExcludedRepos(mutedRepos, activeSnoozedRepos);
   const unreadCount = countUnreadActivities(activities, {
     excludedRepos,
+    labelFilters: buildLabelFilters(await getWatchedRepos()),
     itemExpiryHours,
     readItems
   });
@@ -428,19 +1234,10 @@ async function updateBadge() {
 }
 
 function showNotifications(activities, notificationSettings = {}) {
-  // Default to enabled if not specified
-  const settings = {
-    prs: notificationSettings.prs !== false,
-    issues: notificationSettings.issues !== false,
-    releases: notificationSettings.releases !== false
-  };
-
-  // Filter activities based on notification preferences
+  // Filter activities based on notification preferences (default to enabled if not specified)
   const filteredActivities = activities.filter(activity => {
-    if (activity.type === 'pr' && !settings.prs) return false;
-    if (activity.type === 'issue' && !settings.issues) return false;
-    if (activity.type === 'release' && !settings.releases) return false;
-    return true;
+    const category = getCategoryForActivityType(activity.type);
+    return !category || notificationSettings?.[category.key] !== false;
   });
 
   // Return early if no activities to notify about
@@ -463,15 +1260,22 @@ function showNotifications(activities, notificationSettings = {}) {
     });
 
     const message = Object.entries(typeCount)
-      .map(([type, count]) => `${count} new ${type}${count > 1 ? 's' : ''}`)
+      .map(([type, count]) => {
+        const noun = NOTIFICATION_NOUNS[type] || `new ${type}`;
+        return `${count} ${noun}${count > 1 ? (noun.endsWith('sh') ? 'es' : 's') : ''}`;
+      })
       .join(', ');
 
-    chrome.notifications.create(repoActivities[0].url, {
+    // Security alerts stay on screen until dismissed and open the alert when clicked
+    const securityActivity = repoActivities.find(activity => activity.type === 'security');
+
+    chrome.notifications.create((securityActivity || repoActivities[0]).url, {
       type: 'basic',
       iconUrl: 'icons/icon128.png',
       title: repo,
       message: message,
-      priority: 1
+      priority: securityActivity ? 2 : 1,
+      ...(securityActivity ? { requireInteraction: true } : {})
     });
   });
 }
@@ -501,7 +1305,7 @@ async function handleMarkAsRead(id) {
     throw new Error('Missing id parameter');
   }
 
-  const { readItems } = await getFeedStorageState();
+  const { activities, readItems } = await getFeedStorageState();
   const updatedReadItems = markActivitiesAsRead(readItems, [id]);
 
   if (updatedReadItems.length !== readItems.length) {
@@ -509,6 +1313,25 @@ async function handleMarkAsRead(id) {
   } else {
     await updateBadge();
   }
+
+  await markInboxThreadReadUpstream(activities.find(activity => activity.id === id));
+}
+
+async function markInboxThreadReadUpstream(activity) {
+  if (activity?.type !== INBOX_TYPE || !activity.threadId) {
+    return;
+  }
+
+  try {
+    await loadGitHubHost();
+    const token = await getAccessToken();
+    if (token) {
+      await markInboxThreadRead(activity.threadId, token);
+    }
+  } catch (error) {
+    // The item stays read locally even if GitHub could not be updated
+    console.error('[DevWatch] Failed to mark inbox thread as read on GitHub:', error.message);
+  }
 }
 
 async function handleMarkAsUnread(id) {
@@ -572,6 +1395,16 @@ async function handleSnoozeRepo(repo) {
   await updateBadge();
 }
 
+async function handleCheckRepo(repo) {
+  if (!repo) {
+    throw new Error('Missing repo parameter');
+  }
+
+  await checkGitHubActivity({ repos: [repo] });
+  const health = await loadRepoHealth();
+  return health[repo] || null;
+}
+
 async function handleRemoveRepoData(repo) {
   if (!repo) {
     throw new Error('Missing repo parameter');
@@ -581,11 +1414,21 @@ async function handleRemoveRepoData(repo) {
   await persistFeedStorageState(removeRepoFeedData(feedState, repo));
 }
 
+async function handleRemoveSearchData() {
+  const { savedSearches } = await getSyncItems(['savedSearches']);
+  const searchIds = normalizeSavedSearches(savedSearches).map(search => search.id);
+  const { activities } = await getFeedStorageState();
+
+  await persistFeedStorageState({ activities: pruneSavedSearchResults(activities, searchIds) });
+}
+
 async function runRuntimeAction(request) {
   switch (request.action) {
   case 'checkNow':
-    await checkGitHubActivity();
+    await checkGitHubActivity({ force: true });
     return { success: true };
+  case 'checkRepo':
+    return { success: true, health: await handleCheckRepo(request.repo) };
   case 'markAsRead':
     await handleMarkAsRead(request.id);
     return { success: true };
@@ -607,9 +1450,14 @@ async function runRuntimeAction(request) {
   case 'snoozeRepo':
     await handleSnoozeRepo(request.repo);
     return { success: true };
+  case 'syncOwners':
+    return { success: true, results: await syncWatchedOwners({ logins: request.logins || null }) };
   case 'removeRepoData':
     await handleRemoveRepoData(request.repo);
     return { success: true };
+  case 'removeSearchData':
+    await handleRemoveSearchData();
+    return { success: true };
   default:
     return null;
   }
@@ -696,6 +1544,7 @@ export {
   isValidInterval,
   handleRuntimeMessage,
   checkGitHubActivity,
+  syncWatchedOwners,
   fetchRepoActivity,
   storeActivities,
   updateBadge,
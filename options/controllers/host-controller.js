@@ -0,0 +1,90 @@
+import { clearAuthSession } from '../../shared/storage-helpers.js';
+import { OAUTH_CONFIG } from '../../shared/config.js';
+import {
+  DEFAULT_GITHUB_HOST,
+  getGitHubHost,
+  isEnterpriseHost,
+  loadGitHubHost,
+  normalizeGitHubHost,
+  requestHostPermission,
+  saveGitHubHost
+} from '../../shared/github-host.js';
+import { applyStoredConnection, renderConnectedAccounts } from './token-controller.js';
+import { NotificationManager } from '../../shared/ui/notification-manager.js';
+
+const notifications = NotificationManager.getInstance();
+
+function setHostStatus(host) {
+  const statusEl = document.getElementById('githubHostStatus');
+
+  if (!statusEl) {
+    return;
+  }
+
+  statusEl.textContent = isEnterpriseHost(host)
+    ? `Using GitHub Enterprise Server at ${host}`
+    : 'Using github.com';
+}
+
+export async function loadHostSettings() {
+  const host = await loadGitHubHost();
+  const clientIdKey = OAUTH_CONFIG.CLIENT_ID_STORAGE_KEY;
+  const { [clientIdKey]: clientId } = await chrome.storage.sync.get([clientIdKey]);
+
+  document.getElementById('githubHost').value = isEnterpriseHost(host) ? host : '';
+  document.getElementById('githubClientId').value = typeof clientId === 'string' ? clientId : '';
+  setHostStatus(host);
+
+  return host;
+}
+
+export async function saveHostSettings() {
+  const hostInput = document.getElementById('githubHost');
+  const clientId = document.getElementById('githubClientId').value.trim();
+  const rawHost = hostInput.value.trim();
+  const host = rawHost ? normalizeGitHubHost(rawHost) : DEFAULT_GITHUB_HOST;
+
+  if (!host) {
+    notifications.error('Enter a host name such as github.example.com');
+    return { saved: false };
+  }
+
+  if (isEnterpriseHost(host) && !clientId) {
+    notifications.error(`Enter the client ID of an OAuth app registered on ${host}`);
+    return { saved: false };
+  }
+
+  // Chrome only shows the permission prompt while the click is still a user gesture,
+  // so this has to be the first thing awaited
+  const granted = await requestHostPermission(host);
+  if (!granted) {
+    notifications.error(`DevWatch needs permission to reach ${host}`);
+    return { saved: false };
+  }
+
+  const previousHost = getGitHubHost();
+  await saveGitHubHost(host);
+
+  const clientIdKey = OAUTH_CONFIG.CLIENT_ID_STORAGE_KEY;
+  if (clientId) {
+    await chrome.storage.sync.set({ [clientIdKey]: clientId });
+  } else {
+    await chrome.storage.sync.remove(clientIdKey);
+  }
+
+  hostInput.value = isEnterpriseHost(host) ? host : '';
+  setHostStatus(host);
+
+  const hostChanged = host !== previousHost;
+  if (hostChanged) {
+    // A token from one host is meaningless on another
+    await clearAuthSession();
+    applyStoredConnection(null);
+    renderConnectedAccounts([]);
+    notifications.info(`Switched to ${host}. Connect GitHub again to continue.`);
+  } else {
+    notifications.success('GitHub host saved');
+  }
+
+  return { saved: true, host, hostChanged };
+}
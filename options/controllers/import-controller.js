@@ -1,6 +1,7 @@
 import { STORAGE_CONFIG } from '../../shared/config.js';
 import { getAccessToken, getSyncItem, setWatchedRepos } from '../../shared/storage-helpers.js';
-import { createHeaders } from '../../shared/github-api.js';
+import { createHeaders, fetchWithRetry } from '../../shared/github-api.js';
+import { getApiBase } from '../../shared/github-host.js';
 import { getRepoFullName, normalizeWatchedRepoRecord } from '../../shared/repo-service.js';
 import { escapeHtml, unescapeHtml } from '../../shared/sanitize.js';
 import { formatDateVerbose } from '../../shared/utils.js';
@@ -133,11 +134,12 @@ async function fetchReposFromGitHub(type, token) {
   const MAX_PAGES = 100; // Prevent infinite loops (10,000 repos max)
   const MAX_REPOS = 10000; // Hard limit on total repos
 
+  const apiBase = getApiBase();
   const endpoints = {
-    watched: 'https://api.github.com/user/subscriptions',
-    starred: 'https://api.github.com/user/starred',
-    participating: 'https://api.github.com/user/repos?affiliation=collaborator,organization_member&sort=pushed',
-    mine: 'https://api.github.com/user/repos?type=all&sort=updated'
+    watched: `${apiBase}/user/subscriptions`,
+    starred: `${apiBase}/user/starred`,
+    participating: `${apiBase}/user/repos?affiliation=collaborator,organization_member&sort=pushed`,
+    mine: `${apiBase}/user/repos?type=all&sort=updated`
   };
 
   const url = endpoints[type];
@@ -160,7 +162,7 @@ async function fetchReposFromGitHub(type, token) {
     urlObj.searchParams.set('per_page', perPage.toString());
     urlObj.searchParams.set('page', page.toString());
 
-    const response = await fetch(urlObj.toString(), {
+    const response = await fetchWithRetry(urlObj.toString(), {
       headers
     });
 
@@ -186,7 +188,8 @@ async function fetchReposFromGitHub(type, token) {
       language: repo.language || 'Unknown',
       stars: repo.stargazers_count || 0,
       forks: repo.forks_count || 0,
-      updatedAt: repo.updated_at || repo.pushed_at
+      updatedAt: repo.updated_at || repo.pushed_at,
+      defaultBranch: repo.default_branch
     }));
 
     allRepos.push(...transformed);
@@ -0,0 +1,144 @@
+import {
+  getAccessToken,
+  getAccountTokens,
+  getWatchedOwners,
+  setWatchedOwners
+} from '../../shared/storage-helpers.js';
+import { normalizeWatchedOwnerRecord } from '../../shared/repo-service.js';
+import { lookupOwner, parseOwnerLogin } from '../../shared/watched-owners.js';
+import { escapeHtml } from '../../shared/sanitize.js';
+import { NotificationManager } from '../../shared/ui/notification-manager.js';
+import { getSelectedRepoAccount } from './token-controller.js';
+
+const notifications = NotificationManager.getInstance();
+
+function describeOwnerFilters(owner) {
+  const parts = [owner.type === 'org' ? 'Organization' : 'User'];
+
+  if (owner.include.length > 0) {
+    parts.push(`only ${owner.include.join(', ')}`);
+  }
+  if (owner.exclude.length > 0) {
+    parts.push(`except ${owner.exclude.join(', ')}`);
+  }
+  if (owner.includeArchived) {
+    parts.push('with archived');
+  }
+  if (owner.includeForks) {
+    parts.push('with forks');
+  }
+  if (owner.account) {
+    parts.push(`@${owner.account}`);
+  }
+
+  return parts.join(' · ');
+}
+
+function describeSyncResult(login, result) {
+  if (result?.error) {
+    return `Watching ${login}, but its repositories could not be listed yet: ${result.error}`;
+  }
+
+  const added = result?.added?.length || 0;
+  let message = `Watching ${login}: added ${added} ${added === 1 ? 'repository' : 'repositories'}`;
+  if (result?.cappedCount) {
+    message += `. ${result.cappedCount} more did not fit under the repository limit`;
+  }
+  return message;
+}
+
+export function renderWatchedOwners(owners) {
+  const list = document.getElementById('watchedOwnerList');
+  if (!list) {
+    return;
+  }
+
+  list.innerHTML = owners.map(owner => `
+    <li class="watched-owner">
+      <div class="watched-owner-info">
+        <span class="watched-owner-login">${escapeHtml(owner.login)}</span>
+        <span class="help-text">${escapeHtml(describeOwnerFilters(owner))}</span>
+      </div>
+      <button class="danger watched-owner-remove" data-login="${escapeHtml(owner.login)}">Stop watching</button>
+    </li>
+  `).join('');
+
+  list.querySelectorAll('.watched-owner-remove').forEach(button => {
+    button.addEventListener('click', () => removeWatchedOwner(button.dataset.login));
+  });
+}
+
+export async function loadWatchedOwners() {
+  const owners = await getWatchedOwners();
+  renderWatchedOwners(owners);
+  return owners;
+}
+
+export async function addWatchedOwner(onReposChanged) {
+  const input = document.getElementById('ownerInput');
+  const addOwnerBtn = document.getElementById('addOwnerBtn');
+  const login = parseOwnerLogin(input.value);
+
+  if (!login) {
+    notifications.error('Enter an organization or user name, e.g. "facebook"');
+    return false;
+  }
+
+  const owners = await getWatchedOwners();
+  if (owners.some(owner => owner.login.toLowerCase() === login.toLowerCase())) {
+    notifications.error(`Already watching ${login}`);
+    return false;
+  }
+
+  addOwnerBtn.disabled = true;
+  addOwnerBtn.textContent = 'Checking...';
+
+  try {
+    const account = getSelectedRepoAccount();
+    const githubToken = account ? (await getAccountTokens()).get(account) : await getAccessToken();
+
+    let owner;
+    try {
+      owner = await lookupOwner(login, githubToken);
+    } catch (_error) {
+      notifications.error(`Could not find the organization or user "${login}"`);
+      return false;
+    }
+
+    const record = normalizeWatchedOwnerRecord({
+      ...owner,
+      include: document.getElementById('ownerIncludeInput').value,
+      exclude: document.getElementById('ownerExcludeInput').value,
+      includeArchived: document.getElementById('ownerIncludeArchived').checked,
+      includeForks: document.getElementById('ownerIncludeForks').checked,
+      account
+    });
+    await setWatchedOwners([...owners, record]);
+
+    // The background lists the repos now instead of waiting for the hourly sync
+    const response = await chrome.runtime.sendMessage({ action: 'syncOwners', logins: [record.login] });
+    notifications.success(describeSyncResult(record.login, response?.results?.[0]));
+
+    input.value = '';
+    document.getElementById('ownerIncludeInput').value = '';
+    document.getElementById('ownerExcludeInput').value = '';
+    await loadWatchedOwners();
+    await onReposChanged?.();
+    return true;
+  } finally {
+    addOwnerBtn.disabled = false;
+    addOwnerBtn.textContent = 'Watch';
+  }
+}
+
+export async function removeWatchedOwner(login) {
+  if (!confirm(`Stop watching ${login}? Repositories it already added stay in your list.`)) {
+    return false;
+  }
+
+  const owners = await getWatchedOwners();
+  await setWatchedOwners(owners.filter(owner => owner.login !== login));
+  await loadWatchedOwners();
+  notifications.success(`Stopped watching ${login}`);
+  return true;
+}
@@ -0,0 +1,128 @@
+import {
+  MIN_PASSPHRASE_LENGTH,
+  disablePersistentAuth,
+  enablePersistentAuth,
+  getPersistentAuthState,
+  recordAuthActivity,
+  setAutoLockMinutes
+} from '../../shared/persistent-auth.js';
+import { NotificationManager } from '../../shared/ui/notification-manager.js';
+
+const notifications = NotificationManager.getInstance();
+
+function setVisible(element, isVisible) {
+  element.classList.toggle('hidden', !isVisible);
+  element.style.display = isVisible ? 'flex' : 'none';
+}
+
+function formatAutoLock(minutes) {
+  if (minutes === 0) {
+    return 'It stays unlocked until the browser closes.';
+  }
+
+  const duration = minutes % 60 === 0
+    ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}`
+    : `${minutes} minutes`;
+  return `DevWatch locks after ${duration} without use.`;
+}
+
+function getStatusText(state) {
+  if (state.locked) {
+    return 'DevWatch is locked. Enter your passphrase in the popup to unlock it.';
+  }
+
+  if (state.enabled) {
+    return `Your sign-in is saved on this device, encrypted with your passphrase. ${formatAutoLock(state.autoLockMinutes)}`;
+  }
+
+  if (state.migrationPending) {
+    return 'A sign-in saved by an earlier version was restored for this browser session. Choose a passphrase to keep it after restarts.';
+  }
+
+  return 'Off: GitHub sign-in is cleared when the browser closes.';
+}
+
+function clearPassphraseInputs() {
+  document.getElementById('rememberMePassphrase').value = '';
+  document.getElementById('rememberMePassphraseConfirm').value = '';
+}
+
+export async function loadRememberMeSettings() {
+  const state = await getPersistentAuthState();
+  const showForm = !state.enabled && state.migrationPending;
+
+  document.getElementById('rememberMeToggle').checked = state.enabled || showForm;
+  document.getElementById('rememberMeStatus').textContent = getStatusText(state);
+  document.getElementById('autoLockMinutes').value = String(state.autoLockMinutes);
+  setVisible(document.getElementById('rememberMeForm'), showForm);
+  setVisible(document.getElementById('autoLockRow'), state.enabled || showForm);
+
+  // Opening settings counts as using DevWatch
+  await recordAuthActivity();
+  return state;
+}
+
+export async function handleRememberMeToggle() {
+  const toggle = document.getElementById('rememberMeToggle');
+  const state = await getPersistentAuthState();
+
+  if (toggle.checked) {
+    setVisible(document.getElementById('rememberMeForm'), true);
+    setVisible(document.getElementById('autoLockRow'), true);
+    document.getElementById('rememberMePassphrase').focus();
+    return;
+  }
+
+  if (state.enabled && !confirm('Forget the saved sign-in? You will need to connect GitHub again after the browser restarts.')) {
+    toggle.checked = true;
+    return;
+  }
+
+  if (state.enabled || state.migrationPending) {
+    await disablePersistentAuth();
+  }
+
+  clearPassphraseInputs();
+  await loadRememberMeSettings();
+}
+
+export async function saveRememberMe() {
+  const passphrase = document.getElementById('rememberMePassphrase').value;
+  const confirmation = document.getElementById('rememberMePassphraseConfirm').value;
+
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    notifications.error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    return false;
+  }
+
+  if (passphrase !== confirmation) {
+    notifications.error('The passphrases do not match');
+    return false;
+  }
+
+  try {
+    await enablePersistentAuth(passphrase, {
+      autoLockMinutes: Number(document.getElementById('autoLockMinutes').value)
+    });
+  } catch (error) {
+    notifications.error(error.message || 'Could not save the sign-in');
+    return false;
+  }
+
+  clearPassphraseInputs();
+  await loadRememberMeSettings();
+  notifications.success('Sign-in saved. Unlock DevWatch from the popup after the browser restarts.');
+  return true;
+}
+
+export async function handleAutoLockChange() {
+  const state = await getPersistentAuthState();
+
+  // Before remembering is turned on, the choice is applied when the passphrase is saved
+  if (!state.enabled) {
+    return;
+  }
+
+  await setAutoLockMinutes(Number(document.getElementById('autoLockMinutes').value));
+  await loadRememberMeSettings();
+}
@@ -1,4 +1,6 @@
 import { NotificationManager } from '../../shared/ui/notification-manager.js';
+import { setWatchedRepos } from '../../shared/storage-helpers.js';
+import { normalizeLabelList } from '../../shared/label-filters.js';
 
 const notifications = NotificationManager.getInstance();
 
@@ -64,3 +66,30 @@ export async function togglePinRepo(repoFullName, pin, state, renderCallback) {
     notifications.info(`Unpinned ${repoFullName}`);
   }
 }
+
+export async function updateRepoLabelFilters(repoFullName, { include = [], exclude = [] }, state, renderCallback) {
+  const index = state.watchedRepos.findIndex(repo => repo.fullName === repoFullName);
+  if (index === -1) {
+    return false;
+  }
+
+  const { includeLabels: _include, excludeLabels: _exclude, ...repo } = state.watchedRepos[index];
+  const includeLabels = normalizeLabelList(include);
+  const excludeLabels = normalizeLabelList(exclude);
+  state.watchedRepos[index] = {
+    ...repo,
+    ...(includeLabels.length > 0 ? { includeLabels } : {}),
+    ...(excludeLabels.length > 0 ? { excludeLabels } : {})
+  };
+
+  await setWatchedRepos(state.watchedRepos);
+
+  if (renderCallback) renderCallback();
+
+  if (includeLabels.length > 0 || excludeLabels.length > 0) {
+    notifications.info(`Updated label filters for ${repoFullName}`);
+  } else {
+    notifications.info(`Showing all labels for ${repoFullName}`);
+  }
+  return true;
+}
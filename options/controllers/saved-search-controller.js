@@ -0,0 +1,75 @@
+import { getSettings, updateSettings } from '../../shared/storage-helpers.js';
+import { MAX_SAVED_SEARCHES, createSavedSearch } from '../../shared/saved-searches.js';
+import { escapeHtml } from '../../shared/sanitize.js';
+import { NotificationManager } from '../../shared/ui/notification-manager.js';
+
+const notifications = NotificationManager.getInstance();
+
+export function renderSavedSearches(savedSearches = []) {
+  const list = document.getElementById('savedSearchList');
+  if (!list) {
+    return;
+  }
+
+  list.innerHTML = savedSearches.map(search => `
+    <li class="saved-search-item">
+      <div class="saved-search-info">
+        <span class="saved-search-name">${escapeHtml(search.name)}</span>
+        ${search.name !== search.query ? `<code title="${escapeHtml(search.query)}">${escapeHtml(search.query)}</code>` : ''}
+      </div>
+      <button class="danger saved-search-remove" data-search-id="${escapeHtml(search.id)}" aria-label="Remove saved search ${escapeHtml(search.name)}">Remove</button>
+    </li>
+  `).join('');
+
+  list.querySelectorAll('.saved-search-remove').forEach(button => {
+    button.addEventListener('click', () => removeSavedSearch(button.dataset.searchId));
+  });
+}
+
+export async function addSavedSearch() {
+  const nameInput = document.getElementById('savedSearchName');
+  const queryInput = document.getElementById('savedSearchQuery');
+  const search = createSavedSearch({ name: nameInput.value, query: queryInput.value });
+
+  if (!search) {
+    notifications.error('Enter a GitHub search query of up to 256 characters');
+    return false;
+  }
+
+  const { savedSearches } = await getSettings();
+  if (savedSearches.length >= MAX_SAVED_SEARCHES) {
+    notifications.error(`You can save up to ${MAX_SAVED_SEARCHES} searches`);
+    return false;
+  }
+
+  if (savedSearches.some(existing => existing.query === search.query)) {
+    notifications.error('That search is already saved');
+    return false;
+  }
+
+  const updated = [...savedSearches, search];
+  await updateSettings({ savedSearches: updated });
+  renderSavedSearches(updated);
+
+  nameInput.value = '';
+  queryInput.value = '';
+  notifications.success(`Saved "${search.name}". Matches appear in the popup after the next check`);
+  return true;
+}
+
+export async function removeSavedSearch(id) {
+  const { savedSearches } = await getSettings();
+  const search = savedSearches.find(existing => existing.id === id);
+  if (!search) {
+    return false;
+  }
+
+  const updated = savedSearches.filter(existing => existing.id !== id);
+  await updateSettings({ savedSearches: updated });
+  renderSavedSearches(updated);
+
+  // The background drops the search's hits from the feed
+  await chrome.runtime.sendMessage({ action: 'removeSearchData' });
+  notifications.success(`Removed "${search.name}"`);
+  return true;
+}
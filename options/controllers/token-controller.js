@@ -1,30 +1,55 @@
-import { completeGitHubDeviceAuth } from '../../shared/auth.js';
 import {
+  PUBLIC_RATE_LIMIT,
+  completeGitHubDeviceAuth,
+  connectWithPersonalAccessToken,
+  createPublicOnlySession,
+  getSessionCapabilities,
+  getUnsupportedFeatures
+} from '../../shared/auth.js';
+import {
+  addAuthSession,
   clearAuthSession,
   getAuthSession,
+  getAuthSessions,
+  removeAuthSession,
   setAuthSession
 } from '../../shared/storage-helpers.js';
-import { OAUTH_CONFIG } from '../../shared/config.js';
+import { savePersistentAuth } from '../../shared/persistent-auth.js';
+import { escapeHtml } from '../../shared/sanitize.js';
+import { getGitHubEndpoints, isEnterpriseHost } from '../../shared/github-host.js';
 import { NotificationManager } from '../../shared/ui/notification-manager.js';
 
 const notifications = NotificationManager.getInstance();
 
-function setRepoAccessState(isConnected) {
+const FEATURE_LABELS = {
+  inbox: 'GitHub Inbox',
+  reviews: 'review requests',
+  myPrs: 'My PRs',
+  security: 'security alerts',
+  discussions: 'discussions'
+};
+
+function setRepoAccessState(isConnected, { canImport = isConnected } = {}) {
   const repoInput = document.getElementById('repoInput');
   const addRepoBtn = document.getElementById('addRepoBtn');
   const repoHelpText = document.getElementById('repoHelpText');
   const importSection = document.getElementById('importReposSection');
+  const addOwnerBtn = document.getElementById('addOwnerBtn');
 
   repoInput.disabled = !isConnected;
   repoInput.placeholder = isConnected
     ? 'e.g., react, facebook/react, or GitHub URL'
     : 'Connect GitHub to add repositories';
   addRepoBtn.disabled = !isConnected;
+  if (addOwnerBtn) {
+    addOwnerBtn.disabled = !isConnected;
+  }
   repoHelpText.textContent = isConnected
     ? 'Add repositories to monitor (npm package, owner/repo, or GitHub URL)'
     : 'Connect GitHub above to start adding repositories';
-  importSection.classList.toggle('hidden', !isConnected);
-  importSection.style.display = isConnected ? 'block' : 'none';
+  // Importing lists the account's own repos, which public-only mode has no account for
+  importSection.classList.toggle('hidden', !canImport);
+  importSection.style.display = canImport ? 'block' : 'none';
 }
 
 function setDeviceCode(userCode = '') {
@@ -50,11 +75,15 @@ function setHelpText(message = '') {
   helpEl.textContent = message;
 }
 
-function getHelpText({ isConnected = false, isWaiting = false } = {}) {
+function getHelpText({ isConnected = false, isWaiting = false, isPublicOnly = false } = {}) {
   if (isWaiting) {
     return 'Approve access in the GitHub tab, then return here. If GitHub asks for a code, use the one shown below.';
   }
 
+  if (isPublicOnly) {
+    return 'Connect GitHub or use a token to watch private repositories and turn on the features listed below.';
+  }
+
   if (isConnected) {
     return 'Reconnect any time if your session expires or if you want to switch accounts.';
   }
@@ -73,22 +102,69 @@ function setStatus(message = '', statusClass = '') {
   statusEl.className = `token-status${statusClass ? ` ${statusClass}` : ''}`;
 }
 
+function setFeatureAvailability(capabilities) {
+  const unsupported = getUnsupportedFeatures(capabilities);
+  const noticeEl = document.getElementById('capabilityNotice');
+
+  Object.keys(FEATURE_LABELS).forEach(feature => {
+    const suffix = feature.charAt(0).toUpperCase() + feature.slice(1);
+    [`filter${suffix}`, `notify${suffix}`].forEach(id => {
+      const toggle = document.getElementById(id);
+      if (toggle) {
+        // The saved preference is kept so the feature comes back with a credential that supports it
+        toggle.disabled = unsupported.includes(feature);
+      }
+    });
+  });
+
+  const graphqlToggle = document.getElementById('graphqlPolling');
+  if (graphqlToggle) {
+    graphqlToggle.disabled = Boolean(capabilities) && !capabilities.graphql;
+  }
+
+  if (!noticeEl) {
+    return;
+  }
+
+  noticeEl.textContent = unsupported.length > 0
+    ? `Not available with this connection: ${unsupported.map(feature => FEATURE_LABELS[feature]).join(', ')}.`
+    : '';
+  noticeEl.classList.toggle('hidden', unsupported.length === 0);
+}
+
+function getConnectedStatus(authSession) {
+  const username = authSession?.username;
+
+  if (authSession?.authType === 'public') {
+    return `Public repositories only (${PUBLIC_RATE_LIMIT} requests per hour)`;
+  }
+
+  if (authSession?.authType === 'personal_token') {
+    return username ? `Connected as ${username} with a fine-grained token` : 'Connected with a fine-grained token';
+  }
+
+  return username ? `Connected as ${username}` : 'GitHub is connected';
+}
+
 export function applyStoredConnection(authSession, options = {}) {
   const connectBtn = document.getElementById('connectGitHubBtn');
   const clearBtn = document.getElementById('clearTokenBtn');
-  const isConnected = Boolean(authSession?.accessToken);
-  const username = authSession?.username;
+  const hasToken = Boolean(authSession?.accessToken);
+  const isPublicOnly = authSession?.authType === 'public';
+  const isConnected = hasToken || isPublicOnly;
 
-  setRepoAccessState(isConnected);
+  setRepoAccessState(isConnected, { canImport: hasToken });
+  setFeatureAvailability(getSessionCapabilities(authSession));
   setDeviceCode(options.userCode || '');
   setHelpText(options.helpText || getHelpText({
     isConnected,
+    isPublicOnly,
     isWaiting: options.statusClass === 'checking'
   }));
 
   if (connectBtn) {
     connectBtn.disabled = false;
-    connectBtn.textContent = isConnected ? 'Reconnect GitHub' : 'Connect GitHub';
+    connectBtn.textContent = hasToken ? 'Reconnect GitHub' : 'Connect GitHub';
   }
 
   if (clearBtn) {
@@ -101,15 +177,84 @@ export function applyStoredConnection(authSession, options = {}) {
   }
 
   if (isConnected) {
-    setStatus(
-      username ? `Connected as ${username}` : 'GitHub is connected',
-      'valid'
-    );
+    setStatus(getConnectedStatus(authSession), 'valid');
   } else {
     setStatus('', '');
   }
 }
 
+function setElementVisible(element, isVisible, display = 'block') {
+  element.classList.toggle('hidden', !isVisible);
+  element.style.display = isVisible ? display : 'none';
+}
+
+function renderAccountSelect(sessions) {
+  const select = document.getElementById('repoAccountSelect');
+
+  if (!select) {
+    return;
+  }
+
+  const previous = select.value;
+  select.innerHTML = sessions.map((session, index) => `
+    <option value="${escapeHtml(session.username)}">${escapeHtml(session.username)}${index === 0 ? ' (default)' : ''}</option>
+  `).join('');
+  select.value = sessions.some(session => session.username === previous) ? previous : (sessions[0]?.username || '');
+  // Picking an account only matters once there is more than one
+  setElementVisible(select, sessions.length > 1, 'inline-block');
+}
+
+export function renderConnectedAccounts(sessions = []) {
+  const list = document.getElementById('githubAccountsList');
+  const addAccountBtn = document.getElementById('addGitHubAccountBtn');
+
+  if (list) {
+    list.innerHTML = sessions.map((session, index) => `
+      <li class="github-account">
+        <span class="github-account-name">${escapeHtml(session.username || 'GitHub account')}</span>
+        ${index === 0 ? '<span class="github-account-default">Default</span>' : ''}
+        <button class="danger github-account-disconnect" data-account="${escapeHtml(session.username)}" aria-label="Disconnect ${escapeHtml(session.username)}">Disconnect</button>
+      </li>
+    `).join('');
+    setElementVisible(list, sessions.length > 0, 'flex');
+
+    list.querySelectorAll('.github-account-disconnect').forEach(btn => {
+      btn.addEventListener('click', () => disconnectAccount(btn.dataset.account));
+    });
+  }
+
+  if (addAccountBtn) {
+    setElementVisible(addAccountBtn, sessions.length > 0);
+  }
+
+  renderAccountSelect(sessions);
+}
+
+export async function refreshConnectedAccounts() {
+  const sessions = await getAuthSessions();
+  renderConnectedAccounts(sessions);
+  return sessions;
+}
+
+export function getSelectedRepoAccount() {
+  const select = document.getElementById('repoAccountSelect');
+  return select && !select.classList.contains('hidden') && select.value ? select.value : null;
+}
+
+export async function disconnectAccount(username) {
+  if (!confirm(`Disconnect ${username} from DevWatch? Repositories fetched with this account will use the default account.`)) {
+    return false;
+  }
+
+  await removeAuthSession(username);
+  await savePersistentAuth();
+
+  const sessions = await refreshConnectedAccounts();
+  applyStoredConnection(sessions[0] || null);
+  notifications.info(`Disconnected ${username}`);
+  return true;
+}
+
 export async function clearToken() {
   if (!confirm('Disconnect GitHub from DevWatch?')) {
     return false;
@@ -118,6 +263,7 @@ export async function clearToken() {
   await clearAuthSession();
 
   applyStoredConnection(null);
+  renderConnectedAccounts([]);
   notifications.info('GitHub disconnected');
   return true;
 }
@@ -125,19 +271,26 @@ export async function clearToken() {
 function getErrorMessage(error) {
   switch (error?.code) {
     case 'client_id_missing':
-      return 'GitHub OAuth client ID is not configured for this build yet.';
+      return isEnterpriseHost()
+        ? 'Add an OAuth app client ID for your GitHub Enterprise Server host in Advanced settings.'
+        : 'GitHub OAuth client ID is not configured for this build yet.';
     case 'access_denied':
       return 'GitHub sign-in was cancelled before access was granted.';
     case 'expired_token':
       return 'The GitHub sign-in code expired. Start again to reconnect.';
     case 'aborted':
       return 'GitHub sign-in was cancelled.';
+    case 'classic_token':
+    case 'invalid_token':
+      return error.message;
+    case 'user_fetch_failed':
+      return 'GitHub could not be reached to check the token. Try again in a moment.';
     default:
       return 'GitHub sign-in failed. Try again in a moment.';
   }
 }
 
-export async function connectGitHub(_toastManager) {
+export async function connectGitHub(_toastManager, { addAccount = false } = {}) {
   const previousSession = await getAuthSession();
   const connectBtn = document.getElementById('connectGitHubBtn');
   let nextButtonLabel = previousSession?.accessToken ? 'Reconnect GitHub' : 'Connect GitHub';
@@ -149,7 +302,9 @@ export async function connectGitHub(_toastManager) {
 
   setRepoAccessState(Boolean(previousSession?.accessToken));
   setStatus('Starting GitHub sign-in...', 'checking');
-  setHelpText('We\'re opening GitHub so you can approve access. Come back here as soon as GitHub says the connection is ready.');
+  setHelpText(addAccount
+    ? 'Make sure GitHub is signed in as the account you want to add, then approve access in the tab that opens.'
+    : 'We\'re opening GitHub so you can approve access. Come back here as soon as GitHub says the connection is ready.');
 
   try {
     const result = await completeGitHubDeviceAuth({
@@ -168,9 +323,16 @@ export async function connectGitHub(_toastManager) {
       }
     });
 
-    await setAuthSession(result.authSession);
+    if (addAccount) {
+      await addAuthSession(result.authSession);
+    } else {
+      await setAuthSession(result.authSession);
+    }
+    // Keep a remembered sign-in in step with the connected accounts
+    await savePersistentAuth();
 
-    applyStoredConnection(result.authSession);
+    const sessions = await refreshConnectedAccounts();
+    applyStoredConnection(sessions[0] || result.authSession);
     nextButtonLabel = 'Reconnect GitHub';
     notifications.success(`Connected to GitHub as ${result.user.login}`);
     return { isValid: true, user: result.user.login, authSession: result.authSession };
@@ -195,6 +357,60 @@ export async function connectGitHub(_toastManager) {
   }
 }
 
+export async function connectWithToken() {
+  const tokenInput = document.getElementById('personalTokenInput');
+  const connectTokenBtn = document.getElementById('connectTokenBtn');
+  const previousSession = await getAuthSession();
+
+  if (connectTokenBtn) {
+    connectTokenBtn.disabled = true;
+  }
+  setStatus('Checking token...', 'checking');
+
+  try {
+    const result = await connectWithPersonalAccessToken(tokenInput?.value);
+    await setAuthSession(result.authSession);
+    await savePersistentAuth();
+
+    if (tokenInput) {
+      tokenInput.value = '';
+    }
+
+    const sessions = await refreshConnectedAccounts();
+    applyStoredConnection(sessions[0] || result.authSession);
+    notifications.success(`Connected to GitHub as ${result.user.login}`);
+    return { isValid: true, user: result.user.login, authSession: result.authSession };
+  } catch (error) {
+    applyStoredConnection(previousSession, {
+      statusMessage: getErrorMessage(error),
+      statusClass: 'invalid'
+    });
+    notifications.error(getErrorMessage(error));
+    return { isValid: false, reason: error?.code || 'auth_failed' };
+  } finally {
+    if (connectTokenBtn) {
+      connectTokenBtn.disabled = false;
+    }
+  }
+}
+
+export async function usePublicOnlyMode() {
+  const previousSession = await getAuthSession();
+
+  if (previousSession?.accessToken && !confirm('Switch to public-only mode? GitHub will be disconnected and only public repositories can be watched.')) {
+    return false;
+  }
+
+  const session = createPublicOnlySession();
+  await clearAuthSession();
+  await setAuthSession(session);
+
+  applyStoredConnection(session);
+  renderConnectedAccounts([]);
+  notifications.info(`Public-only mode is on. GitHub allows ${PUBLIC_RATE_LIMIT} requests per hour without a token.`);
+  return true;
+}
+
 export function getDisconnectHelpUrl() {
-  return OAUTH_CONFIG.AUTHORIZED_APPS_URL;
+  return getGitHubEndpoints().authorizedAppsUrl;
 }
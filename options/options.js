@@ -3,13 +3,14 @@ import {
   clearAuthSession,
   getAuthSession,
   getAccessToken,
+  getAccountTokens,
   getSettings,
   getWatchedRepos,
   setLocalItem,
   setWatchedRepos,
   updateSettings
 } from '../shared/storage-helpers.js';
-import { STORAGE_CONFIG } from '../shared/config.js';
+import { FEATURES, STORAGE_CONFIG } from '../shared/config.js';
 import {
   resolveWatchedRepoInput,
   validateWatchedRepo
@@ -18,15 +19,33 @@ import {
   CATEGORY_SETTINGS,
   normalizeSettings
 } from '../shared/settings-schema.js';
+import { loadRepoHealth } from '../shared/repo-health.js';
 import { NotificationManager } from '../shared/ui/notification-manager.js';
 
 // Controllers
 import { setupThemeListener } from './controllers/theme-controller.js';
-import { applyStoredConnection, clearToken, connectGitHub } from './controllers/token-controller.js';
-import { toggleMuteRepo, togglePinRepo } from './controllers/repository-controller.js';
+import {
+  applyStoredConnection,
+  clearToken,
+  connectGitHub,
+  connectWithToken,
+  getSelectedRepoAccount,
+  refreshConnectedAccounts,
+  usePublicOnlyMode
+} from './controllers/token-controller.js';
+import { loadHostSettings, saveHostSettings } from './controllers/host-controller.js';
+import {
+  handleAutoLockChange,
+  handleRememberMeToggle,
+  loadRememberMeSettings,
+  saveRememberMe
+} from './controllers/remember-me-controller.js';
+import { toggleMuteRepo, togglePinRepo, updateRepoLabelFilters } from './controllers/repository-controller.js';
 import { openImportModal, closeImportModal, filterImportRepos, importSelectedRepos, updateSelectedCount } from './controllers/import-controller.js';
 import { exportSettings, handleImportFile } from './controllers/export-import-controller.js';
 import { renderSnoozedRepos } from './controllers/snooze-controller.js';
+import { addWatchedOwner, loadWatchedOwners } from './controllers/owner-controller.js';
+import { addSavedSearch, renderSavedSearches } from './controllers/saved-search-controller.js';
 
 // Views
 import { renderRepoList } from './views/repository-list-view.js';
@@ -38,6 +57,8 @@ const state = {
   watchedRepos: [],
   mutedRepos: [],
   pinnedRepos: [],
+  repoHealth: {},
+  accessRequirements: {},
   currentPage: 1,
   reposPerPage: 10,
   searchQuery: '',
@@ -226,6 +247,11 @@ function getOptionCategorySettingsFromDom() {
 }
 
 function applyCategorySettingsToOptions(settings) {
+  const pushesCard = document.getElementById('pushesActivityCard');
+  if (pushesCard) {
+    pushesCard.hidden = !FEATURES.ENABLE_PUSH_EVENTS;
+  }
+
   CATEGORY_SETTINGS.forEach(({ key, optionsTrackId, optionsNotifyId }) => {
     const trackToggle = document.getElementById(optionsTrackId);
     const notifyToggle = document.getElementById(optionsNotifyId);
@@ -275,6 +301,7 @@ function applySettingsToUi(settings) {
 
   document.getElementById('markReadOnSnooze').checked = settings.markReadOnSnooze === true;
   document.getElementById('allowUnlimitedRepos').checked = settings.allowUnlimitedRepos === true;
+  document.getElementById('graphqlPolling').checked = settings.graphqlPolling === true;
   updateNotificationToggleStates();
 }
 
@@ -283,12 +310,34 @@ function setupEventListeners() {
   setupTabNavigation();
 
   document.getElementById('addRepoBtn').addEventListener('click', addRepo);
+  document.getElementById('addOwnerBtn').addEventListener('click', async () => {
+    await addWatchedOwner(async () => {
+      state.watchedRepos = await getWatchedRepos();
+      renderRepoListWrapper();
+    });
+  });
   document.getElementById('connectGitHubBtn').addEventListener('click', async () => {
     await connectGitHub(toastManager);
   });
   document.getElementById('clearTokenBtn').addEventListener('click', async () => {
-    await clearToken();
+    if (await clearToken()) {
+      await loadRememberMeSettings();
+    }
+  });
+  document.getElementById('addGitHubAccountBtn').addEventListener('click', async () => {
+    await connectGitHub(toastManager, { addAccount: true });
+  });
+  document.getElementById('connectTokenBtn').addEventListener('click', connectWithToken);
+  document.getElementById('personalTokenInput').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      connectWithToken();
+    }
   });
+  document.getElementById('usePublicModeBtn').addEventListener('click', usePublicOnlyMode);
+  document.getElementById('rememberMeToggle').addEventListener('change', handleRememberMeToggle);
+  document.getElementById('saveRememberMeBtn').addEventListener('click', saveRememberMe);
+  document.getElementById('autoLockMinutes').addEventListener('change', handleAutoLockChange);
+  document.getElementById('saveGitHubHostBtn').addEventListener('click', saveHostSettings);
 
   // Action button toggles
   const hidePinnedToggleBtn = document.getElementById('hidePinnedToggleBtn2');
@@ -316,6 +365,13 @@ function setupEventListeners() {
     }
   });
 
+  document.getElementById('addSavedSearchBtn').addEventListener('click', addSavedSearch);
+  document.getElementById('savedSearchQuery').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      addSavedSearch();
+    }
+  });
+
   // Search functionality
   const repoSearchInput = document.getElementById('repoSearch');
   const repoSearchClear = document.getElementById('repoSearchClear');
@@ -461,7 +517,13 @@ function setupEventListeners() {
     }
   });
 
-  CATEGORY_SETTINGS.forEach(({ key, optionsTrackId, optionsNotifyId }) => {
+  bindCheckboxSetting('graphqlPolling', 'graphqlPolling', {
+    onChange: async (graphqlPolling) => {
+      toastManager.info(`Batched GraphQL polling ${graphqlPolling ? 'enabled' : 'disabled'}`);
+    }
+  });
+
+  CATEGORY_SETTINGS.forEach(({ label, optionsTrackId, optionsNotifyId }) => {
     const trackToggle = document.getElementById(optionsTrackId);
     const notifyToggle = document.getElementById(optionsNotifyId);
 
@@ -473,7 +535,7 @@ function setupEventListeners() {
       const categorySettings = getOptionCategorySettingsFromDom();
       await updateSettings(categorySettings);
       updateNotificationToggleStates();
-      toastManager.info(`${key === 'prs' ? 'Pull request' : key.slice(0, -1)} tracking ${trackToggle.checked ? 'enabled' : 'disabled'}`);
+      toastManager.info(`${label} tracking ${trackToggle.checked ? 'enabled' : 'disabled'}`);
     });
 
     notifyToggle?.addEventListener('change', async () => {
@@ -568,7 +630,7 @@ function updateNotificationToggleStates() {
   CATEGORY_SETTINGS.forEach(({ optionsTrackId, optionsNotifyId }) => {
     const filterToggle = document.getElementById(optionsTrackId);
     const notifyToggle = document.getElementById(optionsNotifyId);
-    const notifyToggleLabel = notifyToggle.closest('.notification-toggle');
+    const notifyToggleLabel = notifyToggle?.closest('.notification-toggle');
 
     if (filterToggle && notifyToggle && notifyToggleLabel) {
       if (filterToggle.checked) {
@@ -603,22 +665,31 @@ async function loadSettings() {
       return;
     }
 
+    // Load the host first so links and validation target the right GitHub instance
+    await loadHostSettings();
     const authSession = await getAuthSession();
     const settings = await getSettings();
 
-    if (authSession?.accessToken) {
+    if (authSession?.accessToken || authSession?.authType === 'public') {
       applyStoredConnection(authSession);
     } else {
       syncTokenUiWithStoredCredential(false);
     }
+    await refreshConnectedAccounts();
+    await loadRememberMeSettings();
 
     state.watchedRepos = settings.watchedRepos;
     state.mutedRepos = settings.mutedRepos;
     state.pinnedRepos = settings.pinnedRepos;
+    state.repoHealth = await loadRepoHealth();
+    state.accessRequirements = await loadAccessRequirementState();
 
     renderRepoListWrapper();
+    await loadWatchedOwners();
     applySettingsToUi(settings);
 
+    renderSavedSearches(settings.savedSearches || []);
+
     // Load and display current snoozes
     renderSnoozedRepos(settings.snoozedRepos || []);
   } catch (error) {
@@ -631,6 +702,45 @@ async function loadSettings() {
   }
 }
 
+async function loadAccessRequirementState() {
+  try {
+    const { accessRequirements } = await chrome.storage.local.get(['accessRequirements']);
+    return accessRequirements && typeof accessRequirements === 'object' ? accessRequirements : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+async function retryRepo(repoFullName, button) {
+  if (button) {
+    button.disabled = true;
+    button.textContent = 'Checking...';
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'checkRepo', repo: repoFullName });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Check failed');
+    }
+
+    // The check has finished by the time checkRepo answers; a check it waited for may have updated other repos too
+    state.repoHealth = { ...await loadRepoHealth(), [repoFullName]: response.health };
+    renderRepoListWrapper();
+
+    if (response.health?.consecutiveFailures) {
+      toastManager.error(`${repoFullName} is still failing: ${response.health.message}`);
+    } else {
+      toastManager.success(`Checked ${repoFullName}`);
+    }
+  } catch (error) {
+    toastManager.error(`Failed to check ${repoFullName}: ${error.message}`);
+    if (button) {
+      button.disabled = false;
+      button.textContent = 'Retry now';
+    }
+  }
+}
+
 async function addRepo() {
   const input = document.getElementById('repoInput');
   const statusEl = document.getElementById('repoValidationStatus');
@@ -657,10 +767,14 @@ async function addRepo() {
   statusEl.className = 'repo-validation-status checking';
 
   try {
-    const githubToken = await getAccessToken();
+    // With several accounts connected, the repo is validated and later fetched with the chosen one
+    const account = getSelectedRepoAccount();
+    const githubToken = account ? (await getAccountTokens()).get(account) : await getAccessToken();
     const resolution = await resolveWatchedRepoInput(repoInput, {
       githubToken,
-      existingRepos: state.watchedRepos
+      existingRepos: state.watchedRepos,
+      account,
+      anonymous: !githubToken && (await getAuthSession())?.authType === 'public'
     });
 
     if (!resolution.valid) {
@@ -818,7 +932,9 @@ function renderRepoListWrapper() {
     state,
     (repo, mute) => toggleMuteRepo(repo, mute, state, renderRepoListWrapper),
     (repo, pin) => togglePinRepo(repo, pin, state, renderRepoListWrapper),
-    (repo) => removeRepo(repo)
+    (repo) => removeRepo(repo),
+    (repo, button) => retryRepo(repo, button),
+    (repo, labels) => updateRepoLabelFilters(repo, labels, state, renderRepoListWrapper)
   );
 }
 
@@ -1108,6 +1224,7 @@ export {
   validateRepo,
   removeRepo,
   cleanupRepoNotifications,
+  retryRepo,
   getFilteredRepos,
   renderRepoList,
   shouldClearStoredToken,
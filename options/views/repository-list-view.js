@@ -2,6 +2,105 @@ import { escapeHtml } from '../../shared/sanitize.js';
 import { formatDateVerbose } from '../../shared/utils.js';
 import { STAR_ICON, LINK_ICON, createSvg, getMuteIcon, getPinIcon } from '../../shared/icons.js';
 import { safelyOpenUrl } from '../../shared/security.js';
+import { getWebBase } from '../../shared/github-host.js';
+import { getRepoHealthStatus, describeRepoError } from '../../shared/repo-health.js';
+import { describeAccessRequirement } from '../../shared/access-requirements.js';
+
+const HEALTH_LABELS = {
+  healthy: 'Healthy',
+  degraded: 'Failing intermittently',
+  failing: 'Failing'
+};
+
+const ACCESS_LABELS = {
+  sso: 'SSO required',
+  scope: 'Missing token scope'
+};
+
+function findAccessRequirement(fullName, accessRequirements) {
+  const org = fullName.split('/')[0];
+  const record = accessRequirements?.[org];
+  return record?.repos?.includes(fullName) ? { org, record } : null;
+}
+
+function renderAccessIndicator({ org, record }) {
+  const { message } = describeAccessRequirement(org, record);
+  return `
+    <span class="meta-item repo-health repo-health-blocked" title="${escapeHtml(message)}">
+      <span class="repo-health-dot" aria-hidden="true"></span>${ACCESS_LABELS[record.type] || ACCESS_LABELS.sso}
+    </span>
+  `;
+}
+
+export function renderAccessNotice(accessRequirements) {
+  const notice = document.getElementById('accessNotice');
+  if (!notice) {
+    return;
+  }
+
+  const entries = Object.entries(accessRequirements || {});
+  notice.classList.toggle('hidden', entries.length === 0);
+  notice.innerHTML = entries.map(([org, record]) => {
+    const { message, actionLabel, actionUrl } = describeAccessRequirement(org, record);
+    // Missing scopes are fixed with the Reconnect GitHub button on this page
+    const action = actionUrl
+      ? `<button type="button" class="access-notice-action" data-url="${escapeHtml(actionUrl)}">${escapeHtml(actionLabel)}</button>`
+      : '';
+    return `<div class="access-notice-item"><span>${escapeHtml(message)}</span>${action}</div>`;
+  }).join('');
+
+  notice.querySelectorAll('.access-notice-action').forEach(btn => {
+    btn.addEventListener('click', () => safelyOpenUrl(btn.dataset.url));
+  });
+}
+
+function renderHealthIndicator(fullName, record) {
+  const status = getRepoHealthStatus(record);
+  if (status === 'unknown') {
+    return '';
+  }
+
+  const details = [];
+  if (status !== 'healthy') {
+    const failures = record.consecutiveFailures;
+    details.push(`${describeRepoError(record)} · ${failures} failed ${failures === 1 ? 'check' : 'checks'} in a row`);
+  }
+  details.push(record.lastSuccessAt ? `Last success ${formatDateVerbose(record.lastSuccessAt)}` : 'No successful check yet');
+  const title = escapeHtml(details.join(' · '));
+
+  return `
+    <span class="meta-item repo-health repo-health-${status}" title="${title}">
+      <span class="repo-health-dot" aria-hidden="true"></span>${HEALTH_LABELS[status]}
+    </span>
+    ${status !== 'healthy' ? `<button class="retry-btn" data-repo="${escapeHtml(fullName)}" title="Check this repository again now">Retry now</button>` : ''}
+  `;
+}
+
+function renderLabelFilters(repo) {
+  const include = repo.includeLabels || [];
+  const exclude = repo.excludeLabels || [];
+  const rules = [];
+  if (include.length > 0) rules.push(`Only ${include.join(', ')}`);
+  if (exclude.length > 0) rules.push(`Hiding ${exclude.join(', ')}`);
+  const sanitizedFullName = escapeHtml(repo.fullName);
+
+  return `
+    <details class="repo-label-filters">
+      <summary>${rules.length > 0 ? `Labels: ${escapeHtml(rules.join(' · '))}` : 'Filter by label'}</summary>
+      <div class="repo-label-fields">
+        <label>
+          Only show issues and PRs labeled
+          <input type="text" class="repo-label-include" value="${escapeHtml(include.join(', '))}" placeholder="good first issue, regression" aria-label="Labels to include for ${sanitizedFullName}">
+        </label>
+        <label>
+          Hide issues and PRs labeled
+          <input type="text" class="repo-label-exclude" value="${escapeHtml(exclude.join(', '))}" placeholder="wontfix, duplicate" aria-label="Labels to exclude for ${sanitizedFullName}">
+        </label>
+        <button type="button" class="repo-label-save" data-repo="${sanitizedFullName}">Save labels</button>
+      </div>
+    </details>
+  `;
+}
 
 function formatNumber(num) {
   // Guard against undefined/null values
@@ -14,10 +113,12 @@ function formatNumber(num) {
   return num.toString();
 }
 
-export function renderRepoList(state, onToggleMute, onTogglePin, onRemove) {
+export function renderRepoList(state, onToggleMute, onTogglePin, onRemove, onRetry, onSaveLabels) {
   const list = document.getElementById('repoList');
   const paginationControls = document.getElementById('paginationControls');
 
+  renderAccessNotice(state.accessRequirements);
+
   if (state.watchedRepos.length === 0) {
     const hidePinnedToggleBtn = document.getElementById('hidePinnedToggleBtn2');
     if (hidePinnedToggleBtn) hidePinnedToggleBtn.style.display = 'none';
@@ -95,6 +196,8 @@ export function renderRepoList(state, onToggleMute, onTogglePin, onRemove) {
     } = repo;
     const isMuted = state.mutedRepos.includes(fullName);
     const isPinned = state.pinnedRepos.includes(fullName);
+    // Repos waiting on SSO or a scope aren't checked, so their health would be stale
+    const accessRequirement = findAccessRequirement(fullName, state.accessRequirements);
 
     const sanitizedFullName = escapeHtml(fullName);
     const sanitizedDescription = escapeHtml(description || '');
@@ -116,7 +219,11 @@ export function renderRepoList(state, onToggleMute, onTogglePin, onRemove) {
             ${sanitizedLanguage ? `<span class="meta-item">${sanitizedLanguage}</span>` : ''}
             ${latestRelease ? `<span class="meta-item">Latest: ${sanitizedReleaseVersion}</span>` : ''}
             <span class="meta-item">Updated ${formatDateVerbose(updatedAt)}</span>
+            ${repo.account ? `<span class="meta-item repo-account" title="Fetched with this GitHub account">@${escapeHtml(repo.account)}</span>` : ''}
+            ${repo.watchedVia ? `<span class="meta-item repo-watched-via" title="Added automatically from a watched organization or user">via ${escapeHtml(repo.watchedVia)}</span>` : ''}
+            ${accessRequirement ? renderAccessIndicator(accessRequirement) : renderHealthIndicator(fullName, state.repoHealth?.[fullName])}
           </div>
+          ${renderLabelFilters({ ...repo, fullName })}
         </div>
         <div class="repo-actions">
           <button class="pin-btn ${isPinned ? 'pinned' : ''}" data-repo="${sanitizedFullName}" title="${isPinned ? 'Unpin - Remove from top of list' : 'Pin - Keep at top of list'}" aria-label="${isPinned ? 'Unpin repository' : 'Pin repository'}">
@@ -155,11 +262,31 @@ export function renderRepoList(state, onToggleMute, onTogglePin, onRemove) {
     });
   });
 
+  list.querySelectorAll('.retry-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (onRetry) onRetry(btn.dataset.repo, btn);
+    });
+  });
+
+  list.querySelectorAll('.repo-label-save').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const fields = btn.closest('.repo-label-fields');
+      if (onSaveLabels) {
+        onSaveLabels(btn.dataset.repo, {
+          include: fields.querySelector('.repo-label-include').value,
+          exclude: fields.querySelector('.repo-label-exclude').value
+        });
+      }
+    });
+  });
+
   list.querySelectorAll('.link-btn').forEach(btn => {
     btn.addEventListener('click', async (e) => {
       e.stopPropagation();
       const repo = btn.dataset.repo;
-      await safelyOpenUrl(`https://github.com/${repo}`);
+      await safelyOpenUrl(`${getWebBase()}/${repo}`);
     });
   });
 }
@@ -10,6 +10,10 @@ import {
 } from '../../shared/offline-manager.js';
 import { setState } from '../../shared/state-manager.js';
 import { filterVisibleActivities } from '../../shared/feed-policy.js';
+import { describeAccessRequirement } from '../../shared/access-requirements.js';
+import { escapeHtml } from '../../shared/sanitize.js';
+import { safelyOpenUrl } from '../../shared/security.js';
+import { RATE_LIMITS_KEY, getLowestRateLimit } from '../../shared/rate-limit-planner.js';
 
 /**
  * Loads activities from storage or cache, handles offline mode
@@ -83,7 +87,16 @@ export async function loadActivities(
   clearError('errorMessage');
 
   try {
-    const data = await chrome.storage.local.get(['activities', 'readItems', 'rateLimit', 'lastError', 'collapsedRepos']);
+    const data = await chrome.storage.local.get([
+      'activities',
+      'readItems',
+      RATE_LIMITS_KEY,
+      'deferredRepos',
+      'accessRequirements',
+      'lastError',
+      'collapsedRepos',
+      'myPullRequests'
+    ]);
     const settings = await getFilteringSettings();
     const pinnedRepos = await getSyncItem('pinnedRepos', []);
 
@@ -94,6 +107,7 @@ export async function loadActivities(
     await setState({
       allActivities: filteredActivities,
       readItems: data.readItems || [],
+      myPullRequests: data.myPullRequests || [],
       pinnedRepos,
       collapsedRepos: new Set(data.collapsedRepos || [])
     });
@@ -103,7 +117,9 @@ export async function loadActivities(
     await cacheForOffline('readItems_cache', data.readItems || [], 3600000);
 
     renderActivitiesCallback();
-    updateRateLimit(data.rateLimit);
+    // With several accounts, warn about the one closest to its limit
+    updateRateLimit(getLowestRateLimit(data[RATE_LIMITS_KEY]), data.deferredRepos);
+    updateAccessBanner(data.accessRequirements);
     await updateLastUpdated();
     if (data.lastError) {
       showStoredError(data.lastError);
@@ -162,30 +178,34 @@ export async function updateLastUpdated() {
 
 /**
  * Updates the rate limit display in the footer
- * Only shows when remaining API calls are low (<= 1000)
+ * Only shows when remaining API calls are low (<= 1000) or the last check deferred repos
+ * @param {Object|null} rateLimit - Stored rate limit
+ * @param {Array<string>} [deferredRepos] - Repos the budget planner left for the next check
  */
-export function updateRateLimit(rateLimit) {
+export function updateRateLimit(rateLimit, deferredRepos = []) {
   const rateLimitInfo = document.getElementById('rateLimitInfo');
+  const deferred = Array.isArray(deferredRepos) ? deferredRepos : [];
+  const isLow = rateLimit && rateLimit.remaining <= 1000;
 
-  // Only show rate limit when remaining <= 1000
-  if (!rateLimit || rateLimit.remaining > 1000) {
+  if (!isLow && deferred.length === 0) {
     rateLimitInfo.textContent = '';
+    rateLimitInfo.removeAttribute('title');
     rateLimitInfo.style.display = 'none';
     return;
   }
 
   // Show in yellow warning when low
-  rateLimitInfo.innerHTML = `
+  rateLimitInfo.innerHTML = isLow ? `
     <svg class="svg-inline" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
       <path d="m21.73 18-8-14a2 2 0 0 0-3.48 0l-8 14A2 2 0 0 0 4 21h16a2 2 0 0 0 1.73-3Z"/><path d="M12 9v4"/><path d="M12 17h.01"/>
     </svg>
     ${rateLimit.remaining}/${rateLimit.limit} API calls remaining
-  `;
+  ` : '';
   rateLimitInfo.style.color = '#f0ad4e'; // Yellow/orange warning color
   rateLimitInfo.style.display = 'block';
 
   // Show when rate limit resets
-  if (rateLimit.reset) {
+  if (isLow && rateLimit.reset) {
     const resetDate = new Date(rateLimit.reset);
     const now = new Date();
     const minutesUntilReset = Math.ceil((resetDate - now) / 60000);
@@ -194,6 +214,17 @@ export function updateRateLimit(rateLimit) {
       rateLimitInfo.textContent += ` (resets in ${minutesUntilReset}m)`;
     }
   }
+
+  // Name the repos that were held back so a missing update isn't a mystery
+  if (deferred.length > 0) {
+    const shown = deferred.slice(0, 3).join(', ');
+    const more = deferred.length > 3 ? ` and ${deferred.length - 3} more` : '';
+    const prefix = isLow ? ' · ' : '';
+    rateLimitInfo.textContent += `${prefix}Deferred to next check: ${shown}${more}`;
+    rateLimitInfo.title = `Deferred to save API calls: ${deferred.join(', ')}`;
+  } else {
+    rateLimitInfo.removeAttribute('title');
+  }
 }
 
 /**
@@ -210,3 +241,38 @@ export function showStoredError(lastError) {
   const context = lastError.repo ? { repo: lastError.repo } : {};
   showError('errorMessage', error, null, context, 10000);
 }
+
+/**
+ * Shows one line per organization that needs SSO authorization or a missing scope
+ * @param {Object} [accessRequirements] - Map of organization to requirement record
+ */
+export function updateAccessBanner(accessRequirements = {}) {
+  const banner = document.getElementById('accessBanner');
+  if (!banner) {
+    return;
+  }
+
+  const entries = Object.entries(accessRequirements || {});
+  banner.classList.toggle('hidden', entries.length === 0);
+
+  banner.innerHTML = entries.map(([org, record]) => {
+    const { message, actionLabel, actionUrl } = describeAccessRequirement(org, record);
+    return `
+      <div class="access-banner-item" title="${escapeHtml(record.repos.join(', '))}">
+        <span class="access-banner-text">${escapeHtml(message)}</span>
+        <button type="button" class="access-banner-action" data-url="${escapeHtml(actionUrl || '')}">${escapeHtml(actionLabel)}</button>
+      </div>
+    `;
+  }).join('');
+
+  banner.querySelectorAll('.access-banner-action').forEach(button => {
+    button.addEventListener('click', () => {
+      // Missing scopes are fixed by reconnecting from settings
+      if (button.dataset.url) {
+        safelyOpenUrl(button.dataset.url);
+      } else {
+        chrome.runtime.openOptionsPage();
+      }
+    });
+  });
+}
@@ -1,6 +1,8 @@
 import { applyTheme, applyColorTheme } from '../shared/utils.js';
+import { FEATURES } from '../shared/config.js';
 import { getSyncItem, getWatchedRepos } from '../shared/storage-helpers.js';
 import { showError } from '../shared/error-handler.js';
+import { loadGitHubHost } from '../shared/github-host.js';
 import {
   isOffline,
   showOfflineStatus,
@@ -9,6 +11,7 @@ import {
 import { stateManager, useState, setState, subscribe } from '../shared/state-manager.js';
 import { ActivityListRenderer } from '../shared/dom-optimizer.js';
 import { OnboardingManager } from '../shared/onboarding.js';
+import { recordAuthActivity } from '../shared/persistent-auth.js';
 
 // Import controllers
 import {
@@ -38,6 +41,7 @@ import {
   showOnboarding,
   exitOnboarding
 } from './views/onboarding-view.js';
+import { showUnlockPromptIfLocked } from './views/unlock-view.js';
 
 // Onboarding manager
 const onboardingManager = new OnboardingManager();
@@ -50,6 +54,12 @@ async function initializePopup() {
     // Initialize state manager first
     await stateManager.initialize();
 
+    // Links, avatars, and sign-in are checked against the configured GitHub host
+    await loadGitHubHost();
+
+    // Opening the popup pushes back the remembered sign-in's auto-lock
+    await recordAuthActivity();
+
     // Initialize optimized DOM renderer
     const activityList = document.getElementById('activityList');
     if (activityList) {
@@ -59,7 +69,7 @@ async function initializePopup() {
     // Setup state change subscription
     subscribe((currentState, previousState) => {
       // Re-render activities when relevant state changes
-      const relevantKeys = ['allActivities', 'currentFilter', 'searchQuery', 'showArchive', 'readItems', 'collapsedRepos', 'pinnedRepos'];
+      const relevantKeys = ['allActivities', 'currentFilter', 'searchQuery', 'showArchive', 'readItems', 'collapsedRepos', 'pinnedRepos', 'myPullRequests'];
       const hasRelevantChanges = relevantKeys.some(key => currentState[key] !== previousState[key]);
 
       if (hasRelevantChanges) {
@@ -86,6 +96,8 @@ async function initializePopup() {
         footerSkipBtn.style.display = 'none';
       }
 
+      // A locked remembered sign-in shows cached activity until the passphrase is entered
+      await showUnlockPromptIfLocked(() => handleRefresh());
       loadActivities();
     }
 
@@ -140,6 +152,25 @@ function setupEventListeners() {
     setState({ searchQuery: e.target.value.toLowerCase() });
   });
 
+  // The commits filter only applies when push tracking is enabled for this build
+  const pushFilterBtn = document.querySelector('.filter-btn[data-type="push"]');
+  if (pushFilterBtn && !FEATURES.ENABLE_PUSH_EVENTS) {
+    pushFilterBtn.remove();
+  } else if (pushFilterBtn) {
+    pushFilterBtn.hidden = false;
+  }
+
+  // Without status tracking the My PRs tab would only ever show a stale list
+  const myPrsFilterBtn = document.querySelector('.filter-btn[data-type="mine"]');
+  if (myPrsFilterBtn && useState().filters?.myPrs === false) {
+    myPrsFilterBtn.remove();
+  }
+
+  const searchFilterBtn = document.querySelector('.filter-btn[data-type="search"]');
+  if (searchFilterBtn && useState().filters?.searches === false) {
+    searchFilterBtn.remove();
+  }
+
   document.querySelectorAll('.filter-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
       document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
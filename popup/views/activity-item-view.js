@@ -6,7 +6,8 @@ import {
   formatRelativeTime,
   getActivityTypeLabel,
   groupByRepo,
-  groupByTime
+  groupByTime,
+  renderLabelChips
 } from '../../shared/feed-presentation.js';
 
 /**
@@ -35,6 +36,7 @@ export function renderActivityItem(activity) {
           <span class="activity-repo">${sanitizedRepo}</span>
         </div>
         <div class="activity-title">${sanitizedTitle}</div>
+        ${renderLabelChips(activity)}
         <div class="activity-meta">
           by ${sanitizedAuthor} • ${formatRelativeTime(activity.createdAt) || formatDate(activity.createdAt)}
         </div>
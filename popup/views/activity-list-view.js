@@ -1,6 +1,7 @@
 import { stateManager, useState } from '../../shared/state-manager.js';
 import { showError } from '../../shared/error-handler.js';
 import { safelyOpenUrl } from '../../shared/security.js';
+import { MY_PRS_FILTER, renderMyPullRequests } from './my-pull-requests-view.js';
 
 /**
  * Renders the filtered activity list using ActivityListRenderer for efficient DOM updates
@@ -34,6 +35,30 @@ export function renderActivities(
 ) {
   const list = document.getElementById('activityList');
   const state = useState();
+
+  // The My PRs tab lists tracked pull requests instead of feed activities
+  if (state.currentFilter === MY_PRS_FILTER) {
+    list.innerHTML = renderMyPullRequests(state.myPullRequests);
+
+    if (activityRenderer) {
+      activityRenderer.lastRenderedData = null;
+    }
+
+    attachEventListeners(
+      list,
+      markAsRead,
+      markAsReadWithAnimation,
+      handleMarkAllRead,
+      handleCollapseAll,
+      clearArchive,
+      toggleRepoCollapse,
+      togglePinRepo,
+      snoozeRepo,
+      markRepoAsRead
+    );
+    return;
+  }
+
   const filtered = stateManager.getFilteredActivities();
 
   if (filtered.length === 0) {
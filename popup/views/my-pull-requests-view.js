@@ -0,0 +1,78 @@
+import { escapeHtml, sanitizeImageUrl } from '../../shared/sanitize.js';
+import { formatRelativeTime } from '../../shared/feed-presentation.js';
+
+// Filter button value for the tab
+export const MY_PRS_FILTER = 'mine';
+
+const CHECK_LABELS = {
+  passing: 'Checks passing',
+  failing: 'Checks failing',
+  pending: 'Checks running'
+};
+
+const REVIEW_LABELS = {
+  approved: 'Approved',
+  changes_requested: 'Changes requested',
+  review_required: 'Review required'
+};
+
+const MERGEABLE_LABELS = {
+  mergeable: 'Mergeable',
+  conflicting: 'Merge conflicts'
+};
+
+function renderStatusBadge(kind, value, labels) {
+  const label = labels[value];
+  return label ? `<span class="pr-status ${kind}-${escapeHtml(value)}">${label}</span>` : '';
+}
+
+/**
+ * Renders a tracked pull request with its check, review, and merge status
+ * @param {Object} pr - Tracked pull request from the background status pass
+ * @returns {string} HTML string for the pull request item
+ */
+export function renderMyPullRequestItem(pr) {
+  const sanitizedTitle = escapeHtml(pr.title);
+  const sanitizedRepo = escapeHtml(pr.repo);
+
+  return `
+    <div class="activity-item my-pr-item" data-id="${escapeHtml(pr.id)}" data-url="${escapeHtml(pr.url)}" role="button" tabindex="0" aria-label="Open pull request: ${sanitizedTitle} in ${sanitizedRepo}">
+      <img src="${sanitizeImageUrl(pr.authorAvatar)}" class="activity-avatar" alt="${escapeHtml(pr.author)}">
+      <div class="activity-content">
+        <div class="activity-header">
+          <span class="activity-repo">${sanitizedRepo}#${escapeHtml(String(pr.number))}</span>
+          ${pr.isDraft ? '<span class="pr-status draft">Draft</span>' : ''}
+        </div>
+        <div class="activity-title">${sanitizedTitle}</div>
+        <div class="pr-status-row">
+          ${renderStatusBadge('checks', pr.checks, CHECK_LABELS)}
+          ${renderStatusBadge('review', pr.review, REVIEW_LABELS)}
+          ${renderStatusBadge('merge', pr.mergeable, MERGEABLE_LABELS)}
+        </div>
+        <div class="activity-meta">Updated ${formatRelativeTime(pr.updatedAt)}</div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Renders the My PRs tab
+ * @param {Array<Object>} pullRequests - Tracked pull requests
+ * @returns {string} HTML string for the tab contents
+ */
+export function renderMyPullRequests(pullRequests = []) {
+  if (pullRequests.length === 0) {
+    return `
+      <div class="empty-state">
+        <p>No open pull requests</p>
+        <small>Pull requests you open anywhere on GitHub appear here with their checks, reviews, and merge status.</small>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="my-prs-list">
+      ${pullRequests.map(pr => renderMyPullRequestItem(pr)).join('')}
+    </div>
+  `;
+}
@@ -10,6 +10,7 @@ import { getAccessToken, getWatchedRepos, setAuthSession, setWatchedRepos } from
 import { resolveWatchedRepoInput } from '../../shared/repo-service.js';
 import { CATEGORY_SETTINGS, createCategorySettings } from '../../shared/settings-schema.js';
 import { escapeHtml } from '../../shared/sanitize.js';
+import { FEATURES } from '../../shared/config.js';
 
 // Create onboarding manager instance
 const onboardingManager = new OnboardingManager();
@@ -454,6 +455,54 @@ function renderCategoriesStep() {
       <p class="step-subtitle">Pick activity types and notification behavior</p>
 
       <div class="categories-list">
+        <div class="category-item" data-category="reviews">
+          <div class="category-icon reviews-icon">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/>
+            </svg>
+          </div>
+          <div class="category-info">
+            <h3>Review Requests</h3>
+            <p>PRs waiting on your review, from any repo</p>
+          </div>
+          <div class="category-controls">
+            <label class="toggle-label">
+              <span>Track</span>
+              <input type="checkbox" id="reviews" class="toggle-checkbox" checked>
+              <span class="toggle-switch"></span>
+            </label>
+            <label class="toggle-label">
+              <span>Notify</span>
+              <input type="checkbox" id="reviewsNotifications" class="toggle-checkbox">
+              <span class="toggle-switch"></span>
+            </label>
+          </div>
+        </div>
+
+        <div class="category-item" data-category="myPrs">
+          <div class="category-icon my-prs-icon">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <circle cx="12" cy="12" r="10"/><path d="m9 12 2 2 4-4"/>
+            </svg>
+          </div>
+          <div class="category-info">
+            <h3>My Open PRs</h3>
+            <p>Checks and reviews on PRs you opened</p>
+          </div>
+          <div class="category-controls">
+            <label class="toggle-label">
+              <span>Track</span>
+              <input type="checkbox" id="myPrs" class="toggle-checkbox" checked>
+              <span class="toggle-switch"></span>
+            </label>
+            <label class="toggle-label">
+              <span>Notify</span>
+              <input type="checkbox" id="myPrsNotifications" class="toggle-checkbox">
+              <span class="toggle-switch"></span>
+            </label>
+          </div>
+        </div>
+
         <div class="category-item" data-category="pullRequests">
           <div class="category-icon pr-icon">
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -525,7 +574,127 @@ function renderCategoriesStep() {
             </label>
           </div>
         </div>
-      </div>
+
+        <div class="category-item" data-category="discussions">
+          <div class="category-icon discussions-icon">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M14 9a2 2 0 0 1-2 2H6l-4 4V4a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2z"/><path d="M18 9h2a2 2 0 0 1 2 2v11l-4-4h-6a2 2 0 0 1-2-2v-1"/>
+            </svg>
+          </div>
+          <div class="category-info">
+            <h3>Discussions</h3>
+            <p>New questions, ideas, and RFCs</p>
+          </div>
+          <div class="category-controls">
+            <label class="toggle-label">
+              <span>Track</span>
+              <input type="checkbox" id="discussions" class="toggle-checkbox" checked>
+              <span class="toggle-switch"></span>
+            </label>
+            <label class="toggle-label">
+              <span>Notify</span>
+              <input type="checkbox" id="discussionsNotifications" class="toggle-checkbox">
+              <span class="toggle-switch"></span>
+            </label>
+          </div>
+        </div>
+
+        <div class="category-item" data-category="workflows">
+          <div class="category-icon workflows-icon">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <circle cx="12" cy="12" r="10"/><path d="m15 9-6 6"/><path d="m9 9 6 6"/>
+            </svg>
+          </div>
+          <div class="category-info">
+            <h3>Workflow Failures</h3>
+            <p>Failed CI runs on the default branch</p>
+          </div>
+          <div class="category-controls">
+            <label class="toggle-label">
+              <span>Track</span>
+              <input type="checkbox" id="workflows" class="toggle-checkbox" checked>
+              <span class="toggle-switch"></span>
+            </label>
+            <label class="toggle-label">
+              <span>Notify</span>
+              <input type="checkbox" id="workflowsNotifications" class="toggle-checkbox">
+              <span class="toggle-switch"></span>
+            </label>
+          </div>
+        </div>
+
+        <div class="category-item" data-category="security">
+          <div class="category-icon security-icon">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
+            </svg>
+          </div>
+          <div class="category-info">
+            <h3>Security Alerts</h3>
+            <p>Dependabot alerts and security advisories</p>
+          </div>
+          <div class="category-controls">
+            <label class="toggle-label">
+              <span>Track</span>
+              <input type="checkbox" id="security" class="toggle-checkbox" checked>
+              <span class="toggle-switch"></span>
+            </label>
+            <label class="toggle-label">
+              <span>Notify</span>
+              <input type="checkbox" id="securityNotifications" class="toggle-checkbox">
+              <span class="toggle-switch"></span>
+            </label>
+          </div>
+        </div>
+
+        <div class="category-item" data-category="stateChanges">
+          <div class="category-icon state-changes-icon">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M21 12a9 9 0 0 0-9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/><path d="M3 12a9 9 0 0 0 9 9 9.75 9.75 0 0 0 6.74-2.74L21 16"/><path d="M16 16h5v5"/>
+            </svg>
+          </div>
+          <div class="category-info">
+            <h3>State Changes</h3>
+            <p>Merged, closed, and reopened items</p>
+          </div>
+          <div class="category-controls">
+            <label class="toggle-label">
+              <span>Track</span>
+              <input type="checkbox" id="stateChanges" class="toggle-checkbox" checked>
+              <span class="toggle-switch"></span>
+            </label>
+            <label class="toggle-label">
+              <span>Notify</span>
+              <input type="checkbox" id="stateChangesNotifications" class="toggle-checkbox">
+              <span class="toggle-switch"></span>
+            </label>
+          </div>
+        </div>
+${FEATURES.ENABLE_PUSH_EVENTS ? `
+        <div class="category-item" data-category="pushes">
+          <div class="category-icon pushes-icon">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <circle cx="12" cy="12" r="3"/><line x1="3" x2="9" y1="12" y2="12"/><line x1="15" x2="21" y1="12" y2="12"/>
+            </svg>
+          </div>
+          <div class="category-info">
+            <h3>Commits</h3>
+            <p>New pushes to the default branch</p>
+          </div>
+          <div class="category-controls">
+            <label class="toggle-label">
+              <span>Track</span>
+              <input type="checkbox" id="pushes" class="toggle-checkbox">
+              <span class="toggle-switch"></span>
+            </label>
+            <label class="toggle-label">
+              <span>Notify</span>
+              <input type="checkbox" id="pushesNotifications" class="toggle-checkbox">
+              <span class="toggle-switch"></span>
+            </label>
+          </div>
+        </div>
+` : ''}      </div>
 
       <p class="step-note">You can fine-tune everything later in settings.</p>
     </div>
@@ -958,6 +1127,11 @@ export async function handleNextStep() {
       const notifications = {};
 
       CATEGORY_SETTINGS.forEach(({ key, onboardingTrackId, onboardingNotifyId }) => {
+        // Sources configured from the options page only keep their defaults
+        if (!onboardingTrackId) {
+          return;
+        }
+
         const trackingEnabled = document.getElementById(onboardingTrackId)?.checked || false;
         const notificationsEnabled = document.getElementById(onboardingNotifyId)?.checked || false;
 
@@ -0,0 +1,61 @@
+import { getPersistentAuthState, unlockPersistentAuth } from '../../shared/persistent-auth.js';
+
+function showUnlockError(message) {
+  const unlockError = document.getElementById('unlockError');
+  unlockError.textContent = message;
+  unlockError.classList.toggle('hidden', !message);
+}
+
+async function handleUnlockSubmit(event, onUnlocked) {
+  event.preventDefault();
+
+  const form = document.getElementById('unlockPrompt');
+  const input = document.getElementById('unlockPassphrase');
+  const unlockBtn = document.getElementById('unlockBtn');
+
+  if (!input.value) {
+    showUnlockError('Enter your passphrase');
+    return;
+  }
+
+  unlockBtn.disabled = true;
+  unlockBtn.textContent = 'Unlocking...';
+  showUnlockError('');
+
+  try {
+    await unlockPersistentAuth(input.value);
+    input.value = '';
+    form.classList.add('hidden');
+    await onUnlocked?.();
+  } catch (error) {
+    showUnlockError(error.code === 'wrong_passphrase'
+      ? 'That passphrase is incorrect'
+      : error.message || 'Could not unlock DevWatch');
+    input.select();
+  } finally {
+    unlockBtn.disabled = false;
+    unlockBtn.textContent = 'Unlock';
+  }
+}
+
+export async function showUnlockPromptIfLocked(onUnlocked) {
+  const form = document.getElementById('unlockPrompt');
+  if (!form) {
+    return false;
+  }
+
+  const { locked } = await getPersistentAuthState();
+  form.classList.toggle('hidden', !locked);
+
+  if (!locked) {
+    return false;
+  }
+
+  if (!form.dataset.bound) {
+    form.addEventListener('submit', event => handleUnlockSubmit(event, onUnlocked));
+    form.dataset.bound = 'true';
+  }
+
+  document.getElementById('unlockPassphrase').focus();
+  return true;
+}
@@ -0,0 +1,116 @@
+/**
+ * Per-organization access requirements.
+ * When GitHub refuses a watched repo because its organization enforces SAML single sign-on, or
+ * because the token lacks a scope, background checks record it here by organization instead of
+ * counting the repo as failing, so the popup and options page can say how to fix it.
+ */
+
+import { getWebBase } from './github-host.js';
+import { getLocalItem, setLocalItem } from './storage-helpers.js';
+
+export const ACCESS_REQUIREMENTS_KEY = 'accessRequirements';
+
+function getOwner(repo) {
+  return repo.split('/')[0];
+}
+
+/**
+ * Update the requirement records after a check
+ * Repos that were checked without being blocked are cleared, so an organization disappears
+ * once its token has been authorized.
+ * @param {Object} records - Map of organization to requirement record
+ * @param {Array<string>} checkedRepos - Repo full names the check fetched
+ * @param {Map<string, Object>} blockedRepos - Repo full name to requirement from getAccessRequirement
+ * @param {Date} checkedAt - When the check started
+ * @returns {Object} Updated map of organization to requirement record
+ */
+export function updateAccessRequirements(records, checkedRepos, blockedRepos, checkedAt) {
+  const checked = new Set(checkedRepos);
+  const updated = {};
+
+  Object.entries(records || {}).forEach(([org, record]) => {
+    const repos = (record.repos || []).filter(repo => !checked.has(repo));
+    if (repos.length > 0) {
+      updated[org] = { ...record, repos };
+    }
+  });
+
+  blockedRepos.forEach((requirement, repo) => {
+    const org = getOwner(repo);
+    const existing = updated[org]?.type === requirement.type ? updated[org] : null;
+    // The stored record also covers repos that were re-checked and are still blocked
+    const previous = records?.[org]?.type === requirement.type ? records[org] : null;
+
+    updated[org] = {
+      type: requirement.type,
+      url: requirement.url || previous?.url || null,
+      scopes: requirement.scopes || [],
+      repos: [...new Set([...(existing?.repos || []), repo])].sort(),
+      detectedAt: previous?.detectedAt || checkedAt.toISOString()
+    };
+  });
+
+  return updated;
+}
+
+/**
+ * Describe what the user needs to do for an organization
+ * @param {string} org - Organization login
+ * @param {Object} record - Requirement record
+ * @returns {{message: string, actionLabel: string, actionUrl: string|null}} Banner content
+ */
+export function describeAccessRequirement(org, record) {
+  const count = record.repos?.length || 0;
+  const repoText = `${count} watched ${count === 1 ? 'repository' : 'repositories'}`;
+
+  if (record.type === 'sso') {
+    return {
+      message: `${org} requires single sign-on. Authorize DevWatch's GitHub access for ${org} to check ${repoText}.`,
+      actionLabel: 'Authorize',
+      actionUrl: record.url || `${getWebBase()}/orgs/${encodeURIComponent(org)}/sso`
+    };
+  }
+
+  return {
+    message: `Your GitHub token is missing the ${(record.scopes || []).join(' or ')} scope needed for ${repoText} in ${org}. Reconnect GitHub to grant it.`,
+    actionLabel: 'Open settings',
+    actionUrl: null
+  };
+}
+
+/**
+ * Load stored requirement records
+ * @returns {Promise<Object>} Map of organization to requirement record
+ */
+export async function loadAccessRequirements() {
+  try {
+    const stored = await getLocalItem(ACCESS_REQUIREMENTS_KEY, {});
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+/**
+ * Persist requirement records, dropping repos that are no longer watched
+ * @param {Object} records - Map of organization to requirement record
+ * @param {Array<string>} watchedRepoNames - Repo full names still being watched
+ * @returns {Promise<void>}
+ */
+export async function saveAccessRequirements(records, watchedRepoNames) {
+  const watched = new Set(watchedRepoNames);
+  const retained = {};
+
+  Object.entries(records || {}).forEach(([org, record]) => {
+    const repos = (record.repos || []).filter(repo => watched.has(repo));
+    if (repos.length > 0) {
+      retained[org] = { ...record, repos };
+    }
+  });
+
+  try {
+    await setLocalItem(ACCESS_REQUIREMENTS_KEY, retained);
+  } catch (error) {
+    console.error('[DevWatch] Failed to store access requirements:', error);
+  }
+}
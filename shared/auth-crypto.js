@@ -0,0 +1,151 @@
+/**
+ * WebCrypto helpers for the remembered GitHub sign-in.
+ * Payloads are encrypted with AES-GCM under a key derived from the user's passphrase with
+ * PBKDF2-SHA-256. Byte arrays are stored as plain number arrays so they survive chrome.storage
+ * serialization, the same shape the legacy encrypted session used.
+ */
+
+export const PBKDF2_ITERATIONS = 600000;
+export const ENCRYPTED_PAYLOAD_VERSION = 1;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function createCryptoError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Array<number>|Uint8Array} salt - Random salt stored with the payload
+ * @param {number} [iterations] - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} Extractable AES-GCM key
+ */
+export async function deriveKeyFromPassphrase(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  // Extractable so the unlocked key can be cached in session storage for re-encrypting
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: new Uint8Array(salt), iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Export a derived key so it can be kept for the rest of the browser session
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<Array<number>>} Raw key bytes
+ */
+export async function exportKeyBytes(key) {
+  return Array.from(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+}
+
+/**
+ * Import key bytes saved with exportKeyBytes
+ * @param {Array<number>} keyBytes - Raw key bytes
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+export function importKeyBytes(keyBytes) {
+  return crypto.subtle.importKey('raw', new Uint8Array(keyBytes), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Create a salt for a new passphrase
+ * @returns {Array<number>} Salt bytes
+ */
+export function createSalt() {
+  return Array.from(randomBytes(SALT_BYTES));
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value - Value to encrypt
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<{iv: Array<number>, data: Array<number>}>} Encrypted payload
+ */
+export async function encryptJson(value, key) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { iv: Array.from(iv), data: Array.from(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt a payload produced by encryptJson
+ * @param {{iv: Array<number>, data: Array<number>}} payload - Encrypted payload
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} With code "wrong_passphrase" when the key doesn't match
+ */
+export async function decryptJson(payload, key) {
+  let plaintext;
+
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(payload.iv) },
+      key,
+      new Uint8Array(payload.data)
+    );
+  } catch (_error) {
+    // AES-GCM authentication fails the same way for a wrong key and for tampered data
+    throw createCryptoError('The passphrase is incorrect.', 'wrong_passphrase');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Decrypt a session saved by older versions, which kept the raw AES key next to the data
+ * @param {{iv: Array<number>, data: Array<number>}} encrypted - Legacy encrypted session
+ * @param {Array<number>} rawKey - Legacy key bytes
+ * @returns {Promise<Object|null>} Auth session, or null when the data can't be read
+ */
+export async function decryptLegacyAuthSession(encrypted, rawKey) {
+  if (!Array.isArray(encrypted?.iv) || !Array.isArray(encrypted?.data) || !Array.isArray(rawKey)) {
+    return null;
+  }
+
+  try {
+    const key = await crypto.subtle.importKey('raw', new Uint8Array(rawKey), { name: 'AES-GCM' }, false, ['decrypt']);
+    const plaintext = new TextDecoder().decode(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(encrypted.iv) },
+      key,
+      new Uint8Array(encrypted.data)
+    ));
+
+    try {
+      const session = JSON.parse(plaintext);
+      if (session?.accessToken) {
+        return session;
+      }
+    } catch (_parseError) {
+      // The oldest versions encrypted the bare token
+    }
+
+    return plaintext && !plaintext.startsWith('{')
+      ? { authType: 'oauth_device', accessToken: plaintext, scopes: [], username: '' }
+      : null;
+  } catch (_error) {
+    return null;
+  }
+}
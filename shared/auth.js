@@ -1,4 +1,5 @@
-import { API_CONFIG, OAUTH_CONFIG } from './config.js';
+import { OAUTH_CONFIG } from './config.js';
+import { getGitHubEndpoints, isEnterpriseHost } from './github-host.js';
 import { isValidGitHubAuthUrl } from './security.js';
 
 function getStorageValue(area, key) {
@@ -106,7 +107,8 @@ async function getGitHubOAuthClientId() {
     }
   }
 
-  return OAUTH_CONFIG.CLIENT_ID;
+  // The bundled OAuth app only exists on github.com; Enterprise hosts need their own
+  return isEnterpriseHost() ? null : OAUTH_CONFIG.CLIENT_ID;
 }
 
 async function requireGitHubOAuthClientId() {
@@ -114,7 +116,9 @@ async function requireGitHubOAuthClientId() {
 
   if (!isConfiguredClientId(clientId)) {
     throw createOAuthError(
-      'GitHub OAuth client ID is not configured. Add one before testing sign-in.',
+      isEnterpriseHost()
+        ? 'Add the client ID of an OAuth app on your GitHub Enterprise Server host before connecting.'
+        : 'GitHub OAuth client ID is not configured. Add one before testing sign-in.',
       'client_id_missing',
       { storageKey: OAUTH_CONFIG.CLIENT_ID_STORAGE_KEY }
     );
@@ -147,10 +151,169 @@ export function createGitHubAuthSession(tokenData, user) {
   };
 }
 
+// Requests per hour GitHub allows without a token
+export const PUBLIC_RATE_LIMIT = 60;
+
+const FINE_GRAINED_TOKEN_PATTERN = /^github_pat_[A-Za-z0-9_]{20,}$/;
+const CLASSIC_TOKEN_PATTERN = /^gh[pousr]_[A-Za-z0-9]{20,}$/;
+
+function getCapabilitiesForScopes(scopes) {
+  const has = scope => scopes.includes(scope);
+
+  return {
+    tokenKind: 'classic',
+    scopes,
+    privateRepos: has('repo'),
+    graphql: true,
+    features: {
+      inbox: has('repo') || has('notifications'),
+      reviews: true,
+      myPrs: true,
+      security: has('repo') || has('security_events'),
+      discussions: true
+    }
+  };
+}
+
+const FINE_GRAINED_CAPABILITIES = {
+  tokenKind: 'fine_grained',
+  scopes: [],
+  // Which private repos are readable is decided per repo when the token is created
+  privateRepos: true,
+  graphql: true,
+  features: {
+    // The notifications API does not accept fine-grained tokens
+    inbox: false,
+    reviews: true,
+    myPrs: true,
+    security: true,
+    discussions: true
+  }
+};
+
+const PUBLIC_CAPABILITIES = {
+  tokenKind: 'none',
+  scopes: [],
+  privateRepos: false,
+  // GraphQL always requires a token
+  graphql: false,
+  features: {
+    inbox: false,
+    reviews: false,
+    myPrs: false,
+    security: false,
+    discussions: false
+  }
+};
+
+export function detectTokenCapabilities(headers) {
+  // OAuth apps and classic tokens list their scopes; fine-grained tokens send no X-OAuth-Scopes header
+  const scopeHeader = headers?.get?.('X-OAuth-Scopes') ?? null;
+
+  if (scopeHeader !== null) {
+    return getCapabilitiesForScopes(normalizeScopes(scopeHeader));
+  }
+
+  return FINE_GRAINED_CAPABILITIES;
+}
+
+export function getSessionCapabilities(session) {
+  if (session?.authType === 'public') {
+    return PUBLIC_CAPABILITIES;
+  }
+
+  if (!session?.accessToken) {
+    return null;
+  }
+
+  if (session.capabilities && typeof session.capabilities === 'object') {
+    return session.capabilities;
+  }
+
+  // Device-flow sessions know their scopes from the token response; assume the requested ones otherwise
+  const scopes = Array.isArray(session.scopes) && session.scopes.length > 0 ? session.scopes : OAUTH_CONFIG.SCOPES;
+  return getCapabilitiesForScopes(scopes);
+}
+
+export function getUnsupportedFeatures(capabilities) {
+  return Object.entries(capabilities?.features || {})
+    .filter(([, supported]) => !supported)
+    .map(([feature]) => feature);
+}
+
+export function restrictFiltersToCapabilities(filters, capabilities) {
+  const restricted = { ...filters };
+  getUnsupportedFeatures(capabilities).forEach(feature => {
+    restricted[feature] = false;
+  });
+  return restricted;
+}
+
+export function createPersonalTokenSession(accessToken, user, capabilities) {
+  return {
+    authType: 'personal_token',
+    accessToken,
+    tokenType: 'bearer',
+    scopes: capabilities?.scopes || [],
+    capabilities,
+    username: user?.login || '',
+    userId: user?.id || null,
+    grantedAt: new Date().toISOString()
+  };
+}
+
+export function createPublicOnlySession() {
+  return {
+    authType: 'public',
+    accessToken: null,
+    username: '',
+    capabilities: PUBLIC_CAPABILITIES,
+    grantedAt: new Date().toISOString()
+  };
+}
+
+export async function connectWithPersonalAccessToken(rawToken) {
+  const token = typeof rawToken === 'string' ? rawToken.trim() : '';
+
+  if (CLASSIC_TOKEN_PATTERN.test(token)) {
+    throw createOAuthError(
+      'Classic tokens are not accepted. Create a fine-grained personal access token instead.',
+      'classic_token'
+    );
+  }
+
+  if (!FINE_GRAINED_TOKEN_PATTERN.test(token)) {
+    throw createOAuthError('That does not look like a fine-grained personal access token.', 'invalid_token');
+  }
+
+  const response = await fetch(`${getGitHubEndpoints().apiBase}/user`, {
+    headers: createOAuthHeaders(token)
+  });
+
+  if (!response.ok) {
+    throw createOAuthError(
+      response.status === 401
+        ? 'GitHub rejected the token. It may have expired or been revoked.'
+        : 'Could not load the GitHub account for this token.',
+      response.status === 401 ? 'invalid_token' : 'user_fetch_failed',
+      { status: response.status }
+    );
+  }
+
+  const user = await response.json();
+  const capabilities = detectTokenCapabilities(response.headers);
+
+  return {
+    user,
+    capabilities,
+    authSession: createPersonalTokenSession(token, user, capabilities)
+  };
+}
+
 export async function requestGitHubDeviceCode() {
   const clientId = await requireGitHubOAuthClientId();
 
-  const response = await fetch(OAUTH_CONFIG.DEVICE_CODE_URL, {
+  const response = await fetch(getGitHubEndpoints().deviceCodeUrl, {
     method: 'POST',
     headers: getOAuthHeaders(),
     body: buildFormBody({
@@ -172,7 +335,7 @@ export async function requestGitHubDeviceCode() {
   return {
     deviceCode: data.device_code,
     userCode: data.user_code,
-    verificationUri: data.verification_uri || OAUTH_CONFIG.DEVICE_VERIFY_URL,
+    verificationUri: data.verification_uri || getGitHubEndpoints().deviceVerifyUrl,
     verificationUriComplete: data.verification_uri_complete || null,
     expiresIn: data.expires_in,
     interval: data.interval ?? 5
@@ -180,7 +343,7 @@ export async function requestGitHubDeviceCode() {
 }
 
 export function openGitHubDevicePage(deviceCodeData) {
-  const targetUrl = deviceCodeData.verificationUriComplete || deviceCodeData.verificationUri || OAUTH_CONFIG.DEVICE_VERIFY_URL;
+  const targetUrl = deviceCodeData.verificationUriComplete || deviceCodeData.verificationUri || getGitHubEndpoints().deviceVerifyUrl;
 
   if (!isValidGitHubAuthUrl(targetUrl)) {
     throw createOAuthError(
@@ -209,7 +372,7 @@ export async function pollForGitHubAccessToken(deviceCodeData, options = {}) {
       remainingMs: Math.max(0, expiresAt - Date.now())
     });
 
-    const response = await fetch(OAUTH_CONFIG.ACCESS_TOKEN_URL, {
+    const response = await fetch(getGitHubEndpoints().accessTokenUrl, {
       method: 'POST',
       headers: getOAuthHeaders(),
       body: buildFormBody({
@@ -258,7 +421,7 @@ export async function pollForGitHubAccessToken(deviceCodeData, options = {}) {
 }
 
 export async function fetchGitHubUser(accessToken) {
-  const response = await fetch(`${API_CONFIG.GITHUB_API_BASE}/user`, {
+  const response = await fetch(`${getGitHubEndpoints().apiBase}/user`, {
     headers: createOAuthHeaders(accessToken)
   });
 
@@ -7,13 +7,18 @@
 export const API_CONFIG = {
   GITHUB_API_BASE: 'https://api.github.com',
   GITHUB_WEB_BASE: 'https://github.com',
+  GITHUB_GRAPHQL_URL: 'https://api.github.com/graphql',
   RATE_LIMIT_HEADERS: {
     REMAINING: 'X-RateLimit-Remaining',
     LIMIT: 'X-RateLimit-Limit',
     RESET: 'X-RateLimit-Reset'
   },
   DEFAULT_PAGE_SIZE: 30,
-  MAX_REPOS_PER_REQUEST: 100
+  MAX_REPOS_PER_REQUEST: 100,
+  GRAPHQL_BATCH_SIZE: 25, // repositories per aliased GraphQL query
+  MAX_ACTIVITY_PAGES: 10, // safety cap when following Link rel="next" during polling
+  MAX_OWNER_REPO_PAGES: 10, // up to 1,000 repos listed per watched organization or user
+  MAX_CONCURRENT_REQUESTS: 6 // repositories fetched in parallel during a background check
 };
 
 // OAuth Configuration
@@ -36,6 +41,17 @@ export const RATE_LIMIT_CONFIG = {
   WARNING_THRESHOLD: 100 // remaining requests before warning
 };
 
+// Retry Configuration (network errors, 5xx, and secondary rate limits)
+export const RETRY_CONFIG = {
+  MAX_RETRIES: 2, // attempts after the first request
+  BASE_DELAY: 1000, // milliseconds, doubled on each retry before jitter
+  // milliseconds; longer waits are returned to the caller so the repo is retried on the next check. Kept well under
+  // the 30 seconds after which Chrome stops an idle service worker, which would drop a pending retry
+  MAX_DELAY: 10000,
+  SECONDARY_RATE_LIMIT_DELAY: 60000, // GitHub asks for at least a minute when Retry-After is missing, so that waits for the next check
+  RETRYABLE_STATUSES: [500, 502, 503, 504]
+};
+
 // Storage Configuration
 export const STORAGE_CONFIG = {
   MAX_WATCHED_REPOS: 50,
@@ -73,7 +89,8 @@ export const NOTIFICATION_CONFIG = {
 export const CACHE_CONFIG = {
   CACHE_DURATION: 5 * 60 * 1000, // 5 minutes
   MAX_CACHE_SIZE: 50, // items
-  CLEANUP_INTERVAL: 10 * 60 * 1000 // 10 minutes
+  CLEANUP_INTERVAL: 10 * 60 * 1000, // 10 minutes
+  MAX_REQUEST_VALIDATORS: 500 // ETag / Last-Modified entries kept for conditional polling
 };
 
 // Feature Flags
@@ -9,7 +9,10 @@ import { sanitizeImageUrl } from './sanitize.js';
 import {
   formatRelativeTime as formatSharedRelativeTime,
   getActivityTypeLabel as getSharedActivityTypeLabel,
-  getSortedRepoGroups
+  getSortedRepoGroups,
+  partitionReviewQueue,
+  partitionSavedSearches,
+  renderLabelChips
 } from './feed-presentation.js';
 
 /**
@@ -371,8 +374,11 @@ class ActivityListRenderer {
    * @returns {string} Generated HTML
    */
   generateGroupedHTML(activities, collapsedRepos = new Set(), pinnedRepos = [], readItems = []) {
-    const grouped = getSortedRepoGroups(activities, pinnedRepos);
-    let html = '';
+    const { reviewQueue, repoActivities: otherActivities } = partitionReviewQueue(activities);
+    const { searchGroups, repoActivities } = partitionSavedSearches(otherActivities);
+    const grouped = getSortedRepoGroups(repoActivities, pinnedRepos);
+    let html = reviewQueue.length > 0 ? this.generateReviewQueueHTML(reviewQueue, readItems) : '';
+    html += searchGroups.map(group => this.generateSavedSearchHTML(group, readItems)).join('');
 
     for (const [repo, repoActivities] of grouped) {
       const repoUnreadCount = repoActivities.filter(a => !readItems.includes(a.id)).length;
@@ -425,6 +431,51 @@ class ActivityListRenderer {
     return html;
   }
 
+  /**
+   * Generate the pinned "Review requested" section shown above the repository groups
+   * @param {Array} reviewQueue - Review request activities
+   * @param {Array} readItems - Array of read activity IDs
+   * @returns {string} Generated HTML
+   */
+  generateReviewQueueHTML(reviewQueue, readItems = []) {
+    const unreadCount = reviewQueue.filter(a => !readItems.includes(a.id)).length;
+
+    return `
+      <section class="repo-group review-queue" aria-label="Pull requests waiting on your review">
+        <div class="review-queue-header">
+          <span class="review-queue-title">Review requested</span>
+          ${unreadCount > 0 ? `<span class="repo-unread-count">${unreadCount}</span>` : ''}
+        </div>
+        <div class="repo-activities">
+          ${reviewQueue.map(activity => this.generateSingleActivityHTML(activity, readItems.includes(activity.id))).join('')}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Generate the group of hits for one saved search, shown next to the repository groups
+   * @param {Object} group - Saved search group from partitionSavedSearches
+   * @param {Array} readItems - Array of read activity IDs
+   * @returns {string} Generated HTML
+   */
+  generateSavedSearchHTML(group, readItems = []) {
+    const unreadCount = group.activities.filter(a => !readItems.includes(a.id)).length;
+
+    return `
+      <section class="repo-group saved-search-group" data-search-id="${escapeHtml(group.id)}" aria-label="Saved search: ${escapeHtml(group.name)}">
+        <div class="review-queue-header saved-search-header" title="${escapeHtml(group.query)}">
+          <span class="review-queue-title">${escapeHtml(group.name)}</span>
+          ${group.query && group.query !== group.name ? `<span class="saved-search-query">${escapeHtml(group.query)}</span>` : ''}
+          ${unreadCount > 0 ? `<span class="repo-unread-count">${unreadCount}</span>` : ''}
+        </div>
+        <div class="repo-activities">
+          ${group.activities.map(activity => this.generateSingleActivityHTML(activity, readItems.includes(activity.id))).join('')}
+        </div>
+      </section>
+    `;
+  }
+
   /**
    * Generate flat HTML for all activities
    * @param {Array} activities - Activities to render
@@ -476,6 +527,7 @@ class ActivityListRenderer {
           </div>
           <div class="activity-title">${sanitizedTitle}</div>
           ${sanitizedDescription ? `<p class="activity-description">${sanitizedDescription}</p>` : ''}
+          ${renderLabelChips(activity)}
           <div class="activity-meta">
             by ${sanitizedAuthor} • ${formatSharedRelativeTime(activity.createdAt)}
           </div>
@@ -1,4 +1,5 @@
 import { STORAGE_CONFIG } from './config.js';
+import { matchesLabelFilters } from './label-filters.js';
 
 /**
  * Merge and trim activities for storage while preserving incoming order.
@@ -6,6 +7,7 @@ import { STORAGE_CONFIG } from './config.js';
  * @param {Array<Object>} newActivities
  * @param {Object} options
  * @param {Set<string>} options.excludedRepos
+ * @param {Map<string, Object>} [options.labelFilters] - Per-repo label rules from buildLabelFilters
  * @param {number} options.maxStored
  * @returns {Array<Object>}
  */
@@ -14,6 +16,7 @@ export function prepareActivitiesForStorage(
   newActivities = [],
   {
     excludedRepos = new Set(),
+    labelFilters = new Map(),
     maxStored = STORAGE_CONFIG.MAX_ACTIVITIES_STORED
   } = {}
 ) {
@@ -32,6 +35,7 @@ export function prepareActivitiesForStorage(
 
   return [...uniqueIncoming, ...normalizedExisting]
     .filter(activity => activity?.repo ? !excludedRepos.has(activity.repo) : true)
+    .filter(activity => matchesLabelFilters(activity, labelFilters))
     .slice(0, maxStored);
 }
 
@@ -40,6 +44,7 @@ export function prepareActivitiesForStorage(
  * @param {Array<Object>} activities
  * @param {Object} options
  * @param {Set<string>} options.excludedRepos
+ * @param {Map<string, Object>} [options.labelFilters] - Per-repo label rules from buildLabelFilters
  * @param {number|null} options.itemExpiryHours
  * @param {string} options.currentFilter
  * @param {string} options.searchQuery
@@ -51,6 +56,7 @@ export function filterVisibleActivities(
   activities = [],
   {
     excludedRepos = new Set(),
+    labelFilters = new Map(),
     itemExpiryHours = null,
     currentFilter = 'all',
     searchQuery = '',
@@ -65,6 +71,10 @@ export function filterVisibleActivities(
     filtered = filtered.filter(activity => !excludedRepos.has(activity.repo));
   }
 
+  if (labelFilters.size > 0) {
+    filtered = filtered.filter(activity => matchesLabelFilters(activity, labelFilters));
+  }
+
   if (itemExpiryHours !== null && itemExpiryHours > 0) {
     const expiryThreshold = Date.now() - (itemExpiryHours * 60 * 60 * 1000);
     filtered = filtered.filter(activity => {
@@ -3,12 +3,21 @@
  */
 
 import { formatDate } from './utils.js';
+import { escapeHtml } from './sanitize.js';
 
 export function getActivityTypeLabel(type) {
   const labels = {
     pr: 'Pull Request',
     issue: 'Issue',
     release: 'Release',
+    discussion: 'Discussion',
+    state: 'State Change',
+    workflow: 'Workflow',
+    push: 'Commits',
+    inbox: 'Inbox',
+    review: 'Review',
+    search: 'Search',
+    security: 'Security',
     PullRequestEvent: 'Pull Request',
     IssuesEvent: 'Issue',
     ReleaseEvent: 'Release',
@@ -19,6 +28,21 @@ export function getActivityTypeLabel(type) {
   return labels[type] || type;
 }
 
+/**
+ * Render the labels of a pull request or issue as chips in the item's type color
+ * @param {Object} activity - Feed activity
+ * @returns {string} Chip row HTML, or an empty string without labels
+ */
+export function renderLabelChips(activity) {
+  const labels = Array.isArray(activity?.labels) ? activity.labels.filter(Boolean) : [];
+  if (labels.length === 0) {
+    return '';
+  }
+
+  const type = escapeHtml(activity.type);
+  return `<div class="activity-labels">${labels.map(label => `<span class="activity-label ${type}">${escapeHtml(label)}</span>`).join('')}</div>`;
+}
+
 export function formatRelativeTime(timestamp) {
   const date = new Date(timestamp);
 
@@ -114,6 +138,60 @@ export function getSortedRepoGroups(activities = [], pinnedRepos = []) {
     });
 }
 
+/**
+ * Split review requests from the activities that are grouped by repository
+ * @param {Array<Object>} activities - Visible activities
+ * @returns {{reviewQueue: Array<Object>, repoActivities: Array<Object>}} Newest review requests first
+ */
+export function partitionReviewQueue(activities = []) {
+  const reviewQueue = [];
+  const repoActivities = [];
+
+  activities.forEach(activity => {
+    (activity?.type === 'review' ? reviewQueue : repoActivities).push(activity);
+  });
+
+  reviewQueue.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return { reviewQueue, repoActivities };
+}
+
+/**
+ * Split saved search hits from the activities that are grouped by repository
+ * @param {Array<Object>} activities - Visible activities
+ * @returns {{searchGroups: Array<{id: string, name: string, query: string, activities: Array<Object>}>, repoActivities: Array<Object>}}
+ *   One group per saved search, the search with the newest hit first
+ */
+export function partitionSavedSearches(activities = []) {
+  const groups = new Map();
+  const repoActivities = [];
+
+  activities.forEach(activity => {
+    if (activity?.type !== 'search') {
+      repoActivities.push(activity);
+      return;
+    }
+
+    if (!groups.has(activity.searchId)) {
+      groups.set(activity.searchId, {
+        id: activity.searchId,
+        name: activity.searchName || activity.searchQuery || 'Saved search',
+        query: activity.searchQuery || '',
+        activities: []
+      });
+    }
+    groups.get(activity.searchId).activities.push(activity);
+  });
+
+  const searchGroups = [...groups.values()]
+    .map(group => ({
+      ...group,
+      activities: [...group.activities].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    }))
+    .sort((a, b) => new Date(b.activities[0].createdAt) - new Date(a.activities[0].createdAt));
+
+  return { searchGroups, repoActivities };
+}
+
 export function groupByRepo(activities = [], pinnedRepos = []) {
   return Object.fromEntries(getSortedRepoGroups(activities, pinnedRepos));
 }
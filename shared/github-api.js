@@ -2,18 +2,88 @@
  * GitHub API helper functions
  */
 
+import { isValidApiUrl, isValidGitHubUrl } from './security.js';
+import { RETRY_CONFIG } from './config.js';
+import { getGitHubEndpoints, getWebBase } from './github-host.js';
+
 /**
  * Create standard GitHub API headers
- * @param {string} token - GitHub access token
+ * Without a token (public-only mode) the request is sent unauthenticated.
+ * @param {string|null} token - GitHub access token
  * @returns {Object} Headers object for fetch
  */
 export function createHeaders(token) {
+  if (!token) {
+    return { 'Accept': 'application/vnd.github.v3+json' };
+  }
+
   return {
     'Authorization': `Bearer ${token}`,
     'Accept': 'application/vnd.github.v3+json'
   };
 }
 
+// Scopes that include narrower ones, e.g. `repo` grants `public_repo`
+const PARENT_SCOPES = {
+  public_repo: 'repo',
+  'repo:status': 'repo',
+  'repo:invite': 'repo',
+  repo_deployment: 'repo',
+  security_events: 'repo',
+  'read:org': 'write:org',
+  'write:org': 'admin:org',
+  'read:user': 'user',
+  'user:email': 'user',
+  'user:follow': 'user',
+  'read:discussion': 'write:discussion',
+  'read:packages': 'write:packages'
+};
+
+function parseScopeHeader(value) {
+  return (value || '').split(',').map(scope => scope.trim()).filter(Boolean);
+}
+
+function hasAcceptedScope(grantedScopes, acceptedScopes) {
+  const granted = new Set(grantedScopes);
+
+  return acceptedScopes.some(scope => {
+    for (let current = scope; current; current = PARENT_SCOPES[current]) {
+      if (granted.has(current)) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Detect a 403 that the user can fix by granting access rather than waiting or retrying
+ * SAML-enforcing organizations send `X-GitHub-SSO: required; url=...` until the token is authorized
+ * for them. Classic tokens report their scopes in `X-OAuth-Scopes` and the endpoint's requirement in
+ * `X-Accepted-OAuth-Scopes`; fine-grained tokens send neither, so they are never reported here.
+ * @param {Response} response - Fetch response object
+ * @returns {{type: 'sso', url: string|null}|{type: 'scope', scopes: Array<string>}|null} Requirement, or null
+ */
+export function getAccessRequirement(response) {
+  if (response?.status !== 403 || !response.headers?.get) {
+    return null;
+  }
+
+  const sso = response.headers.get('X-GitHub-SSO');
+  if (sso && /^\s*required\b/i.test(sso)) {
+    const url = sso.match(/url=([^\s;,]+)/i)?.[1] || null;
+    return { type: 'sso', url: url && isValidGitHubUrl(url) ? url : null };
+  }
+
+  const grantedScopes = response.headers.get('X-OAuth-Scopes');
+  const acceptedScopes = parseScopeHeader(response.headers.get('X-Accepted-OAuth-Scopes'));
+  if (grantedScopes !== null && acceptedScopes.length > 0 && !hasAcceptedScope(parseScopeHeader(grantedScopes), acceptedScopes)) {
+    return { type: 'scope', scopes: acceptedScopes };
+  }
+
+  return null;
+}
+
 /**
  * Handle GitHub API response errors
  * @param {Response} response - Fetch response object
@@ -23,9 +93,14 @@ export function createHeaders(token) {
 export function handleApiResponse(response, repo = '') {
   if (!response.ok) {
     let error;
+    const accessRequirement = getAccessRequirement(response);
     if (response.status === 401) {
       error = new Error('GitHub sign-in expired or was revoked');
-    } else if (response.status === 403) {
+    } else if (accessRequirement?.type === 'sso') {
+      error = new Error('Organization requires single sign-on authorization');
+    } else if (accessRequirement?.type === 'scope') {
+      error = new Error(`GitHub token is missing the ${accessRequirement.scopes.join(' or ')} scope`);
+    } else if (response.status === 403 || response.status === 429) {
       error = new Error('Rate limit exceeded');
     } else if (response.status === 404) {
       error = new Error(repo ? `Repository ${repo} not found` : 'Resource not found');
@@ -36,14 +111,234 @@ export function handleApiResponse(response, repo = '') {
     // Attach response for detailed error handling
     error.response = response;
     error.repo = repo;
+    if (accessRequirement) {
+      error.accessRequirement = accessRequirement;
+    }
     throw error;
   }
 }
 
+/**
+ * Check whether an API error means a feature is turned off or not visible to this token
+ * Repos without Dependabot alerts, or where the user lacks the security role, answer 403 or 404.
+ * A 403 with no remaining rate limit is still a rate-limit error.
+ * @param {Error} error - Error thrown by handleApiResponse
+ * @returns {boolean} True when the feature is unavailable for the repository
+ */
+export function isFeatureUnavailableError(error) {
+  const status = error?.response?.status;
+
+  if (status === 404) {
+    return true;
+  }
+
+  return status === 403 && error.response.headers?.get('X-RateLimit-Remaining') !== '0';
+}
+
+/**
+ * Check whether a response is one of GitHub's secondary (abuse) rate limits
+ * These come back as 429, or as 403 with Retry-After or a "secondary rate limit" message. A 403 or
+ * 429 with no remaining primary rate limit is not retried, since that only clears at the reset time.
+ * @param {Response} response - Fetch response object
+ * @returns {Promise<boolean>} True when the request hit a secondary rate limit
+ */
+export async function isSecondaryRateLimit(response) {
+  if (response.status !== 403 && response.status !== 429) {
+    return false;
+  }
+
+  if (response.headers?.get('X-RateLimit-Remaining') === '0') {
+    return false;
+  }
+
+  if (response.status === 429 || response.headers?.get('Retry-After')) {
+    return true;
+  }
+
+  if (typeof response.clone !== 'function') {
+    return false;
+  }
+
+  try {
+    const body = await response.clone().json();
+    return /secondary rate limit|abuse/i.test(body?.message || '');
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Work out how long to wait before retrying a request
+ * Honours Retry-After (seconds or an HTTP date); otherwise uses exponential backoff with full jitter.
+ * @param {Response|null} response - Failed response, or null after a network error
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay] - Backoff base in milliseconds
+ * @param {boolean} [options.secondaryRateLimit] - Fall back to GitHub's one-minute wait without Retry-After
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(
+  response,
+  attempt,
+  { baseDelay = RETRY_CONFIG.BASE_DELAY, secondaryRateLimit = false, now = Date.now() } = {}
+) {
+  const retryAfter = response?.headers?.get('Retry-After');
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = new Date(retryAfter).getTime();
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  if (secondaryRateLimit) {
+    return RETRY_CONFIG.SECONDARY_RATE_LIMIT_DELAY;
+  }
+
+  return Math.floor(Math.random() * baseDelay * 2 ** attempt);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Fetch with bounded retries for network errors, 5xx responses, and secondary rate limits
+ * Other responses, and the last failed response once retries run out or the wait would exceed
+ * maxDelay, are returned unchanged so callers keep their own status handling. Aborting
+ * init.signal also cancels a backoff that is in progress.
+ * @param {string} url - Request URL
+ * @param {Object} [init] - fetch options
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelay] - Backoff base in milliseconds
+ * @param {number} [options.maxDelay] - Longest wait worth retrying for
+ * @param {Function} [options.sleep] - Waits for the given milliseconds; rejects when the signal aborts
+ * @returns {Promise<Response>} Fetch response
+ * @throws {Error} The last network error once retries run out, or the abort reason
+ */
+export async function fetchWithRetry(url, init = {}, {
+  retries = RETRY_CONFIG.MAX_RETRIES,
+  baseDelay = RETRY_CONFIG.BASE_DELAY,
+  maxDelay = RETRY_CONFIG.MAX_DELAY,
+  sleep = wait
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      if (error?.name === 'AbortError' || attempt >= retries) {
+        throw error;
+      }
+
+      await sleep(getRetryDelay(null, attempt, { baseDelay }), init.signal);
+      continue;
+    }
+
+    if (!response) {
+      return response;
+    }
+
+    const secondaryRateLimit = await isSecondaryRateLimit(response);
+    if (!secondaryRateLimit && !RETRY_CONFIG.RETRYABLE_STATUSES.includes(response.status)) {
+      return response;
+    }
+
+    const delay = getRetryDelay(response, attempt, { baseDelay, secondaryRateLimit });
+    if (attempt >= retries || delay > maxDelay) {
+      return response;
+    }
+
+    await sleep(delay, init.signal);
+  }
+}
+
+function formatSeverity(severity) {
+  return severity ? `${severity.charAt(0).toUpperCase()}${severity.slice(1)} severity` : 'Unknown severity';
+}
+
+function getCommitAuthor(commit) {
+  return commit?.author?.login || commit?.committer?.login || commit?.commit?.author?.name || 'Unknown';
+}
+
+function getPushUrl(commits, repo) {
+  const head = commits[0]?.sha;
+  const before = commits[commits.length - 1]?.parents?.[0]?.sha;
+  const repoUrl = `${getWebBase()}/${repo}`;
+  if (!head) {
+    return repoUrl;
+  }
+
+  // Single commits link straight to the commit; larger groups to the compare view
+  if (commits.length === 1 || !before) {
+    return `${repoUrl}/commit/${head}`;
+  }
+
+  return `${repoUrl}/compare/${before}...${head}`;
+}
+
+function getPushTitle(commitCount, branch, author) {
+  // Groups without commit details still get a readable entry
+  if (!commitCount) {
+    return `New commits on ${branch || 'default branch'} by ${author}`;
+  }
+
+  return `${commitCount} ${commitCount === 1 ? 'commit' : 'commits'} by ${author}`;
+}
+
+/**
+ * Group consecutive commits by the same person into push-like entries for mapActivity
+ * Commits are expected newest first, as the commits endpoint returns them.
+ * @param {Array<Object>} commits - Commits endpoint items
+ * @param {string} branch - Branch the commits were listed from
+ * @returns {Array<{id: string, branch: string, commits: Array<Object>}>} Groups, newest first
+ */
+export function groupCommits(commits, branch) {
+  const groups = [];
+
+  for (const commit of Array.isArray(commits) ? commits : []) {
+    if (!commit?.sha) {
+      continue;
+    }
+
+    const lastGroup = groups[groups.length - 1];
+    if (lastGroup && getCommitAuthor(lastGroup.commits[0]) === getCommitAuthor(commit)) {
+      lastGroup.commits.push(commit);
+    } else {
+      groups.push({ id: commit.sha, branch, commits: [commit] });
+    }
+  }
+
+  return groups;
+}
+
 /**
  * Map GitHub API activity item to standardized format
  * @param {Object} item - Raw API response item
- * @param {string} type - Activity type ('pr', 'issue', 'release')
+ * @param {string} type - Activity type ('pr', 'issue', 'release', 'discussion', 'workflow', 'push', 'security')
  * @param {string} repo - Repository name
  * @returns {Object} Standardized activity object
  */
@@ -89,7 +384,10 @@ export function mapActivity(item, type, repo) {
           createdAt: item.created_at || new Date().toISOString(),
           author: item.user?.login || 'Unknown',
           authorAvatar: item.user?.avatar_url || '',
-          number: item.number
+          number: item.number,
+          labels: (Array.isArray(item.labels) ? item.labels : [])
+            .map(label => (typeof label === 'string' ? label : label?.name))
+            .filter(Boolean)
         };
 
       case 'release':
@@ -101,6 +399,76 @@ export function mapActivity(item, type, repo) {
           authorAvatar: item.author?.avatar_url || ''
         };
 
+      case 'discussion':
+        return {
+          ...baseActivity,
+          title: item.title || 'Untitled',
+          description: [item.category?.name, item.answered ? 'Answered' : null].filter(Boolean).join(' · '),
+          createdAt: item.created_at || new Date().toISOString(),
+          author: item.user?.login || 'Unknown',
+          authorAvatar: item.user?.avatar_url || '',
+          number: item.number,
+          category: item.category?.name || '',
+          answered: item.answered === true
+        };
+
+      case 'workflow':
+        return {
+          ...baseActivity,
+          title: `${item.name || 'Workflow'} ${item.conclusion === 'cancelled' ? 'cancelled' : 'failed'} on ${item.head_branch || 'default branch'}`,
+          description: item.display_title || '',
+          createdAt: item.updated_at || item.created_at || new Date().toISOString(),
+          author: item.actor?.login || 'Unknown',
+          authorAvatar: item.actor?.avatar_url || '',
+          conclusion: item.conclusion,
+          branch: item.head_branch
+        };
+
+      case 'push': {
+        // One group from groupCommits becomes one feed entry covering all of its commits
+        const commits = Array.isArray(item.commits) ? item.commits : [];
+        const [newest] = commits;
+        const author = getCommitAuthor(newest);
+        const branch = item.branch || '';
+        return {
+          ...baseActivity,
+          title: getPushTitle(commits.length, branch, author),
+          description: commits.map(commit => commit?.commit?.message?.split('\n')[0]).filter(Boolean).join('\n'),
+          url: getPushUrl(commits, repo),
+          createdAt: newest?.commit?.committer?.date || newest?.commit?.author?.date || new Date().toISOString(),
+          author,
+          authorAvatar: (newest?.author || newest?.committer)?.avatar_url || '',
+          branch,
+          commitCount: commits.length
+        };
+      }
+
+      case 'security': {
+        // Dependabot alerts carry the advisory they match; published repository advisories are the advisory itself
+        const advisory = item.security_advisory || item;
+        const severity = item.security_vulnerability?.severity || advisory.severity || '';
+        const packageName = item.dependency?.package?.name || item.security_vulnerability?.package?.name;
+        const source = item.security_advisory ? 'dependabot' : 'advisory';
+        return {
+          ...baseActivity,
+          id: source === 'dependabot'
+            ? `${type}-${repo}-dependabot-${item.number}`
+            : `${type}-${repo}-${advisory.ghsa_id}`,
+          title: advisory.summary || advisory.ghsa_id || 'Security alert',
+          description: [
+            source === 'dependabot' ? 'Dependabot alert' : 'Security advisory',
+            packageName || advisory.cve_id || advisory.ghsa_id,
+            formatSeverity(severity)
+          ].filter(Boolean).join(' · '),
+          createdAt: (source === 'dependabot' ? item.created_at : item.published_at) || new Date().toISOString(),
+          author: item.publisher?.login || (source === 'dependabot' ? 'dependabot' : 'Unknown'),
+          authorAvatar: item.publisher?.avatar_url || '',
+          severity,
+          source,
+          ghsaId: advisory.ghsa_id || ''
+        };
+      }
+
       default:
         return baseActivity;
     }
@@ -143,3 +511,24 @@ export function filterActivitiesByDate(items, since, dateField = 'created_at') {
     return itemDate > since;
   });
 }
+
+/**
+ * Extract the next page URL from a GitHub Link header
+ * @param {string|null} linkHeader - Value of the Link response header
+ * @returns {string|null} Next page URL, or null when there is no (valid) next page
+ */
+export function getNextPageUrl(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+
+  const match = linkHeader.split(',')
+    .map(part => part.match(/<([^>]+)>\s*;\s*rel="next"/))
+    .find(Boolean);
+
+  if (!match || !isValidApiUrl(match[1], [getGitHubEndpoints().apiHostname])) {
+    return null;
+  }
+
+  return match[1];
+}
@@ -0,0 +1,211 @@
+/**
+ * GitHub host configuration.
+ * DevWatch talks to github.com by default; a GitHub Enterprise Server host routes the REST API,
+ * GraphQL, web links, and device-flow sign-in through that instance instead. The host is kept
+ * in sync storage and cached here so URL builders can stay synchronous; entry points call
+ * loadGitHubHost() before making requests.
+ */
+
+import { API_CONFIG, OAUTH_CONFIG } from './config.js';
+
+export const GITHUB_HOST_KEY = 'githubHost';
+export const DEFAULT_GITHUB_HOST = 'github.com';
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*(:\d{1,5})?$/;
+
+let currentHost = DEFAULT_GITHUB_HOST;
+
+/**
+ * Normalize user input to a bare host name
+ * Accepts "ghe.example.com", "https://ghe.example.com/" or "https://ghe.example.com/api/v3".
+ * @param {string} input - Host or URL entered by the user
+ * @returns {string|null} Lowercase host (with port if given), or null when the input isn't a valid host
+ */
+export function normalizeGitHubHost(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return null;
+  }
+
+  let value = input.trim().toLowerCase();
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//.test(value)) {
+    if (!value.startsWith('https://')) {
+      return null;
+    }
+    value = value.slice('https://'.length);
+  }
+
+  value = value.split(/[/?#]/)[0].replace(/:443$/, '');
+
+  if (!HOSTNAME_PATTERN.test(value)) {
+    return null;
+  }
+
+  return value === 'api.github.com' || value === 'www.github.com' ? DEFAULT_GITHUB_HOST : value;
+}
+
+/**
+ * Check whether a host is a GitHub Enterprise Server instance
+ * @param {string} [host] - Host to check, defaults to the configured host
+ * @returns {boolean} True for any host other than github.com
+ */
+export function isEnterpriseHost(host = currentHost) {
+  return host !== DEFAULT_GITHUB_HOST;
+}
+
+/**
+ * Build the API, web, and OAuth endpoints for a host
+ * @param {string} [host] - Host, defaults to the configured host
+ * @returns {Object} Endpoint URLs ({ host, apiBase, apiHostname, webBase, graphqlUrl, deviceCodeUrl, ... })
+ */
+export function getGitHubEndpoints(host = currentHost) {
+  if (!isEnterpriseHost(host)) {
+    return {
+      host: DEFAULT_GITHUB_HOST,
+      apiBase: API_CONFIG.GITHUB_API_BASE,
+      apiHostname: new URL(API_CONFIG.GITHUB_API_BASE).hostname,
+      webBase: API_CONFIG.GITHUB_WEB_BASE,
+      graphqlUrl: API_CONFIG.GITHUB_GRAPHQL_URL,
+      deviceCodeUrl: OAUTH_CONFIG.DEVICE_CODE_URL,
+      accessTokenUrl: OAUTH_CONFIG.ACCESS_TOKEN_URL,
+      deviceVerifyUrl: OAUTH_CONFIG.DEVICE_VERIFY_URL,
+      authorizedAppsUrl: OAUTH_CONFIG.AUTHORIZED_APPS_URL
+    };
+  }
+
+  // GHES serves the REST API under /api/v3 and GraphQL under /api/graphql on the same host
+  const webBase = `https://${host}`;
+  return {
+    host,
+    apiBase: `${webBase}/api/v3`,
+    apiHostname: host.replace(/:\d+$/, ''),
+    webBase,
+    graphqlUrl: `${webBase}/api/graphql`,
+    deviceCodeUrl: `${webBase}/login/device/code`,
+    accessTokenUrl: `${webBase}/login/oauth/access_token`,
+    deviceVerifyUrl: `${webBase}/login/device`,
+    authorizedAppsUrl: `${webBase}/settings/applications`
+  };
+}
+
+/**
+ * REST API base URL for the configured host
+ * @returns {string} e.g. "https://api.github.com" or "https://ghe.example.com/api/v3"
+ */
+export function getApiBase() {
+  return getGitHubEndpoints().apiBase;
+}
+
+/**
+ * Web base URL for the configured host
+ * @returns {string} e.g. "https://github.com" or "https://ghe.example.com"
+ */
+export function getWebBase() {
+  return getGitHubEndpoints().webBase;
+}
+
+/**
+ * The configured host
+ * @returns {string} Host name
+ */
+export function getGitHubHost() {
+  return currentHost;
+}
+
+/**
+ * The configured host without its port, for comparing against URL hostnames
+ * @returns {string} Host name
+ */
+export function getGitHubHostname() {
+  return currentHost.replace(/:\d+$/, '');
+}
+
+/**
+ * Update the cached host without writing to storage
+ * @param {string} host - Host or URL; invalid values fall back to github.com
+ * @returns {string} The host now in use
+ */
+export function setGitHubHost(host) {
+  currentHost = normalizeGitHubHost(host) || DEFAULT_GITHUB_HOST;
+  return currentHost;
+}
+
+/**
+ * Load the configured host from sync storage into the cache
+ * @returns {Promise<string>} The host now in use
+ */
+export async function loadGitHubHost() {
+  try {
+    const result = await chrome.storage.sync.get([GITHUB_HOST_KEY]);
+    return setGitHubHost(result?.[GITHUB_HOST_KEY]);
+  } catch (_error) {
+    return setGitHubHost(DEFAULT_GITHUB_HOST);
+  }
+}
+
+/**
+ * Persist the host and update the cache
+ * @param {string} host - Host or URL
+ * @returns {Promise<string>} The host now in use
+ */
+export async function saveGitHubHost(host) {
+  const normalized = setGitHubHost(host);
+
+  if (isEnterpriseHost(normalized)) {
+    await chrome.storage.sync.set({ [GITHUB_HOST_KEY]: normalized });
+  } else {
+    await chrome.storage.sync.remove(GITHUB_HOST_KEY);
+  }
+
+  return normalized;
+}
+
+/**
+ * Origins the extension needs host permission for to reach a host
+ * github.com and api.github.com are granted in the manifest; GHES hosts are requested at runtime.
+ * @param {string} [host] - Host, defaults to the configured host
+ * @returns {Array<string>} Origin match patterns, empty for github.com
+ */
+export function getHostPermissionOrigins(host = currentHost) {
+  return isEnterpriseHost(host) ? [`https://${host.replace(/:\d+$/, '')}/*`] : [];
+}
+
+/**
+ * Check whether Chrome still grants access to a host
+ * The manifest CSP can't name a host chosen at runtime, so it allows any https origin; this
+ * grant is what limits DevWatch to the configured host, and the user can revoke it at any time.
+ * @param {string} [host] - Host, defaults to the configured host
+ * @returns {Promise<boolean>} True when access is granted or not needed
+ */
+export async function hasHostPermission(host = currentHost) {
+  const origins = getHostPermissionOrigins(host);
+  if (origins.length === 0) {
+    return true;
+  }
+
+  try {
+    return await chrome.permissions.contains({ origins });
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Ask Chrome for access to a host
+ * Must be called from a user gesture (e.g. a click handler) before any await.
+ * @param {string} host - Host to request
+ * @returns {Promise<boolean>} True when access is granted or not needed
+ */
+export async function requestHostPermission(host) {
+  const origins = getHostPermissionOrigins(host);
+  if (origins.length === 0) {
+    return true;
+  }
+
+  try {
+    return await chrome.permissions.request({ origins });
+  } catch (error) {
+    console.error('[DevWatch] Failed to request host permission:', error);
+    return false;
+  }
+}
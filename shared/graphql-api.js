@@ -0,0 +1,261 @@
+/**
+ * GitHub GraphQL polling helpers
+ * Fetches recent pull requests, issues, releases, and discussions for many repositories in one
+ * aliased query and converts the results into the REST item shape so mapActivity can be reused.
+ * Discussions have no REST listing, so they are always fetched through these helpers.
+ */
+
+import { API_CONFIG } from './config.js';
+import { createHeaders, mapActivity, filterActivitiesByDate, fetchWithRetry } from './github-api.js';
+import { detectStateChanges } from './state-changes.js';
+import { getGitHubEndpoints } from './github-host.js';
+
+const ACTOR_FIELDS = 'author { login avatarUrl }';
+const LABEL_FIELDS = 'labels(first: 20) { nodes { name } }';
+
+const CATEGORY_QUERIES = {
+  prs: `pullRequests(first: ${API_CONFIG.DEFAULT_PAGE_SIZE}, states: OPEN, orderBy: { field: CREATED_AT, direction: DESC }) {
+      nodes { number title url createdAt ${LABEL_FIELDS} ${ACTOR_FIELDS} }
+    }`,
+  issues: `issues(first: ${API_CONFIG.DEFAULT_PAGE_SIZE}, states: OPEN, orderBy: { field: CREATED_AT, direction: DESC }) {
+      nodes { number title url createdAt ${LABEL_FIELDS} ${ACTOR_FIELDS} }
+    }`,
+  releases: `releases(first: ${API_CONFIG.DEFAULT_PAGE_SIZE}, orderBy: { field: CREATED_AT, direction: DESC }) {
+      nodes { databaseId name tagName url publishedAt ${ACTOR_FIELDS} }
+    }`,
+  discussions: `discussions(first: ${API_CONFIG.DEFAULT_PAGE_SIZE}, orderBy: { field: CREATED_AT, direction: DESC }) {
+      nodes { number title url createdAt isAnswered category { name } ${ACTOR_FIELDS} }
+    }`,
+  stateChanges: `updatedPullRequests: pullRequests(first: ${API_CONFIG.DEFAULT_PAGE_SIZE}, orderBy: { field: UPDATED_AT, direction: DESC }) {
+      nodes { number title url state mergedAt closedAt updatedAt ${ACTOR_FIELDS} }
+    }
+    updatedIssues: issues(first: ${API_CONFIG.DEFAULT_PAGE_SIZE}, orderBy: { field: UPDATED_AT, direction: DESC }) {
+      nodes { number title url state closedAt updatedAt ${ACTOR_FIELDS} }
+    }`
+};
+
+function getEnabledCategories(filters = {}) {
+  return Object.keys(CATEGORY_QUERIES).filter(key => filters[key]);
+}
+
+/**
+ * Filters for the categories GraphQL polling does not cover and REST still has to fetch
+ * @param {Object} filters - Enabled activity categories
+ * @returns {Object} Filters with GraphQL-covered categories disabled
+ */
+export function getRestOnlyFilters(filters = {}) {
+  const restFilters = { ...filters };
+  Object.keys(CATEGORY_QUERIES).forEach(key => {
+    restFilters[key] = false;
+  });
+  return restFilters;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Build an aliased query covering every repository in the batch
+ * Owner and name are passed as variables so repository names are never interpolated.
+ * @param {Array<string>} repos - Repository full names ("owner/repo")
+ * @param {Object} filters - Enabled activity categories
+ * @returns {{query: string, variables: Object}} GraphQL request body
+ */
+export function buildRepoActivityQuery(repos, filters) {
+  const categories = getEnabledCategories(filters);
+  const variableDefinitions = [];
+  const selections = [];
+  const variables = {};
+
+  repos.forEach((repo, index) => {
+    const [owner, name] = repo.split('/');
+    variableDefinitions.push(`$owner${index}: String!`, `$name${index}: String!`);
+    variables[`owner${index}`] = owner;
+    variables[`name${index}`] = name;
+    selections.push(`r${index}: repository(owner: $owner${index}, name: $name${index}) {
+    ${categories.map(category => CATEGORY_QUERIES[category]).join('\n    ')}
+  }`);
+  });
+
+  return {
+    query: `query(${variableDefinitions.join(', ')}) {\n  ${selections.join('\n  ')}\n}`,
+    variables
+  };
+}
+
+function toRestActor(author) {
+  return author ? { login: author.login, avatar_url: author.avatarUrl } : null;
+}
+
+/**
+ * Convert a GraphQL node into the REST item shape expected by mapActivity
+ * @param {Object} node - GraphQL node
+ * @param {string} type - Activity type ('pr', 'issue', 'release', 'discussion')
+ * @returns {Object} REST-shaped item
+ */
+export function toRestItem(node, type) {
+  if (type === 'discussion') {
+    return {
+      number: node.number,
+      title: node.title,
+      html_url: node.url,
+      created_at: node.createdAt,
+      category: node.category ? { name: node.category.name } : null,
+      answered: node.isAnswered === true,
+      user: toRestActor(node.author)
+    };
+  }
+
+  if (type === 'release') {
+    return {
+      id: node.databaseId,
+      name: node.name,
+      tag_name: node.tagName,
+      html_url: node.url,
+      published_at: node.publishedAt,
+      author: toRestActor(node.author)
+    };
+  }
+
+  return {
+    number: node.number,
+    title: node.title,
+    html_url: node.url,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt,
+    merged_at: node.mergedAt,
+    // GraphQL reports merged PRs as their own state; REST reports them as closed with merged_at
+    state: node.state ? (node.state === 'OPEN' ? 'open' : 'closed') : undefined,
+    labels: node.labels?.nodes?.filter(Boolean) || [],
+    user: toRestActor(node.author)
+  };
+}
+
+/**
+ * Map one repository's GraphQL result into activities newer than `since`
+ * @param {Object} repoData - Result for a single aliased repository
+ * @param {string} repo - Repository full name
+ * @param {Date} since - Cutoff date
+ * @param {Map<number, Object>} [knownItems] - Known PRs and issues for state change detection
+ * @returns {Array<Object>} Activities
+ */
+export function mapRepoActivityResult(repoData, repo, since, knownItems = null) {
+  const sources = [
+    { connection: repoData?.pullRequests, type: 'pr', dateField: 'created_at' },
+    { connection: repoData?.issues, type: 'issue', dateField: 'created_at' },
+    { connection: repoData?.releases, type: 'release', dateField: 'published_at' },
+    { connection: repoData?.discussions, type: 'discussion', dateField: 'created_at' }
+  ];
+
+  const getNodes = connection => (Array.isArray(connection?.nodes) ? connection.nodes.filter(Boolean) : []);
+
+  const activities = sources.flatMap(({ connection, type, dateField }) => {
+    const items = getNodes(connection).map(node => toRestItem(node, type));
+    return filterActivitiesByDate(items, since, dateField).map(item => mapActivity(item, type, repo));
+  });
+
+  const updatedItems = [
+    ...getNodes(repoData?.updatedPullRequests).map(node => toRestItem(node, 'pr')),
+    ...getNodes(repoData?.updatedIssues).map(node => toRestItem(node, 'issue'))
+  ];
+  const stateChanges = detectStateChanges(knownItems, filterActivitiesByDate(updatedItems, since, 'updated_at'), repo);
+
+  return [...activities, ...stateChanges];
+}
+
+/**
+ * Send a GraphQL request and return its data
+ * @param {{query: string, variables: Object}} body - Query and variables
+ * @param {string} token - GitHub access token
+ * @param {Object} [options]
+ * @param {Function} [options.sleep] - Waits between retries, see fetchWithRetry
+ * @returns {Promise<Object>} Response data
+ */
+export async function executeGraphQL(body, token, { sleep } = {}) {
+  // Only queries are sent, so a retried request can't apply anything twice
+  const response = await fetchWithRetry(getGitHubEndpoints().graphqlUrl, {
+    method: 'POST',
+    headers: {
+      ...createHeaders(token),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  }, { sleep });
+
+  if (!response.ok) {
+    throw new Error(`GraphQL request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const payload = await response.json();
+
+  if (!payload?.data) {
+    const message = payload?.errors?.[0]?.message || 'Empty GraphQL response';
+    throw new Error(`GraphQL request failed: ${message}`);
+  }
+
+  return payload.data;
+}
+
+async function fetchBatch(batch, token, filters) {
+  return executeGraphQL(buildRepoActivityQuery(batch.map(({ repo }) => repo), filters), token);
+}
+
+/**
+ * Fetch activity for many repositories with batched GraphQL queries
+ * Repositories that could not be resolved (request failure or a null alias) are returned
+ * in `failedRepos` so callers can fall back to the REST poller for them, with the reason in `repoErrors`.
+ * @param {Array<{repo: string, since: Date, knownItems?: Map}>} repoRequests - Repositories with their cutoff dates
+ * @param {string} token - GitHub access token
+ * @param {Object} filters - Enabled activity categories
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Repositories per query
+ * @returns {Promise<{activities: Array<Object>, failedRepos: Array<string>, repoErrors: Map<string, Error>}>}
+ */
+export async function fetchRepoActivityBatch(
+  repoRequests,
+  token,
+  filters,
+  { batchSize = API_CONFIG.GRAPHQL_BATCH_SIZE } = {}
+) {
+  const activities = [];
+  const failedRepos = [];
+  const repoErrors = new Map();
+
+  if (!Array.isArray(repoRequests) || repoRequests.length === 0 || getEnabledCategories(filters).length === 0) {
+    return { activities, failedRepos, repoErrors };
+  }
+
+  for (const batch of chunk(repoRequests, batchSize)) {
+    let data;
+    try {
+      data = await fetchBatch(batch, token, filters);
+    } catch (error) {
+      console.error('[DevWatch] GraphQL batch failed:', error.message);
+      batch.forEach(({ repo }) => {
+        failedRepos.push(repo);
+        repoErrors.set(repo, error);
+      });
+      continue;
+    }
+
+    batch.forEach(({ repo, since, knownItems }, index) => {
+      const repoData = data[`r${index}`];
+
+      if (!repoData) {
+        failedRepos.push(repo);
+        repoErrors.set(repo, new Error(`Repository ${repo} not found or not accessible`));
+        return;
+      }
+
+      activities.push(...mapRepoActivityResult(repoData, repo, since, knownItems));
+    });
+  }
+
+  return { activities, failedRepos, repoErrors };
+}
@@ -0,0 +1,76 @@
+/**
+ * Per-repository label filters.
+ * A watched repository can list labels to include and labels to exclude. Pull requests and
+ * issues are kept only when they carry at least one included label (if any are listed) and
+ * none of the excluded ones. Labels are compared case-insensitively, like GitHub does.
+ */
+
+const MAX_LABELS_PER_LIST = 20;
+
+/**
+ * Normalize a label list from storage or a comma-separated input
+ * Labels can contain spaces ("good first issue"), so only commas separate them.
+ * @param {Array<string>|string} labels - Label names
+ * @returns {Array<string>} Trimmed labels without case-insensitive duplicates
+ */
+export function normalizeLabelList(labels) {
+  const list = Array.isArray(labels) ? labels : String(labels || '').split(',');
+  const seen = new Set();
+
+  return list
+    .map(label => (typeof label === 'string' ? label.trim() : ''))
+    .filter(label => {
+      const key = label.toLowerCase();
+      if (!label || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_LABELS_PER_LIST);
+}
+
+/**
+ * Index the label rules of the watched repositories that have any
+ * @param {Array<Object|string>} watchedRepos - Watched repository records
+ * @returns {Map<string, {include: Set<string>, exclude: Set<string>}>} Lowercased rules per repo full name
+ */
+export function buildLabelFilters(watchedRepos = []) {
+  const filters = new Map();
+
+  (Array.isArray(watchedRepos) ? watchedRepos : []).forEach(repo => {
+    const include = normalizeLabelList(repo?.includeLabels);
+    const exclude = normalizeLabelList(repo?.excludeLabels);
+    if (!repo?.fullName || (include.length === 0 && exclude.length === 0)) {
+      return;
+    }
+
+    filters.set(repo.fullName, {
+      include: new Set(include.map(label => label.toLowerCase())),
+      exclude: new Set(exclude.map(label => label.toLowerCase()))
+    });
+  });
+
+  return filters;
+}
+
+/**
+ * Check an activity against its repository's label rules
+ * Activities without captured labels (releases, commits, state changes) always pass.
+ * @param {Object} activity - Feed activity
+ * @param {Map<string, {include: Set<string>, exclude: Set<string>}>} labelFilters - Rules from buildLabelFilters
+ * @returns {boolean} Whether the activity should be kept
+ */
+export function matchesLabelFilters(activity, labelFilters) {
+  const rules = labelFilters?.get(activity?.repo);
+  if (!rules || !Array.isArray(activity.labels)) {
+    return true;
+  }
+
+  const labels = activity.labels.map(label => String(label).toLowerCase());
+  if (labels.some(label => rules.exclude.has(label))) {
+    return false;
+  }
+
+  return rules.include.size === 0 || labels.some(label => rules.include.has(label));
+}
@@ -0,0 +1,161 @@
+/**
+ * "My open PRs" status tracker.
+ * Finds open pull requests authored by the signed-in user anywhere on GitHub with one GraphQL
+ * search, records their combined check status, review decision, and mergeability, and turns
+ * status changes between polls ("changes requested", "checks failed") into notifications.
+ */
+
+import { executeGraphQL } from './graphql-api.js';
+import { getLocalItem, setLocalItem } from './storage-helpers.js';
+
+export const MY_PRS_KEY = 'myPullRequests';
+export const MY_PR_STATUS_TYPE = 'mypr';
+
+const MY_PRS_QUERY = `query {
+  search(query: "author:@me is:open is:pr archived:false sort:updated-desc", type: ISSUE, first: 50) {
+    nodes {
+      ... on PullRequest {
+        number
+        title
+        url
+        updatedAt
+        isDraft
+        reviewDecision
+        mergeable
+        repository { nameWithOwner }
+        author { login avatarUrl }
+        commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }
+      }
+    }
+  }
+}`;
+
+const CHECK_STATES = {
+  SUCCESS: 'passing',
+  FAILURE: 'failing',
+  ERROR: 'failing',
+  PENDING: 'pending',
+  EXPECTED: 'pending'
+};
+
+const REVIEW_DECISIONS = {
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested',
+  REVIEW_REQUIRED: 'review_required'
+};
+
+const MERGEABLE_STATES = {
+  MERGEABLE: 'mergeable',
+  CONFLICTING: 'conflicting'
+};
+
+// Transitions worth a notification, checked in this order
+const STATUS_ALERTS = [
+  { field: 'checks', value: 'failing', label: 'checks failed' },
+  { field: 'review', value: 'changes_requested', label: 'changes requested' },
+  { field: 'review', value: 'approved', label: 'approved' },
+  { field: 'mergeable', value: 'conflicting', label: 'has merge conflicts' }
+];
+
+/**
+ * Map a GraphQL pull request node into a tracked pull request
+ * @param {Object} node - PullRequest search node
+ * @returns {Object} Tracked pull request with normalized status fields
+ */
+export function mapMyPullRequest(node) {
+  const repo = node.repository?.nameWithOwner || '';
+  const rollup = node.commits?.nodes?.[0]?.commit?.statusCheckRollup;
+
+  return {
+    id: `${MY_PR_STATUS_TYPE}-${repo}-${node.number}`,
+    repo,
+    number: node.number,
+    title: node.title || 'Untitled',
+    url: node.url || '',
+    updatedAt: node.updatedAt,
+    author: node.author?.login || 'Unknown',
+    authorAvatar: node.author?.avatarUrl || '',
+    isDraft: node.isDraft === true,
+    checks: CHECK_STATES[rollup?.state] || 'none',
+    review: REVIEW_DECISIONS[node.reviewDecision] || 'none',
+    mergeable: MERGEABLE_STATES[node.mergeable] || 'unknown'
+  };
+}
+
+/**
+ * Fetch the user's open pull requests with their current status
+ * @param {string} token - GitHub access token
+ * @returns {Promise<Array<Object>>} Tracked pull requests, most recently updated first
+ */
+export async function fetchMyPullRequests(token) {
+  const data = await executeGraphQL({ query: MY_PRS_QUERY, variables: {} }, token);
+  const nodes = Array.isArray(data.search?.nodes) ? data.search.nodes : [];
+
+  // Search can return empty nodes for results the token can't read
+  return nodes.filter(node => node?.repository).map(node => mapMyPullRequest(node));
+}
+
+/**
+ * Build notification activities for status changes since the previous poll
+ * Pull requests seen for the first time have nothing to compare against, so they never alert.
+ * @param {Array<Object>} previous - Tracked pull requests from the previous poll
+ * @param {Array<Object>} current - Tracked pull requests from this poll
+ * @param {Date} [now] - Time of the poll
+ * @returns {Array<Object>} Status change activities
+ */
+export function detectStatusChanges(previous = [], current = [], now = new Date()) {
+  const previousById = new Map(previous.map(pr => [pr.id, pr]));
+  const changes = [];
+
+  current.forEach(pr => {
+    const before = previousById.get(pr.id);
+    if (!before) {
+      return;
+    }
+
+    STATUS_ALERTS
+      .filter(({ field, value }) => pr[field] === value && before[field] !== value)
+      .forEach(({ field, value, label }) => {
+        changes.push({
+          id: `${pr.id}-${field}-${value}`,
+          type: MY_PR_STATUS_TYPE,
+          repo: pr.repo,
+          title: `PR #${pr.number} ${label}: ${pr.title}`,
+          description: label,
+          url: pr.url,
+          createdAt: now.toISOString(),
+          author: pr.author,
+          authorAvatar: pr.authorAvatar,
+          number: pr.number
+        });
+      });
+  });
+
+  return changes;
+}
+
+/**
+ * Load the pull requests stored by the last poll
+ * @returns {Promise<Array<Object>>} Tracked pull requests
+ */
+export async function loadMyPullRequests() {
+  try {
+    const stored = await getLocalItem(MY_PRS_KEY, []);
+    return Array.isArray(stored) ? stored : [];
+  } catch (_error) {
+    return [];
+  }
+}
+
+/**
+ * Persist the tracked pull requests for the popup and the next poll
+ * @param {Array<Object>} pullRequests - Tracked pull requests
+ * @returns {Promise<void>}
+ */
+export async function saveMyPullRequests(pullRequests) {
+  try {
+    await setLocalItem(MY_PRS_KEY, pullRequests);
+  } catch (error) {
+    console.error('[DevWatch] Failed to store open pull requests:', error);
+  }
+}
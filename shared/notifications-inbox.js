@@ -0,0 +1,185 @@
+/**
+ * GitHub notifications inbox source.
+ * Polls `/notifications` for unread threads (honouring `X-Poll-Interval` and `Last-Modified`),
+ * turns them into feed activities that carry the notification reason, and marks threads
+ * read upstream when they are read in DevWatch.
+ */
+
+import { createHeaders, handleApiResponse, fetchWithRetry } from './github-api.js';
+import { getApiBase, getWebBase } from './github-host.js';
+import { getLocalItem, setLocalItem } from './storage-helpers.js';
+import { getConditionalHeaders, recordResponseValidators, touchRequestValidators, isNotModified } from './request-cache.js';
+
+export const INBOX_TYPE = 'inbox';
+export const INBOX_STATE_KEY = 'inboxState';
+
+// GitHub's documented default when the response carries no X-Poll-Interval header
+const DEFAULT_POLL_INTERVAL_SECONDS = 60;
+
+/**
+ * Notifications endpoint on the configured GitHub host
+ * @returns {string} Inbox URL
+ */
+export function getInboxUrl() {
+  return `${getApiBase()}/notifications?per_page=50`;
+}
+
+const REASON_LABELS = {
+  approval_requested: 'Approval requested',
+  assign: 'Assigned',
+  author: 'Author',
+  ci_activity: 'CI activity',
+  comment: 'Comment',
+  invitation: 'Invitation',
+  manual: 'Subscribed',
+  member_feature_requested: 'Feature requested',
+  mention: 'Mentioned',
+  review_requested: 'Review requested',
+  security_alert: 'Security alert',
+  security_advisory_credit: 'Advisory credit',
+  state_change: 'State change',
+  subscribed: 'Watching',
+  team_mention: 'Team mentioned'
+};
+
+const SUBJECT_PATHS = {
+  PullRequest: 'pull',
+  Issue: 'issues',
+  Commit: 'commit'
+};
+
+/**
+ * Load the stored inbox polling state
+ * @returns {Promise<{nextPollAt: number|null}>} Inbox polling state
+ */
+export async function loadInboxState() {
+  try {
+    const stored = await getLocalItem(INBOX_STATE_KEY, {});
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+/**
+ * Persist the inbox polling state
+ * @param {Object} state - Inbox polling state
+ * @returns {Promise<void>}
+ */
+export async function saveInboxState(state) {
+  try {
+    await setLocalItem(INBOX_STATE_KEY, state);
+  } catch (error) {
+    console.error('[DevWatch] Failed to store inbox state:', error);
+  }
+}
+
+/**
+ * Check whether GitHub's requested poll interval has elapsed
+ * @param {Object} state - Inbox polling state
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True when the inbox may be polled again
+ */
+export function isInboxPollDue(state, now = Date.now()) {
+  return !state?.nextPollAt || now >= state.nextPollAt;
+}
+
+/**
+ * Human-readable label for a notification reason
+ * @param {string} reason - Reason from the notifications API
+ * @returns {string} Label
+ */
+export function getReasonLabel(reason) {
+  return REASON_LABELS[reason] || (reason ? reason.replace(/_/g, ' ') : 'Notification');
+}
+
+/**
+ * Convert a thread subject API URL into the matching github.com page
+ * @param {Object} subject - Thread subject
+ * @param {Object} repository - Thread repository
+ * @returns {string} Web URL for the subject, or the repository page when it has none
+ */
+export function getSubjectHtmlUrl(subject, repository) {
+  const repoUrl = repository?.html_url || `${getWebBase()}/${repository?.full_name || ''}`;
+  const path = SUBJECT_PATHS[subject?.type];
+  const id = subject?.url?.split('/').pop();
+
+  if (!path || !id) {
+    return repoUrl;
+  }
+
+  return `${repoUrl}/${path}/${id}`;
+}
+
+/**
+ * Map a notification thread into a feed activity
+ * @param {Object} thread - Thread from the notifications API
+ * @returns {Object} Activity
+ */
+export function mapInboxThread(thread) {
+  const repo = thread.repository?.full_name || '';
+
+  return {
+    // Each update to a thread is a new inbox entry, so the id includes the update time
+    id: `${INBOX_TYPE}-${thread.id}-${thread.updated_at}`,
+    type: INBOX_TYPE,
+    repo,
+    title: thread.subject?.title || 'Untitled',
+    description: getReasonLabel(thread.reason),
+    url: getSubjectHtmlUrl(thread.subject, thread.repository),
+    createdAt: thread.updated_at || new Date().toISOString(),
+    author: thread.repository?.owner?.login || '',
+    authorAvatar: thread.repository?.owner?.avatar_url || '',
+    reason: thread.reason || '',
+    subjectType: thread.subject?.type || '',
+    threadId: String(thread.id)
+  };
+}
+
+/**
+ * Fetch unread inbox threads
+ * Responds with no threads when GitHub reports the inbox unchanged (304).
+ * @param {string} token - GitHub access token
+ * @param {Object} [options]
+ * @param {Object|null} [options.validators] - Conditional request validator map (mutated in place)
+ * @param {number} [options.now] - Current time in milliseconds
+ * @param {Function} [options.sleep] - Waits between retries, see fetchWithRetry
+ * @returns {Promise<{threads: Array<Object>, state: {nextPollAt: number}}>}
+ */
+export async function fetchInboxThreads(token, { validators = null, now = Date.now(), sleep } = {}) {
+  const inboxUrl = getInboxUrl();
+  const response = await fetchWithRetry(inboxUrl, {
+    headers: { ...createHeaders(token), ...getConditionalHeaders(validators, inboxUrl) }
+  }, { sleep });
+
+  const pollInterval = parseInt(response.headers?.get('X-Poll-Interval'), 10);
+  const state = {
+    nextPollAt: now + (Number.isFinite(pollInterval) ? pollInterval : DEFAULT_POLL_INTERVAL_SECONDS) * 1000
+  };
+
+  if (isNotModified(response)) {
+    touchRequestValidators(validators, inboxUrl, now);
+    return { threads: [], state };
+  }
+
+  handleApiResponse(response);
+  recordResponseValidators(validators, inboxUrl, response);
+
+  const threads = await response.json();
+  return { threads: Array.isArray(threads) ? threads.filter(thread => thread?.unread !== false) : [], state };
+}
+
+/**
+ * Mark a notification thread as read on GitHub
+ * @param {string} threadId - Thread id
+ * @param {string} token - GitHub access token
+ * @returns {Promise<void>}
+ */
+export async function markInboxThreadRead(threadId, token) {
+  const response = await fetch(`${getApiBase()}/notifications/threads/${encodeURIComponent(threadId)}`, {
+    method: 'PATCH',
+    headers: createHeaders(token)
+  });
+
+  handleApiResponse(response);
+}
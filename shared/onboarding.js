@@ -5,6 +5,7 @@
 
 import { getAccessToken } from './storage-helpers.js';
 import { createHeaders } from './github-api.js';
+import { getApiBase } from './github-host.js';
 
 export class OnboardingManager {
     static STORAGE_KEY = 'onboarding_state';
@@ -132,7 +133,7 @@ export class OnboardingManager {
                 ? createHeaders(storedToken)
                 : { 'Accept': 'application/vnd.github.v3+json' };
 
-            const apiUrl = 'https://api.github.com/search/repositories?q=stars:1000..50000&sort=stars&order=desc&per_page=20';
+            const apiUrl = `${getApiBase()}/search/repositories?q=stars:1000..50000&sort=stars&order=desc&per_page=20`;
 
             let response;
             let retryCount = 0;
@@ -0,0 +1,244 @@
+/**
+ * Opt-in "remember me" sign-in.
+ * GitHub sessions normally live in chrome.storage.session and are gone after a browser restart.
+ * When remembering is on, the connected accounts are also saved to local storage encrypted with
+ * AES-GCM under a key derived from the user's passphrase. After a restart DevWatch is locked until
+ * the passphrase is entered in the popup, and it locks again after a period of inactivity.
+ */
+
+import {
+  PBKDF2_ITERATIONS,
+  ENCRYPTED_PAYLOAD_VERSION,
+  createSalt,
+  decryptJson,
+  deriveKeyFromPassphrase,
+  encryptJson,
+  exportKeyBytes,
+  importKeyBytes
+} from './auth-crypto.js';
+import {
+  LEGACY_AUTH_MIGRATION_KEY,
+  PERSISTENT_AUTH_KEY_CACHE_KEY,
+  PERSISTENT_AUTH_STORAGE_KEY,
+  addAuthSession,
+  getAuthSession,
+  getAuthSessions,
+  getLocalItems,
+  lockAuthSession,
+  setAuthSession,
+  setLocalItem
+} from './storage-helpers.js';
+
+export const AUTO_LOCK_ALARM = 'devwatch-auto-lock';
+export const DEFAULT_AUTO_LOCK_MINUTES = 60;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+function createPersistentAuthError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getSessionValue(key) {
+  return new Promise(resolve => {
+    chrome.storage.session.get([key], result => resolve(result?.[key] ?? null));
+  });
+}
+
+function setSessionValue(key, value) {
+  return new Promise(resolve => {
+    chrome.storage.session.set({ [key]: value }, resolve);
+  });
+}
+
+function normalizeAutoLockMinutes(minutes) {
+  const value = Number(minutes);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+async function getStoredRecord() {
+  const { [PERSISTENT_AUTH_STORAGE_KEY]: record } = await getLocalItems([PERSISTENT_AUTH_STORAGE_KEY]);
+  return record && Array.isArray(record.salt) && Array.isArray(record.data) ? record : null;
+}
+
+async function writeRecord(key, { salt, iterations, autoLockMinutes }) {
+  const sessions = await getAuthSessions();
+  const payload = await encryptJson({ sessions }, key);
+
+  await setLocalItem(PERSISTENT_AUTH_STORAGE_KEY, {
+    version: ENCRYPTED_PAYLOAD_VERSION,
+    iterations,
+    salt,
+    ...payload,
+    autoLockMinutes,
+    savedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Describe the remembered sign-in for the UI
+ * @returns {Promise<{enabled: boolean, locked: boolean, autoLockMinutes: number, migrationPending: boolean}>}
+ */
+export async function getPersistentAuthState() {
+  const record = await getStoredRecord();
+  const { [LEGACY_AUTH_MIGRATION_KEY]: migrationPending } = await getLocalItems([LEGACY_AUTH_MIGRATION_KEY]);
+  const session = record ? await getAuthSession() : null;
+
+  return {
+    enabled: Boolean(record),
+    locked: Boolean(record) && !session,
+    autoLockMinutes: normalizeAutoLockMinutes(record?.autoLockMinutes),
+    migrationPending: Boolean(migrationPending)
+  };
+}
+
+/**
+ * Remember the connected accounts across browser restarts
+ * @param {string} passphrase - Passphrase that unlocks the saved sign-in
+ * @param {Object} [options]
+ * @param {number} [options.autoLockMinutes] - Minutes of inactivity before locking, 0 for never
+ * @returns {Promise<void>}
+ */
+export async function enablePersistentAuth(passphrase, { autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES } = {}) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw createPersistentAuthError(
+      `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`,
+      'weak_passphrase'
+    );
+  }
+
+  const sessions = await getAuthSessions();
+  if (sessions.length === 0) {
+    throw createPersistentAuthError('Connect GitHub before turning on remembered sign-in.', 'not_connected');
+  }
+
+  const salt = createSalt();
+  const key = await deriveKeyFromPassphrase(passphrase, salt, PBKDF2_ITERATIONS);
+
+  await writeRecord(key, { salt, iterations: PBKDF2_ITERATIONS, autoLockMinutes: normalizeAutoLockMinutes(autoLockMinutes) });
+  await setSessionValue(PERSISTENT_AUTH_KEY_CACHE_KEY, { key: await exportKeyBytes(key), salt, iterations: PBKDF2_ITERATIONS });
+  await new Promise(resolve => {
+    chrome.storage.local.remove([LEGACY_AUTH_MIGRATION_KEY], resolve);
+  });
+  await recordAuthActivity();
+}
+
+/**
+ * Stop remembering the sign-in; the current browser session stays signed in
+ * @returns {Promise<void>}
+ */
+export async function disablePersistentAuth() {
+  await new Promise(resolve => {
+    chrome.storage.local.remove([PERSISTENT_AUTH_STORAGE_KEY, LEGACY_AUTH_MIGRATION_KEY], resolve);
+  });
+  await new Promise(resolve => {
+    chrome.storage.session.remove([PERSISTENT_AUTH_KEY_CACHE_KEY], resolve);
+  });
+  await chrome.alarms?.clear(AUTO_LOCK_ALARM);
+}
+
+/**
+ * Re-save the remembered sign-in after accounts were connected or disconnected
+ * Does nothing unless remembering is on and DevWatch is unlocked.
+ * @returns {Promise<boolean>} True when the saved sign-in was updated
+ */
+export async function savePersistentAuth() {
+  const record = await getStoredRecord();
+  const cachedKey = await getSessionValue(PERSISTENT_AUTH_KEY_CACHE_KEY);
+
+  if (!record || !Array.isArray(cachedKey?.key)) {
+    return false;
+  }
+
+  const sessions = await getAuthSessions();
+  if (sessions.length === 0) {
+    return false;
+  }
+
+  await writeRecord(await importKeyBytes(cachedKey.key), {
+    salt: record.salt,
+    iterations: record.iterations,
+    autoLockMinutes: record.autoLockMinutes
+  });
+  return true;
+}
+
+/**
+ * Change how long DevWatch stays unlocked without activity
+ * @param {number} minutes - Minutes of inactivity before locking, 0 for never
+ * @returns {Promise<void>}
+ */
+export async function setAutoLockMinutes(minutes) {
+  const record = await getStoredRecord();
+  if (!record) {
+    return;
+  }
+
+  await setLocalItem(PERSISTENT_AUTH_STORAGE_KEY, { ...record, autoLockMinutes: normalizeAutoLockMinutes(minutes) });
+  await recordAuthActivity();
+}
+
+/**
+ * Unlock the remembered sign-in with its passphrase
+ * @param {string} passphrase - Passphrase chosen when remembering was turned on
+ * @returns {Promise<Array<Object>>} Restored auth sessions, default first
+ * @throws {Error} With code "wrong_passphrase" or "not_enabled"
+ */
+export async function unlockPersistentAuth(passphrase) {
+  const record = await getStoredRecord();
+  if (!record) {
+    throw createPersistentAuthError('There is no remembered sign-in to unlock.', 'not_enabled');
+  }
+
+  const iterations = record.iterations || PBKDF2_ITERATIONS;
+  const key = await deriveKeyFromPassphrase(passphrase || '', record.salt, iterations);
+  const { sessions = [] } = await decryptJson(record, key);
+  const [defaultSession, ...additional] = sessions;
+
+  if (!defaultSession?.accessToken) {
+    throw createPersistentAuthError('The remembered sign-in is empty. Connect GitHub again.', 'not_enabled');
+  }
+
+  await setAuthSession(defaultSession);
+  for (const session of additional) {
+    await addAuthSession(session);
+  }
+
+  await setSessionValue(PERSISTENT_AUTH_KEY_CACHE_KEY, { key: await exportKeyBytes(key), salt: record.salt, iterations });
+  await recordAuthActivity();
+  return sessions;
+}
+
+/**
+ * Lock DevWatch: sign out of this browser session but keep the remembered sign-in
+ * @returns {Promise<boolean>} True when there was a remembered sign-in to lock
+ */
+export async function lockPersistentAuth() {
+  if (!await getStoredRecord()) {
+    return false;
+  }
+
+  await lockAuthSession();
+  return true;
+}
+
+/**
+ * Restart the inactivity timer; called whenever the popup or settings page is opened
+ * @returns {Promise<void>}
+ */
+export async function recordAuthActivity() {
+  const record = await getStoredRecord();
+
+  if (!record || !chrome.alarms) {
+    return;
+  }
+
+  const autoLockMinutes = normalizeAutoLockMinutes(record.autoLockMinutes);
+  if (autoLockMinutes === 0) {
+    await chrome.alarms.clear(AUTO_LOCK_ALARM);
+    return;
+  }
+
+  // Creating an alarm with the same name replaces it, which pushes the lock back
+  await chrome.alarms.create(AUTO_LOCK_ALARM, { delayInMinutes: autoLockMinutes });
+}
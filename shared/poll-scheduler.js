@@ -0,0 +1,78 @@
+/**
+ * Adaptive per-repository polling schedule.
+ * The alarm still fires at the user's check interval, but each repo only gets fetched when
+ * its own next-check time is due. Pinned repos and repos with recent activity stay on every
+ * tick; repos that have been quiet for days back off to a multiple of the base interval.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a repo has been quiet -> how many alarm intervals to wait between checks
+const QUIET_BACKOFF = [
+  { quietFor: 30 * DAY_MS, multiplier: 8 },
+  { quietFor: 7 * DAY_MS, multiplier: 4 },
+  { quietFor: DAY_MS, multiplier: 2 }
+];
+
+function toTime(value) {
+  if (!value) {
+    return null;
+  }
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Work out how many base intervals a repo should wait before its next check
+ * @param {Object|undefined} cursor - Repo cursor ({ highWaterMark })
+ * @param {Object} options
+ * @param {boolean} [options.pinned] - Pinned repos are always checked on every tick
+ * @param {string} [options.addedAt] - When the repo was added, used when it has no activity yet
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {number} Interval multiplier (1 = every tick)
+ */
+export function getPollMultiplier(cursor, { pinned = false, addedAt = null, now = Date.now() } = {}) {
+  if (pinned) {
+    return 1;
+  }
+
+  const lastActivity = toTime(cursor?.highWaterMark) ?? toTime(addedAt);
+  if (lastActivity === null) {
+    return 1;
+  }
+
+  const quietFor = now - lastActivity;
+  return QUIET_BACKOFF.find(step => quietFor >= step.quietFor)?.multiplier ?? 1;
+}
+
+/**
+ * Compute when a repo should next be checked
+ * @param {Object|undefined} cursor - Repo cursor after this check
+ * @param {number} baseMinutes - The user's check interval in minutes
+ * @param {Object} [options] - Same options as getPollMultiplier
+ * @returns {string} ISO timestamp of the next check
+ */
+export function scheduleNextCheck(cursor, baseMinutes, options = {}) {
+  const now = options.now ?? Date.now();
+  const multiplier = getPollMultiplier(cursor, { ...options, now });
+  return new Date(now + multiplier * baseMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Check whether a repo is due on this alarm tick
+ * Alarms never land exactly on a repo's next-check time, so anything due within half an
+ * interval counts as due rather than waiting a whole extra tick.
+ * @param {Object|undefined} cursor - Repo cursor ({ nextCheckAt })
+ * @param {number} baseMinutes - The user's check interval in minutes
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True when the repo should be fetched now
+ */
+export function isRepoDue(cursor, baseMinutes, now = Date.now()) {
+  const nextCheckAt = toTime(cursor?.nextCheckAt);
+  if (nextCheckAt === null) {
+    return true;
+  }
+
+  return now + (baseMinutes * 60 * 1000) / 2 >= nextCheckAt;
+}
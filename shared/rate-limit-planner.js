@@ -0,0 +1,201 @@
+/**
+ * Rate-limit budget planner.
+ * Estimates how many REST requests each due repository will cost, compares the total with the
+ * stored rate limit (keeping a reserve, see getRateLimitReserve), and checks repos in priority order:
+ * pinned repos first, then the most recently active. Repos that don't fit wait for the next tick.
+ * Each account on each host has its own rate limit, so limits are stored and budgeted per account.
+ */
+
+import { RATE_LIMIT_CONFIG } from './config.js';
+import { getLocalItem, setLocalItem } from './storage-helpers.js';
+
+export const DEFERRED_REPOS_KEY = 'deferredRepos';
+export const RATE_LIMITS_KEY = 'rateLimits';
+
+// Requests of several repos finish concurrently, so rate limit writes are applied one at a time
+let pendingRateLimitWrite = Promise.resolve();
+
+// REST requests per category, assuming one page each; security checks Dependabot and advisories
+const CATEGORY_REQUEST_COSTS = {
+  prs: 1,
+  issues: 1,
+  releases: 1,
+  security: 2
+};
+
+/**
+ * Estimate the REST requests one repo check will make
+ * @param {Object} filters - Categories fetched for the repo
+ * @param {Object} [options]
+ * @param {string|null} [options.defaultBranch] - Workflow and push checks need a known default branch
+ * @param {Map|null} [options.knownItems] - State changes are only checked when the feed has items to compare
+ * @param {Set<string>} [options.skippedFeatures] - Security endpoints skipped as unavailable, one request each
+ * @returns {number} Estimated request count
+ */
+export function estimateRepoCost(filters = {}, { defaultBranch = null, knownItems = null, skippedFeatures = new Set() } = {}) {
+  let cost = Object.entries(CATEGORY_REQUEST_COSTS)
+    .reduce((total, [key, requests]) => total + (filters[key] ? requests : 0), 0);
+
+  if (defaultBranch) {
+    cost += (filters.workflows ? 1 : 0) + (filters.pushes ? 1 : 0);
+  }
+
+  if (filters.stateChanges && knownItems?.size > 0) {
+    cost += 1;
+  }
+
+  if (filters.security) {
+    cost -= skippedFeatures.size;
+  }
+
+  return cost;
+}
+
+/**
+ * Requests to keep in reserve for a rate limit
+ * Small limits (60 an hour without a token) keep a tenth in reserve, so the buffer doesn't swallow all of it.
+ * @param {number} limit - Requests allowed per window
+ * @param {number} [buffer] - Reserve for large limits
+ * @returns {number} Requests to keep in reserve
+ */
+export function getRateLimitReserve(limit, buffer = RATE_LIMIT_CONFIG.RATE_LIMIT_BUFFER) {
+  return Number.isFinite(limit) && limit > 0 ? Math.min(buffer, Math.floor(limit * 0.1)) : buffer;
+}
+
+/**
+ * Requests that can be spent before dipping into the reserve
+ * @param {Object|null} rateLimit - Stored rate limit ({ remaining, limit, reset })
+ * @param {Object} [options]
+ * @param {number} [options.buffer] - Requests to keep in reserve for large limits
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {number} Spendable requests, or Infinity when the limit is unknown or has reset
+ */
+export function getRequestBudget(rateLimit, { buffer = RATE_LIMIT_CONFIG.RATE_LIMIT_BUFFER, now = Date.now() } = {}) {
+  if (!rateLimit || !Number.isFinite(rateLimit.remaining)) {
+    return Infinity;
+  }
+
+  if (rateLimit.reset && now >= rateLimit.reset) {
+    return Infinity;
+  }
+
+  return Math.max(0, rateLimit.remaining - getRateLimitReserve(rateLimit.limit, buffer));
+}
+
+/**
+ * Key of the rate limit shared by an account's requests
+ * @param {string} host - GitHub host
+ * @param {string|null} [account] - Account login; null when the account is unknown (e.g. public-only mode)
+ * @returns {string} e.g. "octocat@github.com", or the host alone without an account
+ */
+export function getRateLimitKey(host, account = null) {
+  return account ? `${account}@${host}` : host;
+}
+
+/**
+ * Load the stored rate limits
+ * @returns {Promise<Object>} Map of rate limit key to { remaining, limit, reset }
+ */
+export async function loadRateLimits() {
+  try {
+    const stored = await getLocalItem(RATE_LIMITS_KEY, {});
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+/**
+ * Store the rate limit reported for one account, keeping the other accounts' limits
+ * @param {string} key - Rate limit key (see getRateLimitKey)
+ * @param {Object} rateLimit - Rate limit ({ remaining, limit, reset })
+ * @returns {Promise<void>}
+ */
+export function saveRateLimit(key, rateLimit) {
+  pendingRateLimitWrite = pendingRateLimitWrite.then(async () => {
+    try {
+      const rateLimits = await loadRateLimits();
+      await setLocalItem(RATE_LIMITS_KEY, { ...rateLimits, [key]: rateLimit });
+    } catch (_error) {
+      // A missed update only makes the next budget less accurate
+    }
+  });
+
+  return pendingRateLimitWrite;
+}
+
+/**
+ * The lowest rate limit that has not reset yet, for the low-limit warning
+ * @param {Object|null} rateLimits - Stored rate limits
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object|null} Rate limit ({ remaining, limit, reset }) or null when none applies
+ */
+export function getLowestRateLimit(rateLimits, now = Date.now()) {
+  return Object.values(rateLimits || {})
+    .filter(rateLimit => Number.isFinite(rateLimit?.remaining) && !(rateLimit.reset && now >= rateLimit.reset))
+    .reduce((lowest, rateLimit) => (!lowest || rateLimit.remaining < lowest.remaining ? rateLimit : lowest), null);
+}
+
+function getLastActivityTime(cursor) {
+  const time = cursor?.highWaterMark ? new Date(cursor.highWaterMark).getTime() : 0;
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Order repo requests by priority: pinned first, then most recent activity
+ * @param {Array<{repo: string}>} requests - Repo requests
+ * @param {Object} [options]
+ * @param {Set<string>} [options.pinnedRepos] - Pinned repo names
+ * @param {Object} [options.cursors] - Repo cursors keyed by repo name
+ * @returns {Array<Object>} Requests in priority order
+ */
+export function prioritizeRepoRequests(requests, { pinnedRepos = new Set(), cursors = {} } = {}) {
+  return [...requests].sort((a, b) => {
+    const pinnedDiff = Number(pinnedRepos.has(b.repo)) - Number(pinnedRepos.has(a.repo));
+    if (pinnedDiff !== 0) {
+      return pinnedDiff;
+    }
+
+    return getLastActivityTime(cursors[b.repo]) - getLastActivityTime(cursors[a.repo]);
+  });
+}
+
+/**
+ * Split repo requests into the ones that fit this tick's budget and the ones to defer
+ * Once a repo doesn't fit, every lower-priority repo on the same rate limit waits too, so a
+ * cheap dormant repo never jumps ahead of an expensive pinned one. Repos on other accounts'
+ * rate limits are planned against their own budget.
+ * @param {Array<{repo: string, rateLimitKey?: string}>} requests - Repo requests due this tick
+ * @param {Object} options
+ * @param {number|Function} options.budget - Spendable requests (see getRequestBudget), or a function
+ *   returning the budget of a rate limit key
+ * @param {Function} options.costOf - Returns the estimated cost of a request
+ * @param {Set<string>} [options.pinnedRepos] - Pinned repo names
+ * @param {Object} [options.cursors] - Repo cursors keyed by repo name
+ * @returns {{scheduled: Array<Object>, deferred: Array<string>, estimatedCost: number}}
+ */
+export function planRepoChecks(requests, { budget, costOf, pinnedRepos = new Set(), cursors = {} }) {
+  const budgetOf = typeof budget === 'function' ? budget : () => budget;
+  const scheduled = [];
+  const deferred = [];
+  const spent = new Map();
+  const exhausted = new Set();
+  let estimatedCost = 0;
+
+  prioritizeRepoRequests(requests, { pinnedRepos, cursors }).forEach(request => {
+    const key = request.rateLimitKey ?? null;
+    const cost = costOf(request);
+    const keySpent = spent.get(key) || 0;
+
+    if (!exhausted.has(key) && keySpent + cost <= budgetOf(key)) {
+      scheduled.push(request);
+      spent.set(key, keySpent + cost);
+      estimatedCost += cost;
+    } else {
+      exhausted.add(key);
+      deferred.push(request.repo);
+    }
+  });
+
+  return { scheduled, deferred, estimatedCost };
+}
@@ -0,0 +1,94 @@
+/**
+ * Per-repository polling cursors.
+ * Each watched repo keeps the time activity was last fetched successfully and the newest
+ * activity timestamp seen (high-water mark), so a repo that fails resumes from its own
+ * cursor instead of being skipped forward by a global lastCheck.
+ */
+
+import { getLocalItem, setLocalItem } from './storage-helpers.js';
+
+export const REPO_CURSORS_KEY = 'repoCursors';
+
+function toTime(value) {
+  if (!value) {
+    return null;
+  }
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Load stored cursors from local storage
+ * @returns {Promise<Object>} Map of repo full name to { lastSuccessAt, highWaterMark }
+ */
+export async function loadRepoCursors() {
+  try {
+    const stored = await getLocalItem(REPO_CURSORS_KEY, {});
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+/**
+ * Persist cursors, dropping entries for repos that are no longer watched
+ * @param {Object} cursors - Cursor map
+ * @param {Array<string>} watchedRepoNames - Repo full names still being watched
+ * @returns {Promise<void>}
+ */
+export async function saveRepoCursors(cursors, watchedRepoNames) {
+  if (!cursors || typeof cursors !== 'object') {
+    return;
+  }
+
+  const watched = new Set(watchedRepoNames);
+  const retained = Object.fromEntries(
+    Object.entries(cursors).filter(([repo]) => watched.has(repo))
+  );
+
+  try {
+    await setLocalItem(REPO_CURSORS_KEY, retained);
+  } catch (error) {
+    console.error('[DevWatch] Failed to store repo cursors:', error);
+  }
+}
+
+/**
+ * Resolve the date a repo should be polled from
+ * Starts at the repo's last successful fetch (or `fallback` for repos without a cursor yet),
+ * then moves forward to the high-water mark and to the repo's addedAt / unmutedAt times so
+ * newly added or unmuted repos don't surface old activity.
+ * @param {Object|undefined} cursor - Stored cursor for the repo
+ * @param {Object} options
+ * @param {Date} options.fallback - Start date when the repo has no cursor
+ * @param {string} [options.addedAt] - When the repo was added to the watch list
+ * @param {string} [options.unmutedAt] - When the repo was last unmuted
+ * @returns {Date} Date to fetch activity since
+ */
+export function getRepoCursorSince(cursor, { fallback, addedAt = null, unmutedAt = null }) {
+  const start = toTime(cursor?.lastSuccessAt) ?? fallback.getTime();
+  const candidates = [start, toTime(cursor?.highWaterMark), toTime(addedAt), toTime(unmutedAt)]
+    .filter(time => time !== null);
+
+  return new Date(Math.max(...candidates));
+}
+
+/**
+ * Build the cursor for a repo after a successful fetch
+ * @param {Object|undefined} cursor - Previous cursor
+ * @param {Date} checkedAt - When the check started
+ * @param {Array<Object>} activities - Activities fetched for the repo
+ * @returns {{lastSuccessAt: string, highWaterMark: string|null}} Updated cursor
+ */
+export function advanceRepoCursor(cursor, checkedAt, activities = []) {
+  const newest = activities.reduce(
+    (latest, activity) => Math.max(latest, toTime(activity.createdAt) ?? 0),
+    toTime(cursor?.highWaterMark) ?? 0
+  );
+
+  return {
+    lastSuccessAt: checkedAt.toISOString(),
+    highWaterMark: newest > 0 ? new Date(newest).toISOString() : null
+  };
+}
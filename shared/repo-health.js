@@ -0,0 +1,162 @@
+/**
+ * Per-repository health records.
+ * Every background check records, for each repo it fetched, when it last succeeded and how it
+ * last failed (error class from classifyError, HTTP status, consecutive failures), so the options
+ * page can show which repos are having trouble instead of a single global lastError.
+ * Optional endpoints that answered as unavailable (e.g. Dependabot alerts turned off) are
+ * remembered too, so they are not requested again on every check.
+ */
+
+import { classifyError } from './error-handler.js';
+import { getLocalItem, setLocalItem } from './storage-helpers.js';
+
+export const REPO_HEALTH_KEY = 'repoHealth';
+
+// Consecutive failures before a repo is shown as failing rather than degraded
+const FAILING_THRESHOLD = 3;
+
+// How long an unavailable feature is skipped before it is requested again, in case it was enabled
+const FEATURE_RECHECK_MS = 24 * 60 * 60 * 1000;
+
+const ERROR_LABELS = {
+  network: 'Network or server error',
+  auth: 'Sign-in problem',
+  rate_limit: 'Rate limited',
+  not_found: 'Not found',
+  permission: 'Access denied',
+  unknown: 'Unexpected error'
+};
+
+/**
+ * Record a successful check
+ * The previous error is kept so the history shows what the repo recovered from.
+ * @param {Object|undefined} record - Previous health record
+ * @param {Date} checkedAt - When the check started
+ * @returns {Object} Updated health record
+ */
+export function recordRepoSuccess(record, checkedAt) {
+  return {
+    ...record,
+    lastSuccessAt: checkedAt.toISOString(),
+    consecutiveFailures: 0
+  };
+}
+
+/**
+ * Record a failed check
+ * @param {Object|undefined} record - Previous health record
+ * @param {Error|null} error - Error that failed the repo, with `response` for HTTP errors
+ * @param {Date} checkedAt - When the check started
+ * @returns {Object} Updated health record
+ */
+export function recordRepoFailure(record, error, checkedAt) {
+  const response = error?.response || null;
+
+  return {
+    lastSuccessAt: record?.lastSuccessAt || null,
+    lastErrorAt: checkedAt.toISOString(),
+    errorType: classifyError(error?.message?.toLowerCase() || '', response),
+    status: response?.status ?? null,
+    message: error?.message || 'Unknown error',
+    consecutiveFailures: (record?.consecutiveFailures || 0) + 1,
+    ...(record?.unavailableFeatures ? { unavailableFeatures: record.unavailableFeatures } : {})
+  };
+}
+
+/**
+ * Record which optional features a check found available or unavailable
+ * Features found available are forgotten, so they are requested normally again.
+ * @param {Object|undefined} record - Previous health record
+ * @param {Object} features - Map of feature name to whether it was available
+ * @param {Date} checkedAt - When the check started
+ * @returns {Object} Updated health record
+ */
+export function recordFeatureAvailability(record, features, checkedAt) {
+  const { unavailableFeatures: previous, ...rest } = record || {};
+  const unavailable = { ...previous };
+
+  Object.entries(features || {}).forEach(([feature, available]) => {
+    if (available) {
+      delete unavailable[feature];
+    } else {
+      unavailable[feature] = checkedAt.toISOString();
+    }
+  });
+
+  return Object.keys(unavailable).length > 0 ? { ...rest, unavailableFeatures: unavailable } : rest;
+}
+
+/**
+ * Optional features to skip because a recent check found them unavailable
+ * @param {Object|undefined} record - Health record
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Set<string>} Feature names
+ */
+export function getUnavailableFeatures(record, now = Date.now()) {
+  return new Set(Object.entries(record?.unavailableFeatures || {})
+    .filter(([, since]) => now - new Date(since).getTime() < FEATURE_RECHECK_MS)
+    .map(([feature]) => feature));
+}
+
+/**
+ * Summarize a health record for display
+ * @param {Object|undefined} record - Health record
+ * @returns {'unknown'|'healthy'|'degraded'|'failing'} Health status
+ */
+export function getRepoHealthStatus(record) {
+  if (!record) {
+    return 'unknown';
+  }
+
+  if (!record.consecutiveFailures) {
+    return 'healthy';
+  }
+
+  return record.consecutiveFailures >= FAILING_THRESHOLD ? 'failing' : 'degraded';
+}
+
+/**
+ * Short description of a repo's last error, e.g. "Access denied (HTTP 403)"
+ * @param {Object|undefined} record - Health record
+ * @returns {string} Error description, or an empty string when the repo has never failed
+ */
+export function describeRepoError(record) {
+  if (!record?.errorType) {
+    return '';
+  }
+
+  const label = ERROR_LABELS[record.errorType] || ERROR_LABELS.unknown;
+  return record.status ? `${label} (HTTP ${record.status})` : label;
+}
+
+/**
+ * Load stored health records
+ * @returns {Promise<Object>} Map of repo full name to health record
+ */
+export async function loadRepoHealth() {
+  try {
+    const stored = await getLocalItem(REPO_HEALTH_KEY, {});
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+/**
+ * Persist health records, dropping repos that are no longer watched
+ * @param {Object} health - Health record map
+ * @param {Array<string>} watchedRepoNames - Repo full names still being watched
+ * @returns {Promise<void>}
+ */
+export async function saveRepoHealth(health, watchedRepoNames) {
+  const watched = new Set(watchedRepoNames);
+  const retained = Object.fromEntries(
+    Object.entries(health || {}).filter(([repo]) => watched.has(repo))
+  );
+
+  try {
+    await setLocalItem(REPO_HEALTH_KEY, retained);
+  } catch (error) {
+    console.error('[DevWatch] Failed to store repo health:', error);
+  }
+}
@@ -6,6 +6,8 @@ import { VALIDATION_PATTERNS } from './config.js';
 import { fetchGitHubRepoFromNpm } from './api/npm-api.js';
 import { validateRepository } from './repository-validator.js';
 import { createHeaders } from './github-api.js';
+import { getApiBase } from './github-host.js';
+import { normalizeLabelList } from './label-filters.js';
 
 export function getRepoFullName(repo) {
   if (typeof repo === 'string') {
@@ -56,9 +58,73 @@ export function normalizeWatchedRepoRecord(repo, { addedAtFallback = null } = {}
     record.archived = repo.archived;
   }
 
+  if (repo?.defaultBranch) {
+    record.defaultBranch = repo.defaultBranch;
+  }
+
+  // Login of the connected account that fetches this repo; unbound repos use the default account
+  if (typeof repo?.account === 'string' && repo.account) {
+    record.account = repo.account;
+  }
+
+  // Login of the watched organization or user that added this repo automatically
+  if (typeof repo?.watchedVia === 'string' && repo.watchedVia) {
+    record.watchedVia = repo.watchedVia;
+  }
+
+  // Pull requests and issues are only kept with one of includeLabels and none of excludeLabels
+  const includeLabels = normalizeLabelList(repo?.includeLabels || []);
+  if (includeLabels.length > 0) {
+    record.includeLabels = includeLabels;
+  }
+
+  const excludeLabels = normalizeLabelList(repo?.excludeLabels || []);
+  if (excludeLabels.length > 0) {
+    record.excludeLabels = excludeLabels;
+  }
+
   return record;
 }
 
+function normalizePatternList(patterns) {
+  const list = Array.isArray(patterns) ? patterns : String(patterns || '').split(/[\s,]+/);
+  return list.map(pattern => String(pattern).trim()).filter(Boolean);
+}
+
+// A watched organization or user; its repos are enumerated in the background and added as records above
+export function normalizeWatchedOwnerRecord(owner, { addedAtFallback = null } = {}) {
+  const login = typeof owner?.login === 'string' ? owner.login.trim() : '';
+
+  if (!login) {
+    return null;
+  }
+
+  const record = {
+    login,
+    type: owner.type === 'org' ? 'org' : 'user',
+    include: normalizePatternList(owner.include),
+    exclude: normalizePatternList(owner.exclude),
+    includeArchived: owner.includeArchived === true,
+    includeForks: owner.includeForks === true,
+    addedAt: owner.addedAt || addedAtFallback || new Date().toISOString(),
+    lastSyncedAt: owner.lastSyncedAt || null,
+    // Repos already seen, so a repo removed by hand isn't added again on the next sync
+    knownRepos: Array.isArray(owner.knownRepos) ? owner.knownRepos.filter(name => typeof name === 'string') : []
+  };
+
+  if (typeof owner.account === 'string' && owner.account) {
+    record.account = owner.account;
+  }
+
+  return record;
+}
+
+export function normalizeWatchedOwners(owners = []) {
+  return (Array.isArray(owners) ? owners : [])
+    .map(owner => normalizeWatchedOwnerRecord(owner))
+    .filter(Boolean);
+}
+
 export function normalizeWatchedRepos(repos = []) {
   return (Array.isArray(repos) ? repos : [])
     .map(repo => normalizeWatchedRepoRecord(repo))
@@ -105,8 +171,9 @@ export async function normalizeRepoInput(rawInput) {
   };
 }
 
-export async function validateWatchedRepo(repo, githubToken) {
-  if (!githubToken) {
+export async function validateWatchedRepo(repo, githubToken, { anonymous = false } = {}) {
+  // Public-only mode validates without a token, so only public repos can be added
+  if (!githubToken && !anonymous) {
     return {
       valid: false,
       error: 'No GitHub connection found. Connect GitHub first.'
@@ -121,7 +188,7 @@ export async function validateWatchedRepo(repo, githubToken) {
 
   try {
     const headers = createHeaders(githubToken);
-    const releasesResponse = await fetch(`https://api.github.com/repos/${repo}/releases/latest`, { headers });
+    const releasesResponse = await fetch(`${getApiBase()}/repos/${repo}/releases/latest`, { headers });
 
     let latestRelease = null;
     if (releasesResponse.ok) {
@@ -151,7 +218,7 @@ export async function validateWatchedRepo(repo, githubToken) {
 }
 
 export function buildWatchedRepoRecord(metadata, options = {}) {
-  return normalizeWatchedRepoRecord(metadata, {
+  return normalizeWatchedRepoRecord(options.account ? { ...metadata, account: options.account } : metadata, {
     addedAtFallback: options.addedAt || new Date().toISOString()
   });
 }
@@ -161,7 +228,9 @@ export async function resolveWatchedRepoInput(
   {
     githubToken,
     existingRepos = [],
-    addedAt = new Date().toISOString()
+    addedAt = new Date().toISOString(),
+    account = null,
+    anonymous = false
   } = {}
 ) {
   const normalizationResult = await normalizeRepoInput(rawInput);
@@ -181,7 +250,7 @@ export async function resolveWatchedRepoInput(
     };
   }
 
-  const validationResult = await validateWatchedRepo(normalizedRepo, githubToken);
+  const validationResult = await validateWatchedRepo(normalizedRepo, githubToken, { anonymous });
 
   if (!validationResult.valid) {
     return {
@@ -205,6 +274,6 @@ export async function resolveWatchedRepoInput(
     valid: true,
     normalizedRepo: fullName,
     metadata: validationResult.metadata,
-    record: buildWatchedRepoRecord(validationResult.metadata, { addedAt })
+    record: buildWatchedRepoRecord(validationResult.metadata, { addedAt, account })
   };
 }
@@ -49,6 +49,16 @@ export function validateRepoFormat(repo) {
   return false;
 }
 
+/**
+ * Extract the repository name from a REST API repository URL
+ * @param {string} repositoryUrl - URL such as "https://api.github.com/repos/owner/repo"
+ * @returns {string} Repository name (full name in format "owner/repo"), or an empty string
+ */
+export function getRepoFromApiUrl(repositoryUrl = '') {
+  const match = repositoryUrl.match(/\/repos\/([^/]+\/[^/]+)$/);
+  return match ? match[1] : '';
+}
+
 /**
  * Normalize repository data to ensure all required fields
  * @param {Object} repo - Repository object
@@ -3,8 +3,9 @@
  * Simplified validation that focuses on core functionality
  */
 
-import { API_CONFIG, VALIDATION_PATTERNS, ERROR_MESSAGES } from './config.js';
-import { createHeaders } from './github-api.js';
+import { VALIDATION_PATTERNS, ERROR_MESSAGES } from './config.js';
+import { createHeaders, fetchWithRetry } from './github-api.js';
+import { getApiBase } from './github-host.js';
 
 /**
  * Validate repository format (owner/repo)
@@ -44,7 +45,7 @@ export async function validateRepository(repo, token = null) {
       'Accept': 'application/vnd.github.v3+json'
     };
 
-    const response = await fetch(`${API_CONFIG.GITHUB_API_BASE}/repos/${repo}`, { headers });
+    const response = await fetchWithRetry(`${getApiBase()}/repos/${repo}`, { headers });
 
     if (response.ok) {
       const data = await response.json();
@@ -61,7 +62,8 @@ export async function validateRepository(repo, token = null) {
           forks: data.forks_count || 0,
           updatedAt: data.updated_at,
           private: data.private,
-          archived: data.archived
+          archived: data.archived,
+          defaultBranch: data.default_branch
         }
       };
     }
@@ -134,8 +136,8 @@ export async function validateRepositoryEnhanced(repo, token = null) {
 
     // Fetch additional metadata in parallel
     const [releasesResponse, contributorsResponse] = await Promise.allSettled([
-      fetch(`${API_CONFIG.GITHUB_API_BASE}/repos/${repo}/releases/latest`, { headers }),
-      fetch(`${API_CONFIG.GITHUB_API_BASE}/repos/${repo}/contributors`, { headers })
+      fetchWithRetry(`${getApiBase()}/repos/${repo}/releases/latest`, { headers }),
+      fetchWithRetry(`${getApiBase()}/repos/${repo}/contributors`, { headers })
     ]);
 
     let latestRelease = null;
@@ -0,0 +1,122 @@
+/**
+ * Conditional request helpers for GitHub polling.
+ * Stores ETag / Last-Modified validators per URL so repeat polls can be
+ * answered with 304 Not Modified, which GitHub does not count against the rate limit.
+ */
+
+import { CACHE_CONFIG } from './config.js';
+import { getLocalItem, setLocalItem } from './storage-helpers.js';
+
+export const REQUEST_VALIDATORS_KEY = 'requestValidators';
+
+/**
+ * Load the stored validator map from local storage
+ * @returns {Promise<Object>} Map of URL to { etag, lastModified, updatedAt }
+ */
+export async function loadRequestValidators() {
+  try {
+    const stored = await getLocalItem(REQUEST_VALIDATORS_KEY, {});
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+/**
+ * Build conditional request headers for a URL
+ * @param {Object|null} validators - Validator map
+ * @param {string} url - Request URL
+ * @returns {Object} Headers to merge into the request
+ */
+export function getConditionalHeaders(validators, url) {
+  const entry = validators?.[url];
+
+  if (!entry) {
+    return {};
+  }
+
+  if (entry.etag) {
+    return { 'If-None-Match': entry.etag };
+  }
+
+  if (entry.lastModified) {
+    return { 'If-Modified-Since': entry.lastModified };
+  }
+
+  return {};
+}
+
+/**
+ * Record the validators returned with a successful response
+ * @param {Object|null} validators - Validator map (mutated in place)
+ * @param {string} url - Request URL
+ * @param {Response} response - Fetch response
+ * @returns {boolean} True if the map changed
+ */
+export function recordResponseValidators(validators, url, response) {
+  if (!validators || !response?.ok || typeof response.headers?.get !== 'function') {
+    return false;
+  }
+
+  const etag = response.headers.get('ETag');
+  const lastModified = response.headers.get('Last-Modified');
+
+  if (!etag && !lastModified) {
+    return false;
+  }
+
+  validators[url] = {
+    etag: etag || null,
+    lastModified: lastModified || null,
+    updatedAt: Date.now()
+  };
+  return true;
+}
+
+/**
+ * Mark a URL's validators as still in use after a 304 response
+ * Pruning keeps the most recently updated entries, so URLs that never change must stay fresh too.
+ * @param {Object|null} validators - Validator map (mutated in place)
+ * @param {string} url - Request URL
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if the map changed
+ */
+export function touchRequestValidators(validators, url, now = Date.now()) {
+  if (!validators?.[url]) {
+    return false;
+  }
+
+  validators[url] = { ...validators[url], updatedAt: now };
+  return true;
+}
+
+/**
+ * Check whether a response means the resource is unchanged since the last poll
+ * @param {Response} response - Fetch response
+ * @returns {boolean} True for 304 Not Modified
+ */
+export function isNotModified(response) {
+  return response?.status === 304;
+}
+
+/**
+ * Persist the validator map, keeping only the most recently updated entries
+ * @param {Object} validators - Validator map
+ * @param {number} maxEntries - Maximum number of URLs to keep
+ * @returns {Promise<void>}
+ */
+export async function saveRequestValidators(validators, maxEntries = CACHE_CONFIG.MAX_REQUEST_VALIDATORS) {
+  if (!validators || typeof validators !== 'object') {
+    return;
+  }
+
+  const entries = Object.entries(validators)
+    .sort(([, a], [, b]) => (b?.updatedAt || 0) - (a?.updatedAt || 0))
+    .slice(0, maxEntries);
+
+  try {
+    await setLocalItem(REQUEST_VALIDATORS_KEY, Object.fromEntries(entries));
+  } catch (error) {
+    console.error('[DevWatch] Failed to store request validators:', error);
+  }
+}
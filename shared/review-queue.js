@@ -0,0 +1,92 @@
+/**
+ * "Review requested from me" queue.
+ * Uses the search API to find open pull requests waiting on the signed-in user's review,
+ * directly or through one of their teams, across every repository, not only watched ones.
+ * The popup shows these as a pinned section above the per-repo groups.
+ */
+
+import { createHeaders, handleApiResponse, fetchWithRetry } from './github-api.js';
+import { getApiBase } from './github-host.js';
+import { getRepoFromApiUrl } from './repository-utils.js';
+
+export const REVIEW_TYPE = 'review';
+
+// `review-requested` matches requests to the user or any of their teams;
+// `user-review-requested` matches direct requests only, which tells the two apart
+const REVIEW_QUERIES = {
+  all: 'is:open is:pr archived:false review-requested:@me',
+  direct: 'is:open is:pr archived:false user-review-requested:@me'
+};
+
+/**
+ * Build a search API URL for review requests
+ * @param {'all'|'direct'} scope - Which review requests to search for
+ * @returns {string} Search URL
+ */
+export function buildReviewSearchUrl(scope) {
+  const query = encodeURIComponent(REVIEW_QUERIES[scope]);
+  return `${getApiBase()}/search/issues?q=${query}&sort=updated&order=desc&per_page=50`;
+}
+
+/**
+ * Map a search result into a review request activity
+ * @param {Object} item - Search API issue item
+ * @param {Object} [options]
+ * @param {boolean} [options.team] - True when the request came through a team
+ * @returns {Object} Activity
+ */
+export function mapReviewRequest(item, { team = false } = {}) {
+  const repo = getRepoFromApiUrl(item.repository_url);
+
+  return {
+    id: `${REVIEW_TYPE}-${repo}-${item.number}`,
+    type: REVIEW_TYPE,
+    repo,
+    title: item.title || 'Untitled',
+    description: team ? 'Team review requested' : 'Review requested',
+    url: item.html_url || '',
+    createdAt: item.updated_at || item.created_at || new Date().toISOString(),
+    author: item.user?.login || 'Unknown',
+    authorAvatar: item.user?.avatar_url || '',
+    number: item.number,
+    requestedFrom: team ? 'team' : 'user'
+  };
+}
+
+async function searchReviewRequests(scope, token, sleep) {
+  const response = await fetchWithRetry(buildReviewSearchUrl(scope), { headers: createHeaders(token) }, { sleep });
+  handleApiResponse(response);
+
+  const body = await response.json();
+  return Array.isArray(body?.items) ? body.items : [];
+}
+
+/**
+ * Fetch every open pull request currently waiting on the user's review
+ * @param {string} token - GitHub access token
+ * @param {Object} [options]
+ * @param {Function} [options.sleep] - Waits between retries, see fetchWithRetry
+ * @returns {Promise<Array<Object>>} Review request activities, direct and team requests combined
+ */
+export async function fetchReviewQueue(token, { sleep } = {}) {
+  const [allItems, directItems] = await Promise.all([
+    searchReviewRequests('all', token, sleep),
+    searchReviewRequests('direct', token, sleep)
+  ]);
+  const directIds = new Set(directItems.map(item => item.id));
+
+  return allItems
+    .filter(item => item?.repository_url)
+    .map(item => mapReviewRequest(item, { team: !directIds.has(item.id) }));
+}
+
+/**
+ * Drop stored review requests that are no longer in the queue
+ * @param {Array<Object>} activities - Stored feed activities
+ * @param {Array<string>} queueIds - Ids of the review requests currently open
+ * @returns {Array<Object>} Activities without stale review requests
+ */
+export function pruneReviewQueue(activities = [], queueIds = []) {
+  const current = new Set(queueIds);
+  return activities.filter(activity => activity?.type !== REVIEW_TYPE || current.has(activity.id));
+}
@@ -4,6 +4,14 @@
  * should be sanitized before being inserted into the DOM.
  */
 
+import { getGitHubHostname, isEnterpriseHost } from './github-host.js';
+
+function getDefaultImageDomains() {
+  const domains = ['githubusercontent.com', 'github.com', 'avatars.githubusercontent.com'];
+  // GitHub Enterprise Server serves avatars from its own host
+  return isEnterpriseHost() ? [...domains, getGitHubHostname()] : domains;
+}
+
 /**
  * Escapes HTML special characters to prevent XSS
  * @param {string} unsafe - Unsafe string that may contain HTML/JavaScript
@@ -48,7 +56,7 @@ export function unescapeHtml(escaped) {
  * @param {string[]} allowedDomains - List of allowed domains (e.g., ['githubusercontent.com', 'github.com'])
  * @returns {string} - Sanitized URL or empty string if invalid
  */
-export function sanitizeImageUrl(url, allowedDomains = ['githubusercontent.com', 'github.com', 'avatars.githubusercontent.com']) {
+export function sanitizeImageUrl(url, allowedDomains = getDefaultImageDomains()) {
   if (!url || typeof url !== 'string') {
     return '';
   }
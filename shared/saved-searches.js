@@ -0,0 +1,162 @@
+/**
+ * Saved GitHub searches as feed sources.
+ * Each saved issue/PR search query is polled through the search API on every check. Hits the
+ * query hasn't returned before become `search` activities tagged with the query's name, and
+ * the popup groups them under that name next to the per-repo groups.
+ */
+
+import { createHeaders, handleApiResponse, fetchWithRetry } from './github-api.js';
+import { getApiBase } from './github-host.js';
+import { getRepoFromApiUrl } from './repository-utils.js';
+import { getLocalItem, setLocalItem } from './storage-helpers.js';
+
+export const SEARCH_TYPE = 'search';
+export const SAVED_SEARCH_STATE_KEY = 'savedSearchState';
+// The search API allows 30 requests a minute, and every saved search costs one per check
+export const MAX_SAVED_SEARCHES = 10;
+const MAX_QUERY_LENGTH = 256;
+const MAX_KNOWN_HITS = 200;
+
+/**
+ * Create a saved search from the options form
+ * @param {Object} input
+ * @param {string} input.name - Name shown as the popup group header; defaults to the query
+ * @param {string} input.query - GitHub issue/PR search query, e.g. "label:security org:acme is:open"
+ * @returns {{id: string, name: string, query: string}|null} Saved search, or null without a usable query
+ */
+export function createSavedSearch({ name = '', query = '' } = {}) {
+  const trimmedQuery = String(query).trim();
+  if (!trimmedQuery || trimmedQuery.length > MAX_QUERY_LENGTH) {
+    return null;
+  }
+
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+    name: String(name).trim() || trimmedQuery,
+    query: trimmedQuery
+  };
+}
+
+/**
+ * Build a search API URL for a saved query
+ * @param {string} query - GitHub search query
+ * @returns {string} Search URL, most recently updated hits first
+ */
+export function buildSavedSearchUrl(query) {
+  return `${getApiBase()}/search/issues?q=${encodeURIComponent(query)}&sort=updated&order=desc&per_page=30`;
+}
+
+/**
+ * Map a search result into a saved search activity
+ * @param {Object} item - Search API issue item
+ * @param {Object} search - Saved search that returned it
+ * @returns {Object} Activity
+ */
+export function mapSearchHit(item, search) {
+  const repo = getRepoFromApiUrl(item.repository_url);
+  const isPullRequest = Boolean(item.pull_request);
+
+  return {
+    id: `${SEARCH_TYPE}-${search.id}-${repo}-${item.number}`,
+    type: SEARCH_TYPE,
+    repo,
+    title: item.title || 'Untitled',
+    description: `${isPullRequest ? 'Pull request' : 'Issue'} matching "${search.name}"`,
+    url: item.html_url || '',
+    createdAt: item.updated_at || item.created_at || new Date().toISOString(),
+    author: item.user?.login || 'Unknown',
+    authorAvatar: item.user?.avatar_url || '',
+    number: item.number,
+    searchId: search.id,
+    searchName: search.name,
+    searchQuery: search.query
+  };
+}
+
+/**
+ * Run a saved search
+ * @param {Object} search - Saved search
+ * @param {string|null} token - GitHub access token
+ * @param {Object} [options]
+ * @param {Function} [options.sleep] - Waits between retries, see fetchWithRetry
+ * @returns {Promise<Array<Object>>} Search API issue items
+ */
+export async function fetchSavedSearchHits(search, token, { sleep } = {}) {
+  const response = await fetchWithRetry(
+    buildSavedSearchUrl(search.query),
+    { headers: createHeaders(token) },
+    { sleep }
+  );
+  handleApiResponse(response);
+
+  const body = await response.json();
+  return Array.isArray(body?.items) ? body.items.filter(item => item?.repository_url) : [];
+}
+
+/**
+ * Work out which hits of a saved search are new
+ * A query returns everything that currently matches, so hits it returned before are skipped.
+ * @param {Object} search - Saved search
+ * @param {Array<Object>} items - Search API issue items
+ * @param {Object} [previous] - Stored state of the search from its last poll
+ * @param {Date} [polledAt] - When the search ran
+ * @returns {{activities: Array<Object>, state: Object, firstPoll: boolean}} New hits and the state to store
+ */
+export function collectNewSearchHits(search, items, previous = null, polledAt = new Date()) {
+  const known = new Set(previous?.knownIds || []);
+  const hits = items.map(item => mapSearchHit(item, search));
+
+  return {
+    activities: hits.filter(activity => !known.has(activity.id)),
+    state: {
+      knownIds: [...new Set([...hits.map(activity => activity.id), ...known])].slice(0, MAX_KNOWN_HITS),
+      lastPolledAt: polledAt.toISOString()
+    },
+    firstPoll: !previous
+  };
+}
+
+/**
+ * Drop stored hits of saved searches that were deleted
+ * @param {Array<Object>} activities - Stored feed activities
+ * @param {Array<string>} searchIds - Ids of the saved searches that still exist
+ * @returns {Array<Object>} Activities without orphaned search hits
+ */
+export function pruneSavedSearchResults(activities = [], searchIds = []) {
+  const current = new Set(searchIds);
+  return activities.filter(activity => activity?.type !== SEARCH_TYPE || current.has(activity.searchId));
+}
+
+/**
+ * Load the per-search poll state
+ * @returns {Promise<Object>} Map of saved search id to {knownIds, lastPolledAt}
+ */
+export async function loadSavedSearchState() {
+  try {
+    const stored = await getLocalItem(SAVED_SEARCH_STATE_KEY, {});
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+/**
+ * Persist the per-search poll state, dropping searches that were deleted
+ * @param {Object} state - Map of saved search id to poll state
+ * @param {Array<string>} searchIds - Ids of the saved searches that still exist
+ * @returns {Promise<void>}
+ */
+export async function saveSavedSearchState(state, searchIds) {
+  const retained = {};
+  searchIds.forEach(id => {
+    if (state[id]) {
+      retained[id] = state[id];
+    }
+  });
+
+  try {
+    await setLocalItem(SAVED_SEARCH_STATE_KEY, retained);
+  } catch (error) {
+    console.error('[DevWatch] Failed to store saved search state:', error);
+  }
+}
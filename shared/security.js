@@ -3,6 +3,13 @@
  * Prevents opening malicious URLs (javascript:, data:, etc.)
  */
 
+import { getGitHubHost, getGitHubHostname, isEnterpriseHost } from './github-host.js';
+
+// The configured GitHub Enterprise Server host, matched exactly (including any port)
+function isConfiguredEnterpriseHost(parsed) {
+  return isEnterpriseHost() && parsed.host === getGitHubHost();
+}
+
 /**
  * Validates that a URL is safe to open and points to GitHub
  * @param {string} url - URL to validate
@@ -21,17 +28,13 @@ export function isValidGitHubUrl(url) {
       return false;
     }
 
-    // Only allow github.com and its subdomains
+    // Only allow github.com, its subdomains, and the configured Enterprise host
     const allowedDomains = ['github.com', 'raw.githubusercontent.com', 'gist.github.com'];
     const isAllowedDomain = allowedDomains.some(domain =>
       parsed.hostname === domain || parsed.hostname.endsWith('.' + domain)
     );
 
-    if (!isAllowedDomain) {
-      return false;
-    }
-
-    return true;
+    return isAllowedDomain || isConfiguredEnterpriseHost(parsed);
   } catch {
     // Invalid URL format
     return false;
@@ -40,7 +43,7 @@ export function isValidGitHubUrl(url) {
 
 /**
  * Validates the GitHub device flow verification page before opening it.
- * Restricts auth navigation to the expected GitHub login path.
+ * Restricts auth navigation to the expected login path on the configured GitHub host.
  * @param {string} url - URL to validate
  * @returns {boolean} - True if URL is safe for the OAuth device flow
  */
@@ -52,8 +55,12 @@ export function isValidGitHubAuthUrl(url) {
   try {
     const parsed = new URL(url);
 
+    const isGitHubHost = isEnterpriseHost()
+      ? isConfiguredEnterpriseHost(parsed)
+      : parsed.hostname === 'github.com';
+
     return parsed.protocol === 'https:'
-      && parsed.hostname === 'github.com'
+      && isGitHubHost
       && parsed.pathname === '/login/device';
   } catch {
     return false;
@@ -80,13 +87,18 @@ export async function safelyOpenUrl(url) {
   }
 }
 
+function getDefaultApiDomains() {
+  const domains = ['api.github.com', 'registry.npmjs.org'];
+  return isEnterpriseHost() ? [...domains, getGitHubHostname()] : domains;
+}
+
 /**
  * Validates that a URL is safe to use in API calls
  * @param {string} url - URL to validate
  * @param {string[]} allowedDomains - List of allowed domains
  * @returns {boolean} - True if URL is safe for API calls
  */
-export function isValidApiUrl(url, allowedDomains = ['api.github.com', 'registry.npmjs.org']) {
+export function isValidApiUrl(url, allowedDomains = getDefaultApiDomains()) {
   if (!url || typeof url !== 'string') {
     return false;
   }
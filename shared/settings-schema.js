@@ -2,10 +2,42 @@
  * Shared settings schema and normalization helpers.
  */
 
+import { DEFAULTS, FEATURES } from './config.js';
+
+// Default-branch commit tracking ships behind a build-time feature flag
+const PUSH_CATEGORY = {
+  key: 'pushes',
+  label: 'Commits',
+  activityTypes: ['push'],
+  optionsTrackId: 'filterPushes',
+  optionsNotifyId: 'notifyPushes',
+  onboardingTrackId: 'pushes',
+  onboardingNotifyId: 'pushesNotifications'
+};
+
 export const CATEGORY_SETTINGS = Object.freeze([
+  {
+    key: 'reviews',
+    label: 'Review Requests',
+    activityTypes: ['review'],
+    optionsTrackId: 'filterReviews',
+    optionsNotifyId: 'notifyReviews',
+    onboardingTrackId: 'reviews',
+    onboardingNotifyId: 'reviewsNotifications'
+  },
+  {
+    key: 'myPrs',
+    label: 'My Open PRs',
+    activityTypes: ['mypr'],
+    optionsTrackId: 'filterMyPrs',
+    optionsNotifyId: 'notifyMyPrs',
+    onboardingTrackId: 'myPrs',
+    onboardingNotifyId: 'myPrsNotifications'
+  },
   {
     key: 'prs',
     label: 'Pull Requests',
+    activityTypes: ['pr'],
     optionsTrackId: 'filterPrs',
     optionsNotifyId: 'notifyPrs',
     onboardingTrackId: 'pullRequests',
@@ -14,6 +46,7 @@ export const CATEGORY_SETTINGS = Object.freeze([
   {
     key: 'issues',
     label: 'Issues',
+    activityTypes: ['issue'],
     optionsTrackId: 'filterIssues',
     optionsNotifyId: 'notifyIssues',
     onboardingTrackId: 'issues',
@@ -22,26 +55,115 @@ export const CATEGORY_SETTINGS = Object.freeze([
   {
     key: 'releases',
     label: 'Releases',
+    activityTypes: ['release'],
     optionsTrackId: 'filterReleases',
     optionsNotifyId: 'notifyReleases',
     onboardingTrackId: 'releases',
     onboardingNotifyId: 'releasesNotifications'
-  }
+  },
+  {
+    key: 'discussions',
+    label: 'Discussions',
+    activityTypes: ['discussion'],
+    optionsTrackId: 'filterDiscussions',
+    optionsNotifyId: 'notifyDiscussions',
+    onboardingTrackId: 'discussions',
+    onboardingNotifyId: 'discussionsNotifications'
+  },
+  {
+    key: 'workflows',
+    label: 'Workflow Failures',
+    activityTypes: ['workflow'],
+    optionsTrackId: 'filterWorkflows',
+    optionsNotifyId: 'notifyWorkflows',
+    onboardingTrackId: 'workflows',
+    onboardingNotifyId: 'workflowsNotifications'
+  },
+  {
+    key: 'security',
+    label: 'Security Alerts',
+    activityTypes: ['security'],
+    optionsTrackId: 'filterSecurity',
+    optionsNotifyId: 'notifySecurity',
+    onboardingTrackId: 'security',
+    onboardingNotifyId: 'securityNotifications'
+  },
+  {
+    key: 'stateChanges',
+    label: 'State Changes',
+    activityTypes: ['state'],
+    optionsTrackId: 'filterStateChanges',
+    optionsNotifyId: 'notifyStateChanges',
+    onboardingTrackId: 'stateChanges',
+    onboardingNotifyId: 'stateChangesNotifications'
+  },
+  {
+    // Opt-in source configured from the options page only, so it has no onboarding toggles
+    key: 'inbox',
+    label: 'GitHub Inbox',
+    activityTypes: ['inbox'],
+    optionsTrackId: 'filterInbox',
+    optionsNotifyId: 'notifyInbox',
+    onboardingTrackId: null,
+    onboardingNotifyId: null
+  },
+  {
+    // Only polls when at least one search query is saved on the options page
+    key: 'searches',
+    label: 'Saved Searches',
+    activityTypes: ['search'],
+    optionsTrackId: 'filterSearches',
+    optionsNotifyId: 'notifySearches',
+    onboardingTrackId: null,
+    onboardingNotifyId: null
+  },
+  ...(FEATURES.ENABLE_PUSH_EVENTS ? [PUSH_CATEGORY] : [])
 ]);
 
+/**
+ * Find the category setting that controls an activity type
+ * @param {string} type - Activity type (e.g. 'pr', 'state')
+ * @returns {Object|undefined} Matching CATEGORY_SETTINGS entry
+ */
+export function getCategoryForActivityType(type) {
+  return CATEGORY_SETTINGS.find(category => category.activityTypes.includes(type));
+}
+
+// Categories that cost extra requests for every watched repo. Filters saved before a category existed
+// keep it off, so upgrading doesn't quietly start spending rate limit; new installs get the defaults.
+const OPT_IN_ON_UPGRADE_CATEGORIES = new Set(['workflows', 'security', 'stateChanges']);
+
 function createDefaultFilters() {
   return {
+    reviews: true,
+    myPrs: true,
     prs: true,
     issues: true,
-    releases: true
+    releases: true,
+    discussions: true,
+    workflows: true,
+    security: true,
+    stateChanges: true,
+    inbox: false,
+    searches: true,
+    ...(FEATURES.ENABLE_PUSH_EVENTS ? { pushes: DEFAULTS.FILTERS.pushes } : {})
   };
 }
 
 function createDefaultNotifications() {
   return {
+    reviews: true,
+    myPrs: true,
     prs: true,
     issues: true,
-    releases: true
+    releases: true,
+    discussions: true,
+    workflows: true,
+    security: true,
+    stateChanges: true,
+    inbox: true,
+    searches: true,
+    ...(FEATURES.ENABLE_PUSH_EVENTS ? { pushes: false } : {})
   };
 }
 
@@ -49,6 +171,7 @@ export const SETTINGS_SCHEMA = Object.freeze({
   mutedRepos: { defaultValue: [] },
   snoozedRepos: { defaultValue: [] },
   pinnedRepos: { defaultValue: [] },
+  savedSearches: { defaultValue: [] },
   filters: { defaultValue: createDefaultFilters() },
   notifications: { defaultValue: createDefaultNotifications() },
   checkInterval: { defaultValue: 15 },
@@ -57,7 +180,8 @@ export const SETTINGS_SCHEMA = Object.freeze({
   colorTheme: { defaultValue: 'polar' },
   itemExpiryHours: { defaultValue: null },
   markReadOnSnooze: { defaultValue: false },
-  allowUnlimitedRepos: { defaultValue: false }
+  allowUnlimitedRepos: { defaultValue: false },
+  graphqlPolling: { defaultValue: false }
 });
 
 export const SETTINGS_SYNC_KEYS = Object.freeze(Object.keys(SETTINGS_SCHEMA));
@@ -67,6 +191,7 @@ export function getDefaultSettings() {
     mutedRepos: [],
     snoozedRepos: [],
     pinnedRepos: [],
+    savedSearches: [],
     filters: createDefaultFilters(),
     notifications: createDefaultNotifications(),
     checkInterval: 15,
@@ -75,30 +200,49 @@ export function getDefaultSettings() {
     colorTheme: 'polar',
     itemExpiryHours: null,
     markReadOnSnooze: false,
-    allowUnlimitedRepos: false
+    allowUnlimitedRepos: false,
+    graphqlPolling: false
   };
 }
 
-function normalizeCategoryValues(value, defaults) {
+function normalizeCategoryValues(value, defaults, { optInKeys = new Set() } = {}) {
   const normalized = { ...defaults };
 
   if (!value || typeof value !== 'object') {
     return normalized;
   }
 
+  const isSaved = CATEGORY_SETTINGS.some(category => value[category.key] !== undefined);
+
   CATEGORY_SETTINGS.forEach(category => {
     if (value[category.key] !== undefined) {
       normalized[category.key] = value[category.key] !== false;
+    } else if (isSaved && optInKeys.has(category.key)) {
+      normalized[category.key] = false;
     }
   });
 
   return normalized;
 }
 
+function normalizeFilters(value) {
+  return normalizeCategoryValues(value, createDefaultFilters(), { optInKeys: OPT_IN_ON_UPGRADE_CATEGORIES });
+}
+
 function normalizeArrayValue(value) {
   return Array.isArray(value) ? [...value] : [];
 }
 
+export function normalizeSavedSearches(value) {
+  return normalizeArrayValue(value)
+    .filter(search => typeof search?.id === 'string' && typeof search.query === 'string' && search.query.trim())
+    .map(search => ({
+      id: search.id,
+      name: typeof search.name === 'string' && search.name.trim() ? search.name.trim() : search.query.trim(),
+      query: search.query.trim()
+    }));
+}
+
 export function normalizeSettings(rawSettings = {}) {
   const defaults = getDefaultSettings();
 
@@ -106,7 +250,8 @@ export function normalizeSettings(rawSettings = {}) {
     mutedRepos: normalizeArrayValue(rawSettings.mutedRepos ?? defaults.mutedRepos),
     snoozedRepos: normalizeArrayValue(rawSettings.snoozedRepos ?? defaults.snoozedRepos),
     pinnedRepos: normalizeArrayValue(rawSettings.pinnedRepos ?? defaults.pinnedRepos),
-    filters: normalizeCategoryValues(rawSettings.filters, defaults.filters),
+    savedSearches: normalizeSavedSearches(rawSettings.savedSearches),
+    filters: normalizeFilters(rawSettings.filters),
     notifications: normalizeCategoryValues(rawSettings.notifications, defaults.notifications),
     checkInterval: Number.isFinite(Number(rawSettings.checkInterval))
       ? Number(rawSettings.checkInterval)
@@ -120,7 +265,8 @@ export function normalizeSettings(rawSettings = {}) {
       ? rawSettings.itemExpiryHours
       : defaults.itemExpiryHours,
     markReadOnSnooze: rawSettings.markReadOnSnooze === true,
-    allowUnlimitedRepos: rawSettings.allowUnlimitedRepos === true
+    allowUnlimitedRepos: rawSettings.allowUnlimitedRepos === true,
+    graphqlPolling: rawSettings.graphqlPolling === true
   };
 }
 
@@ -139,7 +285,7 @@ export function pickSyncSettings(rawSettings = {}) {
 
 export function createCategorySettings(filters = {}, notifications = {}) {
   return {
-    filters: normalizeCategoryValues(filters, createDefaultFilters()),
+    filters: normalizeFilters(filters),
     notifications: normalizeCategoryValues(notifications, createDefaultNotifications())
   };
 }
@@ -0,0 +1,160 @@
+/**
+ * State change detection for pull requests and issues already in the feed.
+ * Compares recently updated items against the stored feed records and emits
+ * "PR #123 merged" style activities for merged, closed, and reopened transitions.
+ */
+
+export const STATE_CHANGE_TYPE = 'state';
+
+const SUBJECT_LABELS = {
+  pr: 'PR',
+  issue: 'Issue'
+};
+
+function getActivityNumber(activity) {
+  if (activity.number !== undefined && activity.number !== null) {
+    return Number(activity.number);
+  }
+
+  // Records stored before `number` was mapped only carry it at the end of their id
+  const prefix = `${activity.type}-${activity.repo}-`;
+  const parsed = activity.id?.startsWith(prefix) ? Number(activity.id.slice(prefix.length)) : NaN;
+  return Number.isInteger(parsed) ? parsed : null;
+}
+
+/**
+ * Index stored pull request and issue activities by repository and number
+ * @param {Array<Object>} activities - Stored feed activities
+ * @returns {Map<string, Map<number, {id: string, type: string, state: string}>>} Known items per repo
+ */
+export function getKnownItems(activities = []) {
+  const known = new Map();
+
+  (Array.isArray(activities) ? activities : []).forEach(activity => {
+    if (!activity || !SUBJECT_LABELS[activity.type]) {
+      return;
+    }
+
+    const number = getActivityNumber(activity);
+    if (number === null) {
+      return;
+    }
+
+    if (!known.has(activity.repo)) {
+      known.set(activity.repo, new Map());
+    }
+
+    known.get(activity.repo).set(number, {
+      id: activity.id,
+      type: activity.type,
+      state: activity.state || 'open'
+    });
+  });
+
+  return known;
+}
+
+/**
+ * Resolve the current state of a REST issue or pull request item
+ * @param {Object} item - REST item from the issues or pulls endpoints
+ * @returns {'open'|'closed'|'merged'} Current state
+ */
+export function getItemState(item) {
+  if (item.state === 'open') {
+    return 'open';
+  }
+
+  return item.merged_at || item.pull_request?.merged_at ? 'merged' : 'closed';
+}
+
+function getTransition(previousState, currentState) {
+  if (previousState === currentState) {
+    return null;
+  }
+
+  if (currentState === 'open') {
+    return 'reopened';
+  }
+
+  return previousState === 'open' ? currentState : null;
+}
+
+function getTransitionTime(item, change) {
+  if (change === 'merged') {
+    return item.merged_at || item.pull_request?.merged_at || item.updated_at;
+  }
+
+  if (change === 'closed') {
+    return item.closed_at || item.updated_at;
+  }
+
+  return item.updated_at;
+}
+
+/**
+ * Detect transitions on known items
+ * @param {Map<number, Object>|undefined} knownItems - Known items for the repository
+ * @param {Array<Object>} items - Recently updated REST items
+ * @param {string} repo - Repository full name
+ * @returns {Array<Object>} State change activities
+ */
+export function detectStateChanges(knownItems, items, repo) {
+  if (!knownItems || knownItems.size === 0 || !Array.isArray(items)) {
+    return [];
+  }
+
+  return items.flatMap(item => {
+    const known = item ? knownItems.get(item.number) : null;
+    if (!known) {
+      return [];
+    }
+
+    const currentState = getItemState(item);
+    const change = getTransition(known.state, currentState);
+    if (!change) {
+      return [];
+    }
+
+    const changedAt = getTransitionTime(item, change);
+
+    return [{
+      id: `${STATE_CHANGE_TYPE}-${repo}-${item.number}-${change}-${changedAt}`,
+      type: STATE_CHANGE_TYPE,
+      repo,
+      title: `${SUBJECT_LABELS[known.type]} #${item.number} ${change}: ${item.title || ''}`,
+      description: item.title || '',
+      url: item.html_url || '',
+      createdAt: changedAt,
+      author: item.user?.login || '',
+      authorAvatar: item.user?.avatar_url || '',
+      number: item.number,
+      subjectId: known.id,
+      stateChange: change,
+      state: currentState
+    }];
+  });
+}
+
+/**
+ * Record the latest state on the stored items that changed
+ * @param {Array<Object>} activities - Stored feed activities
+ * @param {Array<Object>} stateChanges - Activities from detectStateChanges
+ * @returns {Array<Object>} Activities with updated `state` fields
+ */
+export function applyStateChanges(activities = [], stateChanges = []) {
+  const latestStates = new Map();
+
+  stateChanges.forEach(change => {
+    if (change?.type === STATE_CHANGE_TYPE && change.subjectId) {
+      latestStates.set(change.subjectId, change.state);
+    }
+  });
+
+  if (latestStates.size === 0) {
+    return activities;
+  }
+
+  return activities.map(activity => (
+    latestStates.has(activity.id) ? { ...activity, state: latestStates.get(activity.id) } : activity
+  ));
+}
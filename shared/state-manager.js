@@ -7,6 +7,7 @@ import { getActivityData, getSettings, setWatchedRepos, getExcludedRepos } from
 import { STORAGE_DEFAULTS } from './storage-helpers.js';
 import { STORAGE_CONFIG } from './config.js';
 import { prepareActivitiesForStorage, filterVisibleActivities, countUnreadActivities } from './feed-policy.js';
+import { buildLabelFilters } from './label-filters.js';
 
 /**
  * Centralized state manager with reactive updates
@@ -22,6 +23,7 @@ class StateManager {
       // Activity State
       allActivities: [],
       readItems: [],
+      myPullRequests: [],
 
       // Settings State
       watchedRepos: [],
@@ -38,6 +40,7 @@ class StateManager {
       itemExpiryHours: STORAGE_DEFAULTS.itemExpiryHours,
       markReadOnSnooze: STORAGE_DEFAULTS.markReadOnSnooze,
       allowUnlimitedRepos: STORAGE_DEFAULTS.allowUnlimitedRepos,
+      graphqlPolling: STORAGE_DEFAULTS.graphqlPolling,
 
       // Loading/Error State
       isLoading: false,
@@ -93,6 +96,7 @@ class StateManager {
           itemExpiryHours: settings.itemExpiryHours !== undefined ? settings.itemExpiryHours : STORAGE_DEFAULTS.itemExpiryHours,
           markReadOnSnooze: settings.markReadOnSnooze === true,
           allowUnlimitedRepos: settings.allowUnlimitedRepos === true,
+          graphqlPolling: settings.graphqlPolling === true,
           allActivities: activityData.activities || STORAGE_DEFAULTS.activities,
           readItems: activityData.readItems || STORAGE_DEFAULTS.readItems
         };
@@ -218,7 +222,8 @@ class StateManager {
       'colorTheme',
       'itemExpiryHours',
       'markReadOnSnooze',
-      'allowUnlimitedRepos'
+      'allowUnlimitedRepos',
+      'graphqlPolling'
     ];
     const syncUpdates = {};
 
@@ -372,6 +377,7 @@ class StateManager {
       searchQuery,
       showArchive,
       readItems,
+      watchedRepos,
       mutedRepos,
       snoozedRepos,
       itemExpiryHours
@@ -381,6 +387,7 @@ class StateManager {
 
     return filterVisibleActivities(allActivities, {
       excludedRepos,
+      labelFilters: buildLabelFilters(watchedRepos),
       itemExpiryHours,
       currentFilter,
       searchQuery,
@@ -402,6 +409,7 @@ class StateManager {
       readActivities: readItems.length,
       unreadActivities: countUnreadActivities(allActivities, {
         excludedRepos,
+        labelFilters: buildLabelFilters(watchedRepos),
         itemExpiryHours,
         readItems
       }),
@@ -8,11 +8,20 @@ import {
   normalizeSettings,
   pickSyncSettings
 } from './settings-schema.js';
-import { normalizeWatchedRepos } from './repo-service.js';
+import { normalizeWatchedOwners, normalizeWatchedRepos } from './repo-service.js';
+import { decryptLegacyAuthSession } from './auth-crypto.js';
 
 const AUTH_SESSION_CACHE_KEY = 'githubAuthSession';
+// Accounts connected in addition to the default one, kept in session storage like the default
+const AUTH_ACCOUNTS_CACHE_KEY = 'githubAuthAccounts';
 const LEGACY_AUTH_STORAGE_KEYS = ['encryptedGithubAuthSession', 'encryptionKey'];
+// Opt-in remembered sign-in: the passphrase-encrypted sessions (local) and the unlocked key (session)
+export const PERSISTENT_AUTH_STORAGE_KEY = 'persistentAuthSession';
+export const PERSISTENT_AUTH_KEY_CACHE_KEY = 'persistentAuthKey';
+// Set when a legacy saved sign-in was restored and is waiting for a passphrase
+export const LEGACY_AUTH_MIGRATION_KEY = 'persistentAuthMigrationPending';
 const WATCHED_REPOS_STORAGE_KEY = 'watchedRepos';
+const WATCHED_OWNERS_STORAGE_KEY = 'watchedOwners';
 let legacyAuthStorageChecked = false;
 
 /**
@@ -45,6 +54,31 @@ function clearLegacyAuthStorage(force = false) {
   });
 }
 
+// Older versions saved the session in local storage with its AES key right next to it. Restore it
+// into session storage once so the user stays signed in, and let them re-save it under a passphrase.
+async function migrateLegacyAuthStorage() {
+  if (!isChromeExtension() || legacyAuthStorageChecked || !chrome.storage.local?.get || !chrome.storage.session) {
+    return null;
+  }
+
+  const legacy = await new Promise(resolve => {
+    chrome.storage.local.get(LEGACY_AUTH_STORAGE_KEYS, result => resolve(result || {}));
+  });
+  const session = await decryptLegacyAuthSession(legacy.encryptedGithubAuthSession, legacy.encryptionKey);
+
+  if (session) {
+    await new Promise(resolve => {
+      chrome.storage.session.set({ [AUTH_SESSION_CACHE_KEY]: session }, resolve);
+    });
+    await new Promise(resolve => {
+      chrome.storage.local.set({ [LEGACY_AUTH_MIGRATION_KEY]: true }, resolve);
+    });
+  }
+
+  await clearLegacyAuthStorage(true);
+  return session;
+}
+
 /**
  * Get an item from chrome.storage.sync with Promise API
  * @param {string} key - Storage key
@@ -224,6 +258,23 @@ export async function setWatchedRepos(watchedRepos = []) {
   await clearLegacySyncWatchedRepos();
 }
 
+/**
+ * Get watched organizations and users, stored next to the watched repositories
+ * @returns {Promise<Array>} Watched owner records
+ */
+export async function getWatchedOwners() {
+  return normalizeWatchedOwners(await getLocalItem(WATCHED_OWNERS_STORAGE_KEY, []));
+}
+
+/**
+ * Persist watched organizations and users
+ * @param {Array} watchedOwners - Owner records to store
+ * @returns {Promise<void>}
+ */
+export async function setWatchedOwners(watchedOwners = []) {
+  await setLocalItem(WATCHED_OWNERS_STORAGE_KEY, normalizeWatchedOwners(watchedOwners));
+}
+
 /**
  * Calculate the set of excluded repositories (muted + snoozed)
  * @param {Array<string>} mutedRepos - Array of muted repository names
@@ -244,8 +295,8 @@ export function getExcludedRepos(mutedRepos = [], snoozedRepos = []) {
 
 /**
  * Get the stored GitHub auth session
- * Auth sessions are kept in session storage only so they do not persist to disk.
- * Legacy encrypted local storage is cleared opportunistically on access.
+ * Auth sessions are kept in session storage; only the opt-in remembered sign-in persists, encrypted
+ * with the user's passphrase. A legacy encrypted session is restored into session storage on access.
  * @returns {Promise<Object|null>} Auth session or null
  */
 export async function getAuthSession() {
@@ -258,6 +309,11 @@ export async function getAuthSession() {
       await clearLegacyAuthStorage();
       return cachedSession;
     }
+
+    const migratedSession = await migrateLegacyAuthStorage();
+    if (migratedSession) {
+      return migratedSession;
+    }
   }
 
   await clearLegacyAuthStorage();
@@ -270,7 +326,8 @@ export async function getAuthSession() {
  * @returns {Promise<void>}
  */
 export async function setAuthSession(session) {
-  if (!session || typeof session !== 'object' || !session.accessToken) {
+  // Public-only mode stores a session without a token
+  if (!session || typeof session !== 'object' || (!session.accessToken && session.authType !== 'public')) {
     await clearAuthSession();
     return;
   }
@@ -287,18 +344,126 @@ export async function setAuthSession(session) {
 
 /**
  * Clear the stored GitHub auth session
+ * Disconnecting also forgets a remembered sign-in.
  * @returns {Promise<void>}
  */
 export async function clearAuthSession() {
-  if (isChromeExtension() && chrome.storage.session) {
+  await lockAuthSession();
+
+  if (isChromeExtension() && chrome.storage.local?.remove) {
     await new Promise(resolve => {
-      chrome.storage.session.remove([AUTH_SESSION_CACHE_KEY], resolve);
+      chrome.storage.local.remove([PERSISTENT_AUTH_STORAGE_KEY, LEGACY_AUTH_MIGRATION_KEY], resolve);
     });
   }
 
   await clearLegacyAuthStorage(true);
 }
 
+/**
+ * Drop the signed-in sessions for this browser session but keep a remembered sign-in
+ * @returns {Promise<void>}
+ */
+export async function lockAuthSession() {
+  if (isChromeExtension() && chrome.storage.session) {
+    await new Promise(resolve => {
+      chrome.storage.session.remove([AUTH_SESSION_CACHE_KEY, AUTH_ACCOUNTS_CACHE_KEY, PERSISTENT_AUTH_KEY_CACHE_KEY], resolve);
+    });
+  }
+}
+
+async function getAdditionalAuthSessions() {
+  if (!isChromeExtension() || !chrome.storage.session) {
+    return [];
+  }
+
+  const accounts = await new Promise(resolve => {
+    chrome.storage.session.get([AUTH_ACCOUNTS_CACHE_KEY], result => resolve(result?.[AUTH_ACCOUNTS_CACHE_KEY]));
+  });
+
+  return Array.isArray(accounts)
+    ? accounts.filter(session => session?.accessToken && session.username)
+    : [];
+}
+
+async function setAdditionalAuthSessions(sessions) {
+  await new Promise(resolve => {
+    chrome.storage.session.set({ [AUTH_ACCOUNTS_CACHE_KEY]: sessions }, resolve);
+  });
+}
+
+/**
+ * Get every connected GitHub account
+ * @returns {Promise<Array<Object>>} Auth sessions, default account first
+ */
+export async function getAuthSessions() {
+  const defaultSession = await getAuthSession();
+  if (!defaultSession?.accessToken) {
+    return [];
+  }
+
+  const additional = await getAdditionalAuthSessions();
+  return [defaultSession, ...additional.filter(session => session.username !== defaultSession.username)];
+}
+
+/**
+ * Connect another GitHub account
+ * The first account becomes the default; connecting an account again replaces its session.
+ * @param {Object} session - Auth session from the device flow
+ * @returns {Promise<void>}
+ */
+export async function addAuthSession(session) {
+  const defaultSession = await getAuthSession();
+
+  if (!defaultSession?.accessToken || defaultSession.username === session?.username) {
+    await setAuthSession(session);
+    return;
+  }
+
+  if (!session?.accessToken || !session.username) {
+    throw new Error('GitHub account session is missing a token or username.');
+  }
+
+  const additional = await getAdditionalAuthSessions();
+  await setAdditionalAuthSessions([
+    ...additional.filter(existing => existing.username !== session.username),
+    session
+  ]);
+}
+
+/**
+ * Disconnect one GitHub account
+ * Removing the default account promotes the next connected account.
+ * @param {string} username - Login of the account to remove
+ * @returns {Promise<void>}
+ */
+export async function removeAuthSession(username) {
+  const defaultSession = await getAuthSession();
+  const additional = await getAdditionalAuthSessions();
+
+  if (defaultSession?.username !== username) {
+    await setAdditionalAuthSessions(additional.filter(session => session.username !== username));
+    return;
+  }
+
+  const [nextDefault, ...rest] = additional;
+  if (!nextDefault) {
+    await clearAuthSession();
+    return;
+  }
+
+  await setAuthSession(nextDefault);
+  await setAdditionalAuthSessions(rest);
+}
+
+/**
+ * Get access tokens for every connected account
+ * @returns {Promise<Map<string, string>>} Account login to access token
+ */
+export async function getAccountTokens() {
+  const sessions = await getAuthSessions();
+  return new Map(sessions.map(session => [session.username, session.accessToken]));
+}
+
 /**
  * Get the access token used for GitHub API requests
  * Prefers the OAuth auth session when present.
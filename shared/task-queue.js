@@ -0,0 +1,55 @@
+/**
+ * Concurrency-limited task queue.
+ * Runs a worker over items in the order given, with at most `concurrency` in flight at once, so a
+ * large watch list doesn't fire every request at the same moment. An AbortSignal stops the queue
+ * from starting new items; items already running are left to the worker to cancel.
+ */
+
+import { API_CONFIG } from './config.js';
+
+function createAbortError() {
+  const error = new Error('Task queue was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Run a worker over items with limited parallelism
+ * Results keep the input order and use the Promise.allSettled shape; items never started because
+ * the signal was aborted are rejected with an AbortError.
+ * @param {Array<*>} items - Items in priority order
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum items in flight at once
+ * @param {AbortSignal} [options.signal] - Stops new items from starting when aborted
+ * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>} Settled results
+ */
+export async function runTaskQueue(items, worker, {
+  concurrency = API_CONFIG.MAX_CONCURRENT_REQUESTS,
+  signal = null
+} = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+
+      if (signal?.aborted) {
+        results[index] = { status: 'rejected', reason: createAbortError() };
+        continue;
+      }
+
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, () => runNext()));
+
+  return results;
+}
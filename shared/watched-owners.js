@@ -0,0 +1,202 @@
+/**
+ * Watched organizations and users.
+ * Instead of adding repos one by one, a whole organization or user can be watched. A background
+ * job lists the owner's repos on a schedule, applies include/exclude glob patterns and the
+ * archived/fork filters, and adds repos it hasn't seen before as regular watched repo records.
+ */
+
+import { API_CONFIG, STORAGE_CONFIG, VALIDATION_PATTERNS } from './config.js';
+import { createHeaders, fetchWithRetry, getNextPageUrl, handleApiResponse } from './github-api.js';
+import { getApiBase } from './github-host.js';
+import { buildWatchedRepoRecord, isWatchedRepoDuplicate, normalizeWatchedOwnerRecord } from './repo-service.js';
+
+export const OWNER_SYNC_ALARM = 'devwatch-owner-sync';
+export const OWNER_SYNC_INTERVAL_MINUTES = 60;
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check a repo name against a glob pattern
+ * `*` matches any run of characters and `?` a single one; matching ignores case.
+ * @param {string} name - Repo name without the owner
+ * @param {string} pattern - Glob pattern, e.g. "api-*"
+ * @returns {boolean} True when the name matches
+ */
+export function matchesGlob(name, pattern) {
+  return globToRegExp(pattern).test(name);
+}
+
+/**
+ * Apply an owner's filters to its repos
+ * @param {Array<Object>} repos - Repos from the GitHub API
+ * @param {Object} owner - Watched owner record
+ * @returns {Array<Object>} Repos that should be watched
+ */
+export function filterOwnerRepos(repos, owner) {
+  return repos.filter(repo => {
+    if (repo.archived && !owner.includeArchived) {
+      return false;
+    }
+
+    if (repo.fork && !owner.includeForks) {
+      return false;
+    }
+
+    if (owner.include.length > 0 && !owner.include.some(pattern => matchesGlob(repo.name, pattern))) {
+      return false;
+    }
+
+    return !owner.exclude.some(pattern => matchesGlob(repo.name, pattern));
+  });
+}
+
+/**
+ * Parse what the user typed into an organization or user login
+ * @param {string} rawInput - Login, @login, or profile URL
+ * @returns {string|null} Login, or null when the input isn't one
+ */
+export function parseOwnerLogin(rawInput) {
+  const input = String(rawInput || '').trim();
+  const login = (input.match(/^https?:\/\/[^/]+\/([^/?#]+)\/?$/)?.[1] || input).replace(/^@/, '');
+
+  return VALIDATION_PATTERNS.USERNAME.test(login) ? login : null;
+}
+
+/**
+ * Look up whether a login is an organization or a user
+ * @param {string} login - Organization or user login
+ * @param {string|null} token - GitHub access token
+ * @returns {Promise<{login: string, type: 'org'|'user'}>} Canonical login and owner type
+ */
+export async function lookupOwner(login, token) {
+  const response = await fetchWithRetry(`${getApiBase()}/users/${encodeURIComponent(login)}`, {
+    headers: createHeaders(token)
+  });
+  handleApiResponse(response);
+
+  const body = await response.json();
+  return {
+    login: body.login || login,
+    type: body.type === 'Organization' ? 'org' : 'user'
+  };
+}
+
+/**
+ * List every repo of a watched owner
+ * @param {Object} owner - Watched owner record
+ * @param {string|null} token - GitHub access token
+ * @returns {Promise<Array<Object>>} Repos from the GitHub API
+ */
+export async function fetchOwnerRepos(owner, token) {
+  const login = encodeURIComponent(owner.login);
+  const repos = [];
+  let url = owner.type === 'org'
+    ? `${getApiBase()}/orgs/${login}/repos?type=all&sort=created&direction=desc&per_page=100`
+    : `${getApiBase()}/users/${login}/repos?type=owner&sort=created&direction=desc&per_page=100`;
+
+  for (let page = 0; url && page < API_CONFIG.MAX_OWNER_REPO_PAGES; page++) {
+    const response = await fetchWithRetry(url, { headers: createHeaders(token) });
+    handleApiResponse(response);
+
+    const data = await response.json();
+    if (!Array.isArray(data) || data.length === 0) {
+      break;
+    }
+
+    repos.push(...data);
+    url = getNextPageUrl(response.headers.get('Link'));
+  }
+
+  return repos;
+}
+
+/**
+ * Count how many more repos fit under the watched-repo limit
+ * @param {Array<Object>} watchedRepos - Currently watched repo records
+ * @param {number} wanted - Repos waiting to be added
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnlimitedRepos] - Skip the watched-repo limit
+ * @returns {number} Number of repos that can be added
+ */
+export function getAvailableRepoSlots(watchedRepos, wanted, { allowUnlimitedRepos = false } = {}) {
+  return allowUnlimitedRepos ? wanted : Math.max(STORAGE_CONFIG.MAX_WATCHED_REPOS - watchedRepos.length, 0);
+}
+
+/**
+ * Work out which of an owner's repos to add
+ * Repos the owner already had when it was last synced are skipped, so a repo removed by hand
+ * stays removed. Repos that don't fit under the watched-repo limit are left unseen and are
+ * picked up by a later sync once there is room.
+ * @param {Object} owner - Watched owner record
+ * @param {Array<Object>} repos - Owner's repos from the GitHub API
+ * @param {Array<Object>} watchedRepos - Currently watched repo records
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnlimitedRepos] - Skip the watched-repo limit
+ * @param {string} [options.now] - Sync time as an ISO string
+ * @returns {{owner: Object, added: Array<Object>, cappedCount: number, firstSync: boolean}} Sync plan
+ */
+export function planOwnerSync(owner, repos, watchedRepos, { allowUnlimitedRepos = false, now = new Date().toISOString() } = {}) {
+  const known = new Set(owner.knownRepos.map(name => name.toLowerCase()));
+  const candidates = filterOwnerRepos(repos, owner)
+    .filter(repo => !known.has(repo.full_name.toLowerCase()) && !isWatchedRepoDuplicate(watchedRepos, repo.full_name));
+
+  const slots = getAvailableRepoSlots(watchedRepos, candidates.length, { allowUnlimitedRepos });
+  const added = candidates.slice(0, slots).map(repo => buildWatchedRepoRecord({
+    fullName: repo.full_name,
+    name: repo.name,
+    description: repo.description,
+    language: repo.language,
+    stars: repo.stargazers_count,
+    forks: repo.forks_count,
+    updatedAt: repo.updated_at,
+    private: repo.private,
+    archived: repo.archived,
+    defaultBranch: repo.default_branch,
+    watchedVia: owner.login
+  }, { addedAt: now, account: owner.account }));
+  const capped = new Set(candidates.slice(slots).map(repo => repo.full_name));
+
+  return {
+    owner: normalizeWatchedOwnerRecord({
+      ...owner,
+      lastSyncedAt: now,
+      knownRepos: repos.map(repo => repo.full_name).filter(name => !capped.has(name))
+    }),
+    added,
+    cappedCount: capped.size,
+    firstSync: !owner.lastSyncedAt
+  };
+}
+
+/**
+ * Take repos back out of a sync plan when they no longer fit under the watched-repo limit
+ * They leave the owner's known repos as well, so a later sync adds them once there is room.
+ * @param {Object} plan - Plan from planOwnerSync
+ * @param {Set<string>} fullNames - Repos that could not be added
+ * @returns {Object} Plan without those repos, counting them as capped
+ */
+export function releaseCappedRepos(plan, fullNames) {
+  const released = plan.added.filter(repo => fullNames.has(repo.fullName));
+  if (released.length === 0) {
+    return plan;
+  }
+
+  const releasedNames = new Set(released.map(repo => repo.fullName.toLowerCase()));
+  return {
+    ...plan,
+    owner: { ...plan.owner, knownRepos: plan.owner.knownRepos.filter(name => !releasedNames.has(name.toLowerCase())) },
+    added: plan.added.filter(repo => !releasedNames.has(repo.fullName.toLowerCase())),
+    cappedCount: plan.cappedCount + released.length
+  };
+}
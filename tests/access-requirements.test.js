@@ -0,0 +1,97 @@
+/**
+ * Per-organization access requirement tests
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGetLocalItem = jest.fn();
+const mockSetLocalItem = jest.fn(() => Promise.resolve());
+
+jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
+  getLocalItem: mockGetLocalItem,
+  setLocalItem: mockSetLocalItem
+}));
+
+const {
+  ACCESS_REQUIREMENTS_KEY,
+  describeAccessRequirement,
+  loadAccessRequirements,
+  saveAccessRequirements,
+  updateAccessRequirements
+} = await import('../shared/access-requirements.js');
+
+const checkedAt = new Date('2026-10-19T12:00:00Z');
+const sso = { type: 'sso', url: 'https://github.com/orgs/acme/sso?authorization_request=abc' };
+
+describe('access requirements', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('groups blocked repos by organization', () => {
+    const records = updateAccessRequirements({}, ['acme/api', 'acme/web', 'octo/tools'], new Map([
+      ['acme/web', sso],
+      ['acme/api', sso]
+    ]), checkedAt);
+
+    expect(records).toEqual({
+      acme: {
+        type: 'sso',
+        url: sso.url,
+        scopes: [],
+        repos: ['acme/api', 'acme/web'],
+        detectedAt: '2026-10-19T12:00:00.000Z'
+      }
+    });
+  });
+
+  test('clears repos that were checked without being blocked', () => {
+    const existing = {
+      acme: { type: 'sso', url: sso.url, scopes: [], repos: ['acme/api', 'acme/web'], detectedAt: '2026-10-18T00:00:00.000Z' }
+    };
+
+    // A single-repo retry leaves the other repo in place
+    expect(updateAccessRequirements(existing, ['acme/api'], new Map(), checkedAt).acme.repos).toEqual(['acme/web']);
+    expect(updateAccessRequirements(existing, ['acme/api', 'acme/web'], new Map(), checkedAt)).toEqual({});
+  });
+
+  test('keeps the first detection time while an organization stays blocked', () => {
+    const existing = {
+      acme: { type: 'sso', url: sso.url, scopes: [], repos: ['acme/api'], detectedAt: '2026-10-18T00:00:00.000Z' }
+    };
+
+    const records = updateAccessRequirements(existing, ['acme/api'], new Map([['acme/api', { type: 'sso', url: null }]]), checkedAt);
+
+    expect(records.acme.detectedAt).toBe('2026-10-18T00:00:00.000Z');
+    expect(records.acme.url).toBe(sso.url);
+  });
+
+  test('describes SSO with an authorization link and scopes with a reconnect hint', () => {
+    const ssoBanner = describeAccessRequirement('acme', { type: 'sso', url: null, repos: ['acme/api'] });
+    expect(ssoBanner.message).toContain('acme requires single sign-on');
+    expect(ssoBanner.actionUrl).toBe('https://github.com/orgs/acme/sso');
+
+    const scopeBanner = describeAccessRequirement('acme', { type: 'scope', scopes: ['repo'], repos: ['acme/api', 'acme/web'] });
+    expect(scopeBanner.message).toBe('Your GitHub token is missing the repo scope needed for 2 watched repositories in acme. Reconnect GitHub to grant it.');
+    expect(scopeBanner.actionUrl).toBeNull();
+  });
+
+  test('loads stored records and ignores malformed values', async () => {
+    mockGetLocalItem.mockResolvedValueOnce({ acme: { type: 'sso', repos: ['acme/api'] } });
+    expect(await loadAccessRequirements()).toEqual({ acme: { type: 'sso', repos: ['acme/api'] } });
+
+    mockGetLocalItem.mockResolvedValueOnce(['not', 'a', 'map']);
+    expect(await loadAccessRequirements()).toEqual({});
+  });
+
+  test('drops repos that are no longer watched when saving', async () => {
+    await saveAccessRequirements({
+      acme: { type: 'sso', repos: ['acme/api', 'acme/web'] },
+      octo: { type: 'scope', scopes: ['repo'], repos: ['octo/tools'] }
+    }, ['acme/web']);
+
+    expect(mockSetLocalItem).toHaveBeenCalledWith(ACCESS_REQUIREMENTS_KEY, {
+      acme: { type: 'sso', repos: ['acme/web'] }
+    });
+  });
+});
@@ -58,6 +58,22 @@ describe('activity-item-view', () => {
     expect(html).not.toContain('mark-read-btn');
   });
 
+  test('renders labels as chips in the activity type color', () => {
+    const html = renderActivityItem({
+      id: 'issue-3',
+      type: 'issue',
+      title: 'Crash on start',
+      author: 'hubot',
+      repo: 'vuejs/core',
+      url: 'https://github.com/vuejs/core/issues/3',
+      createdAt: new Date().toISOString(),
+      labels: ['regression', '<b>team</b>']
+    });
+
+    expect(html).toContain('<span class="activity-label issue">regression</span>');
+    expect(html).toContain('<span class="activity-label issue">&lt;b&gt;team&lt;/b&gt;</span>');
+  });
+
   test('sanitizes HTML content and rejects unsafe avatar urls', () => {
     const html = renderActivityItem({
       id: 'release-3',
@@ -1,4 +1,4 @@
-import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
 
 // Note: Chrome APIs are mocked in tests/setup.js
 // Additional mocks needed for background.js are set up there
@@ -13,12 +13,21 @@ import {
   updateBadge,
   cleanupOldUnmutedEntries,
   showNotifications,
-  cleanExpiredSnoozes
+  cleanExpiredSnoozes,
+  syncWatchedOwners
 } from '../background.js';
 
 describe('Background Service Worker', () => {
+  let randomSpy;
+
   beforeEach(() => {
     jest.clearAllMocks();
+    // Retry backoff is fully jittered, so this makes retries of failed requests immediate
+    randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    randomSpy.mockRestore();
   });
 
   describe('fetchRepoActivity', () => {
@@ -155,6 +164,37 @@ describe('Background Service Worker', () => {
       expect(result).toEqual([]);
     });
 
+    test('retries server errors and secondary rate limits before giving up on a category', async () => {
+      const failedRepos = new Set();
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 502, statusText: 'Bad Gateway', headers: { get: () => null } })
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 429,
+          statusText: 'Too Many Requests',
+          headers: { get: (name) => (name === 'Retry-After' ? '0' : null) }
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          headers: { get: () => null },
+          json: async () => [{
+            id: 1,
+            number: 1,
+            title: 'Recovered PR',
+            html_url: 'https://github.com/facebook/react/pull/1',
+            created_at: '2025-01-10T10:00:00Z',
+            user: { login: 'user1', avatar_url: 'https://avatars.githubusercontent.com/u/1' }
+          }]
+        });
+
+      const result = await fetchRepoActivity(mockRepo, mockToken, mockSince, { prs: true }, { failedRepos });
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(result).toEqual([expect.objectContaining({ type: 'pr', title: 'Recovered PR' })]);
+      expect(failedRepos.size).toBe(0);
+    });
+
     test('tracks rate limit headers', async () => {
 
       fetch.mockResolvedValue({
@@ -176,10 +216,12 @@ describe('Background Service Worker', () => {
 
       expect(chrome.storage.local.set).toHaveBeenCalledWith(
         {
-          rateLimit: {
-            remaining: 1234,
-            limit: 5000,
-            reset: 1704110000000
+          rateLimits: {
+            'github.com': {
+              remaining: 1234,
+              limit: 5000,
+              reset: 1704110000000
+            }
           }
         },
         expect.any(Function)
@@ -244,6 +286,128 @@ describe('Background Service Worker', () => {
     });
   });
 
+  describe('fetchRepoActivity - conditional requests', () => {
+    const mockRepo = 'facebook/react';
+    const mockSince = new Date('2025-01-01');
+    const prsUrl = 'https://api.github.com/repos/facebook/react/pulls?state=open&sort=created&direction=desc';
+
+    beforeEach(() => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('sends If-None-Match for URLs with a stored ETag', async () => {
+      const validators = { [prsUrl]: { etag: 'W/"abc"', updatedAt: 1 } };
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 304,
+        headers: { get: () => null }
+      });
+
+      const activities = await fetchRepoActivity(mockRepo, 'token', mockSince, {
+        prs: true,
+        issues: false,
+        releases: false
+      }, { validators });
+
+      expect(fetch).toHaveBeenCalledWith(prsUrl, {
+        headers: expect.objectContaining({ 'If-None-Match': 'W/"abc"' })
+      });
+      expect(activities).toEqual([]);
+    });
+
+    test('treats 304 responses as no new activity for every category', async () => {
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 304,
+        headers: { get: () => null }
+      });
+
+      const activities = await fetchRepoActivity(mockRepo, 'token', mockSince, {
+        prs: true,
+        issues: true,
+        releases: true
+      }, { validators: {} });
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(activities).toEqual([]);
+      expect(chrome.storage.local.set).not.toHaveBeenCalledWith(
+        expect.objectContaining({ lastError: expect.anything() }),
+        expect.any(Function)
+      );
+    });
+
+    test('stages validators from successful responses', async () => {
+      const validators = {};
+      const stagedValidators = {};
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: {
+          get: (header) => ({ ETag: '"v2"' })[header] ?? null
+        },
+        json: async () => []
+      });
+
+      await fetchRepoActivity(mockRepo, 'token', mockSince, {
+        prs: true,
+        issues: false,
+        releases: false
+      }, { validators, stagedValidators });
+
+      expect(stagedValidators[prsUrl]).toMatchObject({ etag: '"v2"' });
+      expect(validators).toEqual({});
+    });
+
+    test('does not stage validators of a category that failed part way', async () => {
+      allowUnexpectedConsole('error');
+      const issuesUrl = 'https://api.github.com/repos/facebook/react/issues?state=open&sort=created&direction=desc';
+      const stagedValidators = {};
+      fetch.mockImplementation(async (url) => {
+        if (url.includes('page=2')) {
+          return { ok: false, status: 500, statusText: 'Server Error', headers: { get: () => null }, json: async () => ({}) };
+        }
+
+        const isIssues = url.includes('/issues');
+        return {
+          ok: true,
+          status: 200,
+          headers: {
+            get: (header) => ({
+              ETag: isIssues ? '"issues"' : '"prs"',
+              Link: isIssues ? `<${issuesUrl}&page=2>; rel="next"` : null
+            })[header] ?? null
+          },
+          json: async () => [{
+            number: 1,
+            title: 'New item',
+            html_url: 'https://github.com/facebook/react/issues/1',
+            created_at: new Date().toISOString(),
+            user: { login: 'dana' }
+          }]
+        };
+      });
+
+      const activities = await fetchRepoActivity(mockRepo, 'token', mockSince, {
+        prs: true,
+        issues: true,
+        releases: false
+      }, { validators: {}, stagedValidators, failedRepos: new Set() });
+
+      expect(activities.map(activity => activity.type)).toEqual(['pr']);
+      expect(Object.keys(stagedValidators)).toEqual([prsUrl]);
+    });
+
+    test('keeps validators fresh when a URL answers 304', async () => {
+      const validators = { [prsUrl]: { etag: 'W/"abc"', updatedAt: 1 } };
+      fetch.mockResolvedValue({ ok: false, status: 304, headers: { get: () => null } });
+
+      await fetchRepoActivity(mockRepo, 'token', mockSince, { prs: true }, { validators });
+
+      expect(validators[prsUrl].updatedAt).toBeGreaterThan(1);
+    });
+  });
+
   describe('storeActivities', () => {
     test('prevents duplicate activities', async () => {
 
@@ -432,6 +596,50 @@ describe('Background Service Worker', () => {
     });
   });
 
+  describe('markAsRead - inbox threads', () => {
+    const inboxActivity = {
+      id: 'inbox-1001-2025-01-05T10:00:00Z',
+      type: 'inbox',
+      repo: 'facebook/react',
+      threadId: '1001'
+    };
+
+    beforeEach(() => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({ activities: [inboxActivity], readItems: [] });
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+    });
+
+    test('marks the thread read on GitHub', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 205 });
+      const sendResponse = jest.fn();
+
+      handleRuntimeMessage({ action: 'markAsRead', id: inboxActivity.id }, {}, sendResponse);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+      expect(fetch).toHaveBeenCalledWith('https://api.github.com/notifications/threads/1001', expect.objectContaining({
+        method: 'PATCH'
+      }));
+    });
+
+    test('keeps the item read locally when GitHub rejects the update', async () => {
+      allowUnexpectedConsole('error');
+      fetch.mockResolvedValue({ ok: false, status: 500, statusText: 'Server Error' });
+      const sendResponse = jest.fn();
+
+      handleRuntimeMessage({ action: 'markAsRead', id: inboxActivity.id }, {}, sendResponse);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ readItems: [inboxActivity.id] }, expect.any(Function));
+    });
+  });
+
   describe('Unmuted Repository Cleanup', () => {
     test('removes old unmuted entries (> 30 days)', async () => {
       const thirtyOneDaysAgo = new Date(Date.now() - (31 * 24 * 60 * 60 * 1000));
@@ -485,6 +693,26 @@ describe('Background Service Worker', () => {
     });
   });
 
+  describe('showNotifications - security alerts', () => {
+    test('keeps security alerts on screen with high priority', () => {
+      showNotifications([
+        { id: 'pr-1', type: 'pr', repo: 'facebook/react', url: 'https://github.com/facebook/react/pull/1' },
+        { id: 'security-1', type: 'security', repo: 'facebook/react', url: 'https://github.com/facebook/react/security/dependabot/1' }
+      ]);
+
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/facebook/react/security/dependabot/1',
+        expect.objectContaining({ priority: 2, requireInteraction: true, message: '1 new pr, 1 security alert' })
+      );
+    });
+
+    test('leaves other notifications dismissable', () => {
+      showNotifications([{ id: 'pr-1', type: 'pr', repo: 'facebook/react', url: 'https://github.com/facebook/react/pull/1' }]);
+
+      expect(chrome.notifications.create.mock.calls[0][1]).not.toHaveProperty('requireInteraction');
+    });
+  });
+
   describe('showNotifications', () => {
     const mockActivities = [
       {
@@ -607,6 +835,43 @@ describe('Background Service Worker', () => {
       expect(chrome.notifications.create).not.toHaveBeenCalled();
     });
 
+    test('describes state changes and honours their notification toggle', () => {
+      const stateChange = {
+        id: 'state-vuejs/vue-5-merged-2025-01-10T12:00:00Z',
+        type: 'state',
+        repo: 'vuejs/vue',
+        title: 'PR #5 merged: Fix',
+        url: 'https://github.com/vuejs/vue/pull/5'
+      };
+
+      showNotifications([stateChange], { stateChanges: true });
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/vuejs/vue/pull/5',
+        expect.objectContaining({ message: '1 status change' })
+      );
+
+      chrome.notifications.create.mockClear();
+      showNotifications([stateChange], { stateChanges: false });
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+    });
+
+    test('pluralizes push notifications', () => {
+      const pushes = ['1', '2'].map(id => ({
+        id: `push-vuejs/vue-${id}`,
+        type: 'push',
+        repo: 'vuejs/vue',
+        title: '2 commits by alice',
+        url: 'https://github.com/vuejs/vue/compare/a...b'
+      }));
+
+      showNotifications(pushes, {});
+
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/vuejs/vue/compare/a...b',
+        expect.objectContaining({ message: '2 new pushes' })
+      );
+    });
+
     test('does not create notifications when activities array is empty', () => {
       showNotifications([]);
 
@@ -843,7 +1108,7 @@ describe('Background Service Worker', () => {
           keys.forEach(key => {
             if (key === 'watchedRepos') result[key] = mockRepos;
             else if (key === 'lastCheck') result[key] = new Date('2025-01-01').toISOString();
-            else if (key === 'filters') result[key] = { prs: true, issues: true, releases: true };
+            else if (key === 'filters') result[key] = { reviews: false, myPrs: false, security: false, prs: true, issues: true, releases: true, discussions: false };
             else if (key === 'notifications') result[key] = { prs: true, issues: true, releases: true };
             else if (key === 'mutedRepos') result[key] = [];
             else if (key === 'snoozedRepos') result[key] = [];
@@ -869,7 +1134,7 @@ describe('Background Service Worker', () => {
           keys.forEach(key => {
             if (key === 'encryptedGithubAuthSession') result[key] = null;
             else if (key === 'activities') result[key] = [];
-            else if (key === 'rateLimit') result[key] = null;
+            else if (key === 'rateLimits') result[key] = {};
           });
         } else if (keys === 'encryptedGithubAuthSession') {
           result.encryptedGithubAuthSession = null;
@@ -957,7 +1222,7 @@ describe('Background Service Worker', () => {
         if (Array.isArray(keys)) {
           keys.forEach(key => {
             if (key === 'lastCheck') result[key] = new Date('2025-01-01').toISOString();
-            else if (key === 'filters') result[key] = { prs: true, issues: true, releases: true };
+            else if (key === 'filters') result[key] = { reviews: false, myPrs: false, security: false, prs: true, issues: true, releases: true, discussions: false };
             else if (key === 'notifications') result[key] = { prs: true, issues: true, releases: true };
             else if (key === 'mutedRepos') result[key] = ['facebook/react'];
             else if (key === 'snoozedRepos') result[key] = [{ repo: 'vuejs/vue', expiresAt: Date.now() + 60000 }];
@@ -976,7 +1241,7 @@ describe('Background Service Worker', () => {
         if (Array.isArray(keys)) {
           keys.forEach(key => {
             if (key === 'activities') result[key] = [];
-            else if (key === 'rateLimit') result[key] = null;
+            else if (key === 'rateLimits') result[key] = {};
             else if (key === 'watchedRepos') {
               result[key] = [
                 { fullName: 'facebook/react' },
@@ -998,100 +1263,1598 @@ describe('Background Service Worker', () => {
     });
   });
 
-  describe('Alarm Listener', () => {
-    test('alarm listener is registered', () => {
-      expect(chrome.alarms.onAlarm.addListener).toBeDefined();
-    });
+  describe('checkGitHubActivity - GraphQL polling', () => {
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: true, issues: true, releases: true, discussions: false },
+          notifications: { prs: false, issues: false, releases: false },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: [],
+          graphqlPolling: true
+        });
+      });
 
-    test('registers the alarm listener at module load time', async () => {
-      jest.resetModules();
-      chrome.alarms.onAlarm.addListener.mockClear();
-      chrome.runtime.onInstalled.addListener.mockClear();
-      chrome.runtime.onStartup.addListener.mockClear();
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
 
-      await import('../background.js');
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [
+            { fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' },
+            { fullName: 'vuejs/vue', addedAt: '2025-01-01T00:00:00Z' }
+          ],
+          activities: [],
+          rateLimits: {}
+        });
+      });
 
-      expect(chrome.alarms.onAlarm.addListener).toHaveBeenCalledWith(expect.any(Function));
-      expect(chrome.runtime.onInstalled.addListener).toHaveBeenCalledWith(expect.any(Function));
-      expect(chrome.runtime.onStartup.addListener).toHaveBeenCalledWith(expect.any(Function));
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
     });
-  });
 
-  describe('storeActivities - quota handling', () => {
-    test('reduces to 50 items when quota exceeded', async () => {
-      allowUnexpectedConsole('error');
-      const newActivities = [
-        { id: 'new-1', repo: 'test/repo', title: 'New 1', createdAt: '2025-01-10T10:00:00Z' }
-      ];
+    const restResponse = {
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => []
+    };
+
+    test('fetches repos in one GraphQL query and uses REST only for unresolved repos', async () => {
+      fetch.mockImplementation(async (url) => {
+        if (url === 'https://api.github.com/graphql') {
+          return {
+            ok: true,
+            json: async () => ({
+              data: {
+                r0: {
+                  pullRequests: {
+                    nodes: [{
+                      number: 7,
+                      title: 'GraphQL PR',
+                      url: 'https://github.com/facebook/react/pull/7',
+                      createdAt: new Date().toISOString(),
+                      author: { login: 'alice', avatarUrl: 'https://avatar.url' }
+                    }]
+                  },
+                  issues: { nodes: [] },
+                  releases: { nodes: [] }
+                },
+                r1: null
+              }
+            })
+          };
+        }
+        return restResponse;
+      });
 
-      const existingActivities = Array.from({ length: 100 }, (_, i) => ({
-        id: `old-${i}`,
-        repo: 'test/repo',
-        title: `Old ${i}`,
-        createdAt: new Date(2025, 0, 1, 10, i).toISOString()
-      }));
+      await checkGitHubActivity();
 
-      chrome.storage.local.get.mockImplementation((keys, callback) => {
-        callback({ activities: existingActivities });
-      });
+      const urls = fetch.mock.calls.map(([url]) => url);
+      expect(urls.filter(url => url === 'https://api.github.com/graphql')).toHaveLength(1);
+      expect(urls.some(url => url.includes('/repos/facebook/react/'))).toBe(false);
+      expect(urls.some(url => url.includes('/repos/vuejs/vue/'))).toBe(true);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          activities: expect.arrayContaining([
+            expect.objectContaining({ id: 'pr-facebook/react-7', author: 'alice' })
+          ])
+        }),
+        expect.any(Function)
+      );
+    });
 
-      // First call fails with quota error, second succeeds
-      let callCount = 0;
-      chrome.storage.local.set.mockImplementation((items, callback) => {
-        callCount++;
-        if (callCount === 1) {
-          throw new Error('QUOTA_BYTES quota exceeded');
+    test('falls back to REST for every repo when the GraphQL request fails', async () => {
+      allowUnexpectedConsole('error');
+      fetch.mockImplementation(async (url) => {
+        if (url === 'https://api.github.com/graphql') {
+          return { ok: false, status: 502, statusText: 'Bad Gateway', json: async () => ({}) };
         }
-        callback && callback();
+        return restResponse;
       });
 
-      await storeActivities(newActivities);
+      await checkGitHubActivity();
 
-      // Should have retried with 50 items
-      expect(chrome.storage.local.set).toHaveBeenCalledTimes(2);
-      const secondCall = chrome.storage.local.set.mock.calls[1][0];
-      expect(secondCall.activities.length).toBe(50);
+      const urls = fetch.mock.calls.map(([url]) => url);
+      expect(urls.some(url => url.includes('/repos/facebook/react/'))).toBe(true);
+      expect(urls.some(url => url.includes('/repos/vuejs/vue/'))).toBe(true);
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith(
+        expect.objectContaining({ lastCheck: expect.any(String) })
+      );
     });
+  });
 
-    test('reduces to 25 items when 50 items still exceeds quota', async () => {
-      allowUnexpectedConsole('error');
-      const newActivities = [
-        { id: 'new-1', repo: 'test/repo', title: 'New 1', createdAt: '2025-01-10T10:00:00Z' }
-      ];
+  describe('checkGitHubActivity - default branches', () => {
+    test('looks up and stores the default branch for repos that lack one', async () => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          filters: { reviews: false, myPrs: false, security: false, prs: false, issues: false, releases: false, discussions: false, stateChanges: false, workflows: true },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [{ fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' }],
+          activities: []
+        });
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.remove.mockImplementation((keys, callback) => callback && callback());
 
-      const existingActivities = Array.from({ length: 100 }, (_, i) => ({
-        id: `old-${i}`,
-        repo: 'test/repo',
-        title: `Old ${i}`,
-        createdAt: new Date(2025, 0, 1, 10, i).toISOString()
+      fetch.mockImplementation(async (url) => ({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => (url === 'https://api.github.com/repos/facebook/react'
+          ? { default_branch: 'trunk' }
+          : { workflow_runs: [] })
       }));
 
-      chrome.storage.local.get.mockImplementation((keys, callback) => {
-        const result = {};
-        if (Array.isArray(keys)) {
-          keys.forEach(key => {
-            if (key === 'activities') result[key] = existingActivities;
-            else if (key === 'readItems') result[key] = [];
-          });
-        }
-        callback(result);
-      });
+      await checkGitHubActivity();
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        {
+          watchedRepos: [expect.objectContaining({ fullName: 'facebook/react', defaultBranch: 'trunk' })]
+        },
+        expect.any(Function)
+      );
+      expect(fetch.mock.calls.map(([url]) => url)).toContain(
+        'https://api.github.com/repos/facebook/react/actions/runs?branch=trunk&status=completed&exclude_pull_requests=true'
+      );
+    });
 
+    test('keeps repos added in settings while the default branch was looked up', async () => {
+      let watchedRepos = [{ fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' }];
       chrome.storage.sync.get.mockImplementation((keys, callback) => {
-        callback({ mutedRepos: [], snoozedRepos: [] });
+        callback({
+          filters: { reviews: false, myPrs: false, security: false, prs: false, issues: false, releases: false, discussions: false, stateChanges: false, workflows: true }
+        });
       });
-
-      // Fail twice with quota error, then succeed
-      let callCount = 0;
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({ watchedRepos, activities: [] }));
       chrome.storage.local.set.mockImplementation((items, callback) => {
-        callCount++;
-        if (callCount <= 2) {
-          throw new Error('QUOTA_BYTES quota exceeded');
+        if (items.watchedRepos) watchedRepos = items.watchedRepos;
+        callback?.();
+      });
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.remove.mockImplementation((keys, callback) => callback && callback());
+
+      fetch.mockImplementation(async (url) => {
+        if (url === 'https://api.github.com/repos/facebook/react') {
+          watchedRepos = [...watchedRepos, { fullName: 'vuejs/core', addedAt: '2025-01-02T00:00:00Z', defaultBranch: 'main' }];
+          return { ok: true, status: 200, headers: { get: () => null }, json: async () => ({ default_branch: 'trunk' }) };
         }
-        callback && callback();
+        return { ok: true, status: 200, headers: { get: () => null }, json: async () => ({ workflow_runs: [] }) };
       });
 
-      await storeActivities(newActivities);
+      await checkGitHubActivity();
+
+      expect(watchedRepos.map(repo => [repo.fullName, repo.defaultBranch])).toEqual([
+        ['facebook/react', 'trunk'],
+        ['vuejs/core', 'main']
+      ]);
+    });
+  });
+
+  describe('checkGitHubActivity - per-repo cursors', () => {
+    const reactCursor = { lastSuccessAt: '2025-01-05T00:00:00.000Z', highWaterMark: null };
+    const vueCursor = { lastSuccessAt: '2025-01-03T00:00:00.000Z', highWaterMark: null };
+
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: true, issues: false, releases: false, discussions: false },
+          notifications: { prs: false, issues: false, releases: false },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [
+            { fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' },
+            { fullName: 'vuejs/vue', addedAt: '2025-01-01T00:00:00Z' }
+          ],
+          activities: [],
+          rateLimits: {},
+          repoCursors: { 'facebook/react': reactCursor, 'vuejs/vue': vueCursor }
+        });
+      });
+
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('advances cursors for successful repos and keeps them for failed repos', async () => {
+      allowUnexpectedConsole('error');
+      fetch.mockImplementation(async (url) => {
+        if (url.includes('/repos/vuejs/vue/')) {
+          return { ok: false, status: 500, statusText: 'Server Error', headers: { get: () => null } };
+        }
+        return { ok: true, status: 200, headers: { get: () => null }, json: async () => [] };
+      });
+
+      await checkGitHubActivity();
+
+      const cursorWrite = chrome.storage.local.set.mock.calls.find(([items]) => items.repoCursors);
+      expect(cursorWrite[0].repoCursors['vuejs/vue']).toEqual(vueCursor);
+      expect(new Date(cursorWrite[0].repoCursors['facebook/react'].lastSuccessAt).getTime())
+        .toBeGreaterThan(new Date(reactCursor.lastSuccessAt).getTime());
+    });
+
+    test('records health for every checked repo', async () => {
+      allowUnexpectedConsole('error');
+      fetch.mockImplementation(async (url) => {
+        if (url.includes('/repos/vuejs/vue/')) {
+          return { ok: false, status: 404, statusText: 'Not Found', headers: { get: () => null } };
+        }
+        return { ok: true, status: 200, headers: { get: () => null }, json: async () => [] };
+      });
+
+      await checkGitHubActivity();
+
+      const { repoHealth } = chrome.storage.local.set.mock.calls.find(([items]) => items.repoHealth)[0];
+      expect(repoHealth['facebook/react']).toMatchObject({ consecutiveFailures: 0 });
+      expect(repoHealth['vuejs/vue']).toMatchObject({
+        lastSuccessAt: null,
+        errorType: 'not_found',
+        status: 404,
+        consecutiveFailures: 1
+      });
+    });
+
+    test('records SSO-blocked repos per organization instead of as failures', async () => {
+      const ssoHeaders = {
+        'X-GitHub-SSO': 'required; url=https://github.com/orgs/vuejs/sso?authorization_request=abc'
+      };
+      fetch.mockImplementation(async (url) => {
+        if (url.includes('/repos/vuejs/vue/')) {
+          return { ok: false, status: 403, statusText: 'Forbidden', headers: { get: name => ssoHeaders[name] ?? null } };
+        }
+        return { ok: true, status: 200, headers: { get: () => null }, json: async () => [] };
+      });
+
+      await checkGitHubActivity();
+
+      const writes = chrome.storage.local.set.mock.calls.map(([items]) => items);
+      const { repoHealth } = writes.find(items => items.repoHealth);
+      const { accessRequirements } = writes.find(items => items.accessRequirements);
+      const { repoCursors } = writes.find(items => items.repoCursors);
+      expect(repoHealth['vuejs/vue']).toBeUndefined();
+      expect(repoHealth['facebook/react']).toMatchObject({ consecutiveFailures: 0 });
+      expect(repoCursors['vuejs/vue']).toEqual(vueCursor);
+      expect(accessRequirements).toEqual({
+        vuejs: expect.objectContaining({
+          type: 'sso',
+          url: 'https://github.com/orgs/vuejs/sso?authorization_request=abc',
+          repos: ['vuejs/vue']
+        })
+      });
+      expect(writes.some(items => items.lastError)).toBe(false);
+    });
+
+    test('checkRepo re-checks only the requested repo and returns its health', async () => {
+      let storedHealth = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [
+            { fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' },
+            { fullName: 'vuejs/vue', addedAt: '2025-01-01T00:00:00Z' }
+          ],
+          activities: [],
+          rateLimits: {},
+          repoCursors: { 'facebook/react': reactCursor, 'vuejs/vue': vueCursor },
+          repoHealth: storedHealth
+        });
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        if (items.repoHealth) {
+          storedHealth = items.repoHealth;
+        }
+        if (callback) callback();
+      });
+      fetch.mockResolvedValue({ ok: true, status: 200, headers: { get: () => null }, json: async () => [] });
+      const sendResponse = jest.fn();
+
+      handleRuntimeMessage({ action: 'checkRepo', repo: 'vuejs/vue' }, {}, sendResponse);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const fetchedUrls = fetch.mock.calls.map(([url]) => url);
+      expect(fetchedUrls.length).toBeGreaterThan(0);
+      expect(fetchedUrls.every(url => url.includes('/repos/vuejs/vue'))).toBe(true);
+      expect(sendResponse).toHaveBeenCalledWith({
+        success: true,
+        health: expect.objectContaining({ consecutiveFailures: 0 })
+      });
+      expect(chrome.storage.sync.set).not.toHaveBeenCalledWith(expect.objectContaining({ lastCheck: expect.any(String) }), expect.anything());
+      expect(chrome.storage.local.set.mock.calls.some(([items]) => 'deferredRepos' in items)).toBe(false);
+    });
+
+    test('skips security endpoints a repo does not offer until a retry asks again', async () => {
+      const alertsUrl = 'https://api.github.com/repos/facebook/react/dependabot/alerts?state=open&sort=created&direction=desc';
+      const advisoriesUrl = 'https://api.github.com/repos/facebook/react/security-advisories?state=published&sort=published&direction=desc';
+      let storedHealth = {};
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: true, prs: false, issues: false, releases: false, discussions: false, workflows: false, stateChanges: false },
+          notifications: {},
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [{ fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' }],
+          activities: [],
+          rateLimits: {},
+          repoCursors: {},
+          repoHealth: storedHealth
+        });
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        if (items.repoHealth) {
+          storedHealth = items.repoHealth;
+        }
+        if (callback) callback();
+      });
+      fetch.mockImplementation(async (url) => (url === alertsUrl
+        ? { ok: false, status: 404, statusText: 'Not Found', headers: { get: () => null } }
+        : { ok: true, status: 200, headers: { get: () => null }, json: async () => [] }));
+
+      await checkGitHubActivity({ force: true });
+
+      expect(storedHealth['facebook/react']).toMatchObject({
+        consecutiveFailures: 0,
+        unavailableFeatures: { dependabotAlerts: expect.any(String) }
+      });
+
+      fetch.mockClear();
+      await checkGitHubActivity({ force: true });
+
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([advisoriesUrl]);
+
+      fetch.mockClear();
+      await checkGitHubActivity({ repos: ['facebook/react'] });
+
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([alertsUrl, advisoriesUrl]);
+    });
+  });
+
+  describe('checkGitHubActivity - adaptive polling', () => {
+    const hour = 60 * 60 * 1000;
+    let repoCursors;
+
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: true, issues: false, releases: false, discussions: false },
+          notifications: { prs: false },
+          checkInterval: 15,
+          pinnedRepos: ['vuejs/vue'],
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [
+            { fullName: 'facebook/react', addedAt: '2024-01-01T00:00:00Z' },
+            { fullName: 'vuejs/vue', addedAt: '2024-01-01T00:00:00Z' }
+          ],
+          activities: [],
+          rateLimits: {},
+          repoCursors
+        });
+      });
+
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+      fetch.mockResolvedValue({ ok: true, status: 200, headers: { get: () => null }, json: async () => [] });
+    });
+
+    test('only fetches repos whose next check is due', async () => {
+      repoCursors = {
+        'facebook/react': { lastSuccessAt: new Date().toISOString(), highWaterMark: null, nextCheckAt: new Date(Date.now() + 2 * hour).toISOString() },
+        'vuejs/vue': { lastSuccessAt: new Date().toISOString(), highWaterMark: null, nextCheckAt: new Date(Date.now() - 1000).toISOString() }
+      };
+
+      await checkGitHubActivity();
+
+      const fetchedUrls = fetch.mock.calls.map(([url]) => url);
+      expect(fetchedUrls.some(url => url.includes('/repos/vuejs/vue/'))).toBe(true);
+      expect(fetchedUrls.some(url => url.includes('/repos/facebook/react/'))).toBe(false);
+
+      const cursorWrite = chrome.storage.local.set.mock.calls.find(([items]) => items.repoCursors);
+      expect(cursorWrite[0].repoCursors['facebook/react']).toEqual(repoCursors['facebook/react']);
+    });
+
+    test('backs off quiet repos but keeps pinned repos on every tick', async () => {
+      repoCursors = {};
+
+      await checkGitHubActivity();
+
+      const { repoCursors: saved } = chrome.storage.local.set.mock.calls.find(([items]) => items.repoCursors)[0];
+      const untilNext = repo => new Date(saved[repo].nextCheckAt).getTime() - Date.now();
+      expect(untilNext('vuejs/vue')).toBeLessThanOrEqual(15 * 60 * 1000);
+      expect(untilNext('facebook/react')).toBeGreaterThan(hour);
+    });
+
+    test('defers lower-priority repos that do not fit the remaining rate limit', async () => {
+      repoCursors = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [
+            { fullName: 'facebook/react', addedAt: '2024-01-01T00:00:00Z' },
+            { fullName: 'vuejs/vue', addedAt: '2024-01-01T00:00:00Z' }
+          ],
+          activities: [],
+          repoCursors,
+          rateLimits: { 'github.com': { remaining: 101, limit: 5000, reset: Date.now() + hour } }
+        });
+      });
+
+      await checkGitHubActivity();
+
+      const fetchedUrls = fetch.mock.calls.map(([url]) => url);
+      expect(fetchedUrls.some(url => url.includes('/repos/vuejs/vue/'))).toBe(true);
+      expect(fetchedUrls.some(url => url.includes('/repos/facebook/react/'))).toBe(false);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ deferredRepos: ['facebook/react'] }, expect.any(Function));
+    });
+
+    test('checks every repo on a manual refresh', async () => {
+      repoCursors = {
+        'facebook/react': { lastSuccessAt: new Date().toISOString(), highWaterMark: null, nextCheckAt: new Date(Date.now() + 2 * hour).toISOString() }
+      };
+
+      await checkGitHubActivity({ force: true });
+
+      expect(fetch.mock.calls.some(([url]) => url.includes('/repos/facebook/react/'))).toBe(true);
+    });
+  });
+
+  describe('checkGitHubActivity - check queue', () => {
+    const okResponse = { ok: true, status: 200, headers: { get: () => null }, json: async () => [] };
+    let watchedRepos;
+
+    async function waitForFetch() {
+      for (let tick = 0; tick < 50 && fetch.mock.calls.length === 0; tick++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    function hangUntilAborted(url, init) {
+      return new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => {
+          const error = new Error('The operation was aborted');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      });
+    }
+
+    beforeEach(() => {
+      watchedRepos = [{ fullName: 'facebook/react', addedAt: '2024-01-01T00:00:00Z' }];
+
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: true, issues: false, releases: false, discussions: false, workflows: false },
+          notifications: { prs: false },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({ watchedRepos, activities: [], rateLimits: {}, repoCursors: {} });
+      });
+
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('limits how many repos are fetched at once', async () => {
+      watchedRepos = Array.from({ length: 15 }, (_, index) => ({
+        fullName: `owner/repo-${index}`,
+        addedAt: '2024-01-01T00:00:00Z'
+      }));
+      let inFlight = 0;
+      let maxInFlight = 0;
+      fetch.mockImplementation(async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        inFlight--;
+        return okResponse;
+      });
+
+      await checkGitHubActivity();
+
+      expect(fetch).toHaveBeenCalledTimes(15);
+      expect(maxInFlight).toBeGreaterThan(1);
+      expect(maxInFlight).toBeLessThanOrEqual(6);
+    });
+
+    test('routes requests through a configured GitHub Enterprise Server host', async () => {
+      const defaultSyncGet = chrome.storage.sync.get.getMockImplementation();
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        if (Array.isArray(keys) && keys.includes('githubHost')) {
+          return Promise.resolve({ githubHost: 'ghe.example.com' });
+        }
+        return defaultSyncGet(keys, callback);
+      });
+      fetch.mockResolvedValue(okResponse);
+
+      await checkGitHubActivity();
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://ghe.example.com/api/v3/repos/facebook/react/pulls?state=open&sort=created&direction=desc',
+        expect.any(Object)
+      );
+      expect(fetch.mock.calls.every(([url]) => url.startsWith('https://ghe.example.com/'))).toBe(true);
+    });
+
+    test('sends nothing to an Enterprise host whose permission was revoked', async () => {
+      allowUnexpectedConsole('warn');
+      const defaultSyncGet = chrome.storage.sync.get.getMockImplementation();
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        if (Array.isArray(keys) && keys.includes('githubHost')) {
+          return Promise.resolve({ githubHost: 'ghe.example.com' });
+        }
+        return defaultSyncGet(keys, callback);
+      });
+      chrome.permissions.contains.mockResolvedValueOnce(false);
+      fetch.mockResolvedValue(okResponse);
+
+      await checkGitHubActivity();
+
+      expect(chrome.permissions.contains).toHaveBeenCalledWith({ origins: ['https://ghe.example.com/*'] });
+      expect(fetch).not.toHaveBeenCalled();
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        lastError: expect.objectContaining({ message: expect.stringContaining('permission to reach ghe.example.com') })
+      }, expect.any(Function));
+    });
+
+    test('fetches each repo with the account it is bound to', async () => {
+      watchedRepos = [
+        { fullName: 'facebook/react', addedAt: '2024-01-01T00:00:00Z' },
+        { fullName: 'acme/internal', addedAt: '2024-01-01T00:00:00Z', account: 'octo-work' },
+        { fullName: 'acme/legacy', addedAt: '2024-01-01T00:00:00Z', account: 'disconnected-user' }
+      ];
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({
+          githubAuthSession: { accessToken: 'ghp_test123', username: 'octocat' },
+          githubAuthAccounts: [{ accessToken: 'work-token', username: 'octo-work' }]
+        });
+      });
+      fetch.mockResolvedValue(okResponse);
+
+      await checkGitHubActivity();
+
+      const tokenFor = repo => fetch.mock.calls
+        .find(([url]) => url.includes(`/repos/${repo}/`))[1].headers.Authorization;
+      expect(tokenFor('facebook/react')).toBe('Bearer ghp_test123');
+      expect(tokenFor('acme/internal')).toBe('Bearer work-token');
+      // A binding to an account that was disconnected falls back to the default account
+      expect(tokenFor('acme/legacy')).toBe('Bearer ghp_test123');
+    });
+
+    test('an exhausted rate limit only holds back repos of the same account', async () => {
+      watchedRepos = [
+        { fullName: 'facebook/react', addedAt: '2024-01-01T00:00:00Z' },
+        { fullName: 'acme/internal', addedAt: '2024-01-01T00:00:00Z', account: 'octo-work' }
+      ];
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({
+          githubAuthSession: { accessToken: 'ghp_test123', username: 'octocat' },
+          githubAuthAccounts: [{ accessToken: 'work-token', username: 'octo-work' }]
+        });
+      });
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos,
+          activities: [],
+          repoCursors: {},
+          rateLimits: { 'octocat@github.com': { remaining: 0, limit: 5000, reset: Date.now() + 60 * 60 * 1000 } }
+        });
+      });
+      fetch.mockResolvedValue({
+        ...okResponse,
+        headers: {
+          get: header => ({ 'X-RateLimit-Remaining': '4000', 'X-RateLimit-Limit': '5000', 'X-RateLimit-Reset': '1704110000' })[header] ?? null
+        }
+      });
+
+      await checkGitHubActivity();
+
+      const fetchedUrls = fetch.mock.calls.map(([url]) => url);
+      expect(fetchedUrls.some(url => url.includes('/repos/acme/internal/'))).toBe(true);
+      expect(fetchedUrls.some(url => url.includes('/repos/facebook/react/'))).toBe(false);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ deferredRepos: ['facebook/react'] }, expect.any(Function));
+      // The work account's response updates its own limit, not the exhausted one
+      const savedKeys = chrome.storage.local.set.mock.calls
+        .filter(([items]) => items.rateLimits)
+        .flatMap(([items]) => Object.keys(items.rateLimits).filter(key => items.rateLimits[key].remaining === 4000));
+      expect(new Set(savedKeys)).toEqual(new Set(['octo-work@github.com']));
+    });
+
+    test('public-only mode fetches without a token and skips features that need one', async () => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: true, myPrs: true, security: true, prs: true, issues: false, releases: false, discussions: true, workflows: false },
+          notifications: { prs: false },
+          graphqlPolling: true,
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { authType: 'public', accessToken: null, username: '' } });
+      });
+      fetch.mockResolvedValue(okResponse);
+
+      await checkGitHubActivity();
+
+      const urls = fetch.mock.calls.map(([url]) => url);
+      expect(urls).toEqual(['https://api.github.com/repos/facebook/react/pulls?state=open&sort=created&direction=desc']);
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+    });
+
+    test('a manual refresh cancels the running check so only one stores results', async () => {
+      fetch.mockImplementation(hangUntilAborted);
+      const firstCheck = checkGitHubActivity();
+      await waitForFetch();
+
+      fetch.mockResolvedValue(okResponse);
+      await checkGitHubActivity({ force: true });
+      await firstCheck;
+
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+      const lastCheckWrites = chrome.storage.sync.set.mock.calls.filter(([items]) => items.lastCheck);
+      expect(lastCheckWrites).toHaveLength(1);
+      expect(chrome.storage.local.set.mock.calls.filter(([items]) => items.repoCursors)).toHaveLength(1);
+    });
+
+    test('an alarm tick leaves a running check alone', async () => {
+      fetch.mockImplementation(hangUntilAborted);
+      const firstCheck = checkGitHubActivity();
+      await waitForFetch();
+
+      const alarmCheck = checkGitHubActivity();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(false);
+
+      fetch.mockResolvedValue(okResponse);
+      await checkGitHubActivity({ force: true });
+      await Promise.all([firstCheck, alarmCheck]);
+    });
+  });
+
+  describe('checkGitHubActivity - discussions', () => {
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: false, issues: false, releases: false, discussions: true, workflows: false, stateChanges: false },
+          notifications: { discussions: false },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [
+            { fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' },
+            { fullName: 'vuejs/vue', addedAt: '2025-01-01T00:00:00Z' }
+          ],
+          activities: [],
+          rateLimits: {},
+          repoCursors: { 'vuejs/vue': { lastSuccessAt: '2025-01-03T00:00:00.000Z', highWaterMark: null } }
+        });
+      });
+
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('fetches discussions through one GraphQL batch even when GraphQL polling is off', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          data: {
+            r0: {
+              discussions: {
+                nodes: [{
+                  number: 12,
+                  title: 'RFC: new renderer',
+                  url: 'https://github.com/facebook/react/discussions/12',
+                  createdAt: new Date().toISOString(),
+                  isAnswered: false,
+                  category: { name: 'Ideas' },
+                  author: { login: 'alice', avatarUrl: 'https://avatar.url' }
+                }]
+              }
+            },
+            r1: { discussions: { nodes: [] } }
+          }
+        })
+      });
+
+      await checkGitHubActivity();
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      const [url, request] = fetch.mock.calls[0];
+      expect(url).toBe('https://api.github.com/graphql');
+      expect(JSON.parse(request.body).query).not.toContain('pullRequests(');
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          activities: [expect.objectContaining({ id: 'discussion-facebook/react-12', description: 'Ideas' })]
+        }),
+        expect.any(Function)
+      );
+    });
+
+    test('keeps cursors in place when the discussion batch fails', async () => {
+      allowUnexpectedConsole('error');
+      fetch.mockResolvedValue({ ok: false, status: 502, statusText: 'Bad Gateway', json: async () => ({}) });
+
+      await checkGitHubActivity();
+
+      const cursorWrite = chrome.storage.local.set.mock.calls.find(([items]) => items.repoCursors);
+      expect(cursorWrite[0].repoCursors['vuejs/vue']).toEqual({
+        lastSuccessAt: '2025-01-03T00:00:00.000Z',
+        highWaterMark: null
+      });
+    });
+
+    test('records why each repo failed when the discussion batch fails', async () => {
+      allowUnexpectedConsole('error');
+      fetch.mockResolvedValue({ ok: false, status: 502, statusText: 'Bad Gateway', json: async () => ({}) });
+
+      await checkGitHubActivity();
+
+      const healthWrite = chrome.storage.local.set.mock.calls.find(([items]) => items.repoHealth);
+      expect(healthWrite[0].repoHealth).toEqual({
+        'facebook/react': expect.objectContaining({ message: 'GraphQL request failed: 502 Bad Gateway', consecutiveFailures: 1 }),
+        'vuejs/vue': expect.objectContaining({ message: 'GraphQL request failed: 502 Bad Gateway', consecutiveFailures: 1 })
+      });
+    });
+  });
+
+  describe('checkGitHubActivity - notifications inbox', () => {
+    let localData;
+
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: false, issues: false, releases: false, discussions: false, workflows: false, stateChanges: false, inbox: true },
+          notifications: { inbox: false },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      localData = {
+        watchedRepos: [{ fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' }],
+        activities: [],
+        rateLimits: {}
+      };
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback(localData));
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('adds unread inbox threads to the feed and stores the next poll time', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: name => (name === 'X-Poll-Interval' ? '60' : null) },
+        json: async () => [{
+          id: '1001',
+          unread: true,
+          reason: 'mention',
+          updated_at: new Date().toISOString(),
+          subject: { title: 'Question for you', url: 'https://api.github.com/repos/vuejs/vue/issues/3', type: 'Issue' },
+          repository: { full_name: 'vuejs/vue', html_url: 'https://github.com/vuejs/vue', owner: { login: 'vuejs' } }
+        }]
+      });
+
+      await checkGitHubActivity();
+
+      expect(fetch).toHaveBeenCalledWith('https://api.github.com/notifications?per_page=50', expect.any(Object));
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          activities: [expect.objectContaining({ type: 'inbox', repo: 'vuejs/vue', description: 'Mentioned', threadId: '1001' })]
+        }),
+        expect.any(Function)
+      );
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        { inboxState: { nextPollAt: expect.any(Number) } },
+        expect.any(Function)
+      );
+    });
+
+    test('notifies only threads that changed since they were stored', async () => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: false, issues: false, releases: false, discussions: false, workflows: false, stateChanges: false, inbox: true },
+          notifications: { inbox: true }
+        });
+      });
+      const createThread = (id, updatedAt) => ({
+        id,
+        unread: true,
+        reason: 'mention',
+        updated_at: updatedAt,
+        subject: { title: `Thread ${id}`, url: `https://api.github.com/repos/vuejs/vue/issues/${id}`, type: 'Issue' },
+        repository: { full_name: 'vuejs/vue', html_url: 'https://github.com/vuejs/vue', owner: { login: 'vuejs' } }
+      });
+      localData.activities = [{ id: 'inbox-1001-2025-01-05T10:00:00Z', type: 'inbox', repo: 'vuejs/vue' }];
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => [createThread('1002', '2025-01-06T10:00:00Z'), createThread('1001', '2025-01-05T10:00:00Z')]
+      });
+
+      await checkGitHubActivity();
+
+      expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ title: 'vuejs/vue', message: '1 inbox notification' })
+      );
+    });
+
+    test('does not poll the inbox before X-Poll-Interval has elapsed', async () => {
+      localData.inboxState = { nextPollAt: Date.now() + 60000 };
+
+      await checkGitHubActivity();
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkGitHubActivity - review queue', () => {
+    const queuedItem = {
+      id: 700,
+      number: 21,
+      title: 'Needs your eyes',
+      html_url: 'https://github.com/acme/app/pull/21',
+      repository_url: 'https://api.github.com/repos/acme/app',
+      updated_at: new Date().toISOString(),
+      user: { login: 'dana', avatar_url: 'https://avatar.url' }
+    };
+    let storedActivities;
+
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: true, myPrs: false, security: false, prs: false, issues: false, releases: false, discussions: false, workflows: false, stateChanges: false },
+          notifications: { reviews: true },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [{ fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' }],
+          activities: storedActivities,
+          rateLimits: {}
+        });
+      });
+
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => ({ total_count: 1, items: [queuedItem] })
+      });
+    });
+
+    test('stores new review requests and notifies about them', async () => {
+      storedActivities = [];
+
+      await checkGitHubActivity();
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          activities: [expect.objectContaining({ id: 'review-acme/app-21', type: 'review', requestedFrom: 'user' })]
+        }),
+        expect.any(Function)
+      );
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/acme/app/pull/21',
+        expect.objectContaining({ message: '1 review request' })
+      );
+    });
+
+    test('drops answered requests without notifying again for ones still queued', async () => {
+      storedActivities = [
+        { id: 'review-acme/app-21', type: 'review', repo: 'acme/app', createdAt: queuedItem.updated_at },
+        { id: 'review-acme/app-5', type: 'review', repo: 'acme/app', createdAt: queuedItem.updated_at }
+      ];
+
+      await checkGitHubActivity();
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        { activities: [expect.objectContaining({ id: 'review-acme/app-21' })] },
+        expect.any(Function)
+      );
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkGitHubActivity - saved searches', () => {
+    const savedSearch = { id: 'sec1', name: 'Security', query: 'label:security org:acme is:open' };
+    const matchingItem = {
+      id: 900,
+      number: 42,
+      title: 'Token leaks into logs',
+      html_url: 'https://github.com/acme/api/issues/42',
+      repository_url: 'https://api.github.com/repos/acme/api',
+      updated_at: new Date().toISOString(),
+      user: { login: 'dana', avatar_url: 'https://avatar.url' }
+    };
+    let localStore;
+
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: false, issues: false, releases: false, discussions: false, workflows: false, stateChanges: false, searches: true },
+          notifications: { searches: true },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: [],
+          savedSearches: [savedSearch]
+        });
+      });
+
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      localStore = {
+        watchedRepos: [{ fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' }],
+        activities: [],
+        rateLimits: {}
+      };
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+          if (key in localStore) result[key] = localStore[key];
+        });
+        callback(result);
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        Object.assign(localStore, items);
+        callback?.();
+      });
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+
+      fetch.mockImplementation(async (url) => ({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => (url.includes('/search/issues') ? { total_count: 1, items: [matchingItem] } : [])
+      }));
+    });
+
+    test('adds current matches of a new search to the feed without notifying', async () => {
+      await checkGitHubActivity();
+
+      expect(decodeURIComponent(fetch.mock.calls.find(([url]) => url.includes('/search/issues'))[0]))
+        .toContain('label:security org:acme is:open');
+      expect(localStore.activities).toEqual([expect.objectContaining({
+        id: 'search-sec1-acme/api-42',
+        type: 'search',
+        searchName: 'Security'
+      })]);
+      expect(localStore.savedSearchState.sec1.knownIds).toEqual(['search-sec1-acme/api-42']);
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+    });
+
+    test('notifies about hits the search had not returned before', async () => {
+      localStore.savedSearchState = { sec1: { knownIds: ['search-sec1-acme/api-7'], lastPolledAt: '2025-01-01T00:00:00Z' } };
+
+      await checkGitHubActivity();
+
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/acme/api/issues/42',
+        expect.objectContaining({ title: 'acme/api', message: '1 saved search match' })
+      );
+    });
+
+    test('a check cancelled by a manual refresh does not mark its hits as known', async () => {
+      const searchResponse = {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => ({ total_count: 1, items: [matchingItem] })
+      };
+      let releaseSearch;
+      fetch.mockImplementationOnce(() => new Promise(resolve => {
+        releaseSearch = () => resolve(searchResponse);
+      }));
+
+      const firstCheck = checkGitHubActivity();
+      for (let tick = 0; tick < 50 && !releaseSearch; tick++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      const refresh = checkGitHubActivity({ force: true });
+      releaseSearch();
+      await Promise.all([firstCheck, refresh]);
+
+      expect(localStore.activities.map(activity => activity.id)).toEqual(['search-sec1-acme/api-42']);
+      expect(localStore.savedSearchState.sec1.knownIds).toEqual(['search-sec1-acme/api-42']);
+    });
+
+    test('removeSearchData drops the hits of deleted searches', async () => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => callback({ savedSearches: [] }));
+      localStore.activities = [
+        { id: 'search-sec1-acme/api-42', type: 'search', repo: 'acme/api', searchId: 'sec1' },
+        { id: 'pr-facebook/react-1', type: 'pr', repo: 'facebook/react' }
+      ];
+      const sendResponse = jest.fn();
+
+      handleRuntimeMessage({ action: 'removeSearchData' }, {}, sendResponse);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+      expect(localStore.activities.map(activity => activity.id)).toEqual(['pr-facebook/react-1']);
+    });
+  });
+
+  describe('checkGitHubActivity - label filters', () => {
+    let localStore;
+
+    function createIssueItem(number, labels) {
+      return {
+        id: 1000 + number,
+        number,
+        title: `Issue ${number}`,
+        html_url: `https://github.com/facebook/react/issues/${number}`,
+        created_at: new Date().toISOString(),
+        labels: labels.map(name => ({ name })),
+        user: { login: 'dana', avatar_url: 'https://avatar.url' }
+      };
+    }
+
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: false, issues: true, releases: false, discussions: false, workflows: false, stateChanges: false, searches: false },
+          notifications: { issues: true },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      localStore = {
+        watchedRepos: [{ fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z', includeLabels: ['regression'] }],
+        activities: [],
+        rateLimits: {}
+      };
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+          if (key in localStore) result[key] = localStore[key];
+        });
+        callback(result);
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        Object.assign(localStore, items);
+        callback?.();
+      });
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+
+      fetch.mockImplementation(async (url) => ({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => (url.includes('/issues') ? [createIssueItem(1, ['Regression']), createIssueItem(2, ['docs'])] : [])
+      }));
+    });
+
+    test('stores and notifies only issues that pass the repo label rules', async () => {
+      await checkGitHubActivity();
+
+      expect(localStore.activities.map(activity => activity.id)).toEqual(['issue-facebook/react-1']);
+      expect(localStore.activities[0].labels).toEqual(['Regression']);
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/facebook/react/issues/1',
+        expect.objectContaining({ title: 'facebook/react' })
+      );
+      expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('checkGitHubActivity - items fetched again', () => {
+    let localStore;
+
+    function createIssueItem(number) {
+      return {
+        id: 2000 + number,
+        number,
+        title: `Issue ${number}`,
+        html_url: `https://github.com/facebook/react/issues/${number}`,
+        created_at: new Date().toISOString(),
+        user: { login: 'dana', avatar_url: 'https://avatar.url' }
+      };
+    }
+
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: false, security: false, prs: false, issues: true, releases: false, discussions: false, workflows: false, stateChanges: false, searches: false },
+          notifications: { issues: true },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      localStore = {
+        watchedRepos: [{ fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' }],
+        // Stored by a check whose cursor did not move past it
+        activities: [{ id: 'issue-facebook/react-1', type: 'issue', repo: 'facebook/react', number: 1, createdAt: new Date().toISOString() }],
+        rateLimits: {}
+      };
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+          if (key in localStore) result[key] = localStore[key];
+        });
+        callback(result);
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        Object.assign(localStore, items);
+        callback?.();
+      });
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+
+      fetch.mockImplementation(async (url) => ({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => (url.includes('/issues') ? [createIssueItem(3), createIssueItem(1)] : [])
+      }));
+    });
+
+    test('notifies only items that are not stored yet', async () => {
+      await checkGitHubActivity();
+
+      expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/facebook/react/issues/3',
+        expect.objectContaining({ title: 'facebook/react', message: '1 new issue' })
+      );
+      expect(localStore.activities.map(activity => activity.id)).toEqual(['issue-facebook/react-3', 'issue-facebook/react-1']);
+    });
+  });
+
+  describe('checkGitHubActivity - my open PRs', () => {
+    const trackedPr = {
+      id: 'mypr-acme/app-9',
+      repo: 'acme/app',
+      number: 9,
+      title: 'Speed up builds',
+      url: 'https://github.com/acme/app/pull/9',
+      checks: 'pending',
+      review: 'review_required',
+      mergeable: 'mergeable'
+    };
+
+    beforeEach(() => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          lastCheck: new Date('2025-01-01').toISOString(),
+          filters: { reviews: false, myPrs: true, security: false, prs: false, issues: false, releases: false, discussions: false, workflows: false, stateChanges: false },
+          notifications: { myPrs: true },
+          mutedRepos: [],
+          snoozedRepos: [],
+          unmutedRepos: []
+        });
+      });
+
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({
+          watchedRepos: [{ fullName: 'facebook/react', addedAt: '2025-01-01T00:00:00Z' }],
+          activities: [],
+          myPullRequests: [trackedPr],
+          rateLimits: {}
+        });
+      });
+
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+      chrome.storage.sync.set.mockImplementation((items, callback) => callback && callback());
+
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => ({
+          data: {
+            search: {
+              nodes: [{
+                number: 9,
+                title: 'Speed up builds',
+                url: 'https://github.com/acme/app/pull/9',
+                updatedAt: '2025-01-02T00:00:00Z',
+                reviewDecision: 'CHANGES_REQUESTED',
+                mergeable: 'MERGEABLE',
+                repository: { nameWithOwner: 'acme/app' },
+                author: { login: 'me', avatarUrl: '' },
+                commits: { nodes: [{ commit: { statusCheckRollup: { state: 'PENDING' } } }] }
+              }]
+            }
+          }
+        })
+      });
+    });
+
+    test('stores the latest status and notifies about changes requested', async () => {
+      await checkGitHubActivity();
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        { myPullRequests: [expect.objectContaining({ id: 'mypr-acme/app-9', review: 'changes_requested' })] },
+        expect.any(Function)
+      );
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/acme/app/pull/9',
+        expect.objectContaining({ title: 'acme/app', message: '1 PR status update' })
+      );
+    });
+
+    test('a check cancelled by a manual refresh leaves the snapshot to the check that notifies', async () => {
+      const response = await fetch();
+      fetch.mockClear();
+      let releaseSearch;
+      fetch.mockImplementationOnce(() => new Promise(resolve => {
+        releaseSearch = () => resolve(response);
+      }));
+
+      const firstCheck = checkGitHubActivity();
+      for (let tick = 0; tick < 50 && !releaseSearch; tick++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      const refresh = checkGitHubActivity({ force: true });
+      releaseSearch();
+      await Promise.all([firstCheck, refresh]);
+
+      expect(chrome.storage.local.set.mock.calls.filter(([items]) => items.myPullRequests)).toHaveLength(1);
+      expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('respects the notification toggle', async () => {
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({
+          filters: { reviews: false, myPrs: true, security: false, prs: false, issues: false, releases: false, discussions: false, workflows: false, stateChanges: false },
+          notifications: { myPrs: false }
+        });
+      });
+
+      await checkGitHubActivity();
+
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Alarm Listener', () => {
+    test('alarm listener is registered', () => {
+      expect(chrome.alarms.onAlarm.addListener).toBeDefined();
+    });
+
+    test('registers the alarm listener at module load time', async () => {
+      jest.resetModules();
+      chrome.alarms.onAlarm.addListener.mockClear();
+      chrome.runtime.onInstalled.addListener.mockClear();
+      chrome.runtime.onStartup.addListener.mockClear();
+
+      await import('../background.js');
+
+      expect(chrome.alarms.onAlarm.addListener).toHaveBeenCalledWith(expect.any(Function));
+      expect(chrome.runtime.onInstalled.addListener).toHaveBeenCalledWith(expect.any(Function));
+      expect(chrome.runtime.onStartup.addListener).toHaveBeenCalledWith(expect.any(Function));
+    });
+
+    test('locks the remembered sign-in when the auto-lock alarm fires', async () => {
+      jest.resetModules();
+      chrome.alarms.onAlarm.addListener.mockClear();
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({ persistentAuthSession: { salt: [1, 2, 3], iv: [4], data: [5] } });
+      });
+      chrome.storage.session.remove.mockClear();
+
+      await import('../background.js');
+      const alarmListener = chrome.alarms.onAlarm.addListener.mock.calls[0][0];
+      alarmListener({ name: 'devwatch-auto-lock' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(chrome.storage.session.remove).toHaveBeenCalledWith(
+        ['githubAuthSession', 'githubAuthAccounts', 'persistentAuthKey'],
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('syncWatchedOwners', () => {
+    let localStore;
+
+    function pick(store, keys) {
+      const result = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+        if (key in store) result[key] = store[key];
+      });
+      return result;
+    }
+
+    function orgRepo(name) {
+      return { name, full_name: `acme/${name}`, archived: false, fork: false, private: false, default_branch: 'main' };
+    }
+
+    beforeEach(() => {
+      localStore = {
+        watchedOwners: [{
+          login: 'acme',
+          type: 'org',
+          exclude: ['*-sandbox'],
+          lastSyncedAt: '2026-10-18T12:00:00Z',
+          knownRepos: ['acme/api']
+        }],
+        watchedRepos: [{ fullName: 'acme/api', addedAt: '2026-10-18T12:00:00Z' }]
+      };
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback(pick(localStore, keys)));
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        Object.assign(localStore, items);
+        callback?.();
+      });
+      chrome.storage.sync.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.session.get.mockImplementation((keys, callback) => {
+        callback({ githubAuthSession: { accessToken: 'ghp_test123' } });
+      });
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => [orgRepo('web'), orgRepo('api'), orgRepo('play-sandbox')]
+      });
+    });
+
+    test('adds new repos from a watched organization and notifies', async () => {
+      const results = await syncWatchedOwners();
+
+      expect(fetch.mock.calls[0][0]).toContain('/orgs/acme/repos');
+      expect(results).toEqual([{ login: 'acme', added: ['acme/web'], cappedCount: 0 }]);
+      expect(localStore.watchedRepos.map(repo => repo.fullName)).toEqual(['acme/api', 'acme/web']);
+      expect(localStore.watchedRepos[1].watchedVia).toBe('acme');
+      expect(localStore.watchedOwners[0].knownRepos).toEqual(['acme/web', 'acme/api', 'acme/play-sandbox']);
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/acme/web',
+        expect.objectContaining({ message: expect.stringContaining('Now watching 1 new repository: web') })
+      );
+    });
+
+    test('keeps repo edits made in settings while the owner was listed', async () => {
+      fetch.mockImplementation(async () => {
+        // The user relabels acme/api and adds another repo while the listing is in flight
+        localStore.watchedRepos = [
+          { fullName: 'acme/api', addedAt: '2026-10-18T12:00:00Z', includeLabels: ['regression'] },
+          { fullName: 'vuejs/core', addedAt: '2026-10-19T12:00:00Z' }
+        ];
+        return { ok: true, status: 200, headers: { get: () => null }, json: async () => [orgRepo('web'), orgRepo('api')] };
+      });
+
+      await syncWatchedOwners();
+
+      expect(localStore.watchedRepos.map(repo => repo.fullName)).toEqual(['acme/api', 'vuejs/core', 'acme/web']);
+      expect(localStore.watchedRepos[0].includeLabels).toEqual(['regression']);
+    });
+
+    test('does not re-add repos removed after they were seen', async () => {
+      localStore.watchedOwners[0].knownRepos = ['acme/api', 'acme/web', 'acme/play-sandbox'];
+      localStore.watchedRepos = [];
+
+      const results = await syncWatchedOwners();
+
+      expect(results[0].added).toEqual([]);
+      expect(localStore.watchedRepos).toEqual([]);
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+    });
+
+    test('stops at the watched repository limit unless unlimited repos are allowed', async () => {
+      localStore.watchedOwners[0].knownRepos = [];
+      localStore.watchedRepos = Array.from({ length: 50 }, (_, index) => ({
+        fullName: `other/repo-${index}`,
+        addedAt: '2026-10-18T12:00:00Z'
+      }));
+
+      const results = await syncWatchedOwners();
+
+      expect(results[0]).toEqual({ login: 'acme', added: [], cappedCount: 2 });
+      expect(localStore.watchedRepos).toHaveLength(50);
+      expect(localStore.watchedOwners[0].knownRepos).toEqual(['acme/play-sandbox']);
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        'https://github.com/acme',
+        expect.objectContaining({ message: expect.stringContaining('2 more could not be added') })
+      );
+
+      chrome.storage.sync.get.mockImplementation((keys, callback) => callback({ allowUnlimitedRepos: true }));
+      const unlimited = await syncWatchedOwners();
+      expect(unlimited[0].added).toEqual(['acme/web', 'acme/api']);
+    });
+
+    test('checks the limit again against repos added in settings while the owner was listed', async () => {
+      localStore.watchedOwners[0].knownRepos = [];
+      localStore.watchedRepos = Array.from({ length: 48 }, (_, index) => ({
+        fullName: `other/repo-${index}`,
+        addedAt: '2026-10-18T12:00:00Z'
+      }));
+      fetch.mockImplementation(async () => {
+        // Settings fill one of the two free slots while the listing is in flight
+        localStore.watchedRepos = [...localStore.watchedRepos, { fullName: 'vuejs/core', addedAt: '2026-10-19T12:00:00Z' }];
+        return { ok: true, status: 200, headers: { get: () => null }, json: async () => [orgRepo('web'), orgRepo('api')] };
+      });
+
+      const results = await syncWatchedOwners();
+
+      expect(results[0]).toEqual({ login: 'acme', added: ['acme/web'], cappedCount: 1 });
+      expect(localStore.watchedRepos).toHaveLength(50);
+      expect(localStore.watchedRepos.at(-1).fullName).toBe('acme/web');
+      // The repo that no longer fit is picked up by a later sync
+      expect(localStore.watchedOwners[0].knownRepos).toEqual(['acme/web']);
+    });
+  });
+
+  describe('storeActivities - quota handling', () => {
+    test('reduces to 50 items when quota exceeded', async () => {
+      allowUnexpectedConsole('error');
+      const newActivities = [
+        { id: 'new-1', repo: 'test/repo', title: 'New 1', createdAt: '2025-01-10T10:00:00Z' }
+      ];
+
+      const existingActivities = Array.from({ length: 100 }, (_, i) => ({
+        id: `old-${i}`,
+        repo: 'test/repo',
+        title: `Old ${i}`,
+        createdAt: new Date(2025, 0, 1, 10, i).toISOString()
+      }));
+
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({ activities: existingActivities });
+      });
+
+      // First call fails with quota error, second succeeds
+      let callCount = 0;
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        callCount++;
+        if (callCount === 1) {
+          throw new Error('QUOTA_BYTES quota exceeded');
+        }
+        callback && callback();
+      });
+
+      await storeActivities(newActivities);
+
+      // Should have retried with 50 items
+      expect(chrome.storage.local.set).toHaveBeenCalledTimes(2);
+      const secondCall = chrome.storage.local.set.mock.calls[1][0];
+      expect(secondCall.activities.length).toBe(50);
+    });
+
+    test('reduces to 25 items when 50 items still exceeds quota', async () => {
+      allowUnexpectedConsole('error');
+      const newActivities = [
+        { id: 'new-1', repo: 'test/repo', title: 'New 1', createdAt: '2025-01-10T10:00:00Z' }
+      ];
+
+      const existingActivities = Array.from({ length: 100 }, (_, i) => ({
+        id: `old-${i}`,
+        repo: 'test/repo',
+        title: `Old ${i}`,
+        createdAt: new Date(2025, 0, 1, 10, i).toISOString()
+      }));
+
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        if (Array.isArray(keys)) {
+          keys.forEach(key => {
+            if (key === 'activities') result[key] = existingActivities;
+            else if (key === 'readItems') result[key] = [];
+          });
+        }
+        callback(result);
+      });
+
+      chrome.storage.sync.get.mockImplementation((keys, callback) => {
+        callback({ mutedRepos: [], snoozedRepos: [] });
+      });
+
+      // Fail twice with quota error, then succeed
+      let callCount = 0;
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        callCount++;
+        if (callCount <= 2) {
+          throw new Error('QUOTA_BYTES quota exceeded');
+        }
+        callback && callback();
+      });
+
+      await storeActivities(newActivities);
 
       expect(chrome.storage.local.set).toHaveBeenCalledTimes(3);
       const thirdCall = chrome.storage.local.set.mock.calls[2][0];
@@ -1134,10 +2897,12 @@ describe('Background Service Worker', () => {
       const futureReset = Date.now() + 3600000;
       chrome.storage.local.get.mockImplementation((keys, callback) => {
         callback({
-          rateLimit: {
-            remaining: 0,
-            limit: 5000,
-            reset: futureReset
+          rateLimits: {
+            'github.com': {
+              remaining: 0,
+              limit: 5000,
+              reset: futureReset
+            }
           }
         });
       });
@@ -1153,10 +2918,12 @@ describe('Background Service Worker', () => {
       const pastReset = Date.now() - 1000; // Reset time in the past
       chrome.storage.local.get.mockImplementation((keys, callback) => {
         callback({
-          rateLimit: {
-            remaining: 0,
-            limit: 5000,
-            reset: pastReset
+          rateLimits: {
+            'github.com': {
+              remaining: 0,
+              limit: 5000,
+              reset: pastReset
+            }
           }
         });
       });
@@ -1205,6 +2972,288 @@ describe('Background Service Worker', () => {
     });
   });
 
+  describe('fetchRepoActivity - pagination', () => {
+    const mockSince = new Date('2025-01-01T00:00:00Z');
+    const mockFilters = { prs: true, issues: false, releases: false };
+    const firstPageUrl = 'https://api.github.com/repos/test/repo/pulls?state=open&sort=created&direction=desc';
+    const secondPageUrl = 'https://api.github.com/repositories/1/pulls?state=open&sort=created&direction=desc&page=2';
+
+    function createPr(number, createdAt) {
+      return {
+        number,
+        title: `PR ${number}`,
+        html_url: `https://github.com/test/repo/pull/${number}`,
+        created_at: createdAt,
+        user: { login: 'dev', avatar_url: 'https://avatar.url' }
+      };
+    }
+
+    function createPage(items, { next = null, remaining = '4000', limit = '5000' } = {}) {
+      const headers = {
+        Link: next ? `<${next}>; rel="next", <${next}>; rel="last"` : null,
+        'X-RateLimit-Remaining': remaining,
+        'X-RateLimit-Limit': limit,
+        'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 3600)
+      };
+
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: (name) => headers[name] ?? null },
+        json: async () => items
+      };
+    }
+
+    beforeEach(() => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('follows rel="next" while the page is still newer than the cutoff', async () => {
+      fetch
+        .mockResolvedValueOnce(createPage([createPr(3, '2025-01-05T00:00:00Z'), createPr(2, '2025-01-04T00:00:00Z')], { next: secondPageUrl }))
+        .mockResolvedValueOnce(createPage([createPr(1, '2025-01-03T00:00:00Z'), createPr(0, '2024-12-30T00:00:00Z')], { next: `${secondPageUrl}&page=3` }));
+
+      const result = await fetchRepoActivity('test/repo', 'ghp_test', mockSince, mockFilters);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[1][0]).toBe(secondPageUrl);
+      expect(result.map(activity => activity.id)).toEqual(['pr-test/repo-3', 'pr-test/repo-2', 'pr-test/repo-1']);
+    });
+
+    test('stops paginating when the rate-limit budget is low', async () => {
+      fetch.mockResolvedValueOnce(createPage([createPr(2, '2025-01-04T00:00:00Z')], { next: secondPageUrl, remaining: '50' }));
+
+      const result = await fetchRepoActivity('test/repo', 'ghp_test', mockSince, mockFilters);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(result).toHaveLength(1);
+    });
+
+    test('keeps paginating on the 60 requests an hour of public-only mode', async () => {
+      fetch
+        .mockResolvedValueOnce(createPage([createPr(2, '2025-01-04T00:00:00Z')], { next: secondPageUrl, remaining: '50', limit: '60' }))
+        .mockResolvedValueOnce(createPage([createPr(1, '2024-12-30T00:00:00Z')], { remaining: '49', limit: '60' }));
+
+      await fetchRepoActivity('test/repo', null, mockSince, mockFilters);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('stops at the page cap', async () => {
+      let number = 1000;
+      fetch.mockImplementation(async () => createPage([createPr(number--, '2025-01-04T00:00:00Z')], { next: secondPageUrl }));
+
+      await fetchRepoActivity('test/repo', 'ghp_test', mockSince, mockFilters);
+
+      expect(fetch).toHaveBeenCalledTimes(10);
+    });
+
+    test('ignores next links that point outside the GitHub API', async () => {
+      fetch.mockResolvedValueOnce(createPage([createPr(2, '2025-01-04T00:00:00Z')], { next: 'https://evil.example.com/page2' }));
+
+      await fetchRepoActivity('test/repo', 'ghp_test', mockSince, mockFilters);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][0]).toBe(firstPageUrl);
+    });
+  });
+
+  describe('fetchRepoActivity - state changes', () => {
+    const mockSince = new Date('2025-01-01T00:00:00Z');
+    const knownItems = new Map([[42, { id: 'pr-test/repo-42', type: 'pr', state: 'open' }]]);
+
+    beforeEach(() => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('reports transitions on known items from recently updated issues and PRs', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => [{
+          number: 42,
+          title: 'Refactor',
+          html_url: 'https://github.com/test/repo/pull/42',
+          state: 'closed',
+          updated_at: '2025-01-06T00:00:00Z',
+          closed_at: '2025-01-06T00:00:00Z',
+          pull_request: { merged_at: '2025-01-06T00:00:00Z' },
+          user: { login: 'dev', avatar_url: 'https://avatar.url' }
+        }]
+      });
+
+      const result = await fetchRepoActivity('test/repo', 'ghp_test', mockSince, { stateChanges: true }, { knownItems });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.github.com/repos/test/repo/issues?state=all&sort=updated&direction=desc',
+        expect.any(Object)
+      );
+      expect(result).toEqual([
+        expect.objectContaining({ type: 'state', title: 'PR #42 merged: Refactor', subjectId: 'pr-test/repo-42' })
+      ]);
+    });
+
+    test('skips the request when the repo has no known items', async () => {
+      await fetchRepoActivity('test/repo', 'ghp_test', mockSince, { stateChanges: true }, { knownItems: new Map() });
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fetchRepoActivity - workflow runs', () => {
+    const mockSince = new Date('2025-01-01T00:00:00Z');
+
+    function createRun(id, conclusion, updatedAt = '2025-01-05T00:00:00Z') {
+      return {
+        id,
+        name: 'CI',
+        head_branch: 'main',
+        conclusion,
+        html_url: `https://github.com/test/repo/actions/runs/${id}`,
+        created_at: updatedAt,
+        updated_at: updatedAt,
+        actor: { login: 'dev', avatar_url: 'https://avatar.url' }
+      };
+    }
+
+    beforeEach(() => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('surfaces failed and cancelled runs on the default branch', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => ({
+          total_count: 4,
+          workflow_runs: [
+            createRun(4, 'failure'),
+            createRun(3, 'success'),
+            createRun(2, 'cancelled'),
+            createRun(1, 'failure', '2024-12-01T00:00:00Z')
+          ]
+        })
+      });
+
+      const result = await fetchRepoActivity('test/repo', 'ghp_test', mockSince, { workflows: true }, { defaultBranch: 'main' });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.github.com/repos/test/repo/actions/runs?branch=main&status=completed&exclude_pull_requests=true',
+        expect.any(Object)
+      );
+      expect(result.map(activity => activity.id)).toEqual(['workflow-test/repo-4', 'workflow-test/repo-2']);
+      expect(result[1].title).toBe('CI cancelled on main');
+    });
+
+    test('skips workflow runs when the default branch is unknown', async () => {
+      await fetchRepoActivity('test/repo', 'ghp_test', mockSince, { workflows: true });
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fetchRepoActivity - pushes', () => {
+    const mockSince = new Date('2025-01-01T00:00:00Z');
+
+    function createCommit(sha, login) {
+      return {
+        sha,
+        parents: [{ sha: `${sha}-parent` }],
+        author: { login, avatar_url: 'https://avatar.url' },
+        commit: { message: `Commit ${sha}`, committer: { date: '2025-01-05T00:00:00Z' } }
+      };
+    }
+
+    beforeEach(() => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('groups new commits on the default branch by author', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => [
+          createCommit('d4', 'alice'),
+          createCommit('c3', 'alice'),
+          createCommit('b2', 'alice'),
+          createCommit('a1', 'bob')
+        ]
+      });
+
+      const result = await fetchRepoActivity('test/repo', 'ghp_test', mockSince, { pushes: true }, { defaultBranch: 'main' });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.github.com/repos/test/repo/commits?sha=main&since=2025-01-01T00%3A00%3A00.000Z',
+        expect.any(Object)
+      );
+      expect(result).toEqual([
+        expect.objectContaining({ id: 'push-test/repo-d4', type: 'push', title: '3 commits by alice' }),
+        expect.objectContaining({ id: 'push-test/repo-a1', type: 'push', title: '1 commit by bob' })
+      ]);
+    });
+
+    test('skips pushes when the default branch is unknown', async () => {
+      await fetchRepoActivity('test/repo', 'ghp_test', mockSince, { pushes: true });
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fetchRepoActivity - security alerts', () => {
+    const mockSince = new Date('2025-01-01T00:00:00Z');
+    const alertsUrl = 'https://api.github.com/repos/test/repo/dependabot/alerts?state=open&sort=created&direction=desc';
+    const advisoriesUrl = 'https://api.github.com/repos/test/repo/security-advisories?state=published&sort=published&direction=desc';
+
+    function createResponse(status, body = []) {
+      return {
+        ok: status === 200,
+        status,
+        statusText: status === 200 ? 'OK' : 'Forbidden',
+        headers: { get: () => null },
+        json: async () => body
+      };
+    }
+
+    beforeEach(() => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+    });
+
+    test('collects new Dependabot alerts and published advisories', async () => {
+      fetch.mockImplementation(async (url) => createResponse(200, url === alertsUrl
+        ? [{
+          number: 3,
+          created_at: '2025-01-05T00:00:00Z',
+          html_url: 'https://github.com/test/repo/security/dependabot/3',
+          security_advisory: { ghsa_id: 'GHSA-1', summary: 'Vulnerable dependency', severity: 'high' }
+        }]
+        : [{ ghsa_id: 'GHSA-2', summary: 'Advisory', severity: 'low', published_at: '2025-01-06T00:00:00Z' }]));
+
+      const result = await fetchRepoActivity('test/repo', 'ghp_test', mockSince, { security: true });
+
+      expect(fetch).toHaveBeenCalledWith(alertsUrl, expect.any(Object));
+      expect(fetch).toHaveBeenCalledWith(advisoriesUrl, expect.any(Object));
+      expect(result.map(activity => activity.id)).toEqual(['security-test/repo-dependabot-3', 'security-test/repo-GHSA-2']);
+    });
+
+    test('treats 403 and 404 as the feature being unavailable rather than a failure', async () => {
+      fetch.mockImplementation(async (url) => createResponse(url === alertsUrl ? 403 : 404));
+      const failedRepos = new Set();
+
+      const result = await fetchRepoActivity('test/repo', 'ghp_test', mockSince, { security: true }, { failedRepos });
+
+      expect(result).toEqual([]);
+      expect(failedRepos.size).toBe(0);
+    });
+  });
+
   describe('updateBadge - expiry filter', () => {
     test('filters activities based on itemExpiryHours setting', async () => {
       const now = Date.now();
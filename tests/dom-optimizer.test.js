@@ -482,6 +482,20 @@ describe('ActivityListRenderer', () => {
 
       expect(html).toContain('Test Issue');
       expect(html).not.toContain('activity-description');
+      expect(html).not.toContain('activity-labels');
+    });
+
+    test('renders label chips in the activity type color', () => {
+      const html = renderer.generateSingleActivityHTML({
+        id: 'pr-test/repo-7',
+        type: 'pr',
+        title: 'Fix login loop',
+        createdAt: new Date().toISOString(),
+        url: 'https://github.com/test/repo/pull/7',
+        labels: ['good first issue']
+      });
+
+      expect(html).toContain('<div class="activity-labels"><span class="activity-label pr">good first issue</span></div>');
     });
 
     test('caches generated HTML', () => {
@@ -600,6 +614,80 @@ describe('ActivityListRenderer', () => {
       expect(html).toContain('repo-unread-count">2<');
       expect(html).toContain('repo-unread-count">1<');
     });
+
+    test('pins review requests above the repository groups', () => {
+      const activities = [
+        {
+          id: 'pr-owner/repo1-1',
+          type: 'pr',
+          title: 'Watched PR',
+          createdAt: new Date().toISOString(),
+          url: 'https://github.com/owner/repo1/pull/1',
+          repo: 'owner/repo1'
+        },
+        {
+          id: 'review-other/repo-9',
+          type: 'review',
+          title: 'Please review',
+          createdAt: new Date(Date.now() - 60000).toISOString(),
+          url: 'https://github.com/other/repo/pull/9',
+          repo: 'other/repo'
+        }
+      ];
+
+      container.innerHTML = renderer.generateGroupedHTML(activities);
+
+      const sections = container.querySelectorAll('.repo-group');
+      expect(sections[0].classList.contains('review-queue')).toBe(true);
+      expect(sections[0].textContent).toContain('Please review');
+      expect(container.querySelector('.repo-group-header[data-repo="other/repo"]')).toBeNull();
+      expect(container.querySelector('.repo-group-header[data-repo="owner/repo1"]')).not.toBeNull();
+    });
+
+    test('groups saved search hits under the search name next to the repository groups', () => {
+      const activities = [
+        {
+          id: 'pr-owner/repo1-1',
+          type: 'pr',
+          title: 'Watched PR',
+          createdAt: new Date().toISOString(),
+          url: 'https://github.com/owner/repo1/pull/1',
+          repo: 'owner/repo1'
+        },
+        {
+          id: 'search-sec1-acme/api-42',
+          type: 'search',
+          title: 'Token leaks into logs',
+          createdAt: new Date(Date.now() - 60000).toISOString(),
+          url: 'https://github.com/acme/api/issues/42',
+          repo: 'acme/api',
+          searchId: 'sec1',
+          searchName: 'Security',
+          searchQuery: 'label:security org:acme is:open'
+        },
+        {
+          id: 'search-sec1-acme/web-7',
+          type: 'search',
+          title: 'XSS in search box',
+          createdAt: new Date(Date.now() - 120000).toISOString(),
+          url: 'https://github.com/acme/web/issues/7',
+          repo: 'acme/web',
+          searchId: 'sec1',
+          searchName: 'Security',
+          searchQuery: 'label:security org:acme is:open'
+        }
+      ];
+
+      container.innerHTML = renderer.generateGroupedHTML(activities, new Set(), [], ['search-sec1-acme/web-7']);
+
+      const group = container.querySelector('.saved-search-group[data-search-id="sec1"]');
+      expect(group.querySelector('.review-queue-title').textContent).toBe('Security');
+      expect(group.querySelector('.saved-search-query').textContent).toBe('label:security org:acme is:open');
+      expect(group.querySelector('.repo-unread-count').textContent).toBe('1');
+      expect(group.querySelectorAll('.activity-item')).toHaveLength(2);
+      expect(container.querySelector('.repo-group-header[data-repo="acme/api"]')).toBeNull();
+      expect(container.querySelector('.repo-group-header[data-repo="owner/repo1"]')).not.toBeNull();
+    });
   });
 
   describe('generateFlatHTML', () => {
@@ -27,7 +27,8 @@ jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
     snoozedRepos: [],
     itemExpiryHours: null,
     markReadOnSnooze: false,
-    allowUnlimitedRepos: false
+    allowUnlimitedRepos: false,
+    graphqlPolling: false
   })),
   setWatchedRepos: jest.fn(() => Promise.resolve()),
   updateSettings: jest.fn(() => Promise.resolve())
@@ -87,7 +88,8 @@ describe('export-import-controller', () => {
         snoozedRepos: [],
         itemExpiryHours: null,
         markReadOnSnooze: false,
-        allowUnlimitedRepos: false
+        allowUnlimitedRepos: false,
+        graphqlPolling: false
       });
 
       await exportSettings();
@@ -112,7 +114,8 @@ describe('export-import-controller', () => {
         snoozedRepos: ['owner/snoozed'],
         itemExpiryHours: 24,
         markReadOnSnooze: true,
-        allowUnlimitedRepos: true
+        allowUnlimitedRepos: true,
+        graphqlPolling: false
       };
 
       getSettings.mockResolvedValueOnce(mockData);
@@ -144,7 +147,8 @@ describe('export-import-controller', () => {
         snoozedRepos: [],
         itemExpiryHours: null,
         markReadOnSnooze: false,
-        allowUnlimitedRepos: false
+        allowUnlimitedRepos: false,
+        graphqlPolling: false
       });
 
       await exportSettings();
@@ -155,7 +159,7 @@ describe('export-import-controller', () => {
 
       expect(exportData.settings.watchedRepos).toEqual(['owner/repo1']);
       expect(exportData.settings.mutedRepos).toEqual([]);
-      expect(exportData.settings.filters).toEqual({ prs: true, issues: true, releases: true });
+      expect(exportData.settings.filters).toEqual({ reviews: true, myPrs: true, prs: true, issues: true, releases: true, discussions: true, workflows: false, security: false, stateChanges: false, inbox: false, searches: true });
       expect(exportData.settings.theme).toBe('system');
       expect(exportData.settings.checkInterval).toBe(15);
       expect(exportData.settings.snoozeHours).toBe(1);
@@ -175,7 +179,8 @@ describe('export-import-controller', () => {
         snoozedRepos: [],
         itemExpiryHours: null,
         markReadOnSnooze: false,
-        allowUnlimitedRepos: false
+        allowUnlimitedRepos: false,
+        graphqlPolling: false
       });
 
       const originalCreateElement = document.createElement.bind(document);
@@ -214,7 +219,8 @@ describe('export-import-controller', () => {
         snoozedRepos: [],
         itemExpiryHours: null,
         markReadOnSnooze: false,
-        allowUnlimitedRepos: false
+        allowUnlimitedRepos: false,
+        graphqlPolling: false
       });
 
       const originalCreateElement = document.createElement.bind(document);
@@ -251,7 +257,8 @@ describe('export-import-controller', () => {
         snoozedRepos: [],
         itemExpiryHours: null,
         markReadOnSnooze: false,
-        allowUnlimitedRepos: false
+        allowUnlimitedRepos: false,
+        graphqlPolling: false
       });
 
       await exportSettings();
@@ -391,7 +398,7 @@ describe('export-import-controller', () => {
       const setCall = updateSettings.mock.calls[0][0];
       expect(setCall.mutedRepos).toEqual([]);
       expect(setCall.pinnedRepos).toEqual([]);
-      expect(setCall.filters).toEqual({ prs: true, issues: true, releases: true });
+      expect(setCall.filters).toEqual({ reviews: true, myPrs: true, prs: true, issues: true, releases: true, discussions: true, workflows: true, security: true, stateChanges: true, inbox: false, searches: true });
       expect(setCall.theme).toBe('system');
       expect(setCall.checkInterval).toBe(15);
     });
@@ -576,8 +583,8 @@ describe('export-import-controller', () => {
       expect(updateSettings).toHaveBeenCalledWith(expect.objectContaining({
         mutedRepos: ['owner/muted1'],
         pinnedRepos: ['owner/pinned1'],
-        filters: { prs: false, issues: true, releases: false },
-        notifications: { prs: true, issues: false, releases: true },
+        filters: { reviews: true, myPrs: true, prs: false, issues: true, releases: false, discussions: true, workflows: false, security: false, stateChanges: false, inbox: false, searches: true },
+        notifications: { reviews: true, myPrs: true, prs: true, issues: false, releases: true, discussions: true, workflows: true, security: true, stateChanges: true, inbox: true, searches: true },
         theme: 'light',
         checkInterval: 45,
         snoozeHours: 3,
@@ -602,7 +609,8 @@ describe('export-import-controller', () => {
         pinnedRepos: [],
         itemExpiryHours: null,
         markReadOnSnooze: false,
-        allowUnlimitedRepos: false
+        allowUnlimitedRepos: false,
+        graphqlPolling: false
       };
 
       getSettings.mockResolvedValueOnce(originalSettings);
@@ -5,6 +5,9 @@ import {
   filterVisibleActivities,
   countUnreadActivities
 } from '../shared/feed-policy.js';
+import { buildLabelFilters } from '../shared/label-filters.js';
+
+const labelFilters = buildLabelFilters([{ fullName: 'owner/repo', includeLabels: ['regression'], excludeLabels: ['wontfix'] }]);
 
 describe('feed-policy', () => {
   describe('prepareActivitiesForStorage', () => {
@@ -35,6 +38,19 @@ describe('feed-policy', () => {
       expect(result).toHaveLength(1);
       expect(result[0].repo).toBe('active/repo');
     });
+
+    test('drops pull requests and issues that fail their repo label rules, including stored ones', () => {
+      const result = prepareActivitiesForStorage([
+        { id: 'stored-issue', repo: 'owner/repo', type: 'issue', labels: ['question'] }
+      ], [
+        { id: 'regression-pr', repo: 'owner/repo', type: 'pr', labels: ['regression'] },
+        { id: 'wontfix-issue', repo: 'owner/repo', type: 'issue', labels: ['regression', 'wontfix'] },
+        { id: 'release', repo: 'owner/repo', type: 'release' },
+        { id: 'other-repo-issue', repo: 'other/repo', type: 'issue', labels: [] }
+      ], { labelFilters });
+
+      expect(result.map(activity => activity.id)).toEqual(['regression-pr', 'release', 'other-repo-issue']);
+    });
   });
 
   describe('filterVisibleActivities', () => {
@@ -95,6 +111,15 @@ describe('feed-policy', () => {
 
       expect(result.map(activity => activity.id)).toEqual(['read-issue']);
     });
+
+    test('hides items that fail their repo label rules', () => {
+      const result = filterVisibleActivities([
+        { id: 'regression-issue', repo: 'owner/repo', type: 'issue', labels: ['Regression'], createdAt: new Date(now).toISOString() },
+        { id: 'unlabeled-pr', repo: 'owner/repo', type: 'pr', labels: [], createdAt: new Date(now).toISOString() }
+      ], { labelFilters });
+
+      expect(result.map(activity => activity.id)).toEqual(['regression-issue']);
+    });
   });
 
   describe('countUnreadActivities', () => {
@@ -2,11 +2,19 @@
  * GitHub API helper functions tests
  */
 
+import { jest } from '@jest/globals';
 import {
   createHeaders,
   handleApiResponse,
   mapActivity,
-  filterActivitiesByDate
+  groupCommits,
+  filterActivitiesByDate,
+  getNextPageUrl,
+  isFeatureUnavailableError,
+  getAccessRequirement,
+  isSecondaryRateLimit,
+  getRetryDelay,
+  fetchWithRetry
 } from '../shared/github-api.js';
 
 describe('GitHub API Helpers', () => {
@@ -21,13 +29,13 @@ describe('GitHub API Helpers', () => {
       });
     });
 
-    it('should create headers with empty token', () => {
+    it('should leave out authorization without a token', () => {
       const headers = createHeaders('');
 
       expect(headers).toEqual({
-        'Authorization': 'Bearer ',
         'Accept': 'application/vnd.github.v3+json'
       });
+      expect(createHeaders(null)).toEqual(headers);
     });
 
     it('should create headers with different token formats', () => {
@@ -69,6 +77,16 @@ describe('GitHub API Helpers', () => {
       expect(() => handleApiResponse(mockResponse, 'owner/repo')).toThrow('Rate limit exceeded');
     });
 
+    it('should throw error for 429 rate limit', () => {
+      const mockResponse = {
+        ok: false,
+        status: 429,
+        statusText: 'Too Many Requests'
+      };
+
+      expect(() => handleApiResponse(mockResponse, 'owner/repo')).toThrow('Rate limit exceeded');
+    });
+
     it('should throw error for 404 not found with repo name', () => {
       const mockResponse = {
         ok: false,
@@ -117,6 +135,208 @@ describe('GitHub API Helpers', () => {
     });
   });
 
+  describe('isFeatureUnavailableError', () => {
+    const createError = (status, remaining = '4000') => ({
+      response: { status, headers: { get: () => remaining } }
+    });
+
+    it('should treat 404 and permission 403 responses as unavailable', () => {
+      expect(isFeatureUnavailableError(createError(404))).toBe(true);
+      expect(isFeatureUnavailableError(createError(403))).toBe(true);
+    });
+
+    it('should not hide rate limits or other failures', () => {
+      expect(isFeatureUnavailableError(createError(403, '0'))).toBe(false);
+      expect(isFeatureUnavailableError(createError(500))).toBe(false);
+      expect(isFeatureUnavailableError(new Error('Network error'))).toBe(false);
+    });
+  });
+
+  describe('getAccessRequirement', () => {
+    const createResponse = (status, headers = {}) => ({
+      ok: false,
+      status,
+      statusText: 'Forbidden',
+      headers: { get: name => headers[name] ?? null }
+    });
+
+    it('should detect organizations that require SAML single sign-on', () => {
+      const response = createResponse(403, {
+        'X-GitHub-SSO': 'required; url=https://github.com/orgs/acme/sso?authorization_request=abc123'
+      });
+
+      expect(getAccessRequirement(response)).toEqual({
+        type: 'sso',
+        url: 'https://github.com/orgs/acme/sso?authorization_request=abc123'
+      });
+    });
+
+    it('should drop SSO links that do not point at GitHub', () => {
+      const response = createResponse(403, { 'X-GitHub-SSO': 'required; url=https://evil.example/sso' });
+
+      expect(getAccessRequirement(response)).toEqual({ type: 'sso', url: null });
+    });
+
+    it('should ignore partial-results SSO notices', () => {
+      const response = createResponse(403, { 'X-GitHub-SSO': 'partial-results; organizations=21955855' });
+
+      expect(getAccessRequirement(response)).toBeNull();
+    });
+
+    it('should detect a missing scope on classic tokens', () => {
+      const response = createResponse(403, {
+        'X-OAuth-Scopes': 'read:user, public_repo',
+        'X-Accepted-OAuth-Scopes': 'repo, security_events'
+      });
+
+      expect(getAccessRequirement(response)).toEqual({ type: 'scope', scopes: ['repo', 'security_events'] });
+    });
+
+    it('should treat broader scopes as granting narrower ones', () => {
+      const response = createResponse(403, {
+        'X-OAuth-Scopes': 'repo, admin:org',
+        'X-Accepted-OAuth-Scopes': 'read:org'
+      });
+
+      expect(getAccessRequirement(response)).toBeNull();
+    });
+
+    it('should not report scopes for fine-grained tokens or other statuses', () => {
+      expect(getAccessRequirement(createResponse(403, { 'X-Accepted-OAuth-Scopes': 'repo' }))).toBeNull();
+      expect(getAccessRequirement(createResponse(404, { 'X-GitHub-SSO': 'required; url=https://github.com/orgs/acme/sso' }))).toBeNull();
+    });
+
+    it('should attach the requirement to the error from handleApiResponse', () => {
+      const response = createResponse(403, { 'X-GitHub-SSO': 'required; url=https://github.com/orgs/acme/sso' });
+
+      let thrown;
+      try {
+        handleApiResponse(response, 'acme/api');
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown.message).toBe('Organization requires single sign-on authorization');
+      expect(thrown.accessRequirement).toEqual({ type: 'sso', url: 'https://github.com/orgs/acme/sso' });
+    });
+  });
+
+  describe('retries', () => {
+    const createResponse = (status, headers = {}, body = {}) => ({
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => headers[name] ?? null },
+      clone: () => ({ json: async () => body })
+    });
+
+    beforeEach(() => {
+      fetch.mockReset();
+    });
+
+    it('should detect secondary rate limits but not the primary limit', async () => {
+      expect(await isSecondaryRateLimit(createResponse(429))).toBe(true);
+      expect(await isSecondaryRateLimit(createResponse(403, { 'Retry-After': '5' }))).toBe(true);
+      expect(await isSecondaryRateLimit(createResponse(403, {}, {
+        message: 'You have exceeded a secondary rate limit. Please wait a few minutes before you try again.'
+      }))).toBe(true);
+      expect(await isSecondaryRateLimit(createResponse(403, { 'X-RateLimit-Remaining': '0' }))).toBe(false);
+      expect(await isSecondaryRateLimit(createResponse(403, {}, { message: 'Resource not accessible' }))).toBe(false);
+      expect(await isSecondaryRateLimit(createResponse(500))).toBe(false);
+    });
+
+    it('should honour Retry-After and otherwise back off with jitter', () => {
+      const now = Date.parse('2025-01-01T00:00:00Z');
+
+      expect(getRetryDelay(createResponse(429, { 'Retry-After': '3' }), 0)).toBe(3000);
+      expect(getRetryDelay(createResponse(503, { 'Retry-After': 'Wed, 01 Jan 2025 00:00:10 GMT' }), 0, { now })).toBe(10000);
+      expect(getRetryDelay(createResponse(403), 0, { secondaryRateLimit: true })).toBe(60000);
+
+      const delay = getRetryDelay(null, 2, { baseDelay: 100 });
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThan(400);
+    });
+
+    it('should retry network errors and 5xx responses until one succeeds', async () => {
+      const sleep = jest.fn(async () => {});
+      fetch
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(createResponse(502))
+        .mockResolvedValueOnce(createResponse(200));
+
+      const response = await fetchWithRetry('https://api.github.com/repos/a/b', {}, { sleep });
+
+      expect(response.status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(sleep).toHaveBeenCalledTimes(2);
+    });
+
+    it('should wait out Retry-After on a secondary rate limit', async () => {
+      const sleep = jest.fn(async () => {});
+      fetch
+        .mockResolvedValueOnce(createResponse(403, { 'Retry-After': '2' }))
+        .mockResolvedValueOnce(createResponse(200));
+
+      await fetchWithRetry('https://api.github.com/repos/a/b', {}, { sleep });
+
+      expect(sleep).toHaveBeenCalledWith(2000, undefined);
+    });
+
+    it('should leave GitHub\'s minute on a secondary rate limit without Retry-After to the caller', async () => {
+      const sleep = jest.fn(async () => {});
+      fetch.mockResolvedValue(createResponse(403, {}, { message: 'You have exceeded a secondary rate limit.' }));
+
+      const response = await fetchWithRetry('https://api.github.com/repos/a/b', {}, { sleep });
+
+      expect(response.status).toBe(403);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should reject promptly when the request is aborted during a backoff', async () => {
+      const controller = new AbortController();
+      fetch.mockResolvedValue(createResponse(503, { 'Retry-After': '5' }));
+
+      const request = fetchWithRetry('https://api.github.com/repos/a/b', { signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const startedAt = Date.now();
+      controller.abort();
+
+      await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return the failed response once retries run out or the wait is too long', async () => {
+      const sleep = jest.fn(async () => {});
+      fetch.mockResolvedValue(createResponse(500));
+
+      const exhausted = await fetchWithRetry('https://api.github.com/repos/a/b', {}, { retries: 2, sleep });
+      expect(exhausted.status).toBe(500);
+      expect(fetch).toHaveBeenCalledTimes(3);
+
+      fetch.mockReset();
+      sleep.mockClear();
+      fetch.mockResolvedValue(createResponse(429, { 'Retry-After': '30' }));
+
+      const limited = await fetchWithRetry('https://api.github.com/repos/a/b', {}, { sleep });
+      expect(limited.status).toBe(429);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should not retry client errors or rethrow past the retry limit', async () => {
+      const sleep = jest.fn(async () => {});
+      fetch.mockResolvedValueOnce(createResponse(404));
+
+      expect((await fetchWithRetry('https://api.github.com/repos/a/b', {}, { sleep })).status).toBe(404);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      await expect(fetchWithRetry('https://api.github.com/repos/a/b', {}, { retries: 1, sleep }))
+        .rejects.toThrow('Failed to fetch');
+    });
+  });
+
   describe('mapActivity', () => {
     describe('Pull Requests', () => {
       it('should map pull request with all fields', () => {
@@ -126,6 +346,7 @@ describe('GitHub API Helpers', () => {
           title: 'Add new feature',
           html_url: 'https://github.com/owner/repo/pull/123',
           created_at: '2024-01-15T10:30:00Z',
+          labels: [{ name: 'enhancement', color: 'a2eeef' }, { name: 'good first issue' }],
           user: {
             login: 'octocat',
             avatar_url: 'https://github.com/octocat.png'
@@ -143,7 +364,8 @@ describe('GitHub API Helpers', () => {
           createdAt: '2024-01-15T10:30:00Z',
           author: 'octocat',
           authorAvatar: 'https://github.com/octocat.png',
-          number: 123
+          number: 123,
+          labels: ['enhancement', 'good first issue']
         });
       });
 
@@ -188,7 +410,8 @@ describe('GitHub API Helpers', () => {
           createdAt: '2024-01-20T14:15:00Z',
           author: 'contributor',
           authorAvatar: 'https://github.com/contributor.png',
-          number: 42
+          number: 42,
+          labels: []
         });
       });
 
@@ -261,6 +484,198 @@ describe('GitHub API Helpers', () => {
       });
     });
 
+    describe('Discussions', () => {
+      it('should map category and answered state', () => {
+        const result = mapActivity({
+          number: 42,
+          title: 'RFC: plugin API',
+          html_url: 'https://github.com/owner/repo/discussions/42',
+          created_at: '2024-02-03T08:00:00Z',
+          category: { name: 'Ideas' },
+          answered: false,
+          user: { login: 'carol', avatar_url: 'https://github.com/carol.png' }
+        }, 'discussion', 'owner/repo');
+
+        expect(result).toEqual({
+          id: 'discussion-owner/repo-42',
+          type: 'discussion',
+          repo: 'owner/repo',
+          title: 'RFC: plugin API',
+          description: 'Ideas',
+          url: 'https://github.com/owner/repo/discussions/42',
+          createdAt: '2024-02-03T08:00:00Z',
+          author: 'carol',
+          authorAvatar: 'https://github.com/carol.png',
+          number: 42,
+          category: 'Ideas',
+          answered: false
+        });
+      });
+    });
+
+    describe('Workflow runs', () => {
+      it('should map a failed run on the default branch', () => {
+        const runItem = {
+          id: 555,
+          name: 'CI',
+          display_title: 'Bump dependencies',
+          head_branch: 'main',
+          conclusion: 'failure',
+          html_url: 'https://github.com/owner/repo/actions/runs/555',
+          created_at: '2024-02-01T09:00:00Z',
+          updated_at: '2024-02-01T09:10:00Z',
+          actor: {
+            login: 'maintainer',
+            avatar_url: 'https://github.com/maintainer.png'
+          }
+        };
+
+        const result = mapActivity(runItem, 'workflow', 'owner/repo');
+
+        expect(result).toEqual({
+          id: 'workflow-owner/repo-555',
+          type: 'workflow',
+          repo: 'owner/repo',
+          title: 'CI failed on main',
+          description: 'Bump dependencies',
+          url: 'https://github.com/owner/repo/actions/runs/555',
+          createdAt: '2024-02-01T09:10:00Z',
+          author: 'maintainer',
+          authorAvatar: 'https://github.com/maintainer.png',
+          conclusion: 'failure',
+          branch: 'main'
+        });
+      });
+
+      it('should describe cancelled runs', () => {
+        const result = mapActivity({ id: 1, name: 'Deploy', head_branch: 'main', conclusion: 'cancelled' }, 'workflow', 'owner/repo');
+
+        expect(result.title).toBe('Deploy cancelled on main');
+      });
+    });
+
+    describe('Pushes', () => {
+      function createCommit(sha, login, message, { parent = 'aaa111', date = '2024-02-02T10:00:00Z' } = {}) {
+        return {
+          sha,
+          parents: [{ sha: parent }],
+          author: login ? { login, avatar_url: `https://github.com/${login}.png` } : null,
+          committer: { login: 'web-flow' },
+          commit: {
+            message,
+            author: { name: login || 'Offline Author', date },
+            committer: { date }
+          }
+        };
+      }
+
+      const commits = [
+        createCommit('ccc333', 'alice', 'Fix login redirect\n\nLonger body', { parent: 'bbb222' }),
+        createCommit('bbb222', 'alice', 'Update docs', { date: '2024-02-02T09:00:00Z' })
+      ];
+
+      it('should group consecutive commits by the same author', () => {
+        const groups = groupCommits([
+          createCommit('eee555', 'bob', 'Bump version'),
+          ...commits,
+          createCommit('ddd444', 'bob', 'Add tests'),
+          createCommit('fff666', null, 'Offline change'),
+          { message: 'not a commit' }
+        ], 'main');
+
+        expect(groups.map(group => [group.id, group.commits.map(commit => commit.sha)])).toEqual([
+          ['eee555', ['eee555']],
+          ['ccc333', ['ccc333', 'bbb222']],
+          ['ddd444', ['ddd444']],
+          ['fff666', ['fff666']]
+        ]);
+        expect(groups.every(group => group.branch === 'main')).toBe(true);
+      });
+
+      it('should fall back to the committer when the author has no GitHub account', () => {
+        const commit = { ...createCommit('fff666', null, 'Merge'), committer: { login: 'carol' } };
+        const groups = groupCommits([commit, { ...commit, sha: 'ggg777' }], 'main');
+
+        expect(groups).toHaveLength(1);
+        expect(mapActivity(groups[0], 'push', 'owner/repo').title).toBe('2 commits by carol');
+      });
+
+      it('should map a commit group into one entry', () => {
+        expect(mapActivity(groupCommits(commits, 'main')[0], 'push', 'owner/repo')).toEqual({
+          id: 'push-owner/repo-ccc333',
+          type: 'push',
+          repo: 'owner/repo',
+          title: '2 commits by alice',
+          description: 'Fix login redirect\nUpdate docs',
+          url: 'https://github.com/owner/repo/compare/aaa111...ccc333',
+          createdAt: '2024-02-02T10:00:00Z',
+          author: 'alice',
+          authorAvatar: 'https://github.com/alice.png',
+          branch: 'main',
+          commitCount: 2
+        });
+      });
+
+      it('should link a single commit to the commit', () => {
+        const result = mapActivity(groupCommits([commits[1]], 'main')[0], 'push', 'owner/repo');
+
+        expect(result.title).toBe('1 commit by alice');
+        expect(result.url).toBe('https://github.com/owner/repo/commit/bbb222');
+      });
+
+      it('should fall back to the branch when commit details are missing', () => {
+        const result = mapActivity({ id: 'bbb222', branch: 'main', commits: [] }, 'push', 'owner/repo');
+
+        expect(result.title).toBe('New commits on main by Unknown');
+      });
+    });
+
+    describe('Security alerts', () => {
+      it('should map a Dependabot alert with its package and severity', () => {
+        const result = mapActivity({
+          number: 7,
+          html_url: 'https://github.com/owner/repo/security/dependabot/7',
+          created_at: '2025-01-05T00:00:00Z',
+          dependency: { package: { ecosystem: 'npm', name: 'lodash' } },
+          security_advisory: { ghsa_id: 'GHSA-aaaa-bbbb-cccc', summary: 'Prototype pollution in lodash', severity: 'high' },
+          security_vulnerability: { severity: 'critical', package: { name: 'lodash' } }
+        }, 'security', 'owner/repo');
+
+        expect(result).toMatchObject({
+          id: 'security-owner/repo-dependabot-7',
+          type: 'security',
+          title: 'Prototype pollution in lodash',
+          description: 'Dependabot alert · lodash · Critical severity',
+          createdAt: '2025-01-05T00:00:00Z',
+          author: 'dependabot',
+          severity: 'critical',
+          source: 'dependabot',
+          ghsaId: 'GHSA-aaaa-bbbb-cccc'
+        });
+      });
+
+      it('should map a published repository advisory by its GHSA id', () => {
+        const result = mapActivity({
+          ghsa_id: 'GHSA-dddd-eeee-ffff',
+          cve_id: 'CVE-2025-0001',
+          summary: 'Path traversal in static server',
+          severity: 'medium',
+          html_url: 'https://github.com/owner/repo/security/advisories/GHSA-dddd-eeee-ffff',
+          created_at: '2024-12-20T00:00:00Z',
+          published_at: '2025-01-06T00:00:00Z',
+          publisher: { login: 'maintainer', avatar_url: 'https://avatar.url' }
+        }, 'security', 'owner/repo');
+
+        expect(result).toMatchObject({
+          id: 'security-owner/repo-GHSA-dddd-eeee-ffff',
+          description: 'Security advisory · CVE-2025-0001 · Medium severity',
+          createdAt: '2025-01-06T00:00:00Z',
+          author: 'maintainer',
+          source: 'advisory'
+        });
+      });
+    });
+
     describe('Error Handling', () => {
       it('should throw error for null item', () => {
         expect(() => mapActivity(null, 'pr', 'owner/repo')).toThrow('Invalid activity item: null or undefined');
@@ -358,6 +773,24 @@ describe('GitHub API Helpers', () => {
       expect(filtered[0].id).toBe(3);
     });
   });
+
+  describe('getNextPageUrl', () => {
+    test('returns the rel="next" URL from a Link header', () => {
+      const header = '<https://api.github.com/repositories/1/pulls?page=2>; rel="next", <https://api.github.com/repositories/1/pulls?page=5>; rel="last"';
+
+      expect(getNextPageUrl(header)).toBe('https://api.github.com/repositories/1/pulls?page=2');
+    });
+
+    test('returns null on the last page or for a missing header', () => {
+      expect(getNextPageUrl('<https://api.github.com/repositories/1/pulls?page=1>; rel="first"')).toBeNull();
+      expect(getNextPageUrl(null)).toBeNull();
+    });
+
+    test('rejects next links outside the GitHub API', () => {
+      expect(getNextPageUrl('<https://example.com/pulls?page=2>; rel="next"')).toBeNull();
+      expect(getNextPageUrl('<http://api.github.com/pulls?page=2>; rel="next"')).toBeNull();
+    });
+  });
 });
 
 export {};
@@ -0,0 +1,135 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  GITHUB_HOST_KEY,
+  getApiBase,
+  getGitHubEndpoints,
+  getGitHubHost,
+  getHostPermissionOrigins,
+  getWebBase,
+  isEnterpriseHost,
+  loadGitHubHost,
+  normalizeGitHubHost,
+  requestHostPermission,
+  hasHostPermission,
+  saveGitHubHost,
+  setGitHubHost
+} from '../shared/github-host.js';
+
+describe('github-host', () => {
+  afterEach(() => {
+    setGitHubHost('github.com');
+  });
+
+  describe('normalizeGitHubHost', () => {
+    test('accepts bare hosts and HTTPS URLs', () => {
+      expect(normalizeGitHubHost('ghe.example.com')).toBe('ghe.example.com');
+      expect(normalizeGitHubHost(' https://GHE.example.com/ ')).toBe('ghe.example.com');
+      expect(normalizeGitHubHost('https://ghe.example.com/api/v3')).toBe('ghe.example.com');
+      expect(normalizeGitHubHost('ghe.example.com:8443')).toBe('ghe.example.com:8443');
+      expect(normalizeGitHubHost('https://ghe.example.com:443')).toBe('ghe.example.com');
+    });
+
+    test('maps github.com aliases to github.com', () => {
+      expect(normalizeGitHubHost('https://api.github.com')).toBe('github.com');
+      expect(normalizeGitHubHost('www.github.com')).toBe('github.com');
+    });
+
+    test('rejects non-HTTPS URLs and invalid hosts', () => {
+      expect(normalizeGitHubHost('http://ghe.example.com')).toBeNull();
+      expect(normalizeGitHubHost('javascript:alert(1)')).toBeNull();
+      expect(normalizeGitHubHost('ghe example.com')).toBeNull();
+      expect(normalizeGitHubHost('')).toBeNull();
+      expect(normalizeGitHubHost(null)).toBeNull();
+    });
+  });
+
+  describe('getGitHubEndpoints', () => {
+    test('uses the public endpoints for github.com', () => {
+      expect(getGitHubEndpoints('github.com')).toMatchObject({
+        apiBase: 'https://api.github.com',
+        apiHostname: 'api.github.com',
+        webBase: 'https://github.com',
+        graphqlUrl: 'https://api.github.com/graphql',
+        deviceCodeUrl: 'https://github.com/login/device/code'
+      });
+    });
+
+    test('routes everything through an Enterprise Server host', () => {
+      expect(getGitHubEndpoints('ghe.example.com')).toEqual({
+        host: 'ghe.example.com',
+        apiBase: 'https://ghe.example.com/api/v3',
+        apiHostname: 'ghe.example.com',
+        webBase: 'https://ghe.example.com',
+        graphqlUrl: 'https://ghe.example.com/api/graphql',
+        deviceCodeUrl: 'https://ghe.example.com/login/device/code',
+        accessTokenUrl: 'https://ghe.example.com/login/oauth/access_token',
+        deviceVerifyUrl: 'https://ghe.example.com/login/device',
+        authorizedAppsUrl: 'https://ghe.example.com/settings/applications'
+      });
+    });
+
+    test('follows the cached host', () => {
+      setGitHubHost('ghe.example.com');
+
+      expect(isEnterpriseHost()).toBe(true);
+      expect(getApiBase()).toBe('https://ghe.example.com/api/v3');
+      expect(getWebBase()).toBe('https://ghe.example.com');
+    });
+
+    test('falls back to github.com for invalid hosts', () => {
+      expect(setGitHubHost('not a host')).toBe('github.com');
+      expect(getApiBase()).toBe('https://api.github.com');
+    });
+  });
+
+  describe('storage', () => {
+    beforeEach(() => {
+      chrome.storage.sync.get.mockResolvedValueOnce({ [GITHUB_HOST_KEY]: 'ghe.example.com' });
+    });
+
+    test('loadGitHubHost caches the stored host', async () => {
+      await expect(loadGitHubHost()).resolves.toBe('ghe.example.com');
+      expect(getGitHubHost()).toBe('ghe.example.com');
+    });
+
+    test('saveGitHubHost stores Enterprise hosts and clears the key for github.com', async () => {
+      await saveGitHubHost('https://ghe.example.com/');
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({ [GITHUB_HOST_KEY]: 'ghe.example.com' });
+
+      await saveGitHubHost('github.com');
+      expect(chrome.storage.sync.remove).toHaveBeenCalledWith(GITHUB_HOST_KEY);
+      expect(getGitHubHost()).toBe('github.com');
+    });
+  });
+
+  describe('host permissions', () => {
+    test('github.com needs no runtime permission', async () => {
+      expect(getHostPermissionOrigins('github.com')).toEqual([]);
+      await expect(requestHostPermission('github.com')).resolves.toBe(true);
+      expect(chrome.permissions.request).not.toHaveBeenCalled();
+    });
+
+    test('requests the Enterprise host origin', async () => {
+      chrome.permissions.request.mockResolvedValueOnce(false);
+
+      await expect(requestHostPermission('ghe.example.com:8443')).resolves.toBe(false);
+      expect(chrome.permissions.request).toHaveBeenCalledWith({ origins: ['https://ghe.example.com/*'] });
+    });
+
+    test('checks the granted origins of an Enterprise host', async () => {
+      await expect(hasHostPermission('github.com')).resolves.toBe(true);
+      expect(chrome.permissions.contains).not.toHaveBeenCalled();
+
+      chrome.permissions.contains.mockResolvedValueOnce(false);
+      await expect(hasHostPermission('ghe.example.com')).resolves.toBe(false);
+      expect(chrome.permissions.contains).toHaveBeenCalledWith({ origins: ['https://ghe.example.com/*'] });
+    });
+
+    test('treats a failed request as denied', async () => {
+      allowUnexpectedConsole('error');
+      chrome.permissions.request.mockRejectedValueOnce(new Error('Not a user gesture'));
+
+      await expect(requestHostPermission('ghe.example.com')).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  buildRepoActivityQuery,
+  toRestItem,
+  mapRepoActivityResult,
+  fetchRepoActivityBatch,
+  getRestOnlyFilters,
+  executeGraphQL
+} from '../shared/graphql-api.js';
+
+const since = new Date('2025-01-01T00:00:00Z');
+
+function createGraphQLResponse(data, { ok = true, status = 200 } = {}) {
+  return {
+    ok,
+    status,
+    statusText: ok ? 'OK' : 'Error',
+    json: async () => ({ data })
+  };
+}
+
+describe('graphql-api', () => {
+  let randomSpy;
+
+  beforeEach(() => {
+    fetch.mockReset();
+    // Retry backoff is fully jittered, so this makes retries of failed requests immediate
+    randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    randomSpy.mockRestore();
+  });
+
+  test('executeGraphQL retries server errors', async () => {
+    const sleep = jest.fn(async () => {});
+    fetch
+      .mockResolvedValueOnce(createGraphQLResponse(null, { ok: false, status: 502 }))
+      .mockResolvedValueOnce(createGraphQLResponse({ viewer: { login: 'octocat' } }));
+
+    await expect(executeGraphQL({ query: 'query { viewer { login } }', variables: {} }, 'token', { sleep }))
+      .resolves.toEqual({ viewer: { login: 'octocat' } });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+
+  describe('buildRepoActivityQuery', () => {
+    test('aliases each repository and passes owner/name as variables', () => {
+      const { query, variables } = buildRepoActivityQuery(
+        ['facebook/react', 'vuejs/vue'],
+        { prs: true, issues: false, releases: true }
+      );
+
+      expect(query).toContain('r0: repository(owner: $owner0, name: $name0)');
+      expect(query).toContain('r1: repository(owner: $owner1, name: $name1)');
+      expect(query).toContain('pullRequests(');
+      expect(query).toContain('releases(');
+      expect(query).not.toContain('issues(');
+      expect(query).not.toContain('facebook');
+      expect(variables).toEqual({
+        owner0: 'facebook',
+        name0: 'react',
+        owner1: 'vuejs',
+        name1: 'vue'
+      });
+    });
+  });
+
+  describe('toRestItem', () => {
+    test('converts pull request and issue nodes', () => {
+      expect(toRestItem({
+        number: 5,
+        title: 'Fix bug',
+        url: 'https://github.com/a/b/pull/5',
+        createdAt: '2025-01-02T00:00:00Z',
+        labels: { nodes: [{ name: 'regression' }] },
+        author: { login: 'alice', avatarUrl: 'https://avatar' }
+      }, 'pr')).toEqual({
+        number: 5,
+        title: 'Fix bug',
+        html_url: 'https://github.com/a/b/pull/5',
+        created_at: '2025-01-02T00:00:00Z',
+        labels: [{ name: 'regression' }],
+        user: { login: 'alice', avatar_url: 'https://avatar' }
+      });
+    });
+
+    test('converts release nodes using the REST id so activity ids stay stable', () => {
+      expect(toRestItem({
+        databaseId: 123,
+        name: 'v1.0.0',
+        tagName: 'v1.0.0',
+        url: 'https://github.com/a/b/releases/tag/v1.0.0',
+        publishedAt: '2025-01-03T00:00:00Z',
+        author: null
+      }, 'release')).toEqual({
+        id: 123,
+        name: 'v1.0.0',
+        tag_name: 'v1.0.0',
+        html_url: 'https://github.com/a/b/releases/tag/v1.0.0',
+        published_at: '2025-01-03T00:00:00Z',
+        author: null
+      });
+    });
+  });
+
+  test('mapRepoActivityResult maps discussions with their category and answered state', () => {
+    const activities = mapRepoActivityResult({
+      discussions: {
+        nodes: [{
+          number: 8,
+          title: 'How do I configure this?',
+          url: 'https://github.com/a/b/discussions/8',
+          createdAt: '2025-01-04T00:00:00Z',
+          isAnswered: true,
+          category: { name: 'Q&A' },
+          author: { login: 'bob', avatarUrl: 'https://avatar' }
+        }]
+      }
+    }, 'a/b', since);
+
+    expect(activities).toEqual([
+      expect.objectContaining({
+        id: 'discussion-a/b-8',
+        type: 'discussion',
+        title: 'How do I configure this?',
+        description: 'Q&A · Answered',
+        category: 'Q&A',
+        answered: true,
+        author: 'bob'
+      })
+    ]);
+  });
+
+  test('mapRepoActivityResult drops items older than the cutoff', () => {
+    const activities = mapRepoActivityResult({
+      pullRequests: {
+        nodes: [
+          { number: 2, title: 'New', url: 'u2', createdAt: '2025-01-05T00:00:00Z', author: { login: 'a', avatarUrl: '' } },
+          { number: 1, title: 'Old', url: 'u1', createdAt: '2024-12-01T00:00:00Z', author: { login: 'a', avatarUrl: '' } }
+        ]
+      },
+      releases: {
+        nodes: [{ databaseId: 9, name: 'v2', tagName: 'v2', url: 'u9', publishedAt: '2025-01-06T00:00:00Z', author: null }]
+      }
+    }, 'a/b', since);
+
+    expect(activities.map(activity => activity.id)).toEqual(['pr-a/b-2', 'release-a/b-9']);
+  });
+
+  test('mapRepoActivityResult reports state changes on known items', () => {
+    const knownItems = new Map([[4, { id: 'pr-a/b-4', type: 'pr', state: 'open' }]]);
+    const activities = mapRepoActivityResult({
+      updatedPullRequests: {
+        nodes: [{
+          number: 4,
+          title: 'Ship it',
+          url: 'u4',
+          state: 'MERGED',
+          mergedAt: '2025-01-07T00:00:00Z',
+          closedAt: '2025-01-07T00:00:00Z',
+          updatedAt: '2025-01-07T00:00:00Z',
+          author: null
+        }]
+      },
+      updatedIssues: { nodes: [] }
+    }, 'a/b', since, knownItems);
+
+    expect(activities).toEqual([
+      expect.objectContaining({ type: 'state', title: 'PR #4 merged: Ship it', subjectId: 'pr-a/b-4' })
+    ]);
+  });
+
+  test('getRestOnlyFilters keeps only categories GraphQL does not fetch', () => {
+    expect(getRestOnlyFilters({ prs: true, issues: true, releases: true, discussions: true, stateChanges: true, workflows: true })).toEqual({
+      prs: false,
+      issues: false,
+      releases: false,
+      discussions: false,
+      stateChanges: false,
+      workflows: true
+    });
+  });
+
+  describe('fetchRepoActivityBatch', () => {
+    test('returns activities and reports unresolved repositories', async () => {
+      fetch.mockResolvedValue(createGraphQLResponse({
+        r0: {
+          pullRequests: {
+            nodes: [{ number: 3, title: 'PR', url: 'u3', createdAt: '2025-01-04T00:00:00Z', author: null }]
+          },
+          issues: { nodes: [] },
+          releases: { nodes: [] }
+        },
+        r1: null
+      }));
+
+      const result = await fetchRepoActivityBatch(
+        [{ repo: 'a/b', since }, { repo: 'c/d', since }],
+        'token',
+        { prs: true, issues: true, releases: true }
+      );
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledWith('https://api.github.com/graphql', expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ Authorization: 'Bearer token' })
+      }));
+      expect(result.activities).toHaveLength(1);
+      expect(result.activities[0]).toMatchObject({ id: 'pr-a/b-3', type: 'pr', repo: 'a/b' });
+      expect(result.failedRepos).toEqual(['c/d']);
+      expect(result.repoErrors.get('c/d').message).toBe('Repository c/d not found or not accessible');
+    });
+
+    test('splits large watch lists into multiple queries', async () => {
+      fetch.mockResolvedValue(createGraphQLResponse({}));
+
+      await fetchRepoActivityBatch(
+        [{ repo: 'a/1', since }, { repo: 'a/2', since }, { repo: 'a/3', since }],
+        'token',
+        { prs: true },
+        { batchSize: 2 }
+      );
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('marks every repo in a failed batch for REST fallback', async () => {
+      allowUnexpectedConsole('error');
+      fetch.mockResolvedValue(createGraphQLResponse(null, { ok: false, status: 502 }));
+
+      const result = await fetchRepoActivityBatch(
+        [{ repo: 'a/b', since }, { repo: 'c/d', since }],
+        'token',
+        { prs: true }
+      );
+
+      expect(result).toEqual({
+        activities: [],
+        failedRepos: ['a/b', 'c/d'],
+        repoErrors: new Map([
+          ['a/b', new Error('GraphQL request failed: 502 Error')],
+          ['c/d', new Error('GraphQL request failed: 502 Error')]
+        ])
+      });
+    });
+
+    test('skips the request when no categories are enabled', async () => {
+      const result = await fetchRepoActivityBatch([{ repo: 'a/b', since }], 'token', { prs: false });
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result).toEqual({ activities: [], failedRepos: [], repoErrors: new Map() });
+    });
+  });
+});
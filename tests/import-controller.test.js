@@ -8,7 +8,8 @@ jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
 }));
 
 jest.unstable_mockModule('../shared/github-api.js', () => ({
-  createHeaders: jest.fn((token) => ({ 'Authorization': `Bearer ${token}` }))
+  createHeaders: jest.fn((token) => ({ 'Authorization': `Bearer ${token}` })),
+  fetchWithRetry: jest.fn((url, init) => fetch(url, init))
 }));
 
 jest.unstable_mockModule('../shared/sanitize.js', () => ({
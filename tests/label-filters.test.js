@@ -0,0 +1,47 @@
+import { describe, test, expect } from '@jest/globals';
+import { buildLabelFilters, matchesLabelFilters, normalizeLabelList } from '../shared/label-filters.js';
+
+const watchedRepos = [
+  { fullName: 'acme/api', includeLabels: ['Good First Issue', 'regression'], excludeLabels: ['wontfix'] },
+  { fullName: 'acme/web', excludeLabels: ['duplicate'] },
+  { fullName: 'acme/docs' }
+];
+
+function createIssue(repo, labels) {
+  return { id: `issue-${repo}-${labels.join('-')}`, type: 'issue', repo, labels };
+}
+
+describe('label-filters', () => {
+  test('normalizeLabelList splits on commas only and drops case-insensitive duplicates', () => {
+    expect(normalizeLabelList(' good first issue, regression,, Regression ')).toEqual(['good first issue', 'regression']);
+    expect(normalizeLabelList(['bug', ' ', 3, 'BUG', 'team: core'])).toEqual(['bug', 'team: core']);
+    expect(normalizeLabelList(undefined)).toEqual([]);
+  });
+
+  test('buildLabelFilters only indexes repos with label rules', () => {
+    const filters = buildLabelFilters(watchedRepos);
+
+    expect([...filters.keys()]).toEqual(['acme/api', 'acme/web']);
+    expect(filters.get('acme/api').include).toEqual(new Set(['good first issue', 'regression']));
+    expect(buildLabelFilters('nope').size).toBe(0);
+  });
+
+  test('matchesLabelFilters keeps items with an included label and none of the excluded ones', () => {
+    const filters = buildLabelFilters(watchedRepos);
+
+    expect(matchesLabelFilters(createIssue('acme/api', ['good first issue']), filters)).toBe(true);
+    expect(matchesLabelFilters(createIssue('acme/api', ['Regression', 'wontfix']), filters)).toBe(false);
+    expect(matchesLabelFilters(createIssue('acme/api', ['bug']), filters)).toBe(false);
+    expect(matchesLabelFilters(createIssue('acme/api', []), filters)).toBe(false);
+    expect(matchesLabelFilters(createIssue('acme/web', []), filters)).toBe(true);
+    expect(matchesLabelFilters(createIssue('acme/web', ['duplicate']), filters)).toBe(false);
+    expect(matchesLabelFilters(createIssue('acme/docs', ['wontfix']), filters)).toBe(true);
+  });
+
+  test('matchesLabelFilters passes activities without captured labels', () => {
+    const filters = buildLabelFilters(watchedRepos);
+
+    expect(matchesLabelFilters({ id: 'release-acme/api-1', type: 'release', repo: 'acme/api' }, filters)).toBe(true);
+    expect(matchesLabelFilters({ id: 'issue-acme/api-1', type: 'issue', repo: 'acme/api' }, filters)).toBe(true);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  mapMyPullRequest,
+  fetchMyPullRequests,
+  detectStatusChanges
+} from '../shared/my-pull-requests.js';
+
+function createNode(overrides = {}) {
+  return {
+    number: 42,
+    title: 'Add concurrent renderer',
+    url: 'https://github.com/facebook/react/pull/42',
+    updatedAt: '2025-01-05T10:00:00Z',
+    isDraft: false,
+    reviewDecision: 'REVIEW_REQUIRED',
+    mergeable: 'MERGEABLE',
+    repository: { nameWithOwner: 'facebook/react' },
+    author: { login: 'alice', avatarUrl: 'https://avatars.githubusercontent.com/u/1' },
+    commits: { nodes: [{ commit: { statusCheckRollup: { state: 'PENDING' } } }] },
+    ...overrides
+  };
+}
+
+describe('my-pull-requests', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('mapMyPullRequest normalizes check, review, and merge status', () => {
+    expect(mapMyPullRequest(createNode())).toEqual({
+      id: 'mypr-facebook/react-42',
+      repo: 'facebook/react',
+      number: 42,
+      title: 'Add concurrent renderer',
+      url: 'https://github.com/facebook/react/pull/42',
+      updatedAt: '2025-01-05T10:00:00Z',
+      author: 'alice',
+      authorAvatar: 'https://avatars.githubusercontent.com/u/1',
+      isDraft: false,
+      checks: 'pending',
+      review: 'review_required',
+      mergeable: 'mergeable'
+    });
+
+    expect(mapMyPullRequest(createNode({ commits: { nodes: [] }, reviewDecision: null, mergeable: 'UNKNOWN' })))
+      .toMatchObject({ checks: 'none', review: 'none', mergeable: 'unknown' });
+  });
+
+  test('fetchMyPullRequests searches authored open pull requests through GraphQL', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ data: { search: { nodes: [createNode(), {}] } } })
+    });
+
+    const pullRequests = await fetchMyPullRequests('token');
+
+    expect(fetch).toHaveBeenCalledWith('https://api.github.com/graphql', expect.objectContaining({
+      method: 'POST',
+      headers: expect.objectContaining({ Authorization: 'Bearer token' })
+    }));
+    expect(JSON.parse(fetch.mock.calls[0][1].body).query).toContain('author:@me is:open is:pr');
+    expect(pullRequests.map(pr => pr.id)).toEqual(['mypr-facebook/react-42']);
+  });
+
+  describe('detectStatusChanges', () => {
+    const before = mapMyPullRequest(createNode());
+
+    test('reports failed checks and requested changes', () => {
+      const after = { ...before, checks: 'failing', review: 'changes_requested' };
+
+      const changes = detectStatusChanges([before], [after], new Date('2025-01-06T00:00:00Z'));
+
+      expect(changes).toEqual([
+        expect.objectContaining({
+          id: 'mypr-facebook/react-42-checks-failing',
+          type: 'mypr',
+          repo: 'facebook/react',
+          title: 'PR #42 checks failed: Add concurrent renderer',
+          url: 'https://github.com/facebook/react/pull/42',
+          createdAt: '2025-01-06T00:00:00.000Z'
+        }),
+        expect.objectContaining({ title: 'PR #42 changes requested: Add concurrent renderer' })
+      ]);
+    });
+
+    test('stays quiet for unchanged status and pull requests seen for the first time', () => {
+      const failing = { ...before, checks: 'failing' };
+
+      expect(detectStatusChanges([failing], [failing])).toEqual([]);
+      expect(detectStatusChanges([], [failing])).toEqual([]);
+    });
+  });
+});
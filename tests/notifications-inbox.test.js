@@ -0,0 +1,143 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  getInboxUrl,
+  isInboxPollDue,
+  getReasonLabel,
+  getSubjectHtmlUrl,
+  mapInboxThread,
+  fetchInboxThreads,
+  markInboxThreadRead
+} from '../shared/notifications-inbox.js';
+
+const repository = {
+  full_name: 'facebook/react',
+  html_url: 'https://github.com/facebook/react',
+  owner: { login: 'facebook', avatar_url: 'https://avatars.githubusercontent.com/u/69631' }
+};
+
+function createThread(overrides = {}) {
+  return {
+    id: '1001',
+    unread: true,
+    reason: 'review_requested',
+    updated_at: '2025-01-05T10:00:00Z',
+    subject: {
+      title: 'Add concurrent renderer',
+      url: 'https://api.github.com/repos/facebook/react/pulls/42',
+      type: 'PullRequest'
+    },
+    repository,
+    ...overrides
+  };
+}
+
+function createResponse({ status = 200, headers = {}, body = [] } = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 304 ? 'Not Modified' : 'OK',
+    headers: { get: name => headers[name] ?? null },
+    json: async () => body
+  };
+}
+
+describe('notifications-inbox', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('isInboxPollDue waits until the poll interval has elapsed', () => {
+    expect(isInboxPollDue({})).toBe(true);
+    expect(isInboxPollDue({ nextPollAt: 2000 }, 1000)).toBe(false);
+    expect(isInboxPollDue({ nextPollAt: 2000 }, 2000)).toBe(true);
+  });
+
+  test('getReasonLabel describes known and unknown reasons', () => {
+    expect(getReasonLabel('review_requested')).toBe('Review requested');
+    expect(getReasonLabel('some_new_reason')).toBe('some new reason');
+  });
+
+  test('getSubjectHtmlUrl maps API subject URLs to github.com pages', () => {
+    expect(getSubjectHtmlUrl(createThread().subject, repository)).toBe('https://github.com/facebook/react/pull/42');
+    expect(getSubjectHtmlUrl({ type: 'Issue', url: 'https://api.github.com/repos/facebook/react/issues/7' }, repository))
+      .toBe('https://github.com/facebook/react/issues/7');
+    expect(getSubjectHtmlUrl({ type: 'Release', url: 'https://api.github.com/repos/facebook/react/releases/9' }, repository))
+      .toBe('https://github.com/facebook/react');
+  });
+
+  test('mapInboxThread keeps the reason and thread id', () => {
+    expect(mapInboxThread(createThread())).toEqual({
+      id: 'inbox-1001-2025-01-05T10:00:00Z',
+      type: 'inbox',
+      repo: 'facebook/react',
+      title: 'Add concurrent renderer',
+      description: 'Review requested',
+      url: 'https://github.com/facebook/react/pull/42',
+      createdAt: '2025-01-05T10:00:00Z',
+      author: 'facebook',
+      authorAvatar: 'https://avatars.githubusercontent.com/u/69631',
+      reason: 'review_requested',
+      subjectType: 'PullRequest',
+      threadId: '1001'
+    });
+  });
+
+  describe('fetchInboxThreads', () => {
+    test('returns unread threads, records Last-Modified, and honours X-Poll-Interval', async () => {
+      const validators = {};
+      fetch.mockResolvedValue(createResponse({
+        headers: { 'X-Poll-Interval': '120', 'Last-Modified': 'Sun, 05 Jan 2025 10:00:00 GMT' },
+        body: [createThread(), createThread({ id: '1002', unread: false })]
+      }));
+
+      const result = await fetchInboxThreads('token', { validators, now: 1000 });
+
+      expect(fetch).toHaveBeenCalledWith(getInboxUrl(), {
+        headers: expect.objectContaining({ Authorization: 'Bearer token' })
+      });
+      expect(result.threads.map(thread => thread.id)).toEqual(['1001']);
+      expect(result.state).toEqual({ nextPollAt: 1000 + 120 * 1000 });
+      expect(validators[getInboxUrl()]).toMatchObject({ lastModified: 'Sun, 05 Jan 2025 10:00:00 GMT' });
+    });
+
+    test('sends If-Modified-Since and returns nothing when the inbox is unchanged', async () => {
+      const validators = { [getInboxUrl()]: { etag: null, lastModified: 'Sun, 05 Jan 2025 10:00:00 GMT' } };
+      fetch.mockResolvedValue(createResponse({ status: 304 }));
+
+      const result = await fetchInboxThreads('token', { validators, now: 0 });
+
+      expect(fetch.mock.calls[0][1].headers['If-Modified-Since']).toBe('Sun, 05 Jan 2025 10:00:00 GMT');
+      expect(result).toEqual({ threads: [], state: { nextPollAt: 60 * 1000 } });
+    });
+
+    test('retries server errors', async () => {
+      const sleep = jest.fn(async () => {});
+      fetch
+        .mockResolvedValueOnce(createResponse({ status: 502 }))
+        .mockResolvedValueOnce(createResponse({ body: [createThread()] }));
+
+      const result = await fetchInboxThreads('token', { now: 0, sleep });
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(result.threads.map(thread => thread.id)).toEqual(['1001']);
+    });
+
+    test('throws on API errors', async () => {
+      fetch.mockResolvedValue(createResponse({ status: 401 }));
+
+      await expect(fetchInboxThreads('token')).rejects.toThrow('GitHub sign-in expired or was revoked');
+    });
+  });
+
+  test('markInboxThreadRead patches the thread on GitHub', async () => {
+    fetch.mockResolvedValue(createResponse({ status: 205 }));
+
+    await markInboxThreadRead('1001', 'token');
+
+    expect(fetch).toHaveBeenCalledWith('https://api.github.com/notifications/threads/1001', {
+      method: 'PATCH',
+      headers: expect.objectContaining({ Authorization: 'Bearer token' })
+    });
+  });
+});
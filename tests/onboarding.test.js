@@ -465,12 +465,24 @@ describe('Onboarding - token persistence', () => {
 
     // Create DOM elements the handler expects
     document.body.innerHTML = `
+      <input type="checkbox" id="reviews" checked />
+      <input type="checkbox" id="reviewsNotifications" checked />
+      <input type="checkbox" id="myPrs" checked />
+      <input type="checkbox" id="myPrsNotifications" />
       <input type="checkbox" id="pullRequests" checked />
       <input type="checkbox" id="issues" />
       <input type="checkbox" id="releases" checked />
       <input type="checkbox" id="pullRequestsNotifications" checked />
       <input type="checkbox" id="issuesNotifications" />
       <input type="checkbox" id="releasesNotifications" checked />
+      <input type="checkbox" id="discussions" checked />
+      <input type="checkbox" id="discussionsNotifications" />
+      <input type="checkbox" id="workflows" />
+      <input type="checkbox" id="workflowsNotifications" />
+      <input type="checkbox" id="security" checked />
+      <input type="checkbox" id="securityNotifications" checked />
+      <input type="checkbox" id="stateChanges" checked />
+      <input type="checkbox" id="stateChangesNotifications" />
       <button id="nextBtn" class="onboarding-btn primary">Next</button>
       <div id="onboardingView"></div>
     `;
@@ -510,14 +522,30 @@ describe('Onboarding - token persistence', () => {
 
     expect(chrome.storage.sync.set).toHaveBeenCalledWith({
       filters: {
+        reviews: true,
+        myPrs: true,
         prs: true,
         issues: false,
-        releases: true
+        releases: true,
+        discussions: true,
+        workflows: false,
+        security: true,
+        stateChanges: true,
+        inbox: false,
+        searches: true
       },
       notifications: {
+        reviews: true,
+        myPrs: false,
         prs: true,
         issues: false,
-        releases: true
+        releases: true,
+        discussions: false,
+        workflows: false,
+        security: true,
+        stateChanges: false,
+        inbox: true,
+        searches: true
       }
     });
   });
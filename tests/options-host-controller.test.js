@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+
+const mockClearAuthSession = jest.fn(() => Promise.resolve());
+const mockApplyStoredConnection = jest.fn();
+const mockNotifications = {
+  error: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn()
+};
+
+jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
+  clearAuthSession: mockClearAuthSession
+}));
+
+jest.unstable_mockModule('../options/controllers/token-controller.js', () => ({
+  applyStoredConnection: mockApplyStoredConnection,
+  renderConnectedAccounts: jest.fn()
+}));
+
+jest.unstable_mockModule('../shared/ui/notification-manager.js', () => ({
+  NotificationManager: {
+    getInstance: () => mockNotifications
+  }
+}));
+
+const { loadHostSettings, saveHostSettings } = await import('../options/controllers/host-controller.js');
+const { getGitHubHost, setGitHubHost } = await import('../shared/github-host.js');
+
+describe('Host Controller', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="githubHost" type="text" />
+      <input id="githubClientId" type="text" />
+      <span id="githubHostStatus"></span>
+    `;
+    setGitHubHost('github.com');
+    chrome.permissions.request.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    setGitHubHost('github.com');
+  });
+
+  test('loads the stored host and client ID into the form', async () => {
+    chrome.storage.sync.get
+      .mockResolvedValueOnce({ githubHost: 'ghe.example.com' })
+      .mockResolvedValueOnce({ githubOAuthClientId: 'Iv1.enterprise' });
+
+    await loadHostSettings();
+
+    expect(document.getElementById('githubHost').value).toBe('ghe.example.com');
+    expect(document.getElementById('githubClientId').value).toBe('Iv1.enterprise');
+    expect(document.getElementById('githubHostStatus').textContent).toBe('Using GitHub Enterprise Server at ghe.example.com');
+  });
+
+  test('switching to an Enterprise host requests access and signs out', async () => {
+    document.getElementById('githubHost').value = 'https://ghe.example.com/';
+    document.getElementById('githubClientId').value = 'Iv1.enterprise';
+
+    const result = await saveHostSettings();
+
+    expect(result).toEqual({ saved: true, host: 'ghe.example.com', hostChanged: true });
+    expect(chrome.permissions.request).toHaveBeenCalledWith({ origins: ['https://ghe.example.com/*'] });
+    expect(chrome.storage.sync.set).toHaveBeenCalledWith({ githubHost: 'ghe.example.com' });
+    expect(chrome.storage.sync.set).toHaveBeenCalledWith({ githubOAuthClientId: 'Iv1.enterprise' });
+    expect(mockClearAuthSession).toHaveBeenCalled();
+    expect(mockApplyStoredConnection).toHaveBeenCalledWith(null);
+    expect(getGitHubHost()).toBe('ghe.example.com');
+  });
+
+  test('keeps the current host when permission is denied', async () => {
+    chrome.permissions.request.mockResolvedValueOnce(false);
+    document.getElementById('githubHost').value = 'ghe.example.com';
+    document.getElementById('githubClientId').value = 'Iv1.enterprise';
+
+    const result = await saveHostSettings();
+
+    expect(result).toEqual({ saved: false });
+    expect(mockNotifications.error).toHaveBeenCalledWith('DevWatch needs permission to reach ghe.example.com');
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    expect(getGitHubHost()).toBe('github.com');
+  });
+
+  test('requires a client ID for Enterprise hosts', async () => {
+    document.getElementById('githubHost').value = 'ghe.example.com';
+
+    const result = await saveHostSettings();
+
+    expect(result).toEqual({ saved: false });
+    expect(chrome.permissions.request).not.toHaveBeenCalled();
+    expect(mockNotifications.error).toHaveBeenCalledWith('Enter the client ID of an OAuth app registered on ghe.example.com');
+  });
+
+  test('rejects invalid hosts', async () => {
+    document.getElementById('githubHost').value = 'http://ghe.example.com';
+
+    const result = await saveHostSettings();
+
+    expect(result).toEqual({ saved: false });
+    expect(mockNotifications.error).toHaveBeenCalledWith('Enter a host name such as github.example.com');
+  });
+
+  test('saving github.com again keeps the session', async () => {
+    const result = await saveHostSettings();
+
+    expect(result).toEqual({ saved: true, host: 'github.com', hostChanged: false });
+    expect(chrome.storage.sync.remove).toHaveBeenCalledWith('githubHost');
+    expect(chrome.storage.sync.remove).toHaveBeenCalledWith('githubOAuthClientId');
+    expect(mockClearAuthSession).not.toHaveBeenCalled();
+    expect(mockNotifications.success).toHaveBeenCalledWith('GitHub host saved');
+  });
+});
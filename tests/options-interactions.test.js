@@ -34,6 +34,10 @@ const mockUpdateSelectedCount = jest.fn();
 const mockExportSettings = jest.fn();
 const mockHandleImportFile = jest.fn();
 const mockRenderSnoozedRepos = jest.fn();
+const mockAddWatchedOwner = jest.fn();
+const mockLoadWatchedOwners = jest.fn();
+const mockAddSavedSearch = jest.fn();
+const mockRenderSavedSearches = jest.fn();
 const mockRenderRepoList = jest.fn();
 
 jest.unstable_mockModule('../shared/utils.js', () => ({
@@ -46,8 +50,10 @@ jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
   clearAuthSession: mockClearAuthSession,
   getAuthSession: mockGetAuthSession,
   getAccessToken: mockGetAccessToken,
+  getAccountTokens: jest.fn(() => Promise.resolve(new Map())),
   getSettings: mockGetSettings,
   getWatchedRepos: mockGetWatchedRepos,
+  getLocalItem: jest.fn((key, defaultValue = null) => Promise.resolve(defaultValue)),
   setLocalItem: mockSetLocalItem,
   setWatchedRepos: mockSetWatchedRepos,
   updateSettings: mockUpdateSettings
@@ -71,12 +77,29 @@ jest.unstable_mockModule('../options/controllers/theme-controller.js', () => ({
 jest.unstable_mockModule('../options/controllers/token-controller.js', () => ({
   applyStoredConnection: mockApplyStoredConnection,
   clearToken: mockClearToken,
-  connectGitHub: mockConnectGitHub
+  connectGitHub: mockConnectGitHub,
+  connectWithToken: jest.fn(),
+  getSelectedRepoAccount: jest.fn(() => null),
+  refreshConnectedAccounts: jest.fn(() => Promise.resolve([])),
+  usePublicOnlyMode: jest.fn()
+}));
+
+jest.unstable_mockModule('../options/controllers/remember-me-controller.js', () => ({
+  handleAutoLockChange: jest.fn(),
+  handleRememberMeToggle: jest.fn(),
+  loadRememberMeSettings: jest.fn(() => Promise.resolve()),
+  saveRememberMe: jest.fn()
+}));
+
+jest.unstable_mockModule('../options/controllers/host-controller.js', () => ({
+  loadHostSettings: jest.fn(() => Promise.resolve('github.com')),
+  saveHostSettings: jest.fn()
 }));
 
 jest.unstable_mockModule('../options/controllers/repository-controller.js', () => ({
   toggleMuteRepo: mockToggleMuteRepo,
-  togglePinRepo: mockTogglePinRepo
+  togglePinRepo: mockTogglePinRepo,
+  updateRepoLabelFilters: jest.fn()
 }));
 
 jest.unstable_mockModule('../options/controllers/import-controller.js', () => ({
@@ -96,6 +119,16 @@ jest.unstable_mockModule('../options/controllers/snooze-controller.js', () => ({
   renderSnoozedRepos: mockRenderSnoozedRepos
 }));
 
+jest.unstable_mockModule('../options/controllers/owner-controller.js', () => ({
+  addWatchedOwner: mockAddWatchedOwner,
+  loadWatchedOwners: mockLoadWatchedOwners
+}));
+
+jest.unstable_mockModule('../options/controllers/saved-search-controller.js', () => ({
+  addSavedSearch: mockAddSavedSearch,
+  renderSavedSearches: mockRenderSavedSearches
+}));
+
 jest.unstable_mockModule('../options/views/repository-list-view.js', () => ({
   renderRepoList: mockRenderRepoList
 }));
@@ -115,8 +148,19 @@ function renderOptionsDom() {
     <button id="connectGitHubBtn">Connect GitHub</button>
     <div id="tokenStatus"></div>
     <button id="clearTokenBtn"></button>
+    <button id="saveGitHubHostBtn"></button>
+    <button id="addGitHubAccountBtn"></button>
+    <input id="personalTokenInput" />
+    <button id="connectTokenBtn"></button>
+    <button id="usePublicModeBtn"></button>
+    <input type="checkbox" id="rememberMeToggle" />
+    <button id="saveRememberMeBtn"></button>
+    <select id="autoLockMinutes"><option value="60">60</option></select>
     <input id="repoInput" />
     <button id="addRepoBtn"></button>
+    <button id="addOwnerBtn"></button>
+    <input id="savedSearchQuery" />
+    <button id="addSavedSearchBtn"></button>
     <div id="repoHelpText"></div>
     <div id="importReposSection"></div>
     <div id="repoValidationStatus"></div>
@@ -143,6 +187,20 @@ function renderOptionsDom() {
     <label class="notification-toggle"><input id="notifyPrs" type="checkbox" /></label>
     <label class="notification-toggle"><input id="notifyIssues" type="checkbox" /></label>
     <label class="notification-toggle"><input id="notifyReleases" type="checkbox" /></label>
+    <input id="filterDiscussions" type="checkbox" checked />
+    <label class="notification-toggle"><input id="notifyDiscussions" type="checkbox" /></label>
+    <input id="filterWorkflows" type="checkbox" checked />
+    <label class="notification-toggle"><input id="notifyWorkflows" type="checkbox" /></label>
+    <input id="filterSecurity" type="checkbox" checked />
+    <label class="notification-toggle"><input id="notifySecurity" type="checkbox" /></label>
+    <input id="filterStateChanges" type="checkbox" checked />
+    <label class="notification-toggle"><input id="notifyStateChanges" type="checkbox" /></label>
+    <input id="filterInbox" type="checkbox" />
+    <input id="filterReviews" type="checkbox" checked />
+    <label class="notification-toggle"><input id="notifyReviews" type="checkbox" /></label>
+    <input id="filterMyPrs" type="checkbox" checked />
+    <label class="notification-toggle"><input id="notifyMyPrs" type="checkbox" /></label>
+    <label class="notification-toggle"><input id="notifyInbox" type="checkbox" /></label>
 
     <input id="theme-light" name="theme" type="radio" value="light" />
     <input id="theme-dark" name="theme" type="radio" value="dark" />
@@ -159,6 +217,7 @@ function renderOptionsDom() {
     <div id="itemExpiryInputRow" style="display:none"></div>
     <input id="markReadOnSnooze" type="checkbox" />
     <input id="allowUnlimitedRepos" type="checkbox" />
+    <input id="graphqlPolling" type="checkbox" />
 
     <div id="snoozedReposList"></div>
     <button id="importWatchedBtn"></button>
@@ -221,7 +280,8 @@ beforeEach(() => {
     colorTheme: 'graphite',
     itemExpiryHours: 24,
     markReadOnSnooze: false,
-    allowUnlimitedRepos: false
+    allowUnlimitedRepos: false,
+    graphqlPolling: false
   });
   mockGetWatchedRepos.mockResolvedValue([]);
   mockGetAuthSession.mockResolvedValue(null);
@@ -350,8 +410,8 @@ describe('options interactions', () => {
     expect(document.getElementById('notifyPrs').checked).toBe(false);
     expect(document.getElementById('notifyPrs').disabled).toBe(true);
     expect(mockUpdateSettings).toHaveBeenCalledWith({
-      filters: { prs: false, issues: true, releases: true },
-      notifications: { prs: false, issues: false, releases: false }
+      filters: { reviews: true, myPrs: true, prs: false, issues: true, releases: true, discussions: true, workflows: true, security: true, stateChanges: true, inbox: false, searches: true },
+      notifications: { reviews: false, myPrs: false, prs: false, issues: false, releases: false, discussions: false, workflows: false, security: false, stateChanges: false, inbox: false, searches: false }
     });
   });
 
@@ -368,6 +428,25 @@ describe('options interactions', () => {
     expect(document.getElementById('itemExpiryEnabled').checked).toBe(true);
     expect(document.getElementById('itemExpiryInputRow').style.display).toBe('block');
     expect(mockRenderSnoozedRepos).toHaveBeenCalledWith([]);
+    expect(mockLoadWatchedOwners).toHaveBeenCalled();
+  });
+
+  test('watching an owner reloads the repositories it added', async () => {
+    setupEventListeners();
+    mockGetWatchedRepos.mockResolvedValue([{ fullName: 'acme/api', watchedVia: 'acme' }]);
+    mockAddWatchedOwner.mockImplementation(async onReposChanged => {
+      await onReposChanged();
+      return true;
+    });
+
+    document.getElementById('addOwnerBtn').click();
+    await Promise.resolve();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(mockAddWatchedOwner).toHaveBeenCalled();
+    expect(state.watchedRepos).toEqual([{ fullName: 'acme/api', watchedVia: 'acme' }]);
+    expect(mockRenderRepoList).toHaveBeenCalled();
   });
 
   test('clears cache data and handles destructive actions', async () => {
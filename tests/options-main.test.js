@@ -5,6 +5,7 @@ const {
   formatNumber,
   getFilteredRepos,
   cleanupRepoNotifications,
+  retryRepo,
   loadSettings,
   setupEventListeners,
   shouldClearStoredToken,
@@ -22,8 +23,44 @@ describe('Options Main Functions', () => {
       </div>
       <div id="tokenStatus" class="token-status"></div>
       <button id="clearTokenBtn">Disconnect</button>
+      <input id="githubHost" type="text" />
+      <input id="githubClientId" type="text" />
+      <button id="saveGitHubHostBtn">Save host</button>
+      <ul id="githubAccountsList" class="hidden"></ul>
+      <button id="addGitHubAccountBtn" class="hidden">Add another account</button>
+      <select id="repoAccountSelect" class="hidden"></select>
+      <p id="capabilityNotice" class="hidden"></p>
+      <input type="checkbox" id="rememberMeToggle" />
+      <p id="rememberMeStatus"></p>
+      <div id="rememberMeForm" class="hidden">
+        <input id="rememberMePassphrase" type="password" />
+        <input id="rememberMePassphraseConfirm" type="password" />
+        <button id="saveRememberMeBtn"></button>
+      </div>
+      <div id="autoLockRow" class="hidden">
+        <select id="autoLockMinutes">
+          <option value="15">15</option>
+          <option value="60" selected>60</option>
+          <option value="0">0</option>
+        </select>
+      </div>
+      <input id="personalTokenInput" type="password" />
+      <button id="connectTokenBtn">Use token</button>
+      <button id="usePublicModeBtn">Use public-only mode</button>
+      <span id="githubHostStatus"></span>
       <input id="repoInput" />
       <button id="addRepoBtn">Add</button>
+      <input id="ownerInput" />
+      <input id="ownerIncludeInput" />
+      <input id="ownerExcludeInput" />
+      <input type="checkbox" id="ownerIncludeArchived" />
+      <input type="checkbox" id="ownerIncludeForks" />
+      <button id="addOwnerBtn" disabled>Watch</button>
+      <ul id="watchedOwnerList"></ul>
+      <input id="savedSearchName" />
+      <input id="savedSearchQuery" />
+      <button id="addSavedSearchBtn">Save search</button>
+      <ul id="savedSearchList"></ul>
       <div id="repoHelpText"></div>
       <div id="importReposSection"></div>
       <div id="repoValidationStatus" class="repo-validation-status"></div>
@@ -44,6 +81,20 @@ describe('Options Main Functions', () => {
       <input id="notifyPrs" type="checkbox" />
       <input id="notifyIssues" type="checkbox" />
       <input id="notifyReleases" type="checkbox" />
+      <input id="filterDiscussions" type="checkbox" />
+      <input id="notifyDiscussions" type="checkbox" />
+      <input id="filterWorkflows" type="checkbox" />
+      <input id="notifyWorkflows" type="checkbox" />
+      <input id="filterSecurity" type="checkbox" />
+      <input id="notifySecurity" type="checkbox" />
+      <input id="filterStateChanges" type="checkbox" />
+      <input id="notifyStateChanges" type="checkbox" />
+      <input id="filterInbox" type="checkbox" />
+      <input id="filterReviews" type="checkbox" />
+      <input id="notifyReviews" type="checkbox" />
+      <input id="filterMyPrs" type="checkbox" />
+      <input id="notifyMyPrs" type="checkbox" />
+      <input id="notifyInbox" type="checkbox" />
       <input id="theme-light" name="theme" type="radio" value="light" />
       <input id="theme-dark" name="theme" type="radio" value="dark" />
       <input id="theme-system" name="theme" type="radio" value="system" />
@@ -57,6 +108,7 @@ describe('Options Main Functions', () => {
       <div id="itemExpiryInputRow"></div>
       <input id="markReadOnSnooze" type="checkbox" />
       <input id="allowUnlimitedRepos" type="checkbox" />
+      <input id="graphqlPolling" type="checkbox" />
       <div id="snoozedReposList"></div>
       <button id="importWatchedBtn"></button>
       <button id="importStarredBtn"></button>
@@ -428,9 +480,10 @@ describe('Options Main Functions', () => {
       setupEventListeners();
 
       document.getElementById('clearTokenBtn').click();
-      await Promise.resolve();
+      await new Promise(resolve => setTimeout(resolve, 0));
 
-      expect(chrome.storage.session.remove).toHaveBeenCalledWith(['githubAuthSession'], expect.any(Function));
+      expect(chrome.storage.session.remove).toHaveBeenCalledWith(['githubAuthSession', 'githubAuthAccounts', 'persistentAuthKey'], expect.any(Function));
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith(['persistentAuthSession', 'persistentAuthMigrationPending'], expect.any(Function));
       expect(chrome.storage.local.remove).toHaveBeenCalledWith(
         ['encryptedGithubAuthSession', 'encryptionKey'],
         expect.any(Function)
@@ -530,4 +583,43 @@ describe('Options Main Functions', () => {
       });
     });
   });
+
+  describe('retryRepo', () => {
+    test('re-checks one repository and stores its new health', async () => {
+      const health = { lastSuccessAt: '2025-01-01T00:00:00.000Z', consecutiveFailures: 0 };
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true, health });
+
+      await retryRepo('facebook/react');
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'checkRepo', repo: 'facebook/react' });
+      expect(state.repoHealth['facebook/react']).toEqual(health);
+    });
+
+    test('reloads stored health once the check has finished', async () => {
+      const health = { lastSuccessAt: '2025-01-02T00:00:00.000Z', consecutiveFailures: 0 };
+      const vueHealth = { lastSuccessAt: null, consecutiveFailures: 1, errorType: 'network' };
+      let checkDone = false;
+      chrome.runtime.sendMessage.mockImplementationOnce(async () => {
+        checkDone = true;
+        return { success: true, health };
+      });
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback(checkDone ? { repoHealth: { 'facebook/react': health, 'vuejs/vue': vueHealth } } : {});
+      });
+
+      await retryRepo('facebook/react');
+
+      expect(state.repoHealth).toEqual({ 'facebook/react': health, 'vuejs/vue': vueHealth });
+    });
+
+    test('re-enables the button when the check cannot run', async () => {
+      const button = document.createElement('button');
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: false, error: 'Missing repo parameter' });
+
+      await retryRepo('facebook/react', button);
+
+      expect(button.disabled).toBe(false);
+      expect(button.textContent).toBe('Retry now');
+    });
+  });
 });
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+
+const mockGetWatchedOwners = jest.fn();
+const mockSetWatchedOwners = jest.fn(() => Promise.resolve());
+const mockGetAccessToken = jest.fn(() => Promise.resolve('gho_default'));
+const mockGetAccountTokens = jest.fn(() => Promise.resolve(new Map([['octo-work', 'gho_work']])));
+const mockLookupOwner = jest.fn();
+const mockGetSelectedRepoAccount = jest.fn(() => null);
+const mockNotifications = {
+  error: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn()
+};
+
+jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
+  getAccessToken: mockGetAccessToken,
+  getAccountTokens: mockGetAccountTokens,
+  getWatchedOwners: mockGetWatchedOwners,
+  setWatchedOwners: mockSetWatchedOwners
+}));
+
+jest.unstable_mockModule('../shared/watched-owners.js', () => ({
+  lookupOwner: mockLookupOwner,
+  parseOwnerLogin: input => input.trim() || null
+}));
+
+jest.unstable_mockModule('../options/controllers/token-controller.js', () => ({
+  getSelectedRepoAccount: mockGetSelectedRepoAccount
+}));
+
+jest.unstable_mockModule('../shared/ui/notification-manager.js', () => ({
+  NotificationManager: {
+    getInstance: () => mockNotifications
+  }
+}));
+
+const { addWatchedOwner, loadWatchedOwners, removeWatchedOwner } = await import('../options/controllers/owner-controller.js');
+
+describe('Owner Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    document.body.innerHTML = `
+      <input id="ownerInput" />
+      <input id="ownerIncludeInput" />
+      <input id="ownerExcludeInput" />
+      <input type="checkbox" id="ownerIncludeArchived" />
+      <input type="checkbox" id="ownerIncludeForks" />
+      <button id="addOwnerBtn">Watch</button>
+      <ul id="watchedOwnerList"></ul>
+    `;
+    mockGetWatchedOwners.mockResolvedValue([]);
+    chrome.runtime.sendMessage.mockResolvedValue({
+      success: true,
+      results: [{ login: 'acme', added: ['acme/api', 'acme/web'], cappedCount: 1 }]
+    });
+  });
+
+  test('watches an organization with its filters and syncs it right away', async () => {
+    const onReposChanged = jest.fn();
+    mockLookupOwner.mockResolvedValue({ login: 'acme', type: 'org' });
+    mockGetSelectedRepoAccount.mockReturnValueOnce('octo-work');
+    document.getElementById('ownerInput').value = 'acme';
+    document.getElementById('ownerIncludeInput').value = 'api-*, web-*';
+    document.getElementById('ownerIncludeForks').checked = true;
+
+    expect(await addWatchedOwner(onReposChanged)).toBe(true);
+
+    expect(mockLookupOwner).toHaveBeenCalledWith('acme', 'gho_work');
+    expect(mockSetWatchedOwners).toHaveBeenCalledWith([expect.objectContaining({
+      login: 'acme',
+      type: 'org',
+      include: ['api-*', 'web-*'],
+      includeForks: true,
+      includeArchived: false,
+      account: 'octo-work'
+    })]);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'syncOwners', logins: ['acme'] });
+    expect(mockNotifications.success).toHaveBeenCalledWith(
+      'Watching acme: added 2 repositories. 1 more did not fit under the repository limit'
+    );
+    expect(onReposChanged).toHaveBeenCalled();
+    expect(document.getElementById('ownerInput').value).toBe('');
+    expect(document.getElementById('addOwnerBtn').disabled).toBe(false);
+  });
+
+  test('rejects owners that are already watched or do not exist', async () => {
+    mockGetWatchedOwners.mockResolvedValue([{ login: 'Acme', type: 'org', include: [], exclude: [] }]);
+    document.getElementById('ownerInput').value = 'acme';
+
+    expect(await addWatchedOwner(jest.fn())).toBe(false);
+    expect(mockNotifications.error).toHaveBeenCalledWith('Already watching acme');
+
+    mockGetWatchedOwners.mockResolvedValue([]);
+    mockLookupOwner.mockRejectedValue(new Error('Repository not found'));
+    document.getElementById('ownerInput').value = 'ghost';
+
+    expect(await addWatchedOwner(jest.fn())).toBe(false);
+    expect(mockNotifications.error).toHaveBeenCalledWith('Could not find the organization or user "ghost"');
+    expect(mockSetWatchedOwners).not.toHaveBeenCalled();
+  });
+
+  test('lists watched owners and stops watching one', async () => {
+    const owners = [
+      { login: 'acme', type: 'org', include: ['api-*'], exclude: [], includeArchived: false, includeForks: false },
+      { login: 'octocat', type: 'user', include: [], exclude: [], includeArchived: true, includeForks: false }
+    ];
+    mockGetWatchedOwners.mockResolvedValue(owners);
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    await loadWatchedOwners();
+
+    const items = document.querySelectorAll('.watched-owner');
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toContain('Organization · only api-*');
+    expect(items[1].textContent).toContain('User · with archived');
+
+    expect(await removeWatchedOwner('acme')).toBe(true);
+    expect(mockSetWatchedOwners).toHaveBeenCalledWith([owners[1]]);
+    window.confirm.mockRestore();
+  });
+});
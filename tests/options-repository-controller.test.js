@@ -2,7 +2,8 @@ import { jest, describe, test, beforeEach, expect } from '@jest/globals';
 import {
   toggleMuteRepo,
   trackRepoUnmuted,
-  togglePinRepo
+  togglePinRepo,
+  updateRepoLabelFilters
 } from '../options/controllers/repository-controller.js';
 
 describe('Options Repository Controller', () => {
@@ -176,4 +177,35 @@ describe('Options Repository Controller', () => {
       expect(state.pinnedRepos).toContain('owner/repo');
     });
   });
+
+  describe('updateRepoLabelFilters', () => {
+    beforeEach(() => {
+      chrome.storage.local = { set: jest.fn((items, callback) => callback()) };
+      chrome.storage.sync.remove = jest.fn((keys, callback) => callback());
+    });
+
+    test('saves parsed include and exclude labels on the repository record', async () => {
+      const state = { watchedRepos: [{ fullName: 'owner/repo', excludeLabels: ['duplicate'] }] };
+      const mockRender = jest.fn();
+
+      const updated = await updateRepoLabelFilters('owner/repo', {
+        include: 'good first issue, regression',
+        exclude: ''
+      }, state, mockRender);
+
+      expect(updated).toBe(true);
+      expect(state.watchedRepos[0]).toEqual({ fullName: 'owner/repo', includeLabels: ['good first issue', 'regression'] });
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        watchedRepos: [expect.objectContaining({ fullName: 'owner/repo', includeLabels: ['good first issue', 'regression'] })]
+      }, expect.any(Function));
+      expect(mockRender).toHaveBeenCalled();
+    });
+
+    test('ignores repositories that are not watched', async () => {
+      const state = { watchedRepos: [] };
+
+      expect(await updateRepoLabelFilters('owner/gone', { include: 'bug' }, state, null)).toBe(false);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+
+const mockGetSettings = jest.fn();
+const mockUpdateSettings = jest.fn(() => Promise.resolve());
+const mockNotifications = {
+  error: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn()
+};
+
+jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
+  getLocalItem: jest.fn(),
+  getSettings: mockGetSettings,
+  setLocalItem: jest.fn(),
+  updateSettings: mockUpdateSettings
+}));
+
+jest.unstable_mockModule('../shared/ui/notification-manager.js', () => ({
+  NotificationManager: {
+    getInstance: () => mockNotifications
+  }
+}));
+
+const { addSavedSearch, removeSavedSearch, renderSavedSearches } = await import('../options/controllers/saved-search-controller.js');
+
+const security = { id: 'sec1', name: 'Security', query: 'label:security org:acme is:open' };
+
+describe('Saved Search Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    document.body.innerHTML = `
+      <input id="savedSearchName" />
+      <input id="savedSearchQuery" />
+      <button id="addSavedSearchBtn">Save search</button>
+      <ul id="savedSearchList"></ul>
+    `;
+    mockGetSettings.mockResolvedValue({ savedSearches: [security] });
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true });
+  });
+
+  test('saves a new search and lists it', async () => {
+    document.getElementById('savedSearchName').value = 'Leaks';
+    document.getElementById('savedSearchQuery').value = '"memory leak" repo:foo/bar';
+
+    expect(await addSavedSearch()).toBe(true);
+
+    expect(mockUpdateSettings).toHaveBeenCalledWith({
+      savedSearches: [security, { id: expect.any(String), name: 'Leaks', query: '"memory leak" repo:foo/bar' }]
+    });
+    expect(document.querySelectorAll('.saved-search-item')).toHaveLength(2);
+    expect(document.getElementById('savedSearchQuery').value).toBe('');
+  });
+
+  test('rejects empty, duplicate, and over-limit searches', async () => {
+    expect(await addSavedSearch()).toBe(false);
+    expect(mockNotifications.error).toHaveBeenCalledWith('Enter a GitHub search query of up to 256 characters');
+
+    document.getElementById('savedSearchQuery').value = security.query;
+    expect(await addSavedSearch()).toBe(false);
+    expect(mockNotifications.error).toHaveBeenCalledWith('That search is already saved');
+
+    mockGetSettings.mockResolvedValue({
+      savedSearches: Array.from({ length: 10 }, (_, index) => ({ id: `s${index}`, name: `S${index}`, query: `is:open ${index}` }))
+    });
+    document.getElementById('savedSearchQuery').value = 'is:pr';
+    expect(await addSavedSearch()).toBe(false);
+    expect(mockNotifications.error).toHaveBeenCalledWith('You can save up to 10 searches');
+    expect(mockUpdateSettings).not.toHaveBeenCalled();
+  });
+
+  test('removing a search drops its hits from the feed', async () => {
+    renderSavedSearches([security]);
+    expect(document.querySelector('.saved-search-item code').textContent).toBe(security.query);
+
+    expect(await removeSavedSearch('sec1')).toBe(true);
+
+    expect(mockUpdateSettings).toHaveBeenCalledWith({ savedSearches: [] });
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'removeSearchData' });
+    expect(document.querySelectorAll('.saved-search-item')).toHaveLength(0);
+  });
+});
@@ -4,21 +4,48 @@ const mockCompleteGitHubDeviceAuth = jest.fn();
 const mockClearAuthSession = jest.fn(() => Promise.resolve());
 const mockGetAuthSession = jest.fn(() => Promise.resolve(null));
 const mockSetAuthSession = jest.fn(() => Promise.resolve());
+const mockAddAuthSession = jest.fn(() => Promise.resolve());
+const mockGetAuthSessions = jest.fn(() => Promise.resolve([]));
+const mockRemoveAuthSession = jest.fn(() => Promise.resolve());
+const mockConnectWithPersonalAccessToken = jest.fn();
+const mockSavePersistentAuth = jest.fn(() => Promise.resolve(false));
+const publicCapabilities = {
+  graphql: false,
+  features: { inbox: false, reviews: false, myPrs: false, security: false, discussions: false }
+};
 
 jest.unstable_mockModule('../shared/auth.js', () => ({
-  completeGitHubDeviceAuth: mockCompleteGitHubDeviceAuth
+  PUBLIC_RATE_LIMIT: 60,
+  completeGitHubDeviceAuth: mockCompleteGitHubDeviceAuth,
+  connectWithPersonalAccessToken: mockConnectWithPersonalAccessToken,
+  createPublicOnlySession: () => ({ authType: 'public', accessToken: null, username: '' }),
+  getSessionCapabilities: session => (session?.authType === 'public' ? publicCapabilities : session?.capabilities || null),
+  getUnsupportedFeatures: capabilities => Object.keys(capabilities?.features || {})
+    .filter(feature => !capabilities.features[feature])
+}));
+
+jest.unstable_mockModule('../shared/persistent-auth.js', () => ({
+  savePersistentAuth: mockSavePersistentAuth
 }));
 
 jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
+  addAuthSession: mockAddAuthSession,
   clearAuthSession: mockClearAuthSession,
   getAuthSession: mockGetAuthSession,
+  getAuthSessions: mockGetAuthSessions,
+  removeAuthSession: mockRemoveAuthSession,
   setAuthSession: mockSetAuthSession
 }));
 
 const {
   applyStoredConnection,
   clearToken,
-  connectGitHub
+  connectGitHub,
+  connectWithToken,
+  disconnectAccount,
+  getSelectedRepoAccount,
+  renderConnectedAccounts,
+  usePublicOnlyMode
 } = await import('../options/controllers/token-controller.js');
 
 describe('Token Controller', () => {
@@ -34,6 +61,16 @@ describe('Token Controller', () => {
       <button id="addRepoBtn">Add</button>
       <div id="repoHelpText"></div>
       <div id="importReposSection" class="hidden" style="display: none;"></div>
+      <ul id="githubAccountsList" class="hidden"></ul>
+      <button id="addGitHubAccountBtn" class="hidden">Add another account</button>
+      <select id="repoAccountSelect" class="hidden"></select>
+      <p id="capabilityNotice" class="hidden"></p>
+      <input id="personalTokenInput" type="password" />
+      <button id="connectTokenBtn">Use token</button>
+      <input id="filterInbox" type="checkbox" />
+      <input id="notifyInbox" type="checkbox" />
+      <input id="filterReviews" type="checkbox" />
+      <input id="graphqlPolling" type="checkbox" />
     `;
 
     jest.clearAllMocks();
@@ -133,4 +170,121 @@ describe('Token Controller', () => {
     expect(document.getElementById('repoInput').disabled).toBe(false);
     expect(document.getElementById('tokenStatus').textContent).toContain('cancelled');
   });
+
+  test('connectGitHub adds a second account without replacing the default', async () => {
+    const work = { accessToken: 'work-token', username: 'octo-work' };
+    const personal = { accessToken: 'personal-token', username: 'octocat' };
+    mockCompleteGitHubDeviceAuth.mockResolvedValueOnce({ user: { login: 'octo-work' }, authSession: work });
+    mockGetAuthSessions.mockResolvedValueOnce([personal, work]);
+
+    const result = await connectGitHub({}, { addAccount: true });
+
+    expect(result.isValid).toBe(true);
+    expect(mockAddAuthSession).toHaveBeenCalledWith(work);
+    expect(mockSetAuthSession).not.toHaveBeenCalled();
+    expect(document.getElementById('tokenStatus').textContent).toContain('octocat');
+    expect(document.querySelectorAll('.github-account')).toHaveLength(2);
+  });
+
+  test('renderConnectedAccounts lists accounts and offers an account picker for repos', () => {
+    renderConnectedAccounts([
+      { accessToken: 'personal-token', username: 'octocat' },
+      { accessToken: 'work-token', username: 'octo-work' }
+    ]);
+
+    const items = document.querySelectorAll('.github-account');
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toContain('Default');
+    expect(document.getElementById('addGitHubAccountBtn').classList.contains('hidden')).toBe(false);
+
+    const select = document.getElementById('repoAccountSelect');
+    expect(select.classList.contains('hidden')).toBe(false);
+    expect(Array.from(select.options).map(option => option.value)).toEqual(['octocat', 'octo-work']);
+
+    select.value = 'octo-work';
+    expect(getSelectedRepoAccount()).toBe('octo-work');
+  });
+
+  test('a single account hides the repo account picker', () => {
+    renderConnectedAccounts([{ accessToken: 'personal-token', username: 'octocat' }]);
+
+    expect(document.getElementById('repoAccountSelect').classList.contains('hidden')).toBe(true);
+    expect(getSelectedRepoAccount()).toBeNull();
+  });
+
+  test('disconnectAccount removes one account and keeps the rest connected', async () => {
+    mockGetAuthSessions.mockResolvedValueOnce([{ accessToken: 'personal-token', username: 'octocat' }]);
+
+    const result = await disconnectAccount('octo-work');
+
+    expect(result).toBe(true);
+    expect(mockRemoveAuthSession).toHaveBeenCalledWith('octo-work');
+    expect(mockClearAuthSession).not.toHaveBeenCalled();
+    expect(mockSavePersistentAuth).toHaveBeenCalled();
+    expect(document.getElementById('tokenStatus').textContent).toContain('octocat');
+    expect(document.querySelectorAll('.github-account')).toHaveLength(1);
+  });
+
+  test('connectWithToken stores a fine-grained token session', async () => {
+    const authSession = {
+      authType: 'personal_token',
+      accessToken: 'github_pat_example',
+      username: 'octocat',
+      capabilities: { graphql: true, features: { inbox: false, reviews: true } }
+    };
+    mockConnectWithPersonalAccessToken.mockResolvedValueOnce({ user: { login: 'octocat' }, authSession });
+    mockGetAuthSessions.mockResolvedValueOnce([authSession]);
+    document.getElementById('personalTokenInput').value = 'github_pat_example';
+
+    const result = await connectWithToken();
+
+    expect(result.isValid).toBe(true);
+    expect(mockConnectWithPersonalAccessToken).toHaveBeenCalledWith('github_pat_example');
+    expect(mockSetAuthSession).toHaveBeenCalledWith(authSession);
+    expect(document.getElementById('personalTokenInput').value).toBe('');
+    expect(document.getElementById('tokenStatus').textContent).toBe('Connected as octocat with a fine-grained token');
+    expect(document.getElementById('filterInbox').disabled).toBe(true);
+    expect(document.getElementById('filterReviews').disabled).toBe(false);
+    expect(document.getElementById('capabilityNotice').textContent).toBe('Not available with this connection: GitHub Inbox.');
+  });
+
+  test('connectWithToken reports a rejected token', async () => {
+    mockConnectWithPersonalAccessToken.mockRejectedValueOnce(Object.assign(
+      new Error('Classic tokens are not accepted. Create a fine-grained personal access token instead.'),
+      { code: 'classic_token' }
+    ));
+
+    const result = await connectWithToken();
+
+    expect(result).toEqual({ isValid: false, reason: 'classic_token' });
+    expect(mockSetAuthSession).not.toHaveBeenCalled();
+    expect(document.getElementById('tokenStatus').textContent).toContain('Classic tokens are not accepted');
+  });
+
+  test('usePublicOnlyMode replaces the session and turns off unsupported features', async () => {
+    mockGetAuthSession.mockResolvedValueOnce({ accessToken: 'oauth-token', username: 'octocat' });
+
+    const result = await usePublicOnlyMode();
+
+    expect(result).toBe(true);
+    expect(global.confirm).toHaveBeenCalled();
+    expect(mockClearAuthSession).toHaveBeenCalled();
+    expect(mockSetAuthSession).toHaveBeenCalledWith({ authType: 'public', accessToken: null, username: '' });
+    expect(document.getElementById('tokenStatus').textContent).toBe('Public repositories only (60 requests per hour)');
+    expect(document.getElementById('repoInput').disabled).toBe(false);
+    expect(document.getElementById('importReposSection').style.display).toBe('none');
+    expect(document.getElementById('connectGitHubBtn').textContent).toBe('Connect GitHub');
+    expect(document.getElementById('filterReviews').disabled).toBe(true);
+    expect(document.getElementById('notifyInbox').disabled).toBe(true);
+    expect(document.getElementById('graphqlPolling').disabled).toBe(true);
+  });
+
+  test('signing in again re-enables features public-only mode turned off', () => {
+    applyStoredConnection({ authType: 'public', accessToken: null });
+    applyStoredConnection({ accessToken: 'oauth-token', username: 'octocat' });
+
+    expect(document.getElementById('filterReviews').disabled).toBe(false);
+    expect(document.getElementById('graphqlPolling').disabled).toBe(false);
+    expect(document.getElementById('capabilityNotice').classList.contains('hidden')).toBe(true);
+  });
 });
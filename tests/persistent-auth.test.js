@@ -0,0 +1,169 @@
+/**
+ * Remembered (passphrase-encrypted) sign-in tests
+ */
+
+import { jest } from '@jest/globals';
+import { webcrypto } from 'node:crypto';
+import { TextDecoder, TextEncoder } from 'node:util';
+
+// jsdom doesn't provide WebCrypto or the text codecs, so use Node's implementations
+Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+Object.assign(globalThis, { TextEncoder, TextDecoder });
+
+const PASSPHRASE = 'correct horse battery';
+
+function createMemoryArea(store) {
+  return {
+    get: jest.fn((keys, callback) => {
+      const result = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+        if (Object.prototype.hasOwnProperty.call(store, key)) {
+          result[key] = store[key];
+        }
+      });
+      callback(result);
+    }),
+    set: jest.fn((items, callback) => {
+      Object.assign(store, items);
+      callback?.();
+    }),
+    remove: jest.fn((keys, callback) => {
+      (Array.isArray(keys) ? keys : [keys]).forEach(key => delete store[key]);
+      callback?.();
+    })
+  };
+}
+
+async function loadModules() {
+  jest.resetModules();
+  const persistentAuth = await import('../shared/persistent-auth.js');
+  const storageHelpers = await import('../shared/storage-helpers.js');
+  return { ...persistentAuth, ...storageHelpers };
+}
+
+describe('persistent auth', () => {
+  let localStore;
+  let sessionStore;
+
+  beforeEach(() => {
+    localStore = {};
+    sessionStore = {};
+    global.chrome = {
+      storage: {
+        local: createMemoryArea(localStore),
+        sync: createMemoryArea({}),
+        session: createMemoryArea(sessionStore)
+      },
+      alarms: {
+        clear: jest.fn(() => Promise.resolve(true)),
+        create: jest.fn(() => Promise.resolve())
+      }
+    };
+  });
+
+  test('saves connected accounts encrypted and restores them with the passphrase', async () => {
+    const { enablePersistentAuth, lockPersistentAuth, unlockPersistentAuth, getPersistentAuthState, getAuthSessions } = await loadModules();
+    sessionStore.githubAuthSession = { authType: 'oauth_device', accessToken: 'gho_default', username: 'octocat' };
+    sessionStore.githubAuthAccounts = [{ authType: 'oauth_device', accessToken: 'gho_work', username: 'octo-work' }];
+
+    await enablePersistentAuth(PASSPHRASE, { autoLockMinutes: 15 });
+
+    const record = localStore.persistentAuthSession;
+    expect(record.autoLockMinutes).toBe(15);
+    expect(JSON.stringify(record)).not.toContain('gho_default');
+    expect(sessionStore.persistentAuthKey.key).toHaveLength(32);
+    expect(chrome.alarms.create).toHaveBeenCalledWith('devwatch-auto-lock', { delayInMinutes: 15 });
+
+    await lockPersistentAuth();
+    expect(sessionStore.githubAuthSession).toBeUndefined();
+    expect(sessionStore.persistentAuthKey).toBeUndefined();
+    expect(localStore.persistentAuthSession).toBe(record);
+    expect(await getPersistentAuthState()).toEqual(expect.objectContaining({ enabled: true, locked: true }));
+
+    await unlockPersistentAuth(PASSPHRASE);
+
+    const sessions = await getAuthSessions();
+    expect(sessions.map(session => session.username)).toEqual(['octocat', 'octo-work']);
+    expect(await getPersistentAuthState()).toEqual(expect.objectContaining({ enabled: true, locked: false }));
+  });
+
+  test('rejects a wrong passphrase without restoring anything', async () => {
+    const { enablePersistentAuth, lockPersistentAuth, unlockPersistentAuth } = await loadModules();
+    sessionStore.githubAuthSession = { authType: 'oauth_device', accessToken: 'gho_default', username: 'octocat' };
+    await enablePersistentAuth(PASSPHRASE);
+    await lockPersistentAuth();
+
+    await expect(unlockPersistentAuth('not the passphrase')).rejects.toMatchObject({ code: 'wrong_passphrase' });
+    expect(sessionStore.githubAuthSession).toBeUndefined();
+  });
+
+  test('requires a long enough passphrase and a connected account', async () => {
+    const { enablePersistentAuth } = await loadModules();
+
+    await expect(enablePersistentAuth('short')).rejects.toMatchObject({ code: 'weak_passphrase' });
+    await expect(enablePersistentAuth(PASSPHRASE)).rejects.toMatchObject({ code: 'not_connected' });
+    expect(localStore.persistentAuthSession).toBeUndefined();
+  });
+
+  test('re-saves account changes with the unlocked key', async () => {
+    const { enablePersistentAuth, savePersistentAuth, lockPersistentAuth, unlockPersistentAuth, addAuthSession, getAuthSessions } = await loadModules();
+    sessionStore.githubAuthSession = { authType: 'oauth_device', accessToken: 'gho_default', username: 'octocat' };
+    await enablePersistentAuth(PASSPHRASE);
+
+    await addAuthSession({ authType: 'personal_token', accessToken: 'github_pat_work', username: 'octo-work' });
+    expect(await savePersistentAuth()).toBe(true);
+
+    await lockPersistentAuth();
+    expect(await savePersistentAuth()).toBe(false);
+    await unlockPersistentAuth(PASSPHRASE);
+
+    expect((await getAuthSessions()).map(session => session.username)).toEqual(['octocat', 'octo-work']);
+  });
+
+  test('never auto-locks when the timeout is turned off', async () => {
+    const { enablePersistentAuth, recordAuthActivity } = await loadModules();
+    sessionStore.githubAuthSession = { authType: 'oauth_device', accessToken: 'gho_default', username: 'octocat' };
+    await enablePersistentAuth(PASSPHRASE, { autoLockMinutes: 0 });
+    chrome.alarms.create.mockClear();
+
+    await recordAuthActivity();
+
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('devwatch-auto-lock');
+  });
+
+  test('disabling forgets the saved sign-in but keeps the current session', async () => {
+    const { enablePersistentAuth, disablePersistentAuth, getPersistentAuthState } = await loadModules();
+    sessionStore.githubAuthSession = { authType: 'oauth_device', accessToken: 'gho_default', username: 'octocat' };
+    await enablePersistentAuth(PASSPHRASE);
+
+    await disablePersistentAuth();
+
+    expect(localStore.persistentAuthSession).toBeUndefined();
+    expect(sessionStore.persistentAuthKey).toBeUndefined();
+    expect(sessionStore.githubAuthSession.accessToken).toBe('gho_default');
+    expect(await getPersistentAuthState()).toEqual(expect.objectContaining({ enabled: false, locked: false }));
+  });
+
+  test('restores a legacy saved session once and flags it for a passphrase', async () => {
+    const rawKey = webcrypto.getRandomValues(new Uint8Array(32));
+    const iv = webcrypto.getRandomValues(new Uint8Array(12));
+    const key = await webcrypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt']);
+    const data = await webcrypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify({ authType: 'oauth_device', accessToken: 'gho_legacy', username: 'octocat' }))
+    );
+    localStore.encryptedGithubAuthSession = { iv: Array.from(iv), data: Array.from(new Uint8Array(data)) };
+    localStore.encryptionKey = Array.from(rawKey);
+
+    const { getAuthSession, getPersistentAuthState } = await loadModules();
+    const session = await getAuthSession();
+
+    expect(session.accessToken).toBe('gho_legacy');
+    expect(sessionStore.githubAuthSession.accessToken).toBe('gho_legacy');
+    expect(localStore.encryptedGithubAuthSession).toBeUndefined();
+    expect(localStore.encryptionKey).toBeUndefined();
+    expect(await getPersistentAuthState()).toEqual(expect.objectContaining({ enabled: false, migrationPending: true }));
+  });
+});
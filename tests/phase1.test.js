@@ -14,7 +14,7 @@ global.chrome = {
         callback({
           activities: [],
           readItems: [],
-          rateLimit: null,
+          rateLimits: {},
           lastError: null
         });
       }),
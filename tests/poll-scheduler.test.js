@@ -0,0 +1,36 @@
+import { describe, test, expect } from '@jest/globals';
+import { getPollMultiplier, scheduleNextCheck, isRepoDue } from '../shared/poll-scheduler.js';
+
+const now = new Date('2025-03-01T12:00:00Z').getTime();
+const daysAgo = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('poll-scheduler', () => {
+  test('getPollMultiplier backs off as a repo stays quiet', () => {
+    expect(getPollMultiplier({ highWaterMark: daysAgo(0.5) }, { now })).toBe(1);
+    expect(getPollMultiplier({ highWaterMark: daysAgo(3) }, { now })).toBe(2);
+    expect(getPollMultiplier({ highWaterMark: daysAgo(10) }, { now })).toBe(4);
+    expect(getPollMultiplier({ highWaterMark: daysAgo(90) }, { now })).toBe(8);
+  });
+
+  test('getPollMultiplier keeps pinned and brand-new repos on every tick', () => {
+    expect(getPollMultiplier({ highWaterMark: daysAgo(90) }, { pinned: true, now })).toBe(1);
+    expect(getPollMultiplier({ highWaterMark: null }, { now })).toBe(1);
+  });
+
+  test('getPollMultiplier falls back to addedAt for repos without activity', () => {
+    expect(getPollMultiplier({ highWaterMark: null }, { addedAt: daysAgo(10), now })).toBe(4);
+  });
+
+  test('scheduleNextCheck multiplies the base interval', () => {
+    expect(scheduleNextCheck({ highWaterMark: daysAgo(3) }, 15, { now }))
+      .toBe(new Date(now + 30 * 60 * 1000).toISOString());
+  });
+
+  test('isRepoDue allows half an interval of alarm drift', () => {
+    const inTenMinutes = new Date(now + 10 * 60 * 1000).toISOString();
+
+    expect(isRepoDue(undefined, 15, now)).toBe(true);
+    expect(isRepoDue({ nextCheckAt: inTenMinutes }, 30, now)).toBe(true);
+    expect(isRepoDue({ nextCheckAt: inTenMinutes }, 15, now)).toBe(false);
+  });
+});
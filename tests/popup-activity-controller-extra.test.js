@@ -16,7 +16,9 @@ const mockFilterVisibleActivities = jest.fn();
 jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
   getSyncItem: mockGetSyncItem,
   getFilteringSettings: mockGetFilteringSettings,
-  getExcludedRepos: mockGetExcludedRepos
+  getExcludedRepos: mockGetExcludedRepos,
+  getLocalItem: jest.fn(),
+  setLocalItem: jest.fn()
 }));
 
 jest.unstable_mockModule('../shared/error-handler.js', () => ({
@@ -159,10 +161,9 @@ describe('popup activity controller coverage', () => {
     chrome.storage.local.get.mockResolvedValue({
       activities: [{ id: '1', repo: 'muted/repo' }, { id: '2', repo: 'vuejs/core' }],
       readItems: ['2'],
-      rateLimit: {
-        remaining: 500,
-        limit: 5000,
-        reset: futureReset
+      rateLimits: {
+        'octocat@github.com': { remaining: 4000, limit: 5000, reset: futureReset },
+        'work@github.com': { remaining: 500, limit: 5000, reset: futureReset }
       },
       lastError,
       collapsedRepos: ['vuejs/core']
@@ -182,6 +183,7 @@ describe('popup activity controller coverage', () => {
     expect(mockSetState).toHaveBeenCalledWith({
       allActivities: filteredActivities,
       readItems: ['2'],
+      myPullRequests: [],
       pinnedRepos: ['vuejs/core'],
       collapsedRepos: new Set(['vuejs/core'])
     });
@@ -2,6 +2,7 @@ import { jest, describe, test, beforeEach, expect } from '@jest/globals';
 
 const {
   handleRefresh,
+  updateAccessBanner,
   updateLastUpdated,
   updateRateLimit
 } = await import('../popup/controllers/activity-controller.js');
@@ -12,12 +13,17 @@ describe('Activity Controller', () => {
       <div id="activityList"></div>
       <div id="lastUpdated"></div>
       <div id="rateLimitInfo"></div>
+      <div id="accessBanner" class="hidden"></div>
       <button id="refreshBtn"></button>
     `;
 
     global.chrome = {
       runtime: {
-        sendMessage: jest.fn(() => Promise.resolve())
+        sendMessage: jest.fn(() => Promise.resolve()),
+        openOptionsPage: jest.fn()
+      },
+      tabs: {
+        create: jest.fn(() => Promise.resolve())
       },
       storage: {
         sync: {
@@ -59,6 +65,15 @@ describe('Activity Controller', () => {
     expect(info.innerHTML).toContain('500/5000');
   });
 
+  test('updateRateLimit names repos deferred by the budget planner', () => {
+    updateRateLimit({ remaining: 150, limit: 5000 }, ['a/one', 'b/two', 'c/three', 'd/four']);
+
+    const info = document.getElementById('rateLimitInfo');
+    expect(info.textContent).toContain('150/5000');
+    expect(info.textContent).toContain('Deferred to next check: a/one, b/two, c/three and 1 more');
+    expect(info.title).toContain('d/four');
+  });
+
   test('updateRateLimit hides when high', () => {
     const rateLimit = { remaining: 5000, limit: 5000 };
 
@@ -67,4 +82,29 @@ describe('Activity Controller', () => {
     const info = document.getElementById('rateLimitInfo');
     expect(info.style.display).toBe('none');
   });
+
+  test('updateAccessBanner shows an authorize link per SSO organization', async () => {
+    updateAccessBanner({
+      acme: { type: 'sso', url: 'https://github.com/orgs/acme/sso?authorization_request=abc', repos: ['acme/api'] }
+    });
+
+    const banner = document.getElementById('accessBanner');
+    expect(banner.classList.contains('hidden')).toBe(false);
+    expect(banner.textContent).toContain('acme requires single sign-on');
+
+    banner.querySelector('.access-banner-action').click();
+    await Promise.resolve();
+
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://github.com/orgs/acme/sso?authorization_request=abc' });
+  });
+
+  test('updateAccessBanner sends missing scopes to settings and hides when clear', () => {
+    updateAccessBanner({ acme: { type: 'scope', scopes: ['repo'], repos: ['acme/api'] } });
+
+    document.querySelector('.access-banner-action').click();
+    expect(chrome.runtime.openOptionsPage).toHaveBeenCalled();
+
+    updateAccessBanner({});
+    expect(document.getElementById('accessBanner').classList.contains('hidden')).toBe(true);
+  });
 });
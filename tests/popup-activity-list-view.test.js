@@ -92,6 +92,46 @@ describe('Activity List View', () => {
     global.document.getElementById = mockGetElementById;
   });
 
+  describe('My PRs tab', () => {
+    test('renders tracked pull requests with their status instead of the feed', () => {
+      const mockRenderer = { lastRenderedData: 'some-data', render: jest.fn() };
+      mockState.currentFilter = 'mine';
+      mockState.myPullRequests = [{
+        id: 'mypr-facebook/react-42',
+        repo: 'facebook/react',
+        number: 42,
+        title: 'Add concurrent renderer',
+        url: 'https://github.com/facebook/react/pull/42',
+        updatedAt: new Date().toISOString(),
+        author: 'alice',
+        authorAvatar: '',
+        isDraft: false,
+        checks: 'failing',
+        review: 'changes_requested',
+        mergeable: 'conflicting'
+      }];
+
+      renderActivities(mockRenderer, new Set(), [], jest.fn(), jest.fn(), jest.fn(), jest.fn(), jest.fn(), jest.fn(), jest.fn(), jest.fn());
+
+      expect(mockRenderer.render).not.toHaveBeenCalled();
+      expect(mockRenderer.lastRenderedData).toBeNull();
+      expect(mockList.innerHTML).toContain('facebook/react#42');
+      expect(mockList.innerHTML).toContain('Checks failing');
+      expect(mockList.innerHTML).toContain('Changes requested');
+      expect(mockList.innerHTML).toContain('Merge conflicts');
+      expect(mockList.addEventListener).toHaveBeenCalledWith('click', expect.any(Function));
+    });
+
+    test('shows an empty state when there are no open pull requests', () => {
+      mockState.currentFilter = 'mine';
+      mockState.myPullRequests = [];
+
+      renderActivities(null, new Set(), [], jest.fn(), jest.fn(), jest.fn(), jest.fn(), jest.fn(), jest.fn(), jest.fn(), jest.fn());
+
+      expect(mockList.innerHTML).toContain('No open pull requests');
+    });
+  });
+
   describe('Empty States', () => {
     test('shows default empty state when no activities', () => {
       mockFilteredActivities = [];
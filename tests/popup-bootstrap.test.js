@@ -34,6 +34,8 @@ const mockShowOnboarding = jest.fn();
 const mockExitOnboarding = jest.fn();
 const mockToggleDarkMode = jest.fn();
 const mockUpdateDarkModeIcon = jest.fn();
+const mockRecordAuthActivity = jest.fn();
+const mockShowUnlockPromptIfLocked = jest.fn();
 
 let subscribedCallback = null;
 
@@ -130,6 +132,14 @@ jest.unstable_mockModule('../popup/views/onboarding-view.js', () => ({
   exitOnboarding: mockExitOnboarding
 }));
 
+jest.unstable_mockModule('../shared/persistent-auth.js', () => ({
+  recordAuthActivity: mockRecordAuthActivity
+}));
+
+jest.unstable_mockModule('../popup/views/unlock-view.js', () => ({
+  showUnlockPromptIfLocked: mockShowUnlockPromptIfLocked
+}));
+
 jest.unstable_mockModule('../popup/controllers/theme-controller.js', () => ({
   toggleDarkMode: mockToggleDarkMode,
   updateDarkModeIcon: mockUpdateDarkModeIcon
@@ -230,6 +240,8 @@ describe('popup bootstrap integration', () => {
     expect(mockStateManagerInitialize).toHaveBeenCalled();
     expect(mockRendererCtor).toHaveBeenCalledWith(document.getElementById('activityList'));
     expect(mockSubscribe).toHaveBeenCalled();
+    expect(mockRecordAuthActivity).toHaveBeenCalled();
+    expect(mockShowUnlockPromptIfLocked).toHaveBeenCalledWith(expect.any(Function));
     expect(mockLoadActivitiesController).toHaveBeenCalledWith(expect.any(Function), {});
     expect(mockSetupKeyboardNavigationController).toHaveBeenCalled();
     expect(mockSetupOfflineListeners).toHaveBeenCalled();
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+
+const mockGetPersistentAuthState = jest.fn();
+const mockUnlockPersistentAuth = jest.fn();
+
+jest.unstable_mockModule('../shared/persistent-auth.js', () => ({
+  getPersistentAuthState: mockGetPersistentAuthState,
+  unlockPersistentAuth: mockUnlockPersistentAuth
+}));
+
+const { showUnlockPromptIfLocked } = await import('../popup/views/unlock-view.js');
+
+async function submitPassphrase(value) {
+  document.getElementById('unlockPassphrase').value = value;
+  document.getElementById('unlockPrompt').dispatchEvent(new Event('submit', { cancelable: true }));
+  await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('popup unlock view', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    document.body.innerHTML = `
+      <form id="unlockPrompt" class="hidden">
+        <input id="unlockPassphrase" type="password" />
+        <button id="unlockBtn" type="submit">Unlock</button>
+        <p id="unlockError" class="hidden"></p>
+      </form>
+    `;
+  });
+
+  test('stays hidden when the sign-in is not locked', async () => {
+    mockGetPersistentAuthState.mockResolvedValue({ enabled: true, locked: false });
+
+    expect(await showUnlockPromptIfLocked(jest.fn())).toBe(false);
+    expect(document.getElementById('unlockPrompt').classList.contains('hidden')).toBe(true);
+  });
+
+  test('unlocks with the passphrase and refreshes the feed', async () => {
+    const onUnlocked = jest.fn();
+    mockGetPersistentAuthState.mockResolvedValue({ enabled: true, locked: true });
+    mockUnlockPersistentAuth.mockResolvedValue([{ accessToken: 'gho_default' }]);
+
+    expect(await showUnlockPromptIfLocked(onUnlocked)).toBe(true);
+    expect(document.getElementById('unlockPrompt').classList.contains('hidden')).toBe(false);
+
+    await submitPassphrase('correct horse battery');
+
+    expect(mockUnlockPersistentAuth).toHaveBeenCalledWith('correct horse battery');
+    expect(onUnlocked).toHaveBeenCalled();
+    expect(document.getElementById('unlockPrompt').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('unlockPassphrase').value).toBe('');
+  });
+
+  test('shows an error for a wrong passphrase and stays locked', async () => {
+    const onUnlocked = jest.fn();
+    mockGetPersistentAuthState.mockResolvedValue({ enabled: true, locked: true });
+    mockUnlockPersistentAuth.mockRejectedValue(Object.assign(new Error('The passphrase is incorrect.'), { code: 'wrong_passphrase' }));
+
+    await showUnlockPromptIfLocked(onUnlocked);
+    await submitPassphrase('nope');
+
+    expect(onUnlocked).not.toHaveBeenCalled();
+    expect(document.getElementById('unlockError').textContent).toBe('That passphrase is incorrect');
+    expect(document.getElementById('unlockPrompt').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('unlockBtn').disabled).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  estimateRepoCost,
+  getRequestBudget,
+  getRateLimitReserve,
+  getRateLimitKey,
+  getLowestRateLimit,
+  prioritizeRepoRequests,
+  planRepoChecks
+} from '../shared/rate-limit-planner.js';
+
+describe('rate-limit-planner', () => {
+  test('estimateRepoCost counts one request per enabled category', () => {
+    const filters = { prs: true, issues: true, releases: false, security: true, workflows: true, pushes: true, stateChanges: true };
+
+    expect(estimateRepoCost(filters)).toBe(4);
+    expect(estimateRepoCost(filters, { defaultBranch: 'main', knownItems: new Map([[1, {}]]) })).toBe(7);
+    expect(estimateRepoCost({ security: true }, { skippedFeatures: new Set(['dependabotAlerts']) })).toBe(1);
+  });
+
+  test('getRequestBudget keeps the buffer in reserve', () => {
+    const now = 1000;
+
+    expect(getRequestBudget({ remaining: 350, reset: 5000 }, { buffer: 100, now })).toBe(250);
+    expect(getRequestBudget({ remaining: 50, reset: 5000 }, { buffer: 100, now })).toBe(0);
+    expect(getRequestBudget({ remaining: 50, reset: 500 }, { buffer: 100, now })).toBe(Infinity);
+    expect(getRequestBudget(null)).toBe(Infinity);
+  });
+
+  test('getRateLimitReserve keeps a tenth of small limits in reserve', () => {
+    expect(getRateLimitReserve(5000)).toBe(100);
+    expect(getRateLimitReserve(60)).toBe(6);
+    expect(getRateLimitReserve(undefined)).toBe(100);
+  });
+
+  test('planRepoChecks spends the 60 requests an hour of public-only mode', () => {
+    const now = 1000;
+    const budget = getRequestBudget({ remaining: 57, limit: 60, reset: now + 3600000 }, { now });
+
+    const plan = planRepoChecks([{ repo: 'a/one' }, { repo: 'b/two' }, { repo: 'c/three' }], {
+      budget,
+      costOf: () => 20
+    });
+
+    expect(budget).toBe(51);
+    expect(plan.scheduled.map(({ repo }) => repo)).toEqual(['a/one', 'b/two']);
+    expect(plan.deferred).toEqual(['c/three']);
+  });
+
+  test('prioritizeRepoRequests puts pinned repos first, then the most recently active', () => {
+    const ordered = prioritizeRepoRequests(
+      [{ repo: 'a/quiet' }, { repo: 'b/busy' }, { repo: 'c/pinned' }, { repo: 'd/new' }],
+      {
+        pinnedRepos: new Set(['c/pinned']),
+        cursors: {
+          'a/quiet': { highWaterMark: '2024-01-01T00:00:00Z' },
+          'b/busy': { highWaterMark: '2025-01-01T00:00:00Z' },
+          'c/pinned': { highWaterMark: '2023-01-01T00:00:00Z' }
+        }
+      }
+    );
+
+    expect(ordered.map(({ repo }) => repo)).toEqual(['c/pinned', 'b/busy', 'a/quiet', 'd/new']);
+  });
+
+  test('planRepoChecks defers everything after the first repo that does not fit', () => {
+    const costs = { 'a/pinned': 3, 'b/big': 5, 'c/small': 1 };
+
+    const plan = planRepoChecks([{ repo: 'c/small' }, { repo: 'b/big' }, { repo: 'a/pinned' }], {
+      budget: 6,
+      costOf: ({ repo }) => costs[repo],
+      pinnedRepos: new Set(['a/pinned']),
+      cursors: { 'b/big': { highWaterMark: '2025-01-02T00:00:00Z' }, 'c/small': { highWaterMark: '2025-01-01T00:00:00Z' } }
+    });
+
+    expect(plan.scheduled.map(({ repo }) => repo)).toEqual(['a/pinned']);
+    expect(plan.deferred).toEqual(['b/big', 'c/small']);
+    expect(plan.estimatedCost).toBe(3);
+  });
+
+  test('planRepoChecks spends each account\'s own budget', () => {
+    const budgets = { 'octocat@github.com': 0, 'work@github.com': 5 };
+
+    const plan = planRepoChecks([
+      { repo: 'a/personal', rateLimitKey: 'octocat@github.com' },
+      { repo: 'b/work', rateLimitKey: 'work@github.com' },
+      { repo: 'c/work', rateLimitKey: 'work@github.com' }
+    ], {
+      budget: key => budgets[key],
+      costOf: () => 3,
+      cursors: {
+        'a/personal': { highWaterMark: '2025-01-03T00:00:00Z' },
+        'b/work': { highWaterMark: '2025-01-02T00:00:00Z' },
+        'c/work': { highWaterMark: '2025-01-01T00:00:00Z' }
+      }
+    });
+
+    expect(plan.scheduled.map(({ repo }) => repo)).toEqual(['b/work']);
+    expect(plan.deferred).toEqual(['a/personal', 'c/work']);
+  });
+
+  test('getRateLimitKey separates accounts and hosts', () => {
+    expect(getRateLimitKey('github.com', 'octocat')).toBe('octocat@github.com');
+    expect(getRateLimitKey('ghe.example.com', 'octocat')).toBe('octocat@ghe.example.com');
+    expect(getRateLimitKey('github.com')).toBe('github.com');
+  });
+
+  test('getLowestRateLimit ignores limits that have reset', () => {
+    const now = 1000;
+    const rateLimits = {
+      'a@github.com': { remaining: 10, limit: 5000, reset: 500 },
+      'b@github.com': { remaining: 300, limit: 5000, reset: 5000 },
+      'c@github.com': { remaining: 900, limit: 5000, reset: 5000 }
+    };
+
+    expect(getLowestRateLimit(rateLimits, now)).toEqual({ remaining: 300, limit: 5000, reset: 5000 });
+    expect(getLowestRateLimit({}, now)).toBeNull();
+    expect(getLowestRateLimit(null, now)).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  REPO_CURSORS_KEY,
+  loadRepoCursors,
+  saveRepoCursors,
+  getRepoCursorSince,
+  advanceRepoCursor
+} from '../shared/repo-cursors.js';
+
+describe('repo-cursors', () => {
+  beforeEach(() => {
+    chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+    chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+  });
+
+  describe('getRepoCursorSince', () => {
+    const fallback = new Date('2025-01-01T00:00:00Z');
+
+    test('uses the fallback when the repo has no cursor', () => {
+      expect(getRepoCursorSince(undefined, { fallback })).toEqual(fallback);
+    });
+
+    test('resumes from the last successful fetch', () => {
+      const since = getRepoCursorSince(
+        { lastSuccessAt: '2025-01-03T00:00:00Z', highWaterMark: '2025-01-02T12:00:00Z' },
+        { fallback }
+      );
+
+      expect(since).toEqual(new Date('2025-01-03T00:00:00Z'));
+    });
+
+    test('never goes behind the high-water mark', () => {
+      const since = getRepoCursorSince(
+        { lastSuccessAt: '2025-01-03T00:00:00Z', highWaterMark: '2025-01-03T00:05:00Z' },
+        { fallback }
+      );
+
+      expect(since).toEqual(new Date('2025-01-03T00:05:00Z'));
+    });
+
+    test('moves forward to newer addedAt and unmutedAt times', () => {
+      const cursor = { lastSuccessAt: '2025-01-03T00:00:00Z', highWaterMark: null };
+
+      expect(getRepoCursorSince(cursor, { fallback, addedAt: '2025-01-04T00:00:00Z' }))
+        .toEqual(new Date('2025-01-04T00:00:00Z'));
+      expect(getRepoCursorSince(cursor, { fallback, addedAt: '2024-12-01T00:00:00Z', unmutedAt: '2025-01-05T00:00:00Z' }))
+        .toEqual(new Date('2025-01-05T00:00:00Z'));
+    });
+  });
+
+  describe('advanceRepoCursor', () => {
+    const checkedAt = new Date('2025-01-10T00:00:00Z');
+
+    test('records the check time and newest activity', () => {
+      expect(advanceRepoCursor(undefined, checkedAt, [
+        { createdAt: '2025-01-09T10:00:00Z' },
+        { createdAt: '2025-01-09T12:00:00Z' }
+      ])).toEqual({
+        lastSuccessAt: '2025-01-10T00:00:00.000Z',
+        highWaterMark: '2025-01-09T12:00:00.000Z'
+      });
+    });
+
+    test('keeps the previous high-water mark when nothing newer was fetched', () => {
+      expect(advanceRepoCursor({ highWaterMark: '2025-01-08T00:00:00.000Z' }, checkedAt, [])).toEqual({
+        lastSuccessAt: '2025-01-10T00:00:00.000Z',
+        highWaterMark: '2025-01-08T00:00:00.000Z'
+      });
+      expect(advanceRepoCursor(undefined, checkedAt, []).highWaterMark).toBeNull();
+    });
+  });
+
+  describe('storage', () => {
+    test('loadRepoCursors returns an empty map for malformed data', async () => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({ [REPO_CURSORS_KEY]: 'bad' }));
+
+      await expect(loadRepoCursors()).resolves.toEqual({});
+    });
+
+    test('saveRepoCursors drops repos that are no longer watched', async () => {
+      await saveRepoCursors({
+        'a/b': { lastSuccessAt: '2025-01-01T00:00:00.000Z', highWaterMark: null },
+        'c/d': { lastSuccessAt: '2025-01-01T00:00:00.000Z', highWaterMark: null }
+      }, ['a/b']);
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        { [REPO_CURSORS_KEY]: { 'a/b': { lastSuccessAt: '2025-01-01T00:00:00.000Z', highWaterMark: null } } },
+        expect.any(Function)
+      );
+    });
+  });
+});
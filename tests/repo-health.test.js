@@ -0,0 +1,82 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  recordRepoSuccess,
+  recordRepoFailure,
+  getRepoHealthStatus,
+  describeRepoError,
+  recordFeatureAvailability,
+  getUnavailableFeatures
+} from '../shared/repo-health.js';
+
+function createHttpError(message, status, headers = {}) {
+  const error = new Error(message);
+  error.response = { status, headers: { get: (name) => headers[name] ?? null } };
+  return error;
+}
+
+describe('repo-health', () => {
+  const checkedAt = new Date('2025-01-10T00:00:00Z');
+
+  test('recordRepoFailure classifies the error and counts consecutive failures', () => {
+    const first = recordRepoFailure(undefined, createHttpError('Access denied', 403), checkedAt);
+
+    expect(first).toEqual({
+      lastSuccessAt: null,
+      lastErrorAt: '2025-01-10T00:00:00.000Z',
+      errorType: 'permission',
+      status: 403,
+      message: 'Access denied',
+      consecutiveFailures: 1
+    });
+
+    const second = recordRepoFailure(first, createHttpError('Rate limit exceeded', 403, { 'X-RateLimit-Remaining': '0' }), checkedAt);
+    expect(second).toMatchObject({ errorType: 'rate_limit', consecutiveFailures: 2 });
+
+    expect(recordRepoFailure(second, new Error('Network error: Failed to fetch'), checkedAt))
+      .toMatchObject({ errorType: 'network', status: null, consecutiveFailures: 3 });
+  });
+
+  test('recordRepoSuccess resets the failure count but keeps the last error', () => {
+    const failing = recordRepoFailure(undefined, createHttpError('Repository a/b not found', 404), checkedAt);
+
+    expect(recordRepoSuccess(failing, checkedAt)).toMatchObject({
+      lastSuccessAt: '2025-01-10T00:00:00.000Z',
+      errorType: 'not_found',
+      consecutiveFailures: 0
+    });
+  });
+
+  test('getRepoHealthStatus escalates from degraded to failing', () => {
+    expect(getRepoHealthStatus(undefined)).toBe('unknown');
+    expect(getRepoHealthStatus({ consecutiveFailures: 0 })).toBe('healthy');
+    expect(getRepoHealthStatus({ consecutiveFailures: 2 })).toBe('degraded');
+    expect(getRepoHealthStatus({ consecutiveFailures: 3 })).toBe('failing');
+  });
+
+  test('describeRepoError names the error class and HTTP status', () => {
+    expect(describeRepoError({ errorType: 'permission', status: 403 })).toBe('Access denied (HTTP 403)');
+    expect(describeRepoError({ errorType: 'network', status: null })).toBe('Network or server error');
+    expect(describeRepoError({ consecutiveFailures: 0 })).toBe('');
+  });
+
+  test('recordFeatureAvailability remembers unavailable features until they answer again', () => {
+    const unavailable = recordFeatureAvailability({ consecutiveFailures: 0 }, { dependabotAlerts: false, securityAdvisories: true }, checkedAt);
+
+    expect(unavailable).toEqual({
+      consecutiveFailures: 0,
+      unavailableFeatures: { dependabotAlerts: '2025-01-10T00:00:00.000Z' }
+    });
+    expect(recordRepoFailure(unavailable, new Error('Network error: Failed to fetch'), checkedAt))
+      .toMatchObject({ unavailableFeatures: unavailable.unavailableFeatures });
+    expect(recordFeatureAvailability(unavailable, { dependabotAlerts: true }, checkedAt)).toEqual({ consecutiveFailures: 0 });
+  });
+
+  test('getUnavailableFeatures asks again after a day', () => {
+    const record = { unavailableFeatures: { dependabotAlerts: '2025-01-10T00:00:00.000Z' } };
+    const hour = 60 * 60 * 1000;
+
+    expect(getUnavailableFeatures(record, checkedAt.getTime() + hour)).toEqual(new Set(['dependabotAlerts']));
+    expect(getUnavailableFeatures(record, checkedAt.getTime() + 25 * hour)).toEqual(new Set());
+    expect(getUnavailableFeatures(undefined)).toEqual(new Set());
+  });
+});
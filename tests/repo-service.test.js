@@ -15,6 +15,7 @@ const {
   buildWatchedRepoRecord,
   isWatchedRepoDuplicate,
   normalizeRepoInput,
+  normalizeWatchedOwnerRecord,
   normalizeWatchedRepoRecord,
   resolveWatchedRepoInput
 } = await import('../shared/repo-service.js');
@@ -122,6 +123,46 @@ describe('repo-service', () => {
     });
   });
 
+  test('buildWatchedRepoRecord records the account that fetches the repo', () => {
+    const record = buildWatchedRepoRecord({ fullName: 'acme/internal' }, {
+      addedAt: '2026-04-13T12:00:00Z',
+      account: 'octo-work'
+    });
+
+    expect(record.account).toBe('octo-work');
+    expect(normalizeWatchedRepoRecord(record).account).toBe('octo-work');
+    expect(buildWatchedRepoRecord({ fullName: 'owner/repo' })).not.toHaveProperty('account');
+  });
+
+  test('normalizeWatchedOwnerRecord fills defaults and keeps the owner that added a repo', () => {
+    expect(normalizeWatchedOwnerRecord({ login: ' acme ', type: 'org', exclude: 'docs-* *-archive' }, {
+      addedAtFallback: '2026-10-19T12:00:00Z'
+    })).toEqual({
+      login: 'acme',
+      type: 'org',
+      include: [],
+      exclude: ['docs-*', '*-archive'],
+      includeArchived: false,
+      includeForks: false,
+      addedAt: '2026-10-19T12:00:00Z',
+      lastSyncedAt: null,
+      knownRepos: []
+    });
+    expect(normalizeWatchedOwnerRecord({ type: 'user' })).toBeNull();
+    expect(normalizeWatchedRepoRecord({ fullName: 'acme/api', watchedVia: 'acme' }).watchedVia).toBe('acme');
+  });
+
+  test('normalizeWatchedRepoRecord keeps label rules only when they list labels', () => {
+    const record = normalizeWatchedRepoRecord({
+      fullName: 'acme/api',
+      includeLabels: ['good first issue', ' regression ', 'Regression'],
+      excludeLabels: []
+    });
+
+    expect(record.includeLabels).toEqual(['good first issue', 'regression']);
+    expect(record).not.toHaveProperty('excludeLabels');
+  });
+
   test('resolveWatchedRepoInput returns canonical record output', async () => {
     mockValidateRepository.mockResolvedValueOnce({
       valid: true,
@@ -179,4 +220,20 @@ describe('repo-service', () => {
       normalizedRepo: 'facebook/react'
     });
   });
+
+  test('resolveWatchedRepoInput needs a token unless the check is anonymous', async () => {
+    const withoutToken = await resolveWatchedRepoInput('facebook/react', { githubToken: null });
+
+    expect(withoutToken).toMatchObject({ valid: false, error: 'No GitHub connection found. Connect GitHub first.' });
+    expect(mockValidateRepository).not.toHaveBeenCalled();
+
+    mockValidateRepository.mockResolvedValueOnce({ valid: true, metadata: { fullName: 'facebook/react' } });
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+
+    const anonymous = await resolveWatchedRepoInput('facebook/react', { githubToken: null, anonymous: true });
+
+    expect(anonymous.valid).toBe(true);
+    expect(mockValidateRepository).toHaveBeenCalledWith('facebook/react', null);
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+  });
 });
@@ -459,6 +459,80 @@ describe('repository-list-view', () => {
       expect(mockOnRemove).toHaveBeenCalledWith('facebook/react');
     });
 
+    test('should show repo health and call onRetry for failing repos', () => {
+      const mockOnRetry = jest.fn();
+      mockState.repoHealth = {
+        'facebook/react': {
+          lastSuccessAt: '2024-01-15T10:00:00Z',
+          errorType: 'permission',
+          status: 403,
+          consecutiveFailures: 3
+        }
+      };
+
+      renderRepoList(mockState, mockOnToggleMute, mockOnTogglePin, mockOnRemove, mockOnRetry);
+
+      const health = repoList.querySelector('.repo-health');
+      expect(health.classList.contains('repo-health-failing')).toBe(true);
+      expect(health.title).toContain('Access denied (HTTP 403) · 3 failed checks in a row');
+
+      const retryBtn = repoList.querySelector('.retry-btn');
+      retryBtn.click();
+      expect(mockOnRetry).toHaveBeenCalledWith('facebook/react', retryBtn);
+    });
+
+    test('should not offer a retry for healthy repos', () => {
+      mockState.repoHealth = {
+        'facebook/react': { lastSuccessAt: '2024-01-15T10:00:00Z', consecutiveFailures: 0 }
+      };
+
+      renderRepoList(mockState, mockOnToggleMute, mockOnTogglePin, mockOnRemove, jest.fn());
+
+      expect(repoList.querySelector('.repo-health-healthy')).not.toBeNull();
+      expect(repoList.querySelector('.retry-btn')).toBeNull();
+    });
+
+    test('should mark repos waiting on SSO and explain it above the list', () => {
+      document.body.insertAdjacentHTML('afterbegin', '<div id="accessNotice" class="hidden"></div>');
+      mockState.repoHealth = {
+        'facebook/react': { lastSuccessAt: null, errorType: 'permission', status: 403, consecutiveFailures: 3 }
+      };
+      mockState.accessRequirements = {
+        facebook: { type: 'sso', url: 'https://github.com/orgs/facebook/sso', repos: ['facebook/react'] }
+      };
+
+      renderRepoList(mockState, mockOnToggleMute, mockOnTogglePin, mockOnRemove, jest.fn());
+
+      expect(repoList.querySelector('.repo-health-blocked').textContent).toContain('SSO required');
+      expect(repoList.querySelector('.retry-btn')).toBeNull();
+      const notice = document.getElementById('accessNotice');
+      expect(notice.classList.contains('hidden')).toBe(false);
+      expect(notice.querySelector('.access-notice-action').dataset.url).toBe('https://github.com/orgs/facebook/sso');
+    });
+
+    test('should show the account a repo is fetched with', () => {
+      mockState.watchedRepos[0].account = 'octo-work';
+
+      renderRepoList(mockState, mockOnToggleMute, mockOnTogglePin, mockOnRemove);
+
+      expect(repoList.querySelector('.repo-account').textContent).toBe('@octo-work');
+    });
+
+    test('should show label rules and save edited ones through onSaveLabels', () => {
+      const mockOnSaveLabels = jest.fn();
+      mockState.watchedRepos[0].includeLabels = ['good first issue'];
+
+      renderRepoList(mockState, mockOnToggleMute, mockOnTogglePin, mockOnRemove, jest.fn(), mockOnSaveLabels);
+
+      expect(repoList.querySelector('.repo-label-filters summary').textContent).toBe('Labels: Only good first issue');
+      expect(repoList.querySelector('.repo-label-include').value).toBe('good first issue');
+
+      repoList.querySelector('.repo-label-exclude').value = 'wontfix';
+      repoList.querySelector('.repo-label-save').click();
+
+      expect(mockOnSaveLabels).toHaveBeenCalledWith('facebook/react', { include: 'good first issue', exclude: 'wontfix' });
+    });
+
     test('should not call handlers if they are not provided', () => {
       renderRepoList(mockState, null, null, null);
 
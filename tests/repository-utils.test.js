@@ -4,6 +4,7 @@ const {
   extractRepoName,
   extractRepoOwner,
   extractRepoShortName,
+  getRepoFromApiUrl,
   validateRepoFormat,
   normalizeRepo,
   isSameRepo,
@@ -44,6 +45,18 @@ describe('Repository Utils', () => {
     });
   });
 
+  describe('getRepoFromApiUrl', () => {
+    test('extracts owner/repo from a REST API repository URL', () => {
+      expect(getRepoFromApiUrl('https://api.github.com/repos/acme/api')).toBe('acme/api');
+      expect(getRepoFromApiUrl('https://github.example.com/api/v3/repos/acme/api')).toBe('acme/api');
+    });
+
+    test('returns an empty string for other URLs', () => {
+      expect(getRepoFromApiUrl('https://github.com/acme/api')).toBe('');
+      expect(getRepoFromApiUrl()).toBe('');
+    });
+  });
+
   describe('validateRepoFormat', () => {
     test('rejects invalid string format', () => {
       expect(validateRepoFormat('invalid')).toBe(false);
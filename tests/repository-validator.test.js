@@ -143,16 +143,24 @@ describe('repository-validator', () => {
     });
 
     test('handles unknown API errors', async () => {
-      fetch.mockResolvedValueOnce({
+      const serverError = {
         ok: false,
         status: 500,
         statusText: 'Internal Server Error'
-      });
+      };
+      // 5xx responses are retried; zero jitter keeps the retries immediate
+      const random = jest.spyOn(Math, 'random').mockReturnValue(0);
+      fetch
+        .mockResolvedValueOnce(serverError)
+        .mockResolvedValueOnce(serverError)
+        .mockResolvedValueOnce(serverError);
 
       const result = await validateRepository('test/repo');
+      random.mockRestore();
 
       expect(result.valid).toBe(false);
       expect(result.error).toContain('GitHub API error (500)');
+      expect(fetch).toHaveBeenCalledTimes(3);
     });
 
     test('handles network errors', async () => {
@@ -0,0 +1,149 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  REQUEST_VALIDATORS_KEY,
+  loadRequestValidators,
+  getConditionalHeaders,
+  recordResponseValidators,
+  touchRequestValidators,
+  isNotModified,
+  saveRequestValidators
+} from '../shared/request-cache.js';
+
+function createResponse({ ok = true, status = 200, headers = {} } = {}) {
+  return {
+    ok,
+    status,
+    headers: {
+      get: (name) => headers[name] ?? null
+    }
+  };
+}
+
+describe('request-cache', () => {
+  beforeEach(() => {
+    chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+    chrome.storage.local.set.mockImplementation((items, callback) => callback && callback());
+  });
+
+  describe('getConditionalHeaders', () => {
+    test('prefers If-None-Match when an ETag is stored', () => {
+      const validators = {
+        'https://api.github.com/repos/a/b/pulls': { etag: 'W/"abc"', lastModified: 'Mon, 01 Jan 2025 00:00:00 GMT' }
+      };
+
+      expect(getConditionalHeaders(validators, 'https://api.github.com/repos/a/b/pulls')).toEqual({
+        'If-None-Match': 'W/"abc"'
+      });
+    });
+
+    test('falls back to If-Modified-Since', () => {
+      const validators = {
+        url: { etag: null, lastModified: 'Mon, 01 Jan 2025 00:00:00 GMT' }
+      };
+
+      expect(getConditionalHeaders(validators, 'url')).toEqual({
+        'If-Modified-Since': 'Mon, 01 Jan 2025 00:00:00 GMT'
+      });
+    });
+
+    test('returns no headers for unknown URLs or missing map', () => {
+      expect(getConditionalHeaders({}, 'url')).toEqual({});
+      expect(getConditionalHeaders(null, 'url')).toEqual({});
+    });
+  });
+
+  describe('recordResponseValidators', () => {
+    test('stores ETag and Last-Modified from a successful response', () => {
+      const validators = {};
+      const changed = recordResponseValidators(validators, 'url', createResponse({
+        headers: { ETag: '"v1"', 'Last-Modified': 'Tue, 02 Jan 2025 00:00:00 GMT' }
+      }));
+
+      expect(changed).toBe(true);
+      expect(validators.url).toMatchObject({
+        etag: '"v1"',
+        lastModified: 'Tue, 02 Jan 2025 00:00:00 GMT',
+        updatedAt: expect.any(Number)
+      });
+    });
+
+    test('ignores failed responses and responses without validators', () => {
+      const validators = {};
+
+      expect(recordResponseValidators(validators, 'url', createResponse({ ok: false, status: 500, headers: { ETag: '"x"' } }))).toBe(false);
+      expect(recordResponseValidators(validators, 'url', createResponse())).toBe(false);
+      expect(recordResponseValidators(null, 'url', createResponse({ headers: { ETag: '"x"' } }))).toBe(false);
+      expect(validators).toEqual({});
+    });
+  });
+
+  test('isNotModified only matches 304 responses', () => {
+    expect(isNotModified(createResponse({ ok: false, status: 304 }))).toBe(true);
+    expect(isNotModified(createResponse())).toBe(false);
+    expect(isNotModified(null)).toBe(false);
+  });
+
+  describe('touchRequestValidators', () => {
+    test('refreshes updatedAt of stored validators so unchanged URLs survive pruning', () => {
+      const validators = { url: { etag: 'W/"abc"', lastModified: null, updatedAt: 1 } };
+
+      expect(touchRequestValidators(validators, 'url', 5000)).toBe(true);
+      expect(validators.url).toEqual({ etag: 'W/"abc"', lastModified: null, updatedAt: 5000 });
+      expect(touchRequestValidators(validators, 'other', 5000)).toBe(false);
+      expect(touchRequestValidators(null, 'url')).toBe(false);
+    });
+  });
+
+  describe('loadRequestValidators', () => {
+    test('returns the stored map', async () => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({
+        [REQUEST_VALIDATORS_KEY]: { url: { etag: '"v1"' } }
+      }));
+
+      await expect(loadRequestValidators()).resolves.toEqual({ url: { etag: '"v1"' } });
+    });
+
+    test('returns an empty map for malformed data', async () => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({
+        [REQUEST_VALIDATORS_KEY]: ['bad']
+      }));
+
+      await expect(loadRequestValidators()).resolves.toEqual({});
+    });
+  });
+
+  describe('saveRequestValidators', () => {
+    test('keeps only the most recently updated entries', async () => {
+      await saveRequestValidators({
+        old: { etag: '"1"', updatedAt: 1 },
+        newest: { etag: '"3"', updatedAt: 3 },
+        middle: { etag: '"2"', updatedAt: 2 }
+      }, 2);
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(
+        {
+          [REQUEST_VALIDATORS_KEY]: {
+            newest: { etag: '"3"', updatedAt: 3 },
+            middle: { etag: '"2"', updatedAt: 2 }
+          }
+        },
+        expect.any(Function)
+      );
+    });
+
+    test('logs and continues when storage fails', async () => {
+      allowUnexpectedConsole('error');
+      chrome.storage.local.set.mockImplementation(() => {
+        throw new Error('quota');
+      });
+
+      await expect(saveRequestValidators({ url: { etag: '"1"', updatedAt: 1 } })).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    test('skips writes for invalid input', async () => {
+      await saveRequestValidators(null);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
+});
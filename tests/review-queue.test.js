@@ -0,0 +1,110 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  buildReviewSearchUrl,
+  mapReviewRequest,
+  fetchReviewQueue,
+  pruneReviewQueue
+} from '../shared/review-queue.js';
+
+function createSearchItem(overrides = {}) {
+  return {
+    id: 500,
+    number: 12,
+    title: 'Refactor scheduler',
+    html_url: 'https://github.com/acme/app/pull/12',
+    repository_url: 'https://api.github.com/repos/acme/app',
+    created_at: '2025-01-04T00:00:00Z',
+    updated_at: '2025-01-05T00:00:00Z',
+    user: { login: 'dana', avatar_url: 'https://avatar' },
+    ...overrides
+  };
+}
+
+function createSearchResponse(items) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    json: async () => ({ total_count: items.length, items })
+  };
+}
+
+describe('review-queue', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('buildReviewSearchUrl encodes the review-requested query', () => {
+    expect(buildReviewSearchUrl('all')).toBe(
+      'https://api.github.com/search/issues?q=is%3Aopen%20is%3Apr%20archived%3Afalse%20review-requested%3A%40me&sort=updated&order=desc&per_page=50'
+    );
+    expect(decodeURIComponent(buildReviewSearchUrl('direct'))).toContain('user-review-requested:@me');
+  });
+
+  test('mapReviewRequest reads the repository from the API URL', () => {
+    expect(mapReviewRequest(createSearchItem(), { team: true })).toEqual({
+      id: 'review-acme/app-12',
+      type: 'review',
+      repo: 'acme/app',
+      title: 'Refactor scheduler',
+      description: 'Team review requested',
+      url: 'https://github.com/acme/app/pull/12',
+      createdAt: '2025-01-05T00:00:00Z',
+      author: 'dana',
+      authorAvatar: 'https://avatar',
+      number: 12,
+      requestedFrom: 'team'
+    });
+  });
+
+  test('fetchReviewQueue marks requests missing from the direct search as team requests', async () => {
+    const direct = createSearchItem();
+    const team = createSearchItem({ id: 501, number: 13, html_url: 'https://github.com/acme/app/pull/13' });
+
+    fetch.mockImplementation(async (url) => (
+      decodeURIComponent(url).includes('user-review-requested')
+        ? createSearchResponse([direct])
+        : createSearchResponse([direct, team])
+    ));
+
+    const queue = await fetchReviewQueue('token');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(queue.map(({ id, requestedFrom }) => [id, requestedFrom])).toEqual([
+      ['review-acme/app-12', 'user'],
+      ['review-acme/app-13', 'team']
+    ]);
+  });
+
+  test('fetchReviewQueue retries server errors', async () => {
+    const sleep = jest.fn(async () => {});
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable', headers: { get: () => null } })
+      .mockResolvedValue(createSearchResponse([createSearchItem()]));
+
+    const queue = await fetchReviewQueue('token', { sleep });
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(1);
+    expect(queue.map(({ id }) => id)).toEqual(['review-acme/app-12']);
+  });
+
+  test('fetchReviewQueue surfaces search errors', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 403, statusText: 'Forbidden' });
+
+    await expect(fetchReviewQueue('token')).rejects.toThrow('Rate limit exceeded');
+  });
+
+  test('pruneReviewQueue drops review requests that left the queue', () => {
+    const activities = [
+      { id: 'review-acme/app-12', type: 'review' },
+      { id: 'review-acme/app-13', type: 'review' },
+      { id: 'pr-acme/app-13', type: 'pr' }
+    ];
+
+    expect(pruneReviewQueue(activities, ['review-acme/app-12'])).toEqual([
+      { id: 'review-acme/app-12', type: 'review' },
+      { id: 'pr-acme/app-13', type: 'pr' }
+    ]);
+  });
+});
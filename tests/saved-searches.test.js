@@ -0,0 +1,128 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  buildSavedSearchUrl,
+  collectNewSearchHits,
+  createSavedSearch,
+  fetchSavedSearchHits,
+  mapSearchHit,
+  pruneSavedSearchResults
+} from '../shared/saved-searches.js';
+import { normalizeSavedSearches } from '../shared/settings-schema.js';
+
+const search = { id: 'sec1', name: 'Security', query: 'label:security org:acme is:open' };
+
+// Hits are keyed by repository and number, so that is all most tests need
+const hit = { number: 42, repository_url: 'https://api.github.com/repos/acme/api' };
+
+describe('saved-searches', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('createSavedSearch trims the query and names the search after it by default', () => {
+    const created = createSavedSearch({ query: '  "memory leak" repo:foo/bar ' });
+
+    expect(created).toEqual({ id: expect.any(String), name: '"memory leak" repo:foo/bar', query: '"memory leak" repo:foo/bar' });
+    expect(createSavedSearch({ name: 'Leaks', query: 'leak' }).name).toBe('Leaks');
+    expect(createSavedSearch({ name: 'Empty', query: '   ' })).toBeNull();
+    expect(createSavedSearch({ query: 'x'.repeat(257) })).toBeNull();
+  });
+
+  test('normalizeSavedSearches drops entries without an id or query', () => {
+    expect(normalizeSavedSearches([
+      search,
+      { id: 'blank', name: 'Blank', query: ' ' },
+      { name: 'No id', query: 'is:open' },
+      { id: 'unnamed', query: ' is:pr ' }
+    ])).toEqual([search, { id: 'unnamed', name: 'is:pr', query: 'is:pr' }]);
+    expect(normalizeSavedSearches('nope')).toEqual([]);
+  });
+
+  test('buildSavedSearchUrl encodes the query', () => {
+    expect(buildSavedSearchUrl(search.query)).toBe(
+      'https://api.github.com/search/issues?q=label%3Asecurity%20org%3Aacme%20is%3Aopen&sort=updated&order=desc&per_page=30'
+    );
+  });
+
+  test('mapSearchHit tags the activity with the search that found it', () => {
+    expect(mapSearchHit({
+      ...hit,
+      title: 'Token leaks into logs',
+      html_url: 'https://github.com/acme/api/issues/42',
+      created_at: '2026-10-18T00:00:00Z',
+      updated_at: '2026-10-19T00:00:00Z',
+      user: { login: 'dana', avatar_url: 'https://avatar' },
+      pull_request: {}
+    }, search)).toEqual({
+      id: 'search-sec1-acme/api-42',
+      type: 'search',
+      repo: 'acme/api',
+      title: 'Token leaks into logs',
+      description: 'Pull request matching "Security"',
+      url: 'https://github.com/acme/api/issues/42',
+      createdAt: '2026-10-19T00:00:00Z',
+      author: 'dana',
+      authorAvatar: 'https://avatar',
+      number: 42,
+      searchId: 'sec1',
+      searchName: 'Security',
+      searchQuery: 'label:security org:acme is:open'
+    });
+  });
+
+  test('fetchSavedSearchHits returns the search items', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => ({ total_count: 2, items: [hit, { id: 1 }] })
+    });
+
+    const items = await fetchSavedSearchHits(search, 'token');
+
+    expect(fetch).toHaveBeenCalledWith(buildSavedSearchUrl(search.query), expect.any(Object));
+    expect(items).toHaveLength(1);
+  });
+
+  test('fetchSavedSearchHits retries server errors', async () => {
+    const sleep = jest.fn(async () => {});
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 502, statusText: 'Bad Gateway', headers: { get: () => null } })
+      .mockResolvedValueOnce({ ok: true, status: 200, headers: { get: () => null }, json: async () => ({ items: [hit] }) });
+
+    await expect(fetchSavedSearchHits(search, 'token', { sleep })).resolves.toHaveLength(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+
+  test('collectNewSearchHits only returns hits the search had not returned before', () => {
+    const polledAt = new Date('2026-10-19T12:00:00Z');
+    const first = collectNewSearchHits(search, [hit], null, polledAt);
+
+    expect(first.firstPoll).toBe(true);
+    expect(first.activities).toHaveLength(1);
+    expect(first.state).toEqual({ knownIds: ['search-sec1-acme/api-42'], lastPolledAt: '2026-10-19T12:00:00.000Z' });
+
+    const second = collectNewSearchHits(search, [
+      { ...hit, number: 43 },
+      hit
+    ], first.state, polledAt);
+
+    expect(second.firstPoll).toBe(false);
+    expect(second.activities.map(activity => activity.id)).toEqual(['search-sec1-acme/api-43']);
+    expect(second.state.knownIds).toEqual(['search-sec1-acme/api-43', 'search-sec1-acme/api-42']);
+  });
+
+  test('pruneSavedSearchResults drops hits of deleted searches', () => {
+    const activities = [
+      { id: 'search-sec1-acme/api-42', type: 'search', searchId: 'sec1' },
+      { id: 'search-old-acme/api-42', type: 'search', searchId: 'old' },
+      { id: 'pr-acme/api-42', type: 'pr' }
+    ];
+
+    expect(pruneSavedSearchResults(activities, ['sec1']).map(activity => activity.id)).toEqual([
+      'search-sec1-acme/api-42',
+      'pr-acme/api-42'
+    ]);
+  });
+});
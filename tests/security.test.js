@@ -2,9 +2,10 @@
  * Security tests for XSS prevention and URL validation
  */
 
-import { describe, it, expect } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
 import { escapeHtml, unescapeHtml, sanitizeImageUrl, sanitizeObject, sanitizeActivity, sanitizeRepository } from '../shared/sanitize.js';
 import { isValidGitHubUrl, isValidGitHubAuthUrl, isValidApiUrl } from '../shared/security.js';
+import { setGitHubHost } from '../shared/github-host.js';
 
 describe('HTML Sanitization', () => {
   describe('escapeHtml', () => {
@@ -472,6 +473,33 @@ describe('GitHub URL Validation', () => {
       expect(isValidGitHubAuthUrl('javascript:alert(1)')).toBe(false);
     });
   });
+
+  describe('with a GitHub Enterprise Server host', () => {
+    beforeEach(() => {
+      setGitHubHost('ghe.example.com');
+    });
+
+    afterEach(() => {
+      setGitHubHost('github.com');
+    });
+
+    it('allows links, API calls, and avatars on the configured host', () => {
+      expect(isValidGitHubUrl('https://ghe.example.com/acme/app/pull/1')).toBe(true);
+      expect(isValidApiUrl('https://ghe.example.com/api/v3/repos/acme/app/pulls?page=2')).toBe(true);
+      expect(sanitizeImageUrl('https://ghe.example.com/avatars/u/1?s=40')).toBe('https://ghe.example.com/avatars/u/1?s=40');
+    });
+
+    it('moves device flow verification to the configured host', () => {
+      expect(isValidGitHubAuthUrl('https://ghe.example.com/login/device')).toBe(true);
+      expect(isValidGitHubAuthUrl('https://github.com/login/device')).toBe(false);
+    });
+
+    it('still rejects other hosts', () => {
+      expect(isValidGitHubUrl('https://evil.example.com/acme/app')).toBe(false);
+      expect(isValidGitHubUrl('https://ghe.example.com.evil.io/acme/app')).toBe(false);
+      expect(isValidApiUrl('https://other.example.com/api/v3/user')).toBe(false);
+    });
+  });
 });
 
 describe('URL Validation', () => {
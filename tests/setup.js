@@ -58,6 +58,10 @@ global.chrome = {
   tabs: {
     create: jest.fn()
   },
+  permissions: {
+    request: jest.fn(() => Promise.resolve(true)),
+    contains: jest.fn(() => Promise.resolve(true))
+  },
   action: {
     setBadgeText: jest.fn(),
     setBadgeBackgroundColor: jest.fn()
@@ -0,0 +1,93 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  STATE_CHANGE_TYPE,
+  getKnownItems,
+  getItemState,
+  detectStateChanges,
+  applyStateChanges
+} from '../shared/state-changes.js';
+
+function createItem(overrides = {}) {
+  return {
+    number: 123,
+    title: 'Add feature',
+    html_url: 'https://github.com/a/b/pull/123',
+    state: 'open',
+    updated_at: '2025-01-05T00:00:00Z',
+    closed_at: null,
+    user: { login: 'alice', avatar_url: 'https://avatar' },
+    ...overrides
+  };
+}
+
+describe('state-changes', () => {
+  describe('getKnownItems', () => {
+    test('indexes PRs and issues by repo and number', () => {
+      const known = getKnownItems([
+        { id: 'pr-a/b-123', type: 'pr', repo: 'a/b', number: 123 },
+        { id: 'issue-a/b-7', type: 'issue', repo: 'a/b', state: 'closed' },
+        { id: 'release-a/b-9', type: 'release', repo: 'a/b' }
+      ]);
+
+      expect(known.get('a/b').get(123)).toEqual({ id: 'pr-a/b-123', type: 'pr', state: 'open' });
+      expect(known.get('a/b').get(7)).toEqual({ id: 'issue-a/b-7', type: 'issue', state: 'closed' });
+      expect(known.get('a/b').size).toBe(2);
+    });
+  });
+
+  test('getItemState distinguishes merged from closed', () => {
+    expect(getItemState(createItem())).toBe('open');
+    expect(getItemState(createItem({ state: 'closed' }))).toBe('closed');
+    expect(getItemState(createItem({ state: 'closed', pull_request: { merged_at: '2025-01-05T00:00:00Z' } }))).toBe('merged');
+  });
+
+  describe('detectStateChanges', () => {
+    const knownItems = new Map([
+      [123, { id: 'pr-a/b-123', type: 'pr', state: 'open' }],
+      [7, { id: 'issue-a/b-7', type: 'issue', state: 'closed' }]
+    ]);
+
+    test('emits merged and reopened transitions', () => {
+      const changes = detectStateChanges(knownItems, [
+        createItem({ state: 'closed', pull_request: { merged_at: '2025-01-05T01:00:00Z' } }),
+        createItem({ number: 7, title: 'Bug', html_url: 'https://github.com/a/b/issues/7' }),
+        createItem({ number: 99 })
+      ], 'a/b');
+
+      expect(changes).toEqual([
+        expect.objectContaining({
+          id: 'state-a/b-123-merged-2025-01-05T01:00:00Z',
+          type: STATE_CHANGE_TYPE,
+          title: 'PR #123 merged: Add feature',
+          createdAt: '2025-01-05T01:00:00Z',
+          subjectId: 'pr-a/b-123',
+          state: 'merged'
+        }),
+        expect.objectContaining({
+          title: 'Issue #7 reopened: Bug',
+          subjectId: 'issue-a/b-7',
+          state: 'open'
+        })
+      ]);
+    });
+
+    test('ignores items whose state did not change', () => {
+      expect(detectStateChanges(knownItems, [createItem()], 'a/b')).toEqual([]);
+      expect(detectStateChanges(undefined, [createItem()], 'a/b')).toEqual([]);
+    });
+  });
+
+  test('applyStateChanges updates the stored state of changed items', () => {
+    const activities = [
+      { id: 'pr-a/b-123', type: 'pr', repo: 'a/b' },
+      { id: 'issue-a/b-7', type: 'issue', repo: 'a/b' }
+    ];
+
+    expect(applyStateChanges(activities, [
+      { type: STATE_CHANGE_TYPE, subjectId: 'pr-a/b-123', state: 'closed' }
+    ])).toEqual([
+      { id: 'pr-a/b-123', type: 'pr', repo: 'a/b', state: 'closed' },
+      { id: 'issue-a/b-7', type: 'issue', repo: 'a/b' }
+    ]);
+  });
+});
@@ -16,6 +16,7 @@ const mockGetSettings = jest.fn(async () => ({
   itemExpiryHours: null,
   markReadOnSnooze: false,
   allowUnlimitedRepos: false,
+  graphqlPolling: false,
   lastCheck: 0
 }));
 const mockGetActivityData = jest.fn(async () => ({
@@ -78,6 +79,7 @@ jest.unstable_mockModule('../shared/storage-helpers.js', () => ({
     itemExpiryHours: null,
     markReadOnSnooze: false,
     allowUnlimitedRepos: false,
+    graphqlPolling: false,
     activities: [],
     readItems: []
   }
@@ -105,6 +107,7 @@ describe('state-manager', () => {
       itemExpiryHours: null,
       markReadOnSnooze: false,
       allowUnlimitedRepos: false,
+      graphqlPolling: false,
       lastCheck: 0
     });
     mockGetActivityData.mockResolvedValue({
@@ -136,6 +139,7 @@ describe('state-manager', () => {
       itemExpiryHours: null,
       markReadOnSnooze: false,
       allowUnlimitedRepos: false,
+      graphqlPolling: false,
       isLoading: false,
       error: null
     };
@@ -463,6 +467,7 @@ describe('state-manager', () => {
         itemExpiryHours: null,
         markReadOnSnooze: false,
         allowUnlimitedRepos: false,
+        graphqlPolling: false,
         lastCheck: 0
       });
 
@@ -15,10 +15,16 @@ const {
   getExcludedRepos,
   getAuthSession,
   getWatchedRepos,
+  getWatchedOwners,
+  setWatchedOwners,
   getSettings,
   setAuthSession,
   clearAuthSession,
   getAccessToken,
+  getAuthSessions,
+  addAuthSession,
+  removeAuthSession,
+  getAccountTokens,
   updateSettings
 } = await import('../shared/storage-helpers.js');
 
@@ -349,7 +355,23 @@ describe('Storage Helpers', () => {
       expect(settings.watchedRepos).toEqual([
         expect.objectContaining({ fullName: 'vuejs/core' })
       ]);
-      expect(settings.filters).toEqual({ prs: false, issues: true, releases: true });
+      // Filters saved before the request-heavy categories existed keep them off
+      expect(settings.filters).toEqual({ reviews: true, myPrs: true, prs: false, issues: true, releases: true, discussions: true, workflows: false, security: false, stateChanges: false, inbox: false, searches: true });
+    });
+
+    it('turns request-heavy categories on for installs without saved filters', async () => {
+      const settings = await getSettings();
+
+      expect(settings.filters).toMatchObject({ workflows: true, security: true, stateChanges: true });
+    });
+
+    it('stores normalized watched owners in local storage', async () => {
+      await setWatchedOwners([{ login: 'acme', type: 'org', include: 'api-*, web-*' }, { type: 'user' }]);
+
+      expect(mockLocalStorage.watchedOwners).toEqual([
+        expect.objectContaining({ login: 'acme', type: 'org', include: ['api-*', 'web-*'], exclude: [], knownRepos: [] })
+      ]);
+      expect(await getWatchedOwners()).toEqual(mockLocalStorage.watchedOwners);
     });
   });
 
@@ -533,6 +555,68 @@ describe('Storage Helpers', () => {
     });
   });
 
+  describe('multiple account helpers', () => {
+    const personal = { accessToken: 'personal-token', username: 'octocat' };
+    const work = { accessToken: 'work-token', username: 'octo-work' };
+
+    it('makes the first connected account the default', async () => {
+      await addAuthSession(personal);
+
+      expect(mockSessionStorage.githubAuthSession).toEqual(personal);
+      expect(await getAuthSessions()).toEqual([personal]);
+    });
+
+    it('adds further accounts alongside the default', async () => {
+      await addAuthSession(personal);
+      await addAuthSession(work);
+      await addAuthSession({ ...work, accessToken: 'work-token-2' });
+
+      expect(await getAuthSessions()).toEqual([personal, { ...work, accessToken: 'work-token-2' }]);
+      expect(await getAccessToken()).toBe('personal-token');
+      expect(await getAccountTokens()).toEqual(new Map([
+        ['octocat', 'personal-token'],
+        ['octo-work', 'work-token-2']
+      ]));
+    });
+
+    it('removes an additional account', async () => {
+      mockSessionStorage.githubAuthSession = personal;
+      mockSessionStorage.githubAuthAccounts = [work];
+
+      await removeAuthSession('octo-work');
+
+      expect(await getAuthSessions()).toEqual([personal]);
+    });
+
+    it('promotes the next account when the default is removed', async () => {
+      mockSessionStorage.githubAuthSession = personal;
+      mockSessionStorage.githubAuthAccounts = [work];
+
+      await removeAuthSession('octocat');
+
+      expect(mockSessionStorage.githubAuthSession).toEqual(work);
+      expect(await getAuthSessions()).toEqual([work]);
+    });
+
+    it('stores a public-only session without a token', async () => {
+      await setAuthSession({ authType: 'public', accessToken: null, username: '' });
+
+      expect(mockSessionStorage.githubAuthSession).toEqual({ authType: 'public', accessToken: null, username: '' });
+      expect(await getAccessToken()).toBeNull();
+      expect(await getAuthSessions()).toEqual([]);
+    });
+
+    it('clears every account on sign-out', async () => {
+      mockSessionStorage.githubAuthSession = personal;
+      mockSessionStorage.githubAuthAccounts = [work];
+
+      await clearAuthSession();
+
+      expect(await getAuthSessions()).toEqual([]);
+      expect(mockSessionStorage.githubAuthAccounts).toBeUndefined();
+    });
+  });
+
   describe('updateSettings', () => {
     it('fans out watched repos, lastCheck, and sync settings to the correct storage backends', async () => {
       await updateSettings({
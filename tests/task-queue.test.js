@@ -0,0 +1,62 @@
+import { describe, test, expect } from '@jest/globals';
+import { runTaskQueue } from '../shared/task-queue.js';
+
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('task-queue', () => {
+  test('runs items in order with limited parallelism', async () => {
+    const started = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await runTaskQueue([1, 2, 3, 4, 5], async (item) => {
+      started.push(item);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await tick();
+      inFlight--;
+      return item * 10;
+    }, { concurrency: 2 });
+
+    expect(started).toEqual([1, 2, 3, 4, 5]);
+    expect(maxInFlight).toBe(2);
+    expect(results.map(result => result.value)).toEqual([10, 20, 30, 40, 50]);
+  });
+
+  test('keeps going after a failing item', async () => {
+    const results = await runTaskQueue(['ok', 'bad', 'ok'], async (item) => {
+      if (item === 'bad') {
+        throw new Error('boom');
+      }
+      return item;
+    }, { concurrency: 1 });
+
+    expect(results).toEqual([
+      { status: 'fulfilled', value: 'ok' },
+      { status: 'rejected', reason: expect.objectContaining({ message: 'boom' }) },
+      { status: 'fulfilled', value: 'ok' }
+    ]);
+  });
+
+  test('stops starting new items once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    const results = await runTaskQueue([1, 2, 3], async (item) => {
+      started.push(item);
+      controller.abort();
+      await tick();
+      return item;
+    }, { concurrency: 1, signal: controller.signal });
+
+    expect(started).toEqual([1]);
+    expect(results[0]).toEqual({ status: 'fulfilled', value: 1 });
+    expect(results.slice(1).map(result => result.reason.name)).toEqual(['AbortError', 'AbortError']);
+  });
+
+  test('handles an empty list', async () => {
+    expect(await runTaskQueue([], async () => 'unused')).toEqual([]);
+  });
+});
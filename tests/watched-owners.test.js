@@ -0,0 +1,156 @@
+/**
+ * Watched organization and user tests
+ */
+
+import { jest } from '@jest/globals';
+
+const {
+  fetchOwnerRepos,
+  filterOwnerRepos,
+  lookupOwner,
+  matchesGlob,
+  parseOwnerLogin,
+  planOwnerSync,
+  releaseCappedRepos
+} = await import('../shared/watched-owners.js');
+const { normalizeWatchedOwnerRecord } = await import('../shared/repo-service.js');
+const { STORAGE_CONFIG } = await import('../shared/config.js');
+
+const NOW = '2026-10-19T12:00:00.000Z';
+
+function createOwner(overrides = {}) {
+  return normalizeWatchedOwnerRecord({ login: 'acme', type: 'org', ...overrides });
+}
+
+function createRepo(name, overrides = {}) {
+  return {
+    name,
+    full_name: `acme/${name}`,
+    description: null,
+    language: 'JavaScript',
+    stargazers_count: 1,
+    forks_count: 0,
+    updated_at: '2026-10-18T00:00:00Z',
+    private: false,
+    archived: false,
+    fork: false,
+    default_branch: 'main',
+    ...overrides
+  };
+}
+
+function createResponse(body, headers = {}) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: name => headers[name] ?? null },
+    json: async () => body
+  };
+}
+
+describe('watched owners', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  test('matches repo names against glob patterns ignoring case', () => {
+    expect(matchesGlob('api-gateway', 'api-*')).toBe(true);
+    expect(matchesGlob('API-gateway', 'api-*')).toBe(true);
+    expect(matchesGlob('web-api', 'api-*')).toBe(false);
+    expect(matchesGlob('v1', 'v?')).toBe(true);
+    expect(matchesGlob('v10', 'v?')).toBe(false);
+    expect(matchesGlob('docs.site', 'docs.site')).toBe(true);
+    expect(matchesGlob('docsxsite', 'docs.site')).toBe(false);
+  });
+
+  test('filters archived repos, forks, and include/exclude patterns', () => {
+    const repos = [
+      createRepo('api-core'),
+      createRepo('api-legacy', { archived: true }),
+      createRepo('api-fork', { fork: true }),
+      createRepo('api-sandbox'),
+      createRepo('website')
+    ];
+
+    const filtered = filterOwnerRepos(repos, createOwner({ include: 'api-*', exclude: ['*-sandbox'] }));
+    expect(filtered.map(repo => repo.name)).toEqual(['api-core']);
+
+    const everything = filterOwnerRepos(repos, createOwner({ includeArchived: true, includeForks: true }));
+    expect(everything).toHaveLength(5);
+  });
+
+  test('parses logins, @mentions, and profile URLs', () => {
+    expect(parseOwnerLogin(' facebook ')).toBe('facebook');
+    expect(parseOwnerLogin('@octocat')).toBe('octocat');
+    expect(parseOwnerLogin('https://github.com/facebook/')).toBe('facebook');
+    expect(parseOwnerLogin('facebook/react')).toBeNull();
+    expect(parseOwnerLogin('')).toBeNull();
+  });
+
+  test('looks up whether a login is an organization or a user', async () => {
+    fetch.mockResolvedValueOnce(createResponse({ login: 'Facebook', type: 'Organization' }));
+
+    await expect(lookupOwner('facebook', 'token')).resolves.toEqual({ login: 'Facebook', type: 'org' });
+    expect(fetch.mock.calls[0][0]).toBe('https://api.github.com/users/facebook');
+  });
+
+  test('lists an organization\'s repos across pages', async () => {
+    fetch
+      .mockResolvedValueOnce(createResponse([createRepo('one')], {
+        Link: '<https://api.github.com/orgs/acme/repos?page=2>; rel="next"'
+      }))
+      .mockResolvedValueOnce(createResponse([createRepo('two')]));
+
+    const repos = await fetchOwnerRepos(createOwner(), 'token');
+
+    expect(repos.map(repo => repo.name)).toEqual(['one', 'two']);
+    expect(fetch.mock.calls[0][0]).toContain('/orgs/acme/repos?type=all');
+    expect(fetch.mock.calls[1][0]).toBe('https://api.github.com/orgs/acme/repos?page=2');
+  });
+
+  test('adds unseen repos and remembers every listed repo', () => {
+    const owner = createOwner({ lastSyncedAt: '2026-10-18T12:00:00Z', knownRepos: ['acme/removed'], account: 'octo-work' });
+    const repos = [createRepo('removed'), createRepo('watched'), createRepo('new')];
+
+    const plan = planOwnerSync(owner, repos, [{ fullName: 'acme/watched' }], { now: NOW });
+
+    expect(plan.added).toEqual([expect.objectContaining({
+      fullName: 'acme/new',
+      watchedVia: 'acme',
+      account: 'octo-work',
+      addedAt: NOW
+    })]);
+    expect(plan.owner.knownRepos).toEqual(['acme/removed', 'acme/watched', 'acme/new']);
+    expect(plan.owner.lastSyncedAt).toBe(NOW);
+    expect(plan.firstSync).toBe(false);
+  });
+
+  test('respects the watched repo limit and retries capped repos later', () => {
+    const watchedRepos = Array.from({ length: STORAGE_CONFIG.MAX_WATCHED_REPOS - 1 }, (_, index) => ({
+      fullName: `other/repo-${index}`
+    }));
+    const repos = [createRepo('first'), createRepo('second'), createRepo('third')];
+
+    const plan = planOwnerSync(createOwner(), repos, watchedRepos, { now: NOW });
+
+    expect(plan.added.map(repo => repo.fullName)).toEqual(['acme/first']);
+    expect(plan.cappedCount).toBe(2);
+    expect(plan.owner.knownRepos).toEqual(['acme/first']);
+    expect(plan.firstSync).toBe(true);
+
+    const unlimited = planOwnerSync(createOwner(), repos, watchedRepos, { allowUnlimitedRepos: true, now: NOW });
+    expect(unlimited.added).toHaveLength(3);
+    expect(unlimited.cappedCount).toBe(0);
+  });
+
+  test('releaseCappedRepos hands repos that no longer fit back to a later sync', () => {
+    const plan = planOwnerSync(createOwner(), [createRepo('first'), createRepo('second')], [], { now: NOW });
+
+    const released = releaseCappedRepos(plan, new Set(['acme/second']));
+
+    expect(released.added.map(repo => repo.fullName)).toEqual(['acme/first']);
+    expect(released.cappedCount).toBe(1);
+    expect(released.owner.knownRepos).toEqual(['acme/first']);
+    expect(releaseCappedRepos(plan, new Set())).toBe(plan);
+  });
+});